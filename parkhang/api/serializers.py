@@ -1,13 +1,13 @@
 from rest_framework import routers, serializers, viewsets
 
-from texts.models import Text, Source, Witness, Annotation, UserAnnotationOperation, DefaultWitnessAnnotations
+from texts.models import Text, Source, Witness, Annotation, UserAnnotationOperation, DefaultWitnessAnnotations, AnnotationChange, NoteReply
 from users.models import User
 
 
 class TextSerializer(serializers.ModelSerializer):
     class Meta:
         model = Text
-        fields = ('id', 'name')
+        fields = ('id', 'name', 'language')
 
 
 class SourceSerializer(serializers.ModelSerializer):
@@ -66,7 +66,19 @@ class AnnotationSerializer(serializers.ModelSerializer):
         model = Annotation
         fields = ('id', 'unique_id', 'type', 'witness', 'start', 'length', 'content',
                   'creator_witness', 'creator_user', 'original', 'is_deleted',
-                  'modified')
+                  'modified', 'revision', 'review_state')
+        read_only_fields = ('revision', 'review_state')
+
+
+class ProposedAnnotationSerializer(AnnotationSerializer):
+    """Includes the name of the user who proposed the annotation, for reviewers"""
+    creator_name = serializers.SerializerMethodField()
+
+    def get_creator_name(self, annotation):
+        return annotation.creator_name()
+
+    class Meta(AnnotationSerializer.Meta):
+        fields = AnnotationSerializer.Meta.fields + ('creator_name',)
 
 
 class UserAnnotationOperationsSerializer(serializers.ModelSerializer):
@@ -77,3 +89,46 @@ class UserAnnotationOperationsSerializer(serializers.ModelSerializer):
     class Meta:
         model = UserAnnotationOperation
         fields = ('id', 'annotation', 'witness', 'operation', 'annotation_unique_id')
+
+
+class AnnotationChangeSerializer(serializers.ModelSerializer):
+    annotation_unique_id = serializers.UUIDField(source='annotation.unique_id')
+    witness = serializers.PrimaryKeyRelatedField(read_only=True)
+    user_name = serializers.SerializerMethodField()
+
+    def __init__(self, *args, **kwargs):
+        with_content = kwargs.pop('with_content', True)
+
+        super(AnnotationChangeSerializer, self).__init__(*args, **kwargs)
+
+        if not with_content:
+            self.fields.pop('content')
+
+    def get_user_name(self, change):
+        return change.user.username if change.user else None
+
+    class Meta:
+        model = AnnotationChange
+        fields = ('id', 'annotation_unique_id', 'type', 'witness', 'user', 'user_name', 'content', 'created')
+
+
+class NoteReplySerializer(serializers.ModelSerializer):
+    user = serializers.PrimaryKeyRelatedField(read_only=True)
+    user_name = serializers.SerializerMethodField()
+    mentions = serializers.SlugRelatedField(slug_field='username', many=True, read_only=True)
+
+    def get_user_name(self, reply):
+        return reply.user.username if reply.user else None
+
+    class Meta:
+        model = NoteReply
+        fields = ('id', 'user', 'user_name', 'content', 'mentions', 'created')
+
+
+class DiscussionSerializer(ProposedAnnotationSerializer):
+    """A note with the replies to it"""
+    replies = NoteReplySerializer(many=True, read_only=True)
+
+    class Meta(ProposedAnnotationSerializer.Meta):
+        fields = ProposedAnnotationSerializer.Meta.fields + ('created', 'is_resolved', 'replies')
+        read_only_fields = ProposedAnnotationSerializer.Meta.read_only_fields + ('created',)
@@ -0,0 +1,66 @@
+from rest_framework import status
+from rest_framework.test import APITestCase, APIRequestFactory, force_authenticate
+
+from users.models import User
+from api.views import AnnotationDetail
+from api.serializers import AnnotationSerializer
+from texts.models import Text, Source, Witness, Annotation
+
+
+class AnnotationConflictTestCase(APITestCase):
+    password = "1ABDefgH89"
+
+    @classmethod
+    def setUpTestData(cls):
+        cls.user = User.objects.create_user(username='TestUser', password=cls.password)
+        cls.text = Text.objects.create(name='Test Text')
+        cls.source = Source.objects.create(name='Derge', is_base=True)
+        cls.working_source = Source.objects.create(name='Working', is_working=True)
+        cls.witness = Witness.objects.create(
+            text=cls.text,
+            source=cls.source,
+            content='This is witness test content.'
+        )
+        cls.working_witness = Witness.objects.create(
+            text=cls.text,
+            source=cls.working_source
+        )
+        cls.annotation = Annotation.objects.create(
+            witness=cls.witness,
+            start=5,
+            length=2,
+            content='was',
+            creator_witness=cls.working_witness,
+            creator_user=cls.user
+        )
+
+    def update(self, **changes):
+        data = dict(AnnotationSerializer(self.annotation).data, **changes)
+        url = f'/api/texts/{self.text.pk}/witnesses/{self.witness.pk}/annotations/{self.annotation.unique_id}'
+        request = APIRequestFactory().put(url, data, format='json')
+        force_authenticate(request, user=self.user)
+        return AnnotationDetail.as_view()(request, str(self.annotation.unique_id))
+
+    def test_update_current_revision(self):
+        response = self.update(content='is not', revision=1)
+        self.assertEqual(response.status_code, status.HTTP_204_NO_CONTENT)
+
+        self.annotation.refresh_from_db()
+        self.assertEqual(self.annotation.content, 'is not')
+        self.assertEqual(self.annotation.revision, 2)
+
+    def test_update_old_revision(self):
+        Annotation.objects.filter(pk=self.annotation.pk).update(content='was not', revision=2)
+
+        response = self.update(content='is not', revision=1)
+        self.assertEqual(response.status_code, status.HTTP_409_CONFLICT)
+        self.assertEqual(response.data['content'], 'was not')
+        self.assertEqual(response.data['revision'], 2)
+        self.assertIn('modified', response.data)
+
+        self.annotation.refresh_from_db()
+        self.assertEqual(self.annotation.content, 'was not')
+
+    def test_invalid_revision(self):
+        response = self.update(content='is not', revision='latest')
+        self.assertEqual(response.status_code, status.HTTP_400_BAD_REQUEST)
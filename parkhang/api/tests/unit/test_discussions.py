@@ -0,0 +1,109 @@
+from rest_framework import status
+from rest_framework.test import APITestCase, APIRequestFactory, force_authenticate
+
+from users.models import User
+from api.views import Discussions, DiscussionDetail, NoteReplies
+from texts.models import Text, Source, Witness, Annotation, AnnotationType, NoteReply
+
+
+class DiscussionsTestCase(APITestCase):
+    password = "1ABDefgH89"
+
+    @classmethod
+    def setUpTestData(cls):
+        cls.user = User.objects.create_user(username='TestUser', password=cls.password)
+        cls.other_user = User.objects.create_user(username='OtherUser', password=cls.password)
+        cls.mentioned_user = User.objects.create_user(username='Mentioned', password=cls.password)
+        cls.text = Text.objects.create(name='Test Text')
+        cls.source = Source.objects.create(name='Derge', is_base=True)
+        cls.working_source = Source.objects.create(name='Working', is_working=True)
+        cls.witness = Witness.objects.create(
+            text=cls.text,
+            source=cls.source,
+            content='This is witness test content.'
+        )
+        cls.working_witness = Witness.objects.create(
+            text=cls.text,
+            source=cls.working_source
+        )
+        cls.note = Annotation.objects.create(
+            witness=cls.witness,
+            start=5,
+            length=2,
+            content='A note',
+            type=AnnotationType.note.value,
+            creator_witness=cls.working_witness,
+            creator_user=cls.user
+        )
+        cls.other_note = Annotation.objects.create(
+            witness=cls.witness,
+            start=8,
+            length=2,
+            content='Another note',
+            type=AnnotationType.note.value,
+            creator_witness=cls.working_witness,
+            creator_user=cls.other_user
+        )
+        reply = NoteReply.objects.create(note=cls.note, user=cls.user, content='Thoughts @Mentioned?')
+        reply.mentions.set([cls.mentioned_user])
+
+    def request_view(self, view, user, method='get', data=None, note=None):
+        url = f'/api/texts/{self.text.pk}/witnesses/{self.working_witness.pk}/discussions/'
+        kwargs = {}
+        if note is not None:
+            url += f'{note}/'
+            kwargs['note_unique_id'] = str(note)
+        request = getattr(APIRequestFactory(), method)(url, data, format='json')
+        force_authenticate(request, user=user)
+        return view.as_view()(request, str(self.working_witness.pk), **kwargs)
+
+    def test_list_own_and_mentioned_notes(self):
+        response = self.request_view(Discussions, self.user)
+        self.assertEqual(response.status_code, status.HTTP_200_OK)
+        self.assertEqual([note['unique_id'] for note in response.data], [str(self.note.unique_id)])
+
+        response = self.request_view(Discussions, self.mentioned_user)
+        self.assertEqual([note['unique_id'] for note in response.data], [str(self.note.unique_id)])
+
+        response = self.request_view(Discussions, self.other_user)
+        self.assertEqual([note['unique_id'] for note in response.data], [str(self.other_note.unique_id)])
+
+    def test_reply(self):
+        response = self.request_view(NoteReplies, self.mentioned_user, 'post',
+                                     {'content': ' Agreed @TestUser '}, self.note.unique_id)
+        self.assertEqual(response.status_code, status.HTTP_201_CREATED)
+        self.assertEqual(response.data['content'], 'Agreed @TestUser')
+        self.assertEqual(response.data['mentions'], ['TestUser'])
+
+    def test_reply_to_hidden_note(self):
+        response = self.request_view(NoteReplies, self.user, 'post',
+                                     {'content': 'Hello'}, self.other_note.unique_id)
+        self.assertEqual(response.status_code, status.HTTP_404_NOT_FOUND)
+
+    def test_reply_must_be_text(self):
+        for content in ['  ', 5, None, ['a']]:
+            response = self.request_view(NoteReplies, self.user, 'post',
+                                         {'content': content}, self.note.unique_id)
+            self.assertEqual(response.status_code, status.HTTP_400_BAD_REQUEST)
+
+    def test_invalid_note_id(self):
+        response = self.request_view(NoteReplies, self.user, 'post', {'content': 'Hello'}, 'not-a-uuid')
+        self.assertEqual(response.status_code, status.HTTP_400_BAD_REQUEST)
+
+    def test_note_in_other_witness(self):
+        url = f'/api/texts/{self.text.pk}/witnesses/{self.witness.pk}/discussions/{self.note.unique_id}/'
+        request = APIRequestFactory().put(url, {'is_resolved': True}, format='json')
+        force_authenticate(request, user=self.user)
+        response = DiscussionDetail.as_view()(request, str(self.witness.pk), note_unique_id=str(self.note.unique_id))
+        self.assertEqual(response.status_code, status.HTTP_404_NOT_FOUND)
+
+    def test_resolve(self):
+        response = self.request_view(DiscussionDetail, self.mentioned_user, 'put',
+                                     {'is_resolved': True}, self.note.unique_id)
+        self.assertEqual(response.status_code, status.HTTP_403_FORBIDDEN)
+
+        response = self.request_view(DiscussionDetail, self.user, 'put',
+                                     {'is_resolved': True}, self.note.unique_id)
+        self.assertEqual(response.status_code, status.HTTP_204_NO_CONTENT)
+        self.note.refresh_from_db()
+        self.assertTrue(self.note.is_resolved)
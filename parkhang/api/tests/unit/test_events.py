@@ -0,0 +1,96 @@
+from rest_framework import status
+from rest_framework.test import APITestCase, APIRequestFactory, force_authenticate
+
+from users.models import User
+from api.views import WitnessEvents
+from api.serializers import AnnotationSerializer
+from texts.models import Text, Source, Witness, Annotation, WitnessEvent
+
+
+class WitnessEventsTestCase(APITestCase):
+    password = "1ABDefgH89"
+
+    @classmethod
+    def setUpTestData(cls):
+        cls.user = User.objects.create_user(username='TestUser', password=cls.password)
+        cls.other_user = User.objects.create_user(username='OtherUser', password=cls.password)
+        cls.text = Text.objects.create(name='Test Text')
+        cls.source = Source.objects.create(name='Derge')
+        cls.witness = Witness.objects.create(
+            text=cls.text,
+            source=cls.source,
+            content='This is witness test content.'
+        )
+        cls.annotation = Annotation.objects.create(
+            witness=cls.witness,
+            start=5,
+            length=2,
+            content='the',
+            creator_witness=cls.witness
+        )
+        cls.user_annotation = Annotation.objects.create(
+            witness=cls.witness,
+            start=8,
+            length=1,
+            content='a',
+            creator_user=cls.user
+        )
+        cls.private_annotation = Annotation.objects.create(
+            witness=cls.witness,
+            start=8,
+            length=1,
+            content='private',
+            creator_user=cls.other_user
+        )
+        cls.first_event = WitnessEvent.objects.create(
+            witness=cls.witness,
+            type='presence',
+            client_id='other',
+            data={'client_id': 'other', 'user': 'OtherUser', 'start': 0, 'length': 4}
+        )
+        for annotation in [cls.annotation, cls.user_annotation, cls.private_annotation]:
+            WitnessEvent.objects.create(
+                witness=cls.witness,
+                type='created_annotation',
+                client_id='other',
+                data=AnnotationSerializer(annotation).data
+            )
+            WitnessEvent.objects.create(
+                witness=cls.witness,
+                type='applied_annotation',
+                client_id='other',
+                data={'annotation_unique_id': str(annotation.unique_id)}
+            )
+
+    def get_events(self, user=None, last_event_id=None):
+        url = f'/api/texts/{self.text.pk}/witnesses/{self.witness.pk}/events/?client_id=test'
+        headers = {}
+        if last_event_id is not None:
+            headers['HTTP_LAST_EVENT_ID'] = last_event_id
+        request = APIRequestFactory().get(url, **headers)
+        if user:
+            force_authenticate(request, user=user)
+        return WitnessEvents.as_view()(request, self.witness.pk)
+
+    def test_requires_login(self):
+        response = self.get_events()
+        self.assertEqual(response.status_code, status.HTTP_403_FORBIDDEN)
+
+    def test_private_annotations_are_not_sent(self):
+        response = self.get_events(self.user, str(self.first_event.pk))
+        self.assertEqual(response.status_code, status.HTTP_200_OK)
+        content = response.content.decode()
+        self.assertIn(str(self.annotation.unique_id), content)
+        self.assertIn(str(self.user_annotation.unique_id), content)
+        self.assertNotIn(str(self.private_annotation.unique_id), content)
+        self.assertNotIn('private', content)
+        self.assertEqual(content.count('event: created_annotation'), 2)
+        self.assertEqual(content.count('event: applied_annotation'), 2)
+
+        # Hidden events are still skipped when reconnecting
+        last_event = WitnessEvent.objects.order_by('-id').first()
+        self.assertTrue(content.endswith(f'id: {last_event.pk}\n\n'))
+
+    def test_invalid_last_event_id(self):
+        response = self.get_events(self.user, 'abc')
+        self.assertEqual(response.status_code, status.HTTP_400_BAD_REQUEST)
@@ -0,0 +1,125 @@
+from django.contrib.auth.models import Permission
+from rest_framework import status
+from rest_framework.test import APITestCase, APIRequestFactory, force_authenticate
+
+from users.models import User
+from api.views import AnnotationHistory, WitnessBlame
+from texts.models import Text, Source, Witness, Annotation, AnnotationChange, AnnotationChangeType
+
+
+class AnnotationHistoryTestCase(APITestCase):
+    password = "1ABDefgH89"
+
+    @classmethod
+    def setUpTestData(cls):
+        cls.user = User.objects.create_user(username='TestUser', password=cls.password)
+        cls.other_user = User.objects.create_user(username='OtherUser', password=cls.password)
+        cls.reviewer = User.objects.create_user(username='Reviewer', password=cls.password)
+        cls.reviewer.user_permissions.add(Permission.objects.get(codename='review_annotation'))
+        cls.text = Text.objects.create(name='Test Text')
+        cls.source = Source.objects.create(name='Derge', is_base=True)
+        cls.working_source = Source.objects.create(name='Working', is_working=True)
+        cls.witness = Witness.objects.create(
+            text=cls.text,
+            source=cls.source,
+            content='This is witness test content.'
+        )
+        cls.working_witness = Witness.objects.create(
+            text=cls.text,
+            source=cls.working_source
+        )
+        cls.annotation = Annotation.objects.create(
+            witness=cls.witness,
+            start=5,
+            length=2,
+            content='was',
+            creator_witness=cls.working_witness
+        )
+        cls.other_annotation = Annotation.objects.create(
+            witness=cls.witness,
+            start=5,
+            length=2,
+            content='is not',
+            creator_witness=cls.working_witness,
+            creator_user=cls.other_user,
+            original=cls.annotation
+        )
+        cls.user_annotation = Annotation.objects.create(
+            witness=cls.witness,
+            start=5,
+            length=2,
+            content='was not',
+            creator_witness=cls.working_witness,
+            creator_user=cls.user,
+            original=cls.other_annotation
+        )
+        for annotation in [cls.other_annotation, cls.user_annotation]:
+            AnnotationChange.objects.create(
+                annotation=annotation,
+                witness=cls.working_witness,
+                user=annotation.creator_user,
+                type=AnnotationChangeType.created.value,
+                content=annotation.content
+            )
+
+    def get_history(self, user, annotation):
+        url = f'/api/texts/{self.text.pk}/witnesses/{self.witness.pk}/annotations/{annotation.unique_id}/history/'
+        request = APIRequestFactory().get(url)
+        force_authenticate(request, user=user)
+        return AnnotationHistory.as_view()(request, str(annotation.unique_id))
+
+    def test_history(self):
+        response = self.get_history(self.user, self.user_annotation)
+        self.assertEqual(response.status_code, status.HTTP_200_OK)
+        self.assertEqual([change['content'] for change in response.data], ['was', 'was not'])
+        self.assertEqual(response.data[0]['annotation_unique_id'], str(self.annotation.unique_id))
+        self.assertIsNone(response.data[0]['id'])
+
+    def test_other_users_cannot_see_history(self):
+        response = self.get_history(self.other_user, self.user_annotation)
+        self.assertEqual(response.status_code, status.HTTP_403_FORBIDDEN)
+
+    def test_reviewers_can_see_history(self):
+        response = self.get_history(self.reviewer, self.user_annotation)
+        self.assertEqual(response.status_code, status.HTTP_200_OK)
+        self.assertEqual([change['content'] for change in response.data], ['was', 'is not', 'was not'])
+
+    def test_blame(self):
+        AnnotationChange.objects.create(
+            annotation=self.annotation,
+            witness=self.working_witness,
+            user=self.other_user,
+            type=AnnotationChangeType.applied.value
+        )
+        latest_change = AnnotationChange.objects.create(
+            annotation=self.annotation,
+            witness=self.working_witness,
+            user=self.user,
+            type=AnnotationChangeType.updated.value,
+            content='was'
+        )
+
+        url = f'/api/texts/{self.text.pk}/witnesses/{self.working_witness.pk}/blame/'
+        request = APIRequestFactory().get(url)
+        force_authenticate(request, user=self.user)
+        response = WitnessBlame.as_view()(request, self.working_witness.pk)
+        self.assertEqual(response.status_code, status.HTTP_200_OK)
+        annotation_changes = [
+            change for change in response.data
+            if change['annotation_unique_id'] == str(self.annotation.unique_id)
+        ]
+        self.assertEqual(len(annotation_changes), 1)
+        self.assertEqual(annotation_changes[0]['id'], latest_change.pk)
+        self.assertEqual(annotation_changes[0]['user_name'], 'TestUser')
+        self.assertNotIn('content', annotation_changes[0])
+
+    def test_blame_leaves_out_private_annotations(self):
+        url = f'/api/texts/{self.text.pk}/witnesses/{self.working_witness.pk}/blame/'
+        request = APIRequestFactory().get(url)
+        force_authenticate(request, user=self.other_user)
+        response = WitnessBlame.as_view()(request, self.working_witness.pk)
+        self.assertEqual(response.status_code, status.HTTP_200_OK)
+        unique_ids = [change['annotation_unique_id'] for change in response.data]
+        self.assertIn(str(self.other_annotation.unique_id), unique_ids)
+        self.assertNotIn(str(self.user_annotation.unique_id), unique_ids)
+        self.assertNotIn('TestUser', [change['user_name'] for change in response.data])
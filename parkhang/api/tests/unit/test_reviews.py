@@ -0,0 +1,124 @@
+import uuid
+
+from django.contrib.auth.models import Permission
+from rest_framework import status
+from rest_framework.test import APITestCase, APIRequestFactory, force_authenticate
+
+from users.models import User
+from api.views import AnnotationList, AnnotationReviews, AcceptedAnnotations
+from texts.models import Text, Source, Witness, Annotation, AnnotationType, AnnotationReviewState, UserAnnotationOperation
+
+
+class AnnotationReviewsTestCase(APITestCase):
+    password = "1ABDefgH89"
+
+    @classmethod
+    def setUpTestData(cls):
+        cls.user = User.objects.create_user(username='TestUser', password=cls.password)
+        cls.reviewer = User.objects.create_user(username='Reviewer', password=cls.password)
+        cls.reviewer.user_permissions.add(Permission.objects.get(codename='review_annotation'))
+        cls.text = Text.objects.create(name='Test Text')
+        cls.source = Source.objects.create(name='Derge', is_base=True)
+        cls.working_source = Source.objects.create(name='Working', is_working=True)
+        cls.witness = Witness.objects.create(
+            text=cls.text,
+            source=cls.source,
+            content='This is witness test content.'
+        )
+        cls.working_witness = Witness.objects.create(
+            text=cls.text,
+            source=cls.working_source
+        )
+
+    def create_proposed(self, user, start=5):
+        annotation = Annotation.objects.create(
+            witness=self.witness,
+            start=start,
+            length=2,
+            content='was',
+            creator_witness=self.working_witness,
+            creator_user=user,
+            review_state=AnnotationReviewState.proposed.value
+        )
+        UserAnnotationOperation.objects.create(
+            user=user,
+            annotation=annotation,
+            witness=self.working_witness,
+            operation='A'
+        )
+        return annotation
+
+    def review(self, user, annotations, review_state):
+        url = f'/api/texts/{self.text.pk}/reviews/'
+        data = {
+            'review_state': review_state,
+            'annotation_unique_ids': [str(annotation.unique_id) for annotation in annotations]
+        }
+        request = APIRequestFactory().post(url, data, format='json')
+        force_authenticate(request, user=user)
+        return AnnotationReviews.as_view()(request, self.text.pk)
+
+    def get_accepted(self, user):
+        url = f'/api/texts/{self.text.pk}/witnesses/{self.working_witness.pk}/accepted_annotations/'
+        request = APIRequestFactory().get(url)
+        force_authenticate(request, user=user)
+        return AcceptedAnnotations.as_view()(request, self.working_witness.pk)
+
+    def test_only_reviewers_can_review(self):
+        annotation = self.create_proposed(self.user)
+        response = self.review(self.user, [annotation], AnnotationReviewState.accepted.value)
+        self.assertEqual(response.status_code, status.HTTP_403_FORBIDDEN)
+
+    def test_review_keeps_revision(self):
+        annotation = self.create_proposed(self.user)
+        response = self.review(self.reviewer, [annotation], AnnotationReviewState.accepted.value)
+        self.assertEqual(response.status_code, status.HTTP_204_NO_CONTENT)
+
+        annotation.refresh_from_db()
+        self.assertEqual(annotation.review_state, AnnotationReviewState.accepted.value)
+        self.assertEqual(annotation.revision, 1)
+
+    def test_accepted_annotations(self):
+        accepted = self.create_proposed(self.user)
+        rejected = self.create_proposed(self.user, 10)
+        self.create_proposed(self.user, 15)
+        self.review(self.reviewer, [accepted], AnnotationReviewState.accepted.value)
+        self.review(self.reviewer, [rejected], AnnotationReviewState.rejected.value)
+
+        response = self.get_accepted(self.reviewer)
+        self.assertEqual(response.status_code, status.HTTP_200_OK)
+        self.assertEqual([data['unique_id'] for data in response.data], [str(accepted.unique_id)])
+
+        # Users' own annotations are already part of their working version
+        response = self.get_accepted(self.user)
+        self.assertEqual(response.data, [])
+
+    def test_only_variants_are_proposed(self):
+        url = f'/api/texts/{self.text.pk}/witnesses/{self.witness.pk}/annotations/'
+        for annotation_type in [AnnotationType.variant, AnnotationType.note, AnnotationType.page_break]:
+            data = {
+                'unique_id': str(uuid.uuid4()),
+                'type': annotation_type.value,
+                'witness': self.witness.pk,
+                'start': 5,
+                'length': 2,
+                'content': 'was',
+                'creator_witness': self.working_witness.pk,
+                'creator_user': self.user.pk,
+                'original': None
+            }
+            request = APIRequestFactory().post(url, data, format='json')
+            force_authenticate(request, user=self.user)
+            response = AnnotationList.as_view()(request, witness_id=self.witness.pk)
+            self.assertEqual(response.status_code, status.HTTP_201_CREATED)
+
+            expected_state = AnnotationReviewState.accepted
+            if annotation_type == AnnotationType.variant:
+                expected_state = AnnotationReviewState.proposed
+            annotation = Annotation.objects.get(unique_id=data['unique_id'])
+            self.assertEqual(annotation.review_state, expected_state.value)
+
+        request = APIRequestFactory().get(f'/api/texts/{self.text.pk}/reviews/')
+        force_authenticate(request, user=self.reviewer)
+        response = AnnotationReviews.as_view()(request, self.text.pk)
+        self.assertEqual([data['type'] for data in response.data], [AnnotationType.variant.value])
@@ -0,0 +1,68 @@
+import json
+
+from rest_framework import status
+from rest_framework.test import APITestCase, APIRequestFactory, force_authenticate
+
+from users.models import User
+from api.views import TextSearch
+from texts.models import Text, Source, Witness, Annotation
+
+
+class VariantSearchTestCase(APITestCase):
+    password = "1ABDefgH89"
+
+    @classmethod
+    def setUpTestData(cls):
+        cls.user = User.objects.create_user(username='TestUser', password=cls.password)
+        cls.text = Text.objects.create(name='Test Text')
+        cls.source = Source.objects.create(name='Derge')
+        cls.source_2 = Source.objects.create(name='Peking')
+        cls.witness = Witness.objects.create(
+            text=cls.text,
+            source=cls.source,
+            content='This is witness test content.'
+        )
+        cls.witness_2 = Witness.objects.create(
+            text=cls.text,
+            source=cls.source_2,
+            content=''
+        )
+        cls.variant = Annotation.objects.create(
+            witness=cls.witness,
+            start=5,
+            length=2,
+            content='was',
+            creator_witness=cls.witness_2
+        )
+        cls.user_variant = Annotation.objects.create(
+            witness=cls.witness,
+            start=8,
+            length=7,
+            content='was',
+            creator_witness=cls.witness,
+            creator_user=cls.user
+        )
+
+    def test_search_variants(self):
+        url = '/api/texts/search/was?variants=1'
+        request = APIRequestFactory().get(url)
+        force_authenticate(request, user=self.user)
+
+        response = TextSearch.as_view()(request, 'was')
+        self.assertEqual(response.status_code, status.HTTP_200_OK)
+        results = json.loads(response.content.decode())
+        variants = results[str(self.text.pk)]['variants']
+        self.assertEqual(len(variants), 1)
+        self.assertEqual(variants[0]['annotation'], str(self.variant.unique_id))
+        self.assertEqual(variants[0]['witness'], self.witness_2.pk)
+        self.assertEqual(variants[0]['source'], self.source_2.pk)
+        self.assertEqual(variants[0]['extract'], ' was witness test ')
+
+    def test_search_separators(self):
+        for search_term in ['་', '།', ' ']:
+            request = APIRequestFactory().get(f'/api/texts/search/{search_term}?variants=1')
+            force_authenticate(request, user=self.user)
+
+            response = TextSearch.as_view()(request, search_term)
+            self.assertEqual(response.status_code, status.HTTP_200_OK)
+            self.assertEqual(json.loads(response.content.decode()), {})
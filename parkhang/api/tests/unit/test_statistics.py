@@ -0,0 +1,99 @@
+from rest_framework import status
+from rest_framework.test import APITestCase, APIRequestFactory, force_authenticate
+
+from users.models import User
+from api.views import OperationStatistics
+from texts.models import Text, Source, Witness, Annotation, AnnotationType, UserAnnotationOperation
+
+
+class OperationStatisticsTestCase(APITestCase):
+    username = "TestUser"
+    password = "1ABDefgH89"
+
+    @classmethod
+    def setUpTestData(cls):
+        cls.user = User.objects.create_user(
+            username=cls.username,
+            password=cls.password
+        )
+        cls.text = Text.objects.create(name='Test Text')
+        cls.source = Source.objects.create(name='Derge')
+        cls.source_2 = Source.objects.create(name='Peking')
+        cls.witness = Witness.objects.create(
+            text=cls.text,
+            source=cls.source,
+            content='This is witness test content.'
+        )
+        cls.witness_2 = Witness.objects.create(
+            text=cls.text,
+            source=cls.source_2,
+            content=''
+        )
+        cls.variant = Annotation.objects.create(
+            witness=cls.witness,
+            start=5,
+            length=2,
+            content='the',
+            creator_witness=cls.witness_2
+        )
+        cls.other_variant = Annotation.objects.create(
+            witness=cls.witness,
+            start=8,
+            length=7,
+            content='',
+            creator_witness=cls.witness_2
+        )
+        cls.note = Annotation.objects.create(
+            witness=cls.witness,
+            start=5,
+            length=2,
+            content='A note',
+            type=AnnotationType.note.value,
+            creator_witness=cls.witness_2
+        )
+
+    def get_statistics(self, user=None):
+        url = f'/api/texts/{self.text.pk}/operation_statistics/'
+        request = APIRequestFactory().get(url)
+        if user:
+            force_authenticate(request, user=user)
+        return OperationStatistics.as_view()(request, self.text.pk)
+
+    def test_requires_login(self):
+        response = self.get_statistics()
+        self.assertEqual(response.status_code, status.HTTP_403_FORBIDDEN)
+
+    def test_count_operations_by_user_and_witness(self):
+        other_user = User.objects.create_user(username='OtherUser', password=self.password)
+        for annotation, operation in [(self.variant, 'A'), (self.other_variant, 'R'), (self.note, 'A')]:
+            UserAnnotationOperation.objects.create(
+                user=self.user,
+                annotation=annotation,
+                witness=self.witness_2,
+                operation=operation
+            )
+        UserAnnotationOperation.objects.create(
+            user=other_user,
+            annotation=self.variant,
+            witness=self.witness_2,
+            operation='A'
+        )
+
+        response = self.get_statistics(self.user)
+        self.assertEqual(response.status_code, status.HTTP_200_OK)
+        self.assertEqual(response.data, [
+            {
+                'user': other_user.pk,
+                'user_name': 'OtherUser',
+                'witness': self.witness_2.pk,
+                'applied': 1,
+                'removed': 0
+            },
+            {
+                'user': self.user.pk,
+                'user_name': self.username,
+                'witness': self.witness_2.pk,
+                'applied': 1,
+                'removed': 1
+            }
+        ])
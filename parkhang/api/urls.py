@@ -1,6 +1,6 @@
 from django.conf.urls import url, include
 
-from .views import UserDetail, UserSettings, SourceList, TextList, TextDetail, TextSearch, WitnessList, AnnotationList, AnnotationDetail, UserAnnotationOperations, UserAnnotationOperationDetail
+from .views import UserDetail, UserSettings, SourceList, TextList, TextDetail, TextSearch, WitnessList, AnnotationList, AnnotationDetail, UserAnnotationOperations, UserAnnotationOperationDetail, AnnotationReviews, OperationStatistics, AcceptedAnnotations, AnnotationHistory, WitnessBlame, Discussions, DiscussionDetail, NoteReplies, WitnessEvents, WitnessPresence
 
 urlpatterns = [
     url(r'users/(?P<user_id>[0-9]+)/?$', UserDetail.as_view()),
@@ -11,12 +11,22 @@ urlpatterns = [
     url(r'texts/$', TextList.as_view()),
     url(r'texts/(?P<text_id>[0-9]+)/?$', TextDetail.as_view()),
     url(r'texts/(?P<text_id>[0-9]+)/witnesses/$', WitnessList.as_view()),
+    url(r'texts/(?P<text_id>[0-9]+)/reviews/$', AnnotationReviews.as_view()),
+    url(r'texts/(?P<text_id>[0-9]+)/operation_statistics/$', OperationStatistics.as_view()),
     url(r'texts/(?P<text_id>[0-9]+)/witnesses/(?P<witness_id>[0-9]+)/annotations/$', AnnotationList.as_view()),
     url(r'texts/(?P<text_id>[0-9]+)/witnesses/(?P<witness_id>[0-9]+)/annotations/(?P<start>[0-9]+),(?P<length>[0-9]+)$', AnnotationList.as_view()),
+    url(r'texts/(?P<text_id>[0-9]+)/witnesses/(?P<witness_id>[0-9]+)/annotations/(?P<annotation_unique_id>[^/]+)/history/$', AnnotationHistory.as_view()),
     url(r'texts/(?P<text_id>[0-9]+)/witnesses/(?P<witness_id>[0-9]+)/annotations/(?P<annotation_unique_id>.+)$', AnnotationDetail.as_view()),
     url(r'texts/[0-9]+/witnesses/(?P<witness_id>[0-9]+)/applied_annotations/$', UserAnnotationOperations.as_view()),
     url(r'texts/[0-9]+/witnesses/(?P<witness_id>[0-9]+)/applied_annotations/(?P<annotation_unique_id>.+)$', UserAnnotationOperationDetail.as_view()),
     url(r'texts/[0-9]+/witnesses/(?P<witness_id>[0-9]+)/user_annotation_operations/$', UserAnnotationOperations.as_view()),
-    url(r'texts/[0-9]+/witnesses/(?P<witness_id>[0-9]+)/user_annotation_operations/(?P<annotation_unique_id>.+)$', UserAnnotationOperationDetail.as_view())
+    url(r'texts/[0-9]+/witnesses/(?P<witness_id>[0-9]+)/user_annotation_operations/(?P<annotation_unique_id>.+)$', UserAnnotationOperationDetail.as_view()),
+    url(r'texts/[0-9]+/witnesses/(?P<witness_id>[0-9]+)/accepted_annotations/$', AcceptedAnnotations.as_view()),
+    url(r'texts/[0-9]+/witnesses/(?P<witness_id>[0-9]+)/blame/$', WitnessBlame.as_view()),
+    url(r'texts/[0-9]+/witnesses/(?P<witness_id>[0-9]+)/discussions/$', Discussions.as_view()),
+    url(r'texts/[0-9]+/witnesses/(?P<witness_id>[0-9]+)/discussions/(?P<note_unique_id>[^/]+)/$', DiscussionDetail.as_view()),
+    url(r'texts/[0-9]+/witnesses/(?P<witness_id>[0-9]+)/discussions/(?P<note_unique_id>[^/]+)/replies/$', NoteReplies.as_view()),
+    url(r'texts/[0-9]+/witnesses/(?P<witness_id>[0-9]+)/events/$', WitnessEvents.as_view()),
+    url(r'texts/[0-9]+/witnesses/(?P<witness_id>[0-9]+)/presence/$', WitnessPresence.as_view())
 ]
 
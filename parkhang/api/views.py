@@ -1,20 +1,164 @@
 import re
 import json
+import uuid
+import unicodedata
+from datetime import timedelta
 
-from django.db.models import Q
-from django.http import Http404, JsonResponse
+from django.db import transaction
+from django.db.models import Q, F, Count
+from django.http import Http404, JsonResponse, HttpResponse
+from django.utils import timezone
 
 from rest_framework import status
 from rest_framework.views import APIView
 from rest_framework.response import Response
 from rest_framework.permissions import IsAuthenticated
+from rest_framework.fields import DateTimeField
 from rest_framework.exceptions import ParseError, ValidationError, NotFound, PermissionDenied
 
-from .serializers import TextSerializer, SourceSerializer, WitnessSerializer, AnnotationSerializer, UserAnnotationOperationsSerializer
-from texts.models import Text, Source, Witness, Annotation, UserAnnotationOperation
+from .serializers import TextSerializer, SourceSerializer, WitnessSerializer, AnnotationSerializer, ProposedAnnotationSerializer, UserAnnotationOperationsSerializer, AnnotationChangeSerializer, DiscussionSerializer, NoteReplySerializer
+from texts.models import Text, Source, Witness, Annotation, AnnotationType, AnnotationReviewState, AnnotationChange, AnnotationChangeType, NoteReply, UserAnnotationOperation, WitnessEvent
 from users.models import User
 
 
+# Sent by the frontend with each request, to identify the browser tab
+CLIENT_ID_HEADER = 'HTTP_X_PARKHANG_CLIENT'
+EVENT_LIFETIME = timedelta(hours=1)
+PRESENCE_LIFETIME = timedelta(minutes=2)
+# How long clients wait before reconnecting to the event stream
+EVENT_RETRY_MS = 2000
+
+# Event types for changes to which annotations are applied
+APPLIED_OPERATION_EVENTS = {
+    'A': 'applied_annotation',
+    'R': 'removed_default_annotation',
+}
+REMOVED_OPERATION_EVENTS = {
+    'A': 'removed_applied_annotation',
+    'R': 'applied_default_annotation',
+}
+# Events whose data is an annotation
+ANNOTATION_EVENTS = ('created_annotation', 'updated_annotation', 'deleted_annotation')
+# Events that refer to an annotation, and the key of its unique_id in their data
+ANNOTATION_ID_EVENT_KEYS = {
+    'applied_annotation': 'annotation_unique_id',
+    'removed_default_annotation': 'annotation_unique_id',
+    'removed_applied_annotation': 'annotation_unique_id',
+    'applied_default_annotation': 'annotation_unique_id',
+    'added_note_reply': 'note_unique_id',
+    'changed_note_resolved': 'note_unique_id',
+}
+# Mentions of other users in replies to notes, e.g. @username. Usernames
+# can contain any letters, so this excludes spaces and punctuation
+# (including Tibetan tsheg and shad) rather than listing what is allowed.
+MENTION_PATTERN = re.compile(r'(?:^|\s)@([^\s@,;:!?()"\'\u0f0b-\u0f14]+)')
+# Changes recorded when a user annotation operation is added or deleted
+APPLIED_OPERATION_CHANGES = {
+    'A': AnnotationChangeType.applied,
+    'R': AnnotationChangeType.removed,
+}
+REMOVED_OPERATION_CHANGES = {
+    'A': AnnotationChangeType.removed,
+    'R': AnnotationChangeType.applied,
+}
+
+
+def record_event(request, witness_id, event_type, data):
+    """
+    Record a change to a witness so it can be sent to other clients.
+
+    :param request: The request that made the change
+    :param witness_id: id of the witness that has changed
+    :param event_type: string
+    :param data: JSON serializable data describing the change
+    """
+
+    WitnessEvent.objects.filter(created__lt=timezone.now() - EVENT_LIFETIME).delete()
+    WitnessEvent.objects.create(
+        witness_id=witness_id,
+        user=request.user if request.user.is_authenticated else None,
+        client_id=request.META.get(CLIENT_ID_HEADER, ''),
+        type=event_type,
+        data=data
+    )
+
+
+def record_change(request, annotation, change_type, witness_id=None):
+    """
+    Record a change to an annotation in its history.
+
+    :param request: The request that made the change
+    :param annotation: The annotation after the change
+    :param change_type: AnnotationChangeType
+    :param witness_id: id of the witness the change affects, if not the
+                       annotation's own
+    """
+
+    AnnotationChange.objects.create(
+        annotation=annotation,
+        witness_id=witness_id or annotation.witness_id,
+        user=request.user if request.user.is_authenticated else None,
+        type=change_type.value,
+        content=annotation.content
+    )
+
+
+def visible_annotations(user):
+    """
+    Get a filter for the annotations a user can see.
+
+    Annotations made by users are private to the user that made them.
+
+    :param user: The user making the request
+    :return: Q object
+    """
+
+    if user.is_authenticated:
+        return Q(creator_user__isnull=True) | Q(creator_user=user)
+    return Q(creator_user__isnull=True)
+
+
+def can_review(user):
+    return user.is_authenticated and user.has_perm('texts.review_annotation')
+
+
+def can_view_history(user, annotation):
+    """
+    Whether a user can see the changes made to an annotation.
+
+    Changes to annotations made by users can be seen by the user that made
+    them, and by reviewers.
+
+    :param user: The user making the request
+    :param annotation: Annotation
+    :return: bool
+    """
+
+    return (annotation.creator_user_id is None
+            or annotation.creator_user_id == user.pk
+            or can_review(user))
+
+
+def get_review_state(request, creator_user, annotation_type):
+    """
+    Get the review state of an annotation that has been created or changed.
+
+    Users' variants are proposed until a reviewer accepts them, unless
+    they were made by a reviewer. Other types of annotation don't need
+    reviewing.
+
+    :param request: The request that made the change
+    :param creator_user: The annotation's creator_user
+    :param annotation_type: The annotation's type
+    :return: An AnnotationReviewState value
+    """
+
+    if (creator_user and annotation_type == AnnotationType.variant.value
+            and not can_review(request.user)):
+        return AnnotationReviewState.proposed.value
+    return AnnotationReviewState.accepted.value
+
+
 class UserDetail(APIView):
 
     def put(self, request, user_id):
@@ -85,70 +229,180 @@ class TextDetail(APIView):
         return Response(serializer.data)
 
 
+# Characters separating syllables, which may differ between the search term
+# and the text. The frontend replaces them with a tsheg in search terms.
+SEARCH_SEPARATORS = '་༌།༎ \n'
+SEARCH_SEPARATOR_PATTERN = f'[{SEARCH_SEPARATORS}]+'
+
+# The frontend folds these variants into the first form in search terms
+SEARCH_VARIANTS = [('ཨོཾ', 'ༀ'), ('ཾ', 'ྃ')]
+# Precomposed Tibetan characters, which are decomposed in search terms
+SEARCH_VARIANTS += [
+    (unicodedata.normalize('NFD', chr(c)), chr(c))
+    for c in range(0x0F00, 0x1000)
+    if unicodedata.normalize('NFD', chr(c)) != chr(c)
+]
+SEARCH_VARIANTS.sort(key=lambda variant: len(variant[0]), reverse=True)
+
+
+def get_syllable_pattern(syllable):
+    pattern = ''
+    i = 0
+    while i < len(syllable):
+        for normalised, variant in SEARCH_VARIANTS:
+            if syllable.startswith(normalised, i):
+                pattern += f'(?:{re.escape(normalised)}|{re.escape(variant)})'
+                i += len(normalised)
+                break
+        else:
+            pattern += re.escape(syllable[i])
+            i += 1
+
+    return pattern
+
+
+def get_search_pattern(search_term):
+    """
+    Get a regex matching the search term however its syllables are separated,
+    and whether or not it uses precomposed characters.
+
+    :param search_term: string
+    :return: string
+    """
+
+    search_term = unicodedata.normalize('NFD', search_term)
+    syllables = [get_syllable_pattern(s) for s in re.split(SEARCH_SEPARATOR_PATTERN, search_term) if s]
+    return SEARCH_SEPARATOR_PATTERN.join(syllables)
+
+
+SEARCH_EXTRACT_LENGTH = 60
+SEARCH_EXTRACT_DELIMITER_PATTERN = re.compile(r'[།་ ]')
+
+
+def get_search_extract(content, start, length):
+    """
+    Get the part of content around a match, trimmed to whole syllables.
+
+    :param content: string
+    :param start: int
+    :param length: int
+    :return: string
+    """
+
+    left = int((SEARCH_EXTRACT_LENGTH - length) / 2)
+    start = max(start - left, 0)
+    end = min(start + SEARCH_EXTRACT_LENGTH, len(content))
+    extract = content[start:end]
+    delimiter_matches = list(SEARCH_EXTRACT_DELIMITER_PATTERN.finditer(extract))
+    start = 0
+    if len(delimiter_matches) > 0:
+        start = delimiter_matches[0].start()
+
+    if len(delimiter_matches) > 1:
+        end = delimiter_matches[-1].end()
+    else:
+        end = len(extract)
+
+    return extract[start:end]
+
+
 class TextSearch(APIView):
 
     def get(self, request, search_term, text_id=None):
         """
         Return texts with at least one witness containing the given search_term
+
+        Differences in the separators between syllables are ignored.
+        If the variants parameter is set, the readings of the variant
+        annotations recorded from witnesses are also searched. These are
+        returned separately, along with the witness and source that have the
+        reading. Users' annotations are not searched.
+        A search term made only of separators has no results.
         :param request:
         :param search_term: string
         :param text_id: int
         :return:
         """
 
-        # Use simple LIKE search for now until proper FTS is setup
-        witnesses = Witness.objects.filter(content__contains=search_term)
+        # Use simple regex search for now until proper FTS is setup
+        search_pattern = get_search_pattern(search_term)
+        if not search_pattern:
+            return JsonResponse({})
+        witnesses = Witness.objects.filter(content__regex=search_pattern)
         if text_id:
             text_id = int(text_id)
             witnesses = witnesses.filter(text_id=text_id)
-        texts = []
         results = {}
-        extract_length = 60
-        left = int((extract_length - len(search_term)) / 2)
         max_results = 0
-        delimiters = '།་ '
-        delimiter_regex = re.compile(rf'[{delimiters}]')
         if 'max_results' in request.GET:
             max_results = int(request.GET['max_results'])
+
+        def text_results(text_id):
+            if text_id not in results:
+                results[text_id] = {
+                    'results': [],
+                    'total': 0,
+                    'extra': False
+                }
+            return results[text_id]
+
         for witness in witnesses:
-            texts.append(witness.text)
-            content_length = len(witness.content)
-            for m in re.finditer(search_term, witness.content):
-                if witness.text.id not in results:
-                    results[witness.text.id] = {
-                        'results': [],
-                        'total': 0,
-                        'extra': False
-                    }
-                if max_results is 0 or (max_results > 0 and results[witness.text.id]['total'] < max_results):
-                    start = m.start() - left
-                    if start < 0:
-                        start = 0
-                    end = start + extract_length
-                    if end > content_length:
-                        end = content_length
-                    extract = witness.content[start:end]
-                    delimter_matches = list(delimiter_regex.finditer(extract))
-                    start = 0
-                    if len(delimter_matches) > 0:
-                        first_match = delimter_matches[0]
-                        start = first_match.start()
-
-                    if len(delimter_matches) > 1:
-                        last_match = delimter_matches[-1]
-                        end = last_match.end()
-                    else:
-                        end = len(extract)
-
-                    extract = extract[start:end]
-
-                    results[witness.text.id]['results'].append((m.start(), extract))
-                    results[witness.text.id]['total'] += 1
-
-                if results[witness.text.id]['total'] == max_results:
-                    results[witness.text.id]['extra'] = True
+            for m in re.finditer(search_pattern, witness.content):
+                witness_results = text_results(witness.text.id)
+                if max_results == 0 or (max_results > 0 and witness_results['total'] < max_results):
+                    extract = get_search_extract(witness.content, m.start(), m.end() - m.start())
+                    witness_results['results'].append((m.start(), extract, m.end() - m.start()))
+                    witness_results['total'] += 1
+
+                if witness_results['total'] == max_results:
+                    witness_results['extra'] = True
                     break
 
+        if 'variants' in request.GET:
+            annotations = Annotation.objects.active().filter(
+                type=AnnotationType.variant.value,
+                creator_witness__isnull=False,
+                creator_user__isnull=True,
+                content__regex=search_pattern
+            ).annotate(
+                witness_text_id=F('witness__text_id'),
+                creator_source_id=F('creator_witness__source_id')
+            ).order_by('witness', 'start')
+            if text_id:
+                annotations = annotations.filter(witness__text_id=text_id)
+            # Witnesses usually have many variants, so only load their content once
+            witness_contents = {}
+            for annotation in annotations:
+                # Python's regex syntax may not match the same as the database's
+                m = re.search(search_pattern, annotation.content)
+                if m is None:
+                    continue
+                annotation_results = text_results(annotation.witness_text_id)
+                variants = annotation_results.setdefault('variants', [])
+                if max_results > 0 and len(variants) == max_results:
+                    annotation_results['extra'] = True
+                    continue
+                if annotation.witness_id not in witness_contents:
+                    witness_contents[annotation.witness_id] = Witness.objects.values_list(
+                        'content', flat=True
+                    ).get(pk=annotation.witness_id) or ''
+                # Show the reading in the context of the text it replaces,
+                # using only as much of the text as the extract can include
+                witness_content = witness_contents[annotation.witness_id]
+                window_start = max(annotation.start - SEARCH_EXTRACT_LENGTH, 0)
+                window_end = annotation.start + annotation.length + SEARCH_EXTRACT_LENGTH
+                content = (witness_content[window_start:annotation.start] + annotation.content +
+                           witness_content[annotation.start + annotation.length:window_end])
+                match_start = annotation.start - window_start + m.start()
+                variants.append({
+                    'annotation': str(annotation.unique_id),
+                    'witness': annotation.creator_witness_id,
+                    'source': annotation.creator_source_id,
+                    'start': annotation.start,
+                    'length': annotation.length,
+                    'extract': get_search_extract(content, match_start, m.end() - m.start()),
+                })
+
         return JsonResponse(results)
 
 
@@ -187,16 +441,10 @@ class AnnotationList(APIView):
         user's annotations for the text.
         """
         
-        if request.user.is_authenticated:
-            annotation_list = Annotation.objects.active().filter(
-                Q(witness=witness_id),
-                Q(creator_user=request.user) | Q(creator_witness__isnull=False)
-            )
-        else:
-            annotation_list = Annotation.objects.active().filter(
-                witness=witness_id,
-                creator_user=None
-            )
+        annotation_list = Annotation.objects.active().filter(
+            visible_annotations(request.user),
+            witness=witness_id
+        )
         if start and length:
             annotation_list = annotation_list.filter(start=start,length=length)
         if 'type' in request.query_params:
@@ -211,13 +459,28 @@ class AnnotationList(APIView):
     def post(self, request, *args, **kwargs):
         """
         Create a new Annotation
-        :param request: 
+
+        If the user has deleted an annotation with the same unique_id it is
+        restored instead, so deleting an annotation can be undone.
+        :param request:
         :return: JSON encoded data for the new annotation, including new id
         """
 
-        serializer = AnnotationSerializer(data=request.data)
+        deleted_annotation = None
+        if request.user.is_authenticated and 'unique_id' in request.data:
+            deleted_annotation = Annotation.objects.filter(
+                unique_id=request.data['unique_id'],
+                creator_user=request.user,
+                is_deleted=True
+            ).first()
+
+        serializer = AnnotationSerializer(deleted_annotation, data=request.data)
         if serializer.is_valid():
-            serializer.save()
+            review_state = get_review_state(request, serializer.validated_data.get('creator_user'),
+                                            serializer.validated_data.get('type', AnnotationType.variant.value))
+            annotation = serializer.save(review_state=review_state)
+            record_event(request, annotation.witness_id, 'created_annotation', serializer.data)
+            record_change(request, annotation, AnnotationChangeType.created)
             return Response(serializer.data, status=status.HTTP_201_CREATED)
 
         return Response(serializer.errors, status=status.HTTP_400_BAD_REQUEST)
@@ -258,17 +521,37 @@ class AnnotationDetail(APIView):
     def put(self, request, annotation_unique_id, *args, **kwargs):
         """
         Update annotation with given id
-        
-        :param request: 
+
+        If a revision is given it must be the annotation's current revision,
+        otherwise someone else has changed the annotation since the update
+        was made and the current version is returned with a 409 status.
+        :param request:
         :param annotation_unique_id: unique_id of the annotation to update
         :return: Empty string
         """
 
         annotation = get_annotation(request, annotation_unique_id)
-        serializer = AnnotationSerializer(annotation, data=request.data)
-        if serializer.is_valid():
-            serializer.save()
-            return Response('', status=status.HTTP_204_NO_CONTENT)
+        with transaction.atomic():
+            annotation = Annotation.objects.select_for_update().get(pk=annotation.pk)
+            revision = request.data.get('revision')
+            if revision is not None:
+                try:
+                    revision = int(revision)
+                except (TypeError, ValueError):
+                    raise ParseError('revision must be a number.')
+                if revision != annotation.revision:
+                    serializer = AnnotationSerializer(annotation, with_modified=True)
+                    return Response(serializer.data, status=status.HTTP_409_CONFLICT)
+
+            serializer = AnnotationSerializer(annotation, data=request.data)
+            if serializer.is_valid():
+                review_state = get_review_state(request, serializer.validated_data.get('creator_user'),
+                                                serializer.validated_data.get('type', annotation.type))
+                annotation = serializer.save(revision=annotation.revision + 1, review_state=review_state)
+                record_event(request, annotation.witness_id, 'updated_annotation',
+                             AnnotationSerializer(annotation).data)
+                record_change(request, annotation, AnnotationChangeType.updated)
+                return Response('', status=status.HTTP_204_NO_CONTENT)
 
         return Response(serializer.errors, status=status.HTTP_400_BAD_REQUEST)
 
@@ -284,10 +567,97 @@ class AnnotationDetail(APIView):
         annotation = get_annotation(request, annotation_unique_id)
         annotation.is_deleted = True
         annotation.save()
+        record_event(request, annotation.witness_id, 'deleted_annotation',
+                     AnnotationSerializer(annotation).data)
+        record_change(request, annotation, AnnotationChangeType.deleted)
 
         return Response('', status=status.HTTP_204_NO_CONTENT)
 
 
+class AnnotationHistory(APIView):
+    permission_classes = (IsAuthenticated,)
+
+    def get(self, request, annotation_unique_id, *args, **kwargs):
+        """
+        Get the changes made to an annotation and to the annotations it is
+        based on, oldest first.
+
+        Annotations created before changes were recorded are given a created
+        change with their current content. Annotations in the chain the user
+        can't see the history of are left out.
+        :param request: Django Request
+        :param annotation_unique_id: unique_id of the annotation
+        :return: JSON encoded list of changes
+        """
+
+        try:
+            annotation = Annotation.objects.get(unique_id=annotation_unique_id)
+        except Annotation.DoesNotExist:
+            raise NotFound('An annotation with that ID does not exist.')
+        if not can_view_history(request.user, annotation):
+            raise PermissionDenied('You do not have permission to view this annotation')
+
+        changes = []
+        seen = set()
+        while annotation and annotation.pk not in seen:
+            seen.add(annotation.pk)
+            if not can_view_history(request.user, annotation):
+                annotation = annotation.original
+                continue
+            annotation_changes = AnnotationChangeSerializer(
+                annotation.changes.select_related('user'), many=True
+            ).data
+            if not any(change['type'] == AnnotationChangeType.created.value for change in annotation_changes):
+                changes.append({
+                    'id': None,
+                    'annotation_unique_id': str(annotation.unique_id),
+                    'type': AnnotationChangeType.created.value,
+                    'witness': annotation.witness_id,
+                    'user': annotation.creator_user_id,
+                    'user_name': annotation.creator_name(),
+                    'content': annotation.content,
+                    'created': DateTimeField().to_representation(annotation.created)
+                })
+            changes += annotation_changes
+            annotation = annotation.original
+
+        changes.sort(key=lambda change: change['created'])
+        return Response(changes)
+
+
+class WitnessBlame(APIView):
+    permission_classes = (IsAuthenticated,)
+
+    def get(self, request, witness_id, *args, **kwargs):
+        """
+        Get the latest change to each annotation shown in a witness, so the
+        text can be coloured by who last changed it.
+
+        Changes to other users' annotations are left out, as the annotations
+        are private to the users that made them.
+        :param request: Django Request
+        :param witness_id: id of the witness
+        :return: JSON encoded list of changes, without their content,
+                 oldest first
+        """
+
+        changes = AnnotationChange.objects.filter(
+            Q(witness=witness_id) | Q(annotation__witness=witness_id),
+            annotation__in=Annotation.objects.filter(visible_annotations(request.user)),
+            annotation__is_deleted=False
+        ).exclude(
+            type=AnnotationChangeType.deleted.value
+        ).select_related('annotation', 'user')
+
+        latest_changes = {}
+        for change in changes:
+            latest_changes[change.annotation_id] = change
+
+        latest_changes = sorted(latest_changes.values(), key=lambda change: (change.created, change.id))
+        serializer = AnnotationChangeSerializer(latest_changes, many=True, with_content=False)
+        return Response(serializer.data)
+
+
 class UserAnnotationOperations(APIView):
     permission_classes = (IsAuthenticated,)
 
@@ -343,6 +713,9 @@ class UserAnnotationOperations(APIView):
 
         user_annotation_operation.operation = operation
         user_annotation_operation.save()
+        record_event(request, witness.id, APPLIED_OPERATION_EVENTS[operation],
+                     {'annotation_unique_id': str(annotation.unique_id)})
+        record_change(request, annotation, APPLIED_OPERATION_CHANGES[operation], witness.id)
 
         return Response('', status=status.HTTP_204_NO_CONTENT)
 
@@ -384,6 +757,9 @@ class UserAnnotationOperations(APIView):
         user_annotation_operation.witness = witness
         user_annotation_operation.operation = operation
         user_annotation_operation.save()
+        record_event(request, witness.id, APPLIED_OPERATION_EVENTS[operation],
+                     {'annotation_unique_id': str(annotation.unique_id)})
+        record_change(request, annotation, APPLIED_OPERATION_CHANGES[operation], witness.id)
 
         return Response('', status=status.HTTP_204_NO_CONTENT)
 
@@ -410,5 +786,394 @@ class UserAnnotationOperationDetail(APIView):
             raise NotFound('That annotation id is not applied to the given witness')
 
         user_annotation_operation.delete()
+        record_event(request, witness.id, REMOVED_OPERATION_EVENTS[user_annotation_operation.operation],
+                     {'annotation_unique_id': str(annotation.unique_id)})
+        record_change(request, annotation, REMOVED_OPERATION_CHANGES[user_annotation_operation.operation], witness.id)
+
+        return Response('', status=status.HTTP_204_NO_CONTENT)
+
+
+class OperationStatistics(APIView):
+    permission_classes = (IsAuthenticated,)
+
+    def get(self, request, text_id, *args, **kwargs):
+        """
+        Count the variants each user has applied to and removed from each
+        witness of a text.
+
+        :param request: Django Request
+        :param text_id: id of the text
+        :return: JSON encoded list of the applied and removed counts for
+                 each user and witness.
+        """
+
+        operation_counts = UserAnnotationOperation.objects.filter(
+            witness__text=text_id,
+            annotation__is_deleted=False,
+            annotation__type=AnnotationType.variant.value
+        ).values('user', 'user__username', 'witness', 'operation').annotate(
+            count=Count('id')
+        ).order_by('user__username', 'witness')
+
+        statistics = {}
+        for operation_count in operation_counts:
+            key = (operation_count['user'], operation_count['witness'])
+            if key not in statistics:
+                statistics[key] = {
+                    'user': operation_count['user'],
+                    'user_name': operation_count['user__username'],
+                    'witness': operation_count['witness'],
+                    'applied': 0,
+                    'removed': 0
+                }
+            if operation_count['operation'] == 'A':
+                statistics[key]['applied'] += operation_count['count']
+            else:
+                statistics[key]['removed'] += operation_count['count']
+
+        return Response(list(statistics.values()))
+
+
+class AnnotationReviews(APIView):
+    permission_classes = (IsAuthenticated,)
+
+    def get(self, request, text_id, *args, **kwargs):
+        """
+        Get the annotations users have proposed for a text, to be reviewed.
+
+        :param request: Django Request
+        :param text_id: id of the text
+        :return: JSON encoded list of annotations, including the name of the
+                 user who proposed each one.
+        """
+
+        if not can_review(request.user):
+            raise PermissionDenied('You do not have permission to review annotations')
+
+        annotations = Annotation.objects.active().filter(
+            witness__text=text_id,
+            type=AnnotationType.variant.value,
+            creator_user__isnull=False,
+            review_state=AnnotationReviewState.proposed.value
+        ).select_related('creator_user').order_by('creator_witness', 'start')
+
+        serializer = ProposedAnnotationSerializer(annotations, many=True)
+        return Response(serializer.data)
+
+    def post(self, request, text_id, *args, **kwargs):
+        """
+        Accept or reject proposed annotations.
+
+        The revision of the annotations isn't changed, so reviewing them
+        doesn't conflict with updates their creators are making.
+
+        :param request: Django Request with review_state and a list of
+                        annotation_unique_ids
+        :param text_id: id of the text the annotations are for
+        :return: Empty string
+        """
+
+        if not can_review(request.user):
+            raise PermissionDenied('You do not have permission to review annotations')
+
+        review_state = request.data.get('review_state')
+        unique_ids = request.data.get('annotation_unique_ids')
+        if review_state not in [state.value for state in AnnotationReviewState] or not isinstance(unique_ids, list):
+            raise ParseError('review_state and a list of annotation_unique_ids are required.')
+
+        with transaction.atomic():
+            annotations = Annotation.objects.active().select_for_update().filter(
+                witness__text=text_id,
+                unique_id__in=unique_ids
+            )
+            for annotation in annotations:
+                annotation.review_state = review_state
+                annotation.save()
+                record_event(request, annotation.witness_id, 'updated_annotation',
+                             AnnotationSerializer(annotation).data)
+
+        return Response('', status=status.HTTP_204_NO_CONTENT)
+
+
+class AcceptedAnnotations(APIView):
+
+    def get(self, request, witness_id, *args, **kwargs):
+        """
+        Get the variants other users have applied to a witness that a
+        reviewer has accepted.
+
+        Accepted variants are part of the working version that everyone
+        shares, so they are returned whoever has made them.
+
+        :param request: Django Request
+        :param witness_id: id of the witness the variants are applied to
+        :return: JSON encoded list of annotations
+        """
+
+        annotations = Annotation.objects.active().filter(
+            type=AnnotationType.variant.value,
+            creator_user__isnull=False,
+            review_state=AnnotationReviewState.accepted.value,
+            userannotationoperation__witness=witness_id,
+            userannotationoperation__operation='A',
+            userannotationoperation__user=F('creator_user')
+        ).order_by('start', 'created').distinct()
+        if request.user.is_authenticated:
+            annotations = annotations.exclude(creator_user=request.user)
+
+        serializer = AnnotationSerializer(annotations, many=True)
+        return Response(serializer.data)
+
+
+def note_participants(user):
+    """
+    Get a filter for the notes a user takes part in the discussion of.
+
+    Notes can be seen by the user that made them, and by the users who
+    have replied to them or been mentioned in a reply.
+
+    :param user: The user making the request
+    :return: Q object
+    """
+
+    return Q(creator_user=user) | Q(replies__user=user) | Q(replies__mentions=user)
+
+
+def get_note(request, witness_id, unique_id):
+    try:
+        uuid.UUID(unique_id)
+    except ValueError:
+        raise ParseError('The note ID is not valid.')
+
+    try:
+        return Annotation.objects.active().filter(
+            note_participants(request.user),
+            unique_id=unique_id,
+            creator_witness=witness_id,
+            type=AnnotationType.note.value
+        ).distinct().get()
+    except Annotation.DoesNotExist:
+        raise NotFound('A note with that ID does not exist.')
+
+
+def get_mentioned_users(content):
+    usernames = set(match.rstrip('.') for match in MENTION_PATTERN.findall(content))
+    return User.objects.filter(username__in=usernames)
+
+
+class Discussions(APIView):
+    permission_classes = (IsAuthenticated,)
+
+    def get(self, request, witness_id, *args, **kwargs):
+        """
+        Get the notes made on a witness that the user takes part in the
+        discussion of, with the replies to them.
+
+        :param request: Django Request. If resolved is given as 0 or 1, only
+                        unresolved or resolved discussions are returned.
+        :param witness_id: id of the witness the notes were made in
+        :return: JSON encoded list of notes, each with its replies
+        """
+
+        notes = Annotation.objects.active().filter(
+            note_participants(request.user),
+            creator_witness=witness_id,
+            creator_user__isnull=False,
+            type=AnnotationType.note.value
+        ).distinct().select_related('creator_user').prefetch_related(
+            'replies__user', 'replies__mentions'
+        ).order_by('start', 'created')
+        if 'resolved' in request.query_params:
+            notes = notes.filter(is_resolved=request.query_params['resolved'] == '1')
+
+        serializer = DiscussionSerializer(notes, many=True)
+        return Response(serializer.data)
+
+
+class DiscussionDetail(APIView):
+    permission_classes = (IsAuthenticated,)
+
+    def put(self, request, witness_id, note_unique_id, *args, **kwargs):
+        """
+        Mark the discussion of a note as resolved or unresolved.
+
+        Only the user that made the note and reviewers can resolve it.
+        :param request: Django Request with is_resolved
+        :param witness_id: id of the witness the note was made in
+        :param note_unique_id: unique_id of the note
+        :return: Empty string
+        """
+
+        note = get_note(request, witness_id, note_unique_id)
+        if note.creator_user != request.user and not can_review(request.user):
+            raise PermissionDenied('You do not have permission to resolve this discussion')
+
+        is_resolved = request.data.get('is_resolved')
+        if not isinstance(is_resolved, bool):
+            raise ParseError('is_resolved must be true or false.')
+
+        note.is_resolved = is_resolved
+        note.save()
+        record_event(request, witness_id, 'changed_note_resolved',
+                     {'note_unique_id': str(note.unique_id), 'is_resolved': is_resolved})
+
+        return Response('', status=status.HTTP_204_NO_CONTENT)
+
+
+class NoteReplies(APIView):
+    permission_classes = (IsAuthenticated,)
+
+    def post(self, request, witness_id, note_unique_id, *args, **kwargs):
+        """
+        Reply to a note.
+
+        Any users mentioned as @username in the content are recorded.
+        :param request: Django Request with content
+        :param witness_id: id of the witness the note was made in
+        :param note_unique_id: unique_id of the note
+        :return: JSON encoded data for the new reply
+        """
+
+        note = get_note(request, witness_id, note_unique_id)
+        content = request.data.get('content', '')
+        if not isinstance(content, str) or not content.strip():
+            raise ParseError('A reply must have some content.')
+        content = content.strip()
+
+        reply = NoteReply.objects.create(note=note, user=request.user, content=content)
+        reply.mentions.set(get_mentioned_users(content))
+        data = NoteReplySerializer(reply).data
+        record_event(request, witness_id, 'added_note_reply',
+                     {'note_unique_id': str(note.unique_id), 'reply': data})
+
+        return Response(data, status=status.HTTP_201_CREATED)
+
+
+def get_visible_events(user, events):
+    """
+    Remove the events about annotations the user can't see. Events about
+    notes are sent to the users taking part in their discussion.
+
+    :param user: The user the events are being sent to
+    :param events: List of WitnessEvents
+    :return: List of WitnessEvents
+    """
+
+    unique_ids = set()
+    for event in events:
+        key = ANNOTATION_ID_EVENT_KEYS.get(event.type)
+        if key and event.data.get(key):
+            unique_ids.add(event.data[key])
+    visible_ids = set()
+    if unique_ids:
+        visible_ids = set(str(unique_id) for unique_id in Annotation.objects.filter(
+            visible_annotations(user) | note_participants(user),
+            unique_id__in=unique_ids
+        ).values_list('unique_id', flat=True))
+
+    visible_events = []
+    for event in events:
+        if event.type in ANNOTATION_EVENTS:
+            creator_user = event.data.get('creator_user')
+            if creator_user is not None and creator_user != user.pk:
+                continue
+        elif event.type in ANNOTATION_ID_EVENT_KEYS:
+            if event.data.get(ANNOTATION_ID_EVENT_KEYS[event.type]) not in visible_ids:
+                continue
+        visible_events.append(event)
+
+    return visible_events
+
+
+class WitnessEvents(APIView):
+    permission_classes = (IsAuthenticated,)
+
+    def get(self, request, witness_id, *args, **kwargs):
+        """
+        Stream the changes other clients have made to the witness as
+        server-sent events.
+
+        Rather than keeping the connection open, the events since the one
+        given in the Last-Event-ID header are returned and the browser
+        reconnects after EVENT_RETRY_MS. This keeps the stream usable with
+        synchronous workers.
+
+        On the first connection only the current presence of other users is
+        returned, along with the id of the latest event. Events about
+        annotations the user can't see are not returned.
+        :param request: Django Request
+        :param witness_id: id of the witness to get events for
+        :return: text/event-stream response
+        """
+
+        client_id = request.GET.get('client_id', '')
+        events = WitnessEvent.objects.filter(witness=witness_id).exclude(client_id=client_id).order_by('id')
+        last_event_id = request.META.get('HTTP_LAST_EVENT_ID') or request.GET.get('last_event_id')
+        if last_event_id:
+            try:
+                last_event_id = int(last_event_id)
+            except ValueError:
+                raise ParseError('Last-Event-ID must be the id of an event.')
+            events = events.filter(id__gt=last_event_id)
+        else:
+            latest_event = WitnessEvent.objects.filter(witness=witness_id).order_by('-id').first()
+            last_event_id = latest_event.id if latest_event else 0
+            events = events.filter(type='presence', created__gte=timezone.now() - PRESENCE_LIFETIME)
+
+        events = list(events)
+        if events:
+            last_event_id = max(last_event_id, events[-1].id)
+
+        lines = [f'retry: {EVENT_RETRY_MS}', '']
+        for event in get_visible_events(request.user, events):
+            lines += [
+                f'id: {event.id}',
+                f'event: {event.type}',
+                'data: ' + json.dumps(event.data),
+                ''
+            ]
+        # Make sure the browser sends the latest id when it reconnects
+        lines += [f'id: {last_event_id}', '']
+
+        response = HttpResponse('\n'.join(lines) + '\n', content_type='text/event-stream')
+        response['Cache-Control'] = 'no-cache'
+        return response
+
+
+class WitnessPresence(APIView):
+    permission_classes = (IsAuthenticated,)
+
+    def post(self, request, witness_id, *args, **kwargs):
+        """
+        Set the part of the witness the user has selected, so other users can
+        see what they are working on.
+
+        :param request: Django Request with client_id and the start and
+                        length of the selection. start is null if nothing
+                        is selected.
+        :param witness_id: id of the witness being viewed
+        :return: Empty string
+        """
+
+        try:
+            witness = Witness.objects.get(pk=witness_id)
+        except Witness.DoesNotExist:
+            raise NotFound('An witness with that ID does not exist.')
+
+        start = request.data.get('start')
+        length = request.data.get('length')
+        try:
+            data = {
+                'client_id': request.data['client_id'],
+                'user': request.user.username,
+                'start': int(start) if start is not None else None,
+                'length': int(length) if length is not None else None,
+            }
+        except (KeyError, ValueError):
+            raise ParseError('client_id, start and length are required.')
+
+        # Only the latest presence of each client is needed
+        WitnessEvent.objects.filter(witness=witness, type='presence', client_id=data['client_id']).delete()
+        record_event(request, witness.id, 'presence', data)
 
         return Response('', status=status.HTTP_204_NO_CONTENT)
@@ -0,0 +1,110 @@
+// @flow
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 2;
+
+const WITNESS_EVENTS_URL = /\/witnesses\/([0-9]+)\/events\//;
+
+class MockEventSource {
+    url: string;
+    readyState: number;
+    server: MockEventServer;
+    listeners: { [type: string]: Array<(event: any) => void> };
+
+    constructor(server: MockEventServer, url: string) {
+        this.server = server;
+        this.url = url;
+        this.readyState = OPEN;
+        this.listeners = {};
+    }
+
+    addEventListener(type: string, listener: (event: any) => void) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+    }
+
+    removeEventListener(type: string, listener: (event: any) => void) {
+        if (this.listeners[type]) {
+            this.listeners[type] = this.listeners[type].filter(
+                l => l !== listener
+            );
+        }
+    }
+
+    close() {
+        this.readyState = CLOSED;
+        this.server.disconnect(this);
+    }
+
+    receive(type: string, data: string, lastEventId: string) {
+        const listeners = this.listeners[type] || [];
+        for (let i = 0; i < listeners.length; i++) {
+            listeners[i]({ type, data, lastEventId });
+        }
+    }
+}
+
+/**
+ * Stands in for the server's witness event streams in tests.
+ *
+ * Installing it replaces the global EventSource, so streams opened by the
+ * app connect to it. Events can then be sent to a witness's streams as if
+ * someone else had made a change.
+ */
+export default class MockEventServer {
+    sources: MockEventSource[];
+    lastEventId: number;
+    _originalEventSource: any;
+
+    constructor() {
+        this.sources = [];
+        this.lastEventId = 0;
+    }
+
+    install() {
+        const server = this;
+        this._originalEventSource = global.EventSource;
+        global.EventSource = function(url: string) {
+            const source = new MockEventSource(server, url);
+            server.sources.push(source);
+            return source;
+        };
+        global.EventSource.CONNECTING = CONNECTING;
+        global.EventSource.OPEN = OPEN;
+        global.EventSource.CLOSED = CLOSED;
+    }
+
+    uninstall() {
+        global.EventSource = this._originalEventSource;
+        this.sources = [];
+    }
+
+    disconnect(source: MockEventSource) {
+        this.sources = this.sources.filter(s => s !== source);
+    }
+
+    /**
+     * Get the open streams for the given witness.
+     */
+    connections(witnessId: number): MockEventSource[] {
+        return this.sources.filter(source => {
+            const match = WITNESS_EVENTS_URL.exec(source.url);
+            return match !== null && Number(match[1]) === witnessId;
+        });
+    }
+
+    send(witnessId: number, type: string, data: any) {
+        this.lastEventId++;
+        const connections = this.connections(witnessId);
+        for (let i = 0; i < connections.length; i++) {
+            connections[i].receive(
+                type,
+                JSON.stringify(data),
+                String(this.lastEventId)
+            );
+        }
+    }
+}
@@ -4,6 +4,9 @@ import Annotation, { TemporaryAnnotation } from "lib/Annotation";
 import type { AnnotationUniqueId } from "lib/Annotation";
 import Witness from "lib/Witness";
 import type { LocalesData } from "i18n";
+import type { KeyBindings } from "lib/keyBindings";
+import type { IiifCanvas } from "lib/iiifManifest";
+import type { IiifImageInfo } from "lib/iiifImage";
 
 /** Actions types **/
 
@@ -21,6 +24,9 @@ export const LOAD_TEXTS = "LOAD_TEXTS";
 export const LOADING_TEXTS = "LOADING_TEXTS";
 export const LOADED_TEXTS = "LOADED_TEXTS";
 
+export const QUEUED_REQUEST = "QUEUED_REQUEST";
+export const PROCESSED_REQUEST = "PROCESSED_REQUEST";
+
 export const LOAD_TEXT_DATA = "LOAD_TEXT_DATA";
 export const LOADING_TEXT_DATA = "LOADING_TEXT_DATA";
 
@@ -54,6 +60,19 @@ export const ADDED_TEMPORARY_ANNOTATION = "text/ADDED_TEMPORARY_ANNOTATION";
 export const UPDATED_TEMPORARY_ANNOTATION = "text/UPDATED_TEMPORARY_ANNOTATION";
 export const REMOVED_TEMPORARY_ANNOTATION = "text/REMOVED_TEMPORARY_ANNOTATION";
 
+// Undo history of the changes made with the actions above
+export const RECORDED_ANNOTATION_CHANGE = "text/RECORDED_ANNOTATION_CHANGE";
+export const UNDID_ANNOTATION_CHANGE = "text/UNDID_ANNOTATION_CHANGE";
+export const REDID_ANNOTATION_CHANGE = "text/REDID_ANNOTATION_CHANGE";
+
+// Updates rejected because someone else changed the annotation first
+export const CONFLICTED_ANNOTATION_UPDATE = "text/CONFLICTED_ANNOTATION_UPDATE";
+export const RESOLVED_ANNOTATION_CONFLICT = "text/RESOLVED_ANNOTATION_CONFLICT";
+
+// Where other people viewing the same witness are working
+export const UPDATED_COLLABORATOR_PRESENCE =
+    "text/UPDATED_COLLABORATOR_PRESENCE";
+
 // UI
 
 export const SELECTED_TEXT = "textList/SELECTED_TEXT";
@@ -61,10 +80,21 @@ export const CHANGED_SEARCH_VALUE = "textList/CHANGED_SEARCH_VALUE";
 export const SEARCHED_TEXT = "textList/SEARCHED_TEXT";
 export const UPDATED_SEARCH_RESULTS = "textList/UPDATED_SEARCH_RESULTS";
 export const SELECTED_SEARCH_RESULT = "textList/SELECTED_SEARCH_RESULT";
+export const CHANGED_SEARCH_MODE = "textList/CHANGED_SEARCH_MODE";
+export const INVALID_SEARCH_PATTERN = "textList/INVALID_SEARCH_PATTERN";
+export const SELECTED_VARIANT_SEARCH_RESULT =
+    "textList/SELECTED_VARIANT_SEARCH_RESULT";
 
 export const SELECTED_WITNESS = "text/SELECTED_WITNESS";
 export const CHANGED_SHOW_PAGE_IMAGES = "text/CHANGED_SHOW_PAGE_IMAGES";
 export const CHANGED_TEXT_FONT_SIZE = "text/CHANGED_TEXT_FONT_SIZE";
+export const CHANGED_PAGE_IMAGE_LAYOUT = "text/CHANGED_PAGE_IMAGE_LAYOUT";
+export const CHANGED_PAGE_IMAGE_ZOOM = "text/CHANGED_PAGE_IMAGE_ZOOM";
+export const CHANGED_PAGE_IMAGE_ADJUSTMENTS =
+    "text/CHANGED_PAGE_IMAGE_ADJUSTMENTS";
+export const VIEWED_PAGE_IMAGE = "text/VIEWED_PAGE_IMAGE";
+export const LOADED_IIIF_IMAGE_INFO = "text/LOADED_IIIF_IMAGE_INFO";
+export const CHANGED_SHOW_PECHA_VIEW = "text/CHANGED_SHOW_PECHA_VIEW";
 
 export const CHANGED_SELECTED_SEGMENT = "text/CHANGED_SELECTED_SEGMENT";
 export const DESELECTED_SEGMENT = "text/DESELECTED_SEGMENT";
@@ -81,12 +111,40 @@ export const CHANGED_WITNESS_SCROLL_POSITION =
 
 export const EXPORT_WITNESS = "text/EXPORT_WITNESS";
 export const EXPORTED_WITNESS = "text/EXPORTED_WITNESS";
+export const EXPORT_DISTANCE_MATRIX = "text/EXPORT_DISTANCE_MATRIX";
+
+export const IMPORT_WITNESS_FILE = "text/IMPORT_WITNESS_FILE";
+export const IMPORTED_WITNESS_FILE = "text/IMPORTED_WITNESS_FILE";
+export const CLOSED_WITNESS_IMPORT = "text/CLOSED_WITNESS_IMPORT";
+
+export const CHANGED_COMPARISON_WITNESSES = "text/CHANGED_COMPARISON_WITNESSES";
+export const CHANGED_VARIANT_STATISTICS = "text/CHANGED_VARIANT_STATISTICS";
+export const LOADED_OPERATION_STATISTICS = "text/LOADED_OPERATION_STATISTICS";
+
+export const CHANGED_REVIEW_QUEUE = "text/CHANGED_REVIEW_QUEUE";
+export const LOADED_PROPOSED_ANNOTATIONS = "text/LOADED_PROPOSED_ANNOTATIONS";
+export const REVIEWED_ANNOTATIONS = "text/REVIEWED_ANNOTATIONS";
+
+export const CHANGED_ANNOTATION_HISTORY = "text/CHANGED_ANNOTATION_HISTORY";
+export const LOADED_ANNOTATION_HISTORY = "text/LOADED_ANNOTATION_HISTORY";
+export const CHANGED_SHOW_BLAME = "text/CHANGED_SHOW_BLAME";
+export const LOADED_WITNESS_BLAME = "text/LOADED_WITNESS_BLAME";
+
+export const CHANGED_DISCUSSIONS_VISIBLE = "text/CHANGED_DISCUSSIONS_VISIBLE";
+export const LOADED_DISCUSSIONS = "text/LOADED_DISCUSSIONS";
+export const SELECTED_DISCUSSION = "text/SELECTED_DISCUSSION";
+export const ADDED_NOTE_REPLY = "text/ADDED_NOTE_REPLY";
+export const CHANGED_NOTE_RESOLVED = "text/CHANGED_NOTE_RESOLVED";
+
+export const LOADED_IIIF_MANIFEST = "text/LOADED_IIIF_MANIFEST";
 
 export const CHANGED_ACCOUNT_OVERLAY = "account/SET_ACCOUNT_OVERLAY";
+export const CHANGED_SHORTCUTS_OVERLAY = "account/CHANGED_SHORTCUTS_OVERLAY";
 
 // User
 export const USER_LOGGED_IN = "users/USER_LOGGED_IN";
 export const LOADED_USER_SETTINGS = "user/LOADED_USER_SETTINGS";
+export const CHANGED_KEY_BINDINGS = "user/CHANGED_KEY_BINDINGS";
 
 // I18N
 export const UPDATE_LOCALES = "i18n/UPDATE_LOCALES";
@@ -95,12 +153,14 @@ export const SELECTED_LOCALE = "i18n/SELECT_LOCALE";
 // URLS
 export const TEXT_URL = "urls/TEXT";
 export const USER_URL = "urls/USER";
+export const OPENED_TEXT_URL = "urls/OPENED_TEXT_URL";
 
 /** Action creators **/
 
 export type Action = {
     type: string,
-    payload?: any
+    payload?: any,
+    fromServer?: boolean
 };
 
 export type WitnessAction = Action & {
@@ -117,6 +177,20 @@ export type AnnotationAction = Action & {
 
 /* DATA */
 
+// REQUESTS
+
+export function queuedRequest(): Action {
+    return {
+        type: QUEUED_REQUEST
+    };
+}
+
+export function processedRequest(): Action {
+    return {
+        type: PROCESSED_REQUEST
+    };
+}
+
 // TEXTS
 
 export function loadTexts(): Action {
@@ -360,6 +434,152 @@ export function deletedAnnotation(
     };
 }
 
+/**
+ * A change made to a text's annotations, with the actions needed to
+ * reverse it.
+ */
+export type AnnotationChange = {
+    actions: Action[],
+    inverseActions: Action[]
+};
+
+export type RecordedAnnotationChangeAction = Action & {
+    textId: number,
+    change: AnnotationChange
+};
+export function recordedAnnotationChange(
+    textId: number,
+    change: AnnotationChange
+): RecordedAnnotationChangeAction {
+    return {
+        type: RECORDED_ANNOTATION_CHANGE,
+        textId,
+        change
+    };
+}
+
+export type AnnotationHistoryAction = Action & {
+    textId: number
+};
+/**
+ * The last change to the text has been reversed.
+ *
+ * This is dispatched in the same batch as the change's inverse actions.
+ */
+export function undidAnnotationChange(textId: number): AnnotationHistoryAction {
+    return {
+        type: UNDID_ANNOTATION_CHANGE,
+        textId
+    };
+}
+
+/**
+ * The last undone change to the text has been made again.
+ *
+ * This is dispatched in the same batch as the change's actions.
+ */
+export function redidAnnotationChange(textId: number): AnnotationHistoryAction {
+    return {
+        type: REDID_ANNOTATION_CHANGE,
+        textId
+    };
+}
+
+/**
+ * An annotation update that was rejected by the server, and the version
+ * of the annotation that is on the server.
+ */
+export type AnnotationConflictData = {
+    mine: api.AnnotationData,
+    theirs: api.AnnotationData
+};
+
+export type ConflictedAnnotationUpdateAction = Action & {
+    conflict: AnnotationConflictData
+};
+export function conflictedAnnotationUpdate(
+    mine: api.AnnotationData,
+    theirs: api.AnnotationData
+): ConflictedAnnotationUpdateAction {
+    return {
+        type: CONFLICTED_ANNOTATION_UPDATE,
+        conflict: {
+            mine,
+            theirs
+        }
+    };
+}
+
+/**
+ * The conflict has been resolved by keeping the given version of the
+ * annotation.
+ *
+ * Its revision should be the one on the server. If it is not the server's
+ * version, dispatch updatedAnnotation with it as well to save it.
+ */
+export function resolvedAnnotationConflict(
+    annotation: Annotation
+): AnnotationAction {
+    return {
+        type: RESOLVED_ANNOTATION_CONFLICT,
+        annotation
+    };
+}
+
+/**
+ * Mark an action as a change made by someone else, pushed from the server.
+ *
+ * These are handled in the same way as the user's own changes, except they
+ * are not sent back to the server or added to the undo history.
+ */
+export function receivedFromServer<A: Action>(action: A): A {
+    return {
+        ...action,
+        fromServer: true
+    };
+}
+
+export type CollaboratorPresence = {
+    clientId: string,
+    user: string,
+    start: number,
+    length: number,
+    received: number
+};
+
+export type UpdatedCollaboratorPresenceAction = Action & {
+    witnessId: number,
+    clientId: string,
+    presence: CollaboratorPresence | null
+};
+/**
+ * Another client has selected part of the witness.
+ *
+ * presence is null if they no longer have anything selected.
+ */
+export function updatedCollaboratorPresence(
+    witnessId: number,
+    presenceData: api.PresenceData
+): UpdatedCollaboratorPresenceAction {
+    let presence = null;
+    if (presenceData.start !== null && presenceData.length !== null) {
+        presence = {
+            clientId: presenceData.client_id,
+            user: presenceData.user,
+            start: presenceData.start,
+            length: presenceData.length,
+            received: Date.now()
+        };
+    }
+
+    return {
+        type: UPDATED_COLLABORATOR_PRESENCE,
+        witnessId,
+        clientId: presenceData.client_id,
+        presence
+    };
+}
+
 export type SavedAnnotationAction = Action & {
     annotation: Annotation
 };
@@ -378,18 +598,21 @@ export function savedAnnotation(annotation: Annotation): SavedAnnotationAction {
 export type UserAction = Action & {
     userId: number,
     userName: string,
-    userLocale: string
+    userLocale: string,
+    userCanReview: boolean
 };
 export function userLoggedIn(
     userId: number,
     userName: string,
-    userLocale: string
+    userLocale: string,
+    userCanReview: boolean = false
 ): UserAction {
     return {
         type: USER_LOGGED_IN,
         userId,
         userName,
-        userLocale
+        userLocale,
+        userCanReview
     };
 }
 
@@ -405,6 +628,24 @@ export function loadedUserSettings(
     };
 }
 
+export type ChangedKeyBindingsAction = Action & {
+    keyBindings: KeyBindings
+};
+/**
+ * The user changed their shortcut key bindings.
+ *
+ * @param {KeyBindings} keyBindings - Only the bindings that differ from the
+ *                                    defaults.
+ */
+export function changedKeyBindings(
+    keyBindings: KeyBindings
+): ChangedKeyBindingsAction {
+    return {
+        type: CHANGED_KEY_BINDINGS,
+        keyBindings
+    };
+}
+
 /* UI */
 
 export type SelectedTextAction = Action & TextDataAction;
@@ -475,6 +716,46 @@ export function selectedSearchResult(
     };
 }
 
+export type ChangedSearchModeAction = Action & {
+    searchMode: string
+};
+export function changedSearchMode(searchMode: string): ChangedSearchModeAction {
+    return {
+        type: CHANGED_SEARCH_MODE,
+        searchMode
+    };
+}
+
+export type InvalidSearchPatternAction = Action & {
+    searchValue: string,
+    error: string
+};
+export function invalidSearchPattern(
+    searchValue: string,
+    error: string
+): InvalidSearchPatternAction {
+    return {
+        type: INVALID_SEARCH_PATTERN,
+        searchValue,
+        error
+    };
+}
+
+export type SelectedVariantSearchResultAction = Action & {
+    textId: number,
+    result: api.VariantSearchResultData
+};
+export function selectedVariantSearchResult(
+    textId: number,
+    result: api.VariantSearchResultData
+): SelectedVariantSearchResultAction {
+    return {
+        type: SELECTED_VARIANT_SEARCH_RESULT,
+        textId,
+        result
+    };
+}
+
 export type ChangedTextListWidth = Action & {
     width: number
 };
@@ -497,6 +778,18 @@ export function changedShowPageImages(
     };
 }
 
+export type ChangedShowPechaViewAction = Action & {
+    showPechaView: boolean
+};
+export function changedShowPechaView(
+    showPechaView: boolean
+): ChangedShowPechaViewAction {
+    return {
+        type: CHANGED_SHOW_PECHA_VIEW,
+        showPechaView
+    };
+}
+
 export type ChangedTextFontSizeAction = Action & {
     fontSize: number
 };
@@ -509,6 +802,84 @@ export function changedTextFontSize(
     };
 }
 
+export type ChangedPageImageLayoutAction = Action & {
+    layout: string
+};
+
+/**
+ * @param {string} layout - One of constants.PAGE_IMAGE_LAYOUTS
+ */
+export function changedPageImageLayout(
+    layout: string
+): ChangedPageImageLayoutAction {
+    return {
+        type: CHANGED_PAGE_IMAGE_LAYOUT,
+        layout
+    };
+}
+
+export type ChangedPageImageZoomAction = Action & {
+    zoom: number
+};
+export function changedPageImageZoom(zoom: number): ChangedPageImageZoomAction {
+    return {
+        type: CHANGED_PAGE_IMAGE_ZOOM,
+        zoom
+    };
+}
+
+/**
+ * How page images are shown. rotation is in degrees clockwise, and
+ * brightness and contrast are percentages of the original.
+ */
+export type PageImageAdjustments = {
+    rotation: number,
+    brightness: number,
+    contrast: number
+};
+
+export type ChangedPageImageAdjustmentsAction = Action & {
+    adjustments: PageImageAdjustments
+};
+export function changedPageImageAdjustments(
+    adjustments: PageImageAdjustments
+): ChangedPageImageAdjustmentsAction {
+    return {
+        type: CHANGED_PAGE_IMAGE_ADJUSTMENTS,
+        adjustments
+    };
+}
+
+export type ViewedPageImageAction = Action & {
+    serviceUrl: string
+};
+
+/**
+ * A page image from a IIIF image service was shown, so its size and tiles
+ * are needed.
+ */
+export function viewedPageImage(serviceUrl: string): ViewedPageImageAction {
+    return {
+        type: VIEWED_PAGE_IMAGE,
+        serviceUrl
+    };
+}
+
+export type LoadedIiifImageInfoAction = Action & {
+    serviceUrl: string,
+    info: IiifImageInfo
+};
+export function loadedIiifImageInfo(
+    serviceUrl: string,
+    info: IiifImageInfo
+): LoadedIiifImageInfoAction {
+    return {
+        type: LOADED_IIIF_IMAGE_INFO,
+        serviceUrl,
+        info
+    };
+}
+
 export type SelectedTextWitnessAction = Action & {
     witnessId: number,
     textId: number
@@ -603,31 +974,373 @@ export function changedWitnessScrollPosition(
 
 export type ExportWitnessAction = Action & {
     witnessId: number,
-    format: string
+    format: string,
+    pageMarkerFormat?: string,
+    ownChangesOnly?: boolean
 };
 
+/**
+ * @param {number} witnessId
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {string} [pageMarkerFormat] - Format of the page markers in
+ *      formats with page breaks. See PlainTextExporter.
+ */
 export function exportWitness(
     witnessId: number,
-    format: string
+    format: string,
+    pageMarkerFormat?: string
 ): ExportWitnessAction {
     return {
         type: EXPORT_WITNESS,
         witnessId,
-        format
+        format,
+        pageMarkerFormat
     };
 }
 
+/**
+ * @param {number} witnessId
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {boolean} [ownChangesOnly=false] - Whether other users' changes
+ *      could not be loaded, so the working version was exported with only
+ *      the user's changes.
+ */
 export function exportedWitness(
     witnessId: number,
-    format: string
+    format: string,
+    ownChangesOnly: boolean = false
 ): ExportWitnessAction {
     return {
         type: EXPORTED_WITNESS,
         witnessId,
+        format,
+        ownChangesOnly
+    };
+}
+
+export type ExportDistanceMatrixAction = Action & {
+    textId: number,
+    format: string
+};
+
+export function exportDistanceMatrix(
+    textId: number,
+    format: string
+): ExportDistanceMatrixAction {
+    return {
+        type: EXPORT_DISTANCE_MATRIX,
+        textId,
         format
     };
 }
 
+export type ImportWitnessFileAction = Action & {
+    witnessId: number,
+    file: File
+};
+
+/**
+ * Create variant annotations for a witness from a .txt or .docx file,
+ * to be reviewed before they are saved.
+ */
+export function importWitnessFile(
+    witnessId: number,
+    file: File
+): ImportWitnessFileAction {
+    return {
+        type: IMPORT_WITNESS_FILE,
+        witnessId,
+        file
+    };
+}
+
+export type ImportedWitnessFileAction = Action & {
+    witnessId: number,
+    annotations: Annotation[]
+};
+
+export function importedWitnessFile(
+    witnessId: number,
+    annotations: Annotation[]
+): ImportedWitnessFileAction {
+    return {
+        type: IMPORTED_WITNESS_FILE,
+        witnessId,
+        annotations
+    };
+}
+
+export function closedWitnessImport(): Action {
+    return {
+        type: CLOSED_WITNESS_IMPORT
+    };
+}
+
+export type ChangedComparisonWitnessesAction = Action & {
+    textId: number,
+    witnessIds: number[]
+};
+
+/**
+ * Set the witnesses shown side by side. An empty list ends the comparison.
+ */
+export function changedComparisonWitnesses(
+    textId: number,
+    witnessIds: number[]
+): ChangedComparisonWitnessesAction {
+    return {
+        type: CHANGED_COMPARISON_WITNESSES,
+        textId,
+        witnessIds
+    };
+}
+
+export type ChangedVariantStatisticsAction = Action & {
+    isVisible: boolean
+};
+export function changedVariantStatistics(
+    isVisible: boolean
+): ChangedVariantStatisticsAction {
+    return {
+        type: CHANGED_VARIANT_STATISTICS,
+        isVisible
+    };
+}
+
+export type LoadedOperationStatisticsAction = Action & {
+    textId: number,
+    statistics: api.OperationStatisticsData[]
+};
+export function loadedOperationStatistics(
+    textId: number,
+    statistics: api.OperationStatisticsData[]
+): LoadedOperationStatisticsAction {
+    return {
+        type: LOADED_OPERATION_STATISTICS,
+        textId,
+        statistics
+    };
+}
+
+export type ChangedReviewQueueAction = Action & {
+    isVisible: boolean
+};
+export function changedReviewQueue(
+    isVisible: boolean
+): ChangedReviewQueueAction {
+    return {
+        type: CHANGED_REVIEW_QUEUE,
+        isVisible
+    };
+}
+
+export type LoadedProposedAnnotationsAction = Action & {
+    textId: number,
+    annotations: api.ProposedAnnotationData[]
+};
+export function loadedProposedAnnotations(
+    textId: number,
+    annotations: api.ProposedAnnotationData[]
+): LoadedProposedAnnotationsAction {
+    return {
+        type: LOADED_PROPOSED_ANNOTATIONS,
+        textId,
+        annotations
+    };
+}
+
+export type ReviewedAnnotationsAction = Action & {
+    textId: number,
+    annotationIds: string[],
+    reviewState: string
+};
+
+/**
+ * Accept or reject proposed annotations.
+ *
+ * @param {number} textId
+ * @param {string[]} annotationIds - The unique ids of the annotations.
+ * @param {string} reviewState - One of REVIEW_STATES.
+ */
+export function reviewedAnnotations(
+    textId: number,
+    annotationIds: string[],
+    reviewState: string
+): ReviewedAnnotationsAction {
+    return {
+        type: REVIEWED_ANNOTATIONS,
+        textId,
+        annotationIds,
+        reviewState
+    };
+}
+
+export type ChangedAnnotationHistoryAction = Action & {
+    annotation: Annotation | null
+};
+
+/**
+ * Show the history of an annotation, or hide it if annotation is null.
+ */
+export function changedAnnotationHistory(
+    annotation: Annotation | null
+): ChangedAnnotationHistoryAction {
+    return {
+        type: CHANGED_ANNOTATION_HISTORY,
+        annotation
+    };
+}
+
+export type LoadedAnnotationHistoryAction = Action & {
+    annotationId: string,
+    changes: api.AnnotationChangeData[]
+};
+export function loadedAnnotationHistory(
+    annotationId: string,
+    changes: api.AnnotationChangeData[]
+): LoadedAnnotationHistoryAction {
+    return {
+        type: LOADED_ANNOTATION_HISTORY,
+        annotationId,
+        changes
+    };
+}
+
+export type ChangedShowBlameAction = Action & {
+    showBlame: boolean
+};
+export function changedShowBlame(showBlame: boolean): ChangedShowBlameAction {
+    return {
+        type: CHANGED_SHOW_BLAME,
+        showBlame
+    };
+}
+
+export type LoadedWitnessBlameAction = Action & {
+    witnessId: number,
+    changes: api.AnnotationChangeData[]
+};
+export function loadedWitnessBlame(
+    witnessId: number,
+    changes: api.AnnotationChangeData[]
+): LoadedWitnessBlameAction {
+    return {
+        type: LOADED_WITNESS_BLAME,
+        witnessId,
+        changes
+    };
+}
+
+export type ChangedDiscussionsVisibleAction = Action & {
+    isVisible: boolean
+};
+export function changedDiscussionsVisible(
+    isVisible: boolean
+): ChangedDiscussionsVisibleAction {
+    return {
+        type: CHANGED_DISCUSSIONS_VISIBLE,
+        isVisible
+    };
+}
+
+export type LoadedDiscussionsAction = Action & {
+    witnessId: number,
+    discussions: api.DiscussionData[]
+};
+export function loadedDiscussions(
+    witnessId: number,
+    discussions: api.DiscussionData[]
+): LoadedDiscussionsAction {
+    return {
+        type: LOADED_DISCUSSIONS,
+        witnessId,
+        discussions
+    };
+}
+
+export type SelectedDiscussionAction = Action & {
+    noteId: string | null
+};
+
+/**
+ * Show the replies to a note in the discussions list, or just list the
+ * notes if noteId is null.
+ */
+export function selectedDiscussion(
+    noteId: string | null
+): SelectedDiscussionAction {
+    return {
+        type: SELECTED_DISCUSSION,
+        noteId
+    };
+}
+
+export type AddedNoteReplyAction = Action & {
+    witnessData: api.WitnessData,
+    noteId: string,
+    reply: api.NoteReplyData
+};
+
+/**
+ * Reply to a note.
+ *
+ * @param {api.WitnessData} witnessData - The witness the note was made in.
+ * @param {string} noteId - The unique id of the note.
+ * @param {api.NoteReplyData} reply - id is null until it has been saved.
+ */
+export function addedNoteReply(
+    witnessData: api.WitnessData,
+    noteId: string,
+    reply: api.NoteReplyData
+): AddedNoteReplyAction {
+    return {
+        type: ADDED_NOTE_REPLY,
+        witnessData,
+        noteId,
+        reply
+    };
+}
+
+export type ChangedNoteResolvedAction = Action & {
+    witnessData: api.WitnessData,
+    noteId: string,
+    isResolved: boolean
+};
+export function changedNoteResolved(
+    witnessData: api.WitnessData,
+    noteId: string,
+    isResolved: boolean
+): ChangedNoteResolvedAction {
+    return {
+        type: CHANGED_NOTE_RESOLVED,
+        witnessData,
+        noteId,
+        isResolved
+    };
+}
+
+export type LoadedIiifManifestAction = Action & {
+    url: string,
+    canvases: IiifCanvas[]
+};
+
+/**
+ * The page images of a volume were loaded from its IIIF manifest.
+ *
+ * @param {string} url - The url of the manifest.
+ * @param {IiifCanvas[]} canvases - The canvases of the manifest, in order.
+ */
+export function loadedIiifManifest(
+    url: string,
+    canvases: IiifCanvas[]
+): LoadedIiifManifestAction {
+    return {
+        type: LOADED_IIIF_MANIFEST,
+        url,
+        canvases
+    };
+}
+
 export type ChangedAccountOverlayAction = Action & {
     isVisible: boolean
 };
@@ -640,6 +1353,18 @@ export function changedAccountOverlay(
     };
 }
 
+export type ChangedShortcutsOverlayAction = Action & {
+    isVisible: boolean
+};
+export function changedShortcutsOverlay(
+    isVisible: boolean
+): ChangedShortcutsOverlayAction {
+    return {
+        type: CHANGED_SHORTCUTS_OVERLAY,
+        isVisible
+    };
+}
+
 /* I18N */
 export type UpdateLocalesAction = {
     type: string,
@@ -670,6 +1395,30 @@ export type TextUrlAction = {
     }
 }
 
+/**
+ * Open a witness of a text, and optionally an annotation, from a link in
+ * the app, e.g. a citation in a note.
+ *
+ * The payload is the same as a TEXT_URL action's.
+ */
+export function openedTextUrl(
+    textId: number,
+    witnessId: number,
+    annotation?: string
+): TextUrlAction {
+    let payload: $PropertyType<TextUrlAction, "payload"> = {
+        textId,
+        witnessId
+    };
+    if (annotation) {
+        payload.annotation = annotation;
+    }
+    return {
+        type: OPENED_TEXT_URL,
+        payload
+    };
+}
+
 export function enteredUrl(url: string, ) {
     return {
         type: TEXT_URL,
@@ -1,12 +1,26 @@
 // @flow
 import axios from "axios";
+import uuidV4 from "uuid/v4";
 import Annotation from "lib/Annotation";
 import Witness from "lib/Witness";
 import User from "lib/User";
+import * as offlineStore from "lib/offlineStore";
+import { normaliseSearchTerm } from "lib/tibetanSearch";
+import type { KeyBindings } from "lib/keyBindings";
+import { getImageInfoUrl } from "lib/iiifImage";
 
 axios.defaults.xsrfCookieName = "csrftoken";
 axios.defaults.xsrfHeaderName = "X-CSRFToken";
 
+/**
+ * Identifies this instance of the app, e.g. a browser tab.
+ *
+ * It is sent with every request so the changes it makes are not pushed
+ * back to it.
+ */
+export const CLIENT_ID = uuidV4();
+axios.defaults.headers.common["X-Parkhang-Client"] = CLIENT_ID;
+
 const GET = "get";
 const POST = "post";
 const PUT = "put";
@@ -14,11 +28,37 @@ const DELETE = "delete";
 
 type ReqMethod = "get" | "post" | "put" | "delete";
 
+/**
+ * A request that changes data on the server.
+ *
+ * It only contains plain data so it can be stored and sent later
+ * if the user is offline.
+ */
+export type QueuedRequest = {
+    method: ReqMethod,
+    url: string,
+    data: any
+};
+
 export type AnnotationOp = "A" | "R";
 export const appliedOp: AnnotationOp = "A";
 export const removedOp: AnnotationOp = "R";
 
-function request(method: ReqMethod, url, data: any = null): Promise<*> {
+/**
+ * Send a request to the API.
+ *
+ * @param {string} method
+ * @param {string} url
+ * @param {*} [data=null]
+ * @param {boolean} [cacheOffline=false] - Whether to cache the response of
+ *      a GET request, so it can be used while offline.
+ */
+function request(
+    method: ReqMethod,
+    url,
+    data: any = null,
+    cacheOffline: boolean = false
+): Promise<*> {
     let req = null;
     switch (method) {
         case POST:
@@ -40,15 +80,33 @@ function request(method: ReqMethod, url, data: any = null): Promise<*> {
     return new Promise((resolve, reject) => {
         promiseReq(url, data)
             .then(response => {
+                if (method === GET && cacheOffline) {
+                    offlineStore.cacheResponse(url, response.data);
+                }
                 resolve(response.data);
             })
             .catch(error => {
                 console.dir(error);
-                reject(error);
+                if (method === GET && cacheOffline && !error.response) {
+                    // Probably offline, so use the last response if there is one.
+                    offlineStore.getCachedResponse(url).then(cached => {
+                        if (cached !== undefined) {
+                            resolve(cached);
+                        } else {
+                            reject(error);
+                        }
+                    });
+                } else {
+                    reject(error);
+                }
             });
     });
 }
 
+export function sendRequest(queuedRequest: QueuedRequest): Promise<*> {
+    return request(queuedRequest.method, queuedRequest.url, queuedRequest.data);
+}
+
 // USER
 
 export class InvalidUserError extends Error {}
@@ -69,7 +127,11 @@ export function setUserLocale(
 
 export type UserSettings = {
     showPageImages?: boolean,
-    textFontSize?: number
+    showPechaView?: boolean,
+    pageImageLayout?: string,
+    pageImageZoom?: number,
+    textFontSize?: number,
+    keyBindings?: KeyBindings
 };
 
 export function fetchUserSettings(
@@ -103,44 +165,77 @@ export type SourceData = {
 };
 export function fetchSources(): Promise<SourceData[]> {
     const url = "/api/sources/";
-    return request(GET, url);
+    return request(GET, url, null, true);
 }
 
 export type TextData = {
     id: number,
-    name: string
+    name: string,
+    language?: string
 };
 export function fetchTexts(): Promise<TextData[]> {
     const url = "/api/texts/";
-    return request(GET, url);
+    return request(GET, url, null, true);
 }
 
+// Each result is the start of the match, an extract of the text around it
+// and the length of the match.
 export type TextSearchResultData = {
-    results: [[number, string]],
+    results: Array<[number, string, number]>,
     total: number,
     extra: boolean,
-    loading?: boolean
+    loading?: boolean,
+    variants?: VariantSearchResultData[]
+};
+// A variant annotation whose reading matches. The witness is the one with
+// the reading, and the extract shows the reading in place of the text it
+// replaces.
+export type VariantSearchResultData = {
+    annotation: AnnotationUniqueId,
+    witness: number,
+    source: number,
+    start: number,
+    length: number,
+    extract: string
 };
+
+/**
+ * Search all texts.
+ *
+ * Search terms are normalised, and the server ignores differences in how
+ * syllables are separated.
+ */
 export function searchTexts(
     searchTerm: string,
-    maxResults: number = 0
+    maxResults: number = 0,
+    searchVariants: boolean = false
 ): Promise<TextSearchResultData[]> {
-    const url =
-        "/api/texts/search/" + searchTerm + "?max_results=" + maxResults;
+    let url =
+        "/api/texts/search/" +
+        normaliseSearchTerm(searchTerm) +
+        "?max_results=" +
+        maxResults;
+    if (searchVariants) {
+        url += "&variants=1";
+    }
     return request(GET, url);
 }
 
 export function searchText(
     textId: number,
-    searchTerm: string
+    searchTerm: string,
+    searchVariants: boolean = false
 ): Promise<TextSearchResultData> {
-    const url =
+    let url =
         "/api/texts/search/text/" +
         textId +
         "/" +
-        searchTerm +
+        normaliseSearchTerm(searchTerm) +
         "?max_results=" +
         0;
+    if (searchVariants) {
+        url += "&variants=1";
+    }
     return request(GET, url);
 }
 
@@ -156,7 +251,7 @@ export type WitnessData = {
 };
 export function fetchTextWitnesses(text: TextData): Promise<WitnessData[]> {
     const url = "/api/texts/" + String(text.id) + "/witnesses/";
-    return request(GET, url);
+    return request(GET, url, null, true);
 }
 
 type AnnotationUniqueId = string;
@@ -174,6 +269,8 @@ export type AnnotationData = {
     unique_id: AnnotationUniqueId,
     witness: number,
     modified?: Date,
+    revision?: number,
+    review_state?: string,
     is_saved?: boolean,
     name?: string
 };
@@ -195,7 +292,7 @@ export function fetchWitnessAnnotations(
     if (type) {
         url += "?type=" + type;
     }
-    return request(GET, url);
+    return request(GET, url, null, true);
 }
 
 // APPLYING ANNOTATIONS
@@ -227,52 +324,52 @@ export function fetchUserAnnotationOperations(
     witnessData: WitnessData
 ): Promise<AnnotationOperationData[]> {
     const url = getAnnotationOperationsUrl(witnessData);
-    return request(GET, url);
+    return request(GET, url, null, true);
 }
 
-export function applyAnnotation(
+export function applyAnnotationRequest(
     annotationId: AnnotationUniqueId,
     witnessData: WitnessData
-) {
+): QueuedRequest {
     const url = getAnnotationOperationsUrl(witnessData);
     let data = {
         annotation_unique_id: annotationId,
         operation: appliedOp
     };
-    return request(POST, url, data);
+    return { method: POST, url, data };
 }
 
-export function removeAppliedAnnotation(
+export function removeAppliedAnnotationRequest(
     annotationId: AnnotationUniqueId,
     witness: WitnessData
-) {
+): QueuedRequest {
     const url = getAnnotationOperationsUrl(witness, annotationId);
-    return request(DELETE, url);
+    return { method: DELETE, url, data: null };
 }
 
 // REMOVING DEFAULT ANNOTATIONS
 
-export function removeDefaultAnnotation(
+export function removeDefaultAnnotationRequest(
     annotationId: AnnotationUniqueId,
     witnessData: WitnessData
-) {
+): QueuedRequest {
     const url = getAnnotationOperationsUrl(witnessData);
     let data = {
         annotation_unique_id: annotationId,
         operation: removedOp
     };
-    return request(POST, url, data);
+    return { method: POST, url, data };
 }
 
 // Default annotations are automatically applied,
 // so the only operations present should be a removedOp.
 // Therefore, we should just delete any operations related to them.
-export function applyDefaultAnnotation(
+export function applyDefaultAnnotationRequest(
     annotationId: AnnotationUniqueId,
     witnessData: WitnessData
-) {
+): QueuedRequest {
     const url = getAnnotationOperationsUrl(witnessData, annotationId);
-    return request(DELETE, url);
+    return { method: DELETE, url, data: null };
 }
 
 // CREATING ANNOTATIONS
@@ -295,7 +392,9 @@ export function dataFromAnnotation(annotation: Annotation): AnnotationData {
         type: annotation.type,
         original: annotation.basedOn ? annotation.basedOn.uniqueId : null,
         is_deleted: false,
-        is_saved: false
+        is_saved: false,
+        revision: annotation.revision,
+        review_state: annotation.reviewState
     };
 }
 
@@ -315,22 +414,243 @@ function getAnnotationUrl(
     return url;
 }
 
-export function createAnnotation(annotation: Annotation) {
+export function createAnnotationRequest(annotation: Annotation): QueuedRequest {
     const url = getAnnotationUrl(annotation.witness);
     let data = dataFromAnnotation(annotation);
     delete data.id;
-    return request(POST, url, data);
+    return { method: POST, url, data };
 }
 
-export function updateAnnotation(annotation: Annotation) {
+export function updateAnnotationRequest(annotation: Annotation): QueuedRequest {
     const url = getAnnotationUrl(annotation.witness, annotation);
     const data = dataFromAnnotation(annotation);
-    return request(PUT, url, data);
+    return { method: PUT, url, data };
 }
 
-export function deleteAnnotation(annotation: Annotation) {
+export function deleteAnnotationRequest(annotation: Annotation): QueuedRequest {
     const url = getAnnotationUrl(annotation.witness, annotation);
-    return request(DELETE, url);
+    return { method: DELETE, url, data: null };
+}
+
+// VARIANT STATISTICS
+
+/**
+ * The number of variants a user has applied to and removed from a witness.
+ */
+export type OperationStatisticsData = {
+    user: number,
+    user_name: string,
+    witness: number,
+    applied: number,
+    removed: number
+};
+
+export function fetchOperationStatistics(
+    textId: number
+): Promise<OperationStatisticsData[]> {
+    const url = "/api/texts/" + textId + "/operation_statistics/";
+    return request(GET, url);
+}
+
+// REVIEWING ANNOTATIONS
+
+export type ProposedAnnotationData = AnnotationData & {
+    creator_name: string
+};
+
+function getReviewsUrl(textId: number): string {
+    return "/api/texts/" + textId + "/reviews/";
+}
+
+export function fetchProposedAnnotations(
+    textId: number
+): Promise<ProposedAnnotationData[]> {
+    return request(GET, getReviewsUrl(textId));
+}
+
+export function reviewAnnotationsRequest(
+    textId: number,
+    annotationIds: AnnotationUniqueId[],
+    reviewState: string
+): QueuedRequest {
+    const url = getReviewsUrl(textId);
+    let data = {
+        review_state: reviewState,
+        annotation_unique_ids: annotationIds
+    };
+    return { method: POST, url, data };
+}
+
+// ANNOTATION HISTORY
+
+export type AnnotationChangeData = {
+    id: number | null,
+    annotation_unique_id: AnnotationUniqueId,
+    type: string,
+    witness: number,
+    user: number | null,
+    user_name: string | null,
+    content?: string | null,
+    created: string
+};
+
+/**
+ * Get the changes made to an annotation and the annotations it is based
+ * on, oldest first.
+ */
+export function fetchAnnotationHistory(
+    annotation: Annotation
+): Promise<AnnotationChangeData[]> {
+    const url = getAnnotationUrl(annotation.witness, annotation) + "/history/";
+    return request(GET, url);
+}
+
+/**
+ * Get the latest change to each annotation shown in the witness. The
+ * changes do not include content.
+ */
+export function fetchWitnessBlame(
+    witnessData: WitnessData
+): Promise<AnnotationChangeData[]> {
+    const url =
+        "/api/texts/" +
+        witnessData.text +
+        "/witnesses/" +
+        witnessData.id +
+        "/blame/";
+    return request(GET, url);
+}
+
+// DISCUSSIONS
+
+/**
+ * A reply to a note. mentions are the usernames of the users mentioned
+ * in it.
+ */
+export type NoteReplyData = {
+    id: number | null,
+    user: number | null,
+    user_name: string | null,
+    content: string,
+    mentions: string[],
+    created: string
+};
+
+/**
+ * A note and the replies to it.
+ */
+export type DiscussionData = ProposedAnnotationData & {
+    created: string,
+    is_resolved: boolean,
+    replies: NoteReplyData[]
+};
+
+function getDiscussionsUrl(witnessData: WitnessData): string {
+    return getWitnessUrl(witnessData) + "/discussions/";
+}
+
+/**
+ * Get the notes in the witness the user has made or been mentioned in,
+ * with the replies to them.
+ */
+export function fetchDiscussions(
+    witnessData: WitnessData
+): Promise<DiscussionData[]> {
+    return request(GET, getDiscussionsUrl(witnessData));
+}
+
+export function addNoteReplyRequest(
+    witnessData: WitnessData,
+    noteId: AnnotationUniqueId,
+    content: string
+): QueuedRequest {
+    const url = getDiscussionsUrl(witnessData) + noteId + "/replies/";
+    return { method: POST, url, data: { content } };
+}
+
+export function resolveNoteRequest(
+    witnessData: WitnessData,
+    noteId: AnnotationUniqueId,
+    isResolved: boolean
+): QueuedRequest {
+    const url = getDiscussionsUrl(witnessData) + noteId + "/";
+    return { method: PUT, url, data: { is_resolved: isResolved } };
+}
+
+// LIVE UPDATES
+
+function getWitnessUrl(witnessData: WitnessData): string {
+    return "/api/texts/" + witnessData.text + "/witnesses/" + witnessData.id;
+}
+
+/**
+ * Get the variants other users have applied to the witness that have
+ * been accepted by a reviewer.
+ */
+export function fetchAcceptedAnnotations(
+    witnessData: WitnessData
+): Promise<AnnotationData[]> {
+    return request(GET, getWitnessUrl(witnessData) + "/accepted_annotations/");
+}
+
+/**
+ * Open a server-sent events stream of the changes other clients make to
+ * the witness.
+ *
+ * The event types are the WITNESS_EVENT_TYPES in state_helpers/witnessEvents.
+ */
+export function openWitnessEvents(witnessData: WitnessData): EventSource {
+    const url = getWitnessUrl(witnessData) + "/events/?client_id=" + CLIENT_ID;
+    return new EventSource(url);
+}
+
+export type PresenceData = {
+    client_id: string,
+    user: string,
+    start: number | null,
+    length: number | null
+};
+
+/**
+ * Let collaborators know which part of the witness the user has selected.
+ *
+ * start and length should be null if nothing is selected.
+ */
+export function sendPresence(
+    witnessData: WitnessData,
+    start: number | null,
+    length: number | null
+): Promise<string> {
+    const url = getWitnessUrl(witnessData) + "/presence/";
+    return request(POST, url, { client_id: CLIENT_ID, start, length });
+}
+
+// PAGE IMAGES
+
+// IIIF resources are usually on another server, so these requests do not
+// use the app's request headers, which would not be allowed there.
+function fetchIiifResource(url: string): Promise<{}> {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error("Could not load " + url + ": " + response.status);
+        }
+        return response.json();
+    });
+}
+
+/**
+ * Get a IIIF Presentation manifest.
+ */
+export function fetchIiifManifest(url: string): Promise<{}> {
+    return fetchIiifResource(url);
+}
+
+/**
+ * Get the description of a IIIF Image API service, giving the size of the
+ * image and how it is tiled.
+ */
+export function fetchIiifImageInfo(serviceUrl: string): Promise<{}> {
+    return fetchIiifResource(getImageInfoUrl(serviceUrl));
 }
 
 // TODO: get default annotations
@@ -2,4 +2,34 @@ export const TEXT_LIST_WIDTH_COOKIE = "text_list_width";
 export const DEFAULT_TEXT_LIST_WIDTH = 300;
 export const MIN_TEXT_LIST_WIDTH = 300;
 export const MAX_SEARCH_RESULTS = 10;
+// Search the working text, the working text and variant readings, or the
+// selected witness's text with a pattern.
+export const SEARCH_MODES = {
+    text: "text",
+    variants: "variants",
+    pattern: "pattern"
+};
 export const DEFAULT_TEXT_FONT_SIZE = 24;
+// Page images are shown above each page of the text, or one at a time
+// next to the text.
+export const PAGE_IMAGE_LAYOUTS = {
+    inline: "inline",
+    sideBySide: "sideBySide"
+};
+// Page images are zoomed relative to the size that fits the viewer
+export const MIN_PAGE_IMAGE_ZOOM = 1;
+export const MAX_PAGE_IMAGE_ZOOM = 16;
+export const DEFAULT_PAGE_IMAGE_ADJUSTMENTS = {
+    rotation: 0,
+    brightness: 100,
+    contrast: 100
+};
+export const MIN_COMPARISON_WITNESSES = 2;
+export const MAX_COMPARISON_WITNESSES = 4;
+export const MAX_ANNOTATION_HISTORY = 100;
+// How often the user's presence is sent to collaborators, and how long
+// collaborators' presence is shown after it was last received.
+export const PRESENCE_INTERVAL = 60000;
+export const PRESENCE_TIMEOUT = 150000;
+// The number of variants that can be applied with the number keys
+export const MAX_VARIANT_SHORTCUTS = 9;
@@ -9,6 +9,7 @@ import TextsSearchContainer from "components/TextsSearch/TextsSearchContainer";
 import TextListContainer from "containers/TextListContainer";
 import TextDetailContainer from "components/TextDetail/TextDetailContainer";
 import TextListTabContainer from "components/TextList/TextListTabContainer";
+import ShortcutsOverlayContainer from "components/Shortcuts/ShortcutsOverlayContainer";
 import type { AppState } from "reducers";
 import * as actions from "actions";
 import * as constants from "app_constants";
@@ -60,6 +61,7 @@ const App = (props: Props) => {
             }}
         >
             <HeaderContainer />
+            <ShortcutsOverlayContainer />
             <div className={classnames(styles.interface, utilStyles.flex)}>
                 <SplitPane
                     split="vertical"
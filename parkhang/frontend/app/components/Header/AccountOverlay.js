@@ -3,6 +3,7 @@ import React from "react";
 import { FormattedMessage, injectIntl } from "react-intl";
 import User from "lib/User";
 import Button from "components/UI/Button";
+import { clearCachedResponses } from "lib/offlineStore";
 import styles from "./AccountOverlay.css";
 
 type Props = {
@@ -12,6 +13,15 @@ type Props = {
     intl: { formatMessage: ({ [id: string]: string }) => string }
 };
 
+function logOut(event: SyntheticMouseEvent<HTMLAnchorElement>) {
+    // Remove the user's cached data before leaving the page
+    event.preventDefault();
+    const url = event.currentTarget.href;
+    clearCachedResponses().then(() => {
+        window.location.href = url;
+    });
+}
+
 const AccountOverlay = (props: Props) => {
     let signOutTitle = props.intl.formatMessage({
         id: "header.logout"
@@ -26,7 +36,7 @@ const AccountOverlay = (props: Props) => {
             }}
         >
             <h3 className={styles.username}>{props.user.name}</h3>
-            <a href="/accounts/logout/">
+            <a href="/accounts/logout/" onClick={logOut}>
                 <Button
                     title={signOutTitle}
                     color="black"
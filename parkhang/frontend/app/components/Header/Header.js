@@ -11,7 +11,12 @@ import LocaleSwitcher from "components/LocaleSwitcher/LocaleSwitcher";
 import NavigationButton from "components/UI/NavigationButton";
 import AccountButton from "./AccountButton";
 import AccountOverlay from "./AccountOverlay";
-import { getTextListVisible, getAccountOverlayVisible } from "reducers";
+import {
+    getTextListVisible,
+    getAccountOverlayVisible,
+    getShortcutsOverlayVisible,
+    getPendingRequestCount
+} from "reducers";
 import * as actions from "actions";
 
 export const LoginControls = () => (
@@ -51,7 +56,9 @@ type HeaderProps = {
     user: User,
     activeLocale: string,
     accountOverlayVisible: boolean,
+    pendingRequests: number,
     navigationButtonClicked: () => void,
+    shortcutsButtonClicked: () => void,
     intl: { formatMessage: ({ [id: string]: string }) => string },
     accountButtonClicked: () => void
 };
@@ -84,6 +91,20 @@ export const Header = (props: HeaderProps) => {
             <p>
                 <FormattedMessage id="header.title" key={props.activeLocale} />
             </p>
+            {props.pendingRequests > 0 && (
+                <div className={styles.pendingRequests}>
+                    <FormattedMessage
+                        id="header.pendingEdits"
+                        values={{ count: props.pendingRequests }}
+                    />
+                </div>
+            )}
+            <button
+                className={styles.shortcutsButton}
+                onClick={props.shortcutsButtonClicked}
+            >
+                <FormattedMessage id="header.shortcuts" />
+            </button>
             <LocaleSwitcher />
             {controls}
         </header>
@@ -98,7 +119,9 @@ const mapStateToProps = (state: AppState): { user: User } => {
         user: user,
         activeLocale: activeLocale,
         textListIsVisible: getTextListVisible(state),
-        accountOverlayVisible: getAccountOverlayVisible(state)
+        accountOverlayVisible: getAccountOverlayVisible(state),
+        shortcutsOverlayVisible: getShortcutsOverlayVisible(state),
+        pendingRequests: getPendingRequestCount(state)
     };
 };
 
@@ -111,6 +134,13 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
                 actions.changedTextListVisible(!stateProps.textListIsVisible)
             );
         },
+        shortcutsButtonClicked: () => {
+            dispatchProps.dispatch(
+                actions.changedShortcutsOverlay(
+                    !stateProps.shortcutsOverlayVisible
+                )
+            );
+        },
         accountButtonClicked: () => {
             dispatchProps.dispatch(
                 actions.changedAccountOverlay(!stateProps.accountOverlayVisible)
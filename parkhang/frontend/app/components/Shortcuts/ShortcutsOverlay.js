@@ -0,0 +1,191 @@
+// @flow
+import React from "react";
+import classnames from "classnames";
+import { FormattedMessage, injectIntl } from "react-intl";
+import Button from "components/UI/Button";
+import {
+    getShortcutKey,
+    getCommandForKey,
+    getKeyConflicts,
+    getCommandMessage
+} from "lib/keyBindings";
+import type { KeyBindings } from "lib/keyBindings";
+import styles from "./ShortcutsOverlay.css";
+
+// Keys that only modify other keys, and so can't be bound by themselves
+const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta", "AltGraph"];
+
+type Props = {
+    visible: boolean,
+    keyBindings: KeyBindings,
+    onChangeBinding: (command: string, key: string) => void,
+    onResetBindings: () => void,
+    onClose: () => void,
+    intl: {
+        formatMessage: (
+            { [id: string]: string },
+            values?: { [string]: mixed }
+        ) => string
+    }
+};
+
+type State = {
+    recordingCommand: string | null,
+    // The command already bound to the last key pressed while recording
+    conflictingCommand: string | null
+};
+
+/**
+ * Lists the keyboard shortcuts and lets the user change the key bound to
+ * each of them.
+ */
+class ShortcutsOverlay extends React.Component<Props, State> {
+    constructor(props: Props) {
+        super(props);
+
+        this.state = {
+            recordingCommand: null,
+            conflictingCommand: null
+        };
+    }
+
+    startRecording(command: string) {
+        this.setState({
+            recordingCommand: command,
+            conflictingCommand: null
+        });
+    }
+
+    stopRecording() {
+        this.setState({
+            recordingCommand: null,
+            conflictingCommand: null
+        });
+    }
+
+    recordKey(e: SyntheticKeyboardEvent<*>) {
+        const command = this.state.recordingCommand;
+        // Don't trigger the shortcut being changed
+        e.stopPropagation();
+        e.preventDefault();
+        if (!command || MODIFIER_KEYS.includes(e.key)) {
+            return;
+        }
+        if (e.key === "Escape") {
+            this.stopRecording();
+            return;
+        }
+
+        const key = getShortcutKey(e);
+        const existingCommand = getCommandForKey(this.props.keyBindings, key);
+        if (existingCommand && existingCommand !== command) {
+            this.setState({
+                conflictingCommand: existingCommand
+            });
+            return;
+        }
+        this.props.onChangeBinding(command, key);
+        this.stopRecording();
+    }
+
+    describeCommand(command: string): string {
+        const message = getCommandMessage(command);
+        return this.props.intl.formatMessage(
+            { id: message.id },
+            message.values
+        );
+    }
+
+    render() {
+        const { keyBindings, visible } = this.props;
+        if (!visible) {
+            return null;
+        }
+        const { recordingCommand, conflictingCommand } = this.state;
+        const conflicts = getKeyConflicts(keyBindings);
+
+        return (
+            <div className={styles.shortcutsOverlay}>
+                <h3 className={styles.heading}>
+                    <FormattedMessage id="shortcuts.heading" />
+                </h3>
+                <ul className={styles.bindings}>
+                    {Object.keys(keyBindings).map(command => {
+                        const key = keyBindings[command];
+                        const isRecording = command === recordingCommand;
+                        let binding = null;
+                        if (isRecording) {
+                            binding = (
+                                <input
+                                    className={styles.recorder}
+                                    autoFocus
+                                    readOnly
+                                    value={this.props.intl.formatMessage({
+                                        id: "shortcuts.pressKey"
+                                    })}
+                                    onKeyDown={e => this.recordKey(e)}
+                                    onBlur={() => this.stopRecording()}
+                                />
+                            );
+                        } else {
+                            binding = (
+                                <button
+                                    className={classnames(styles.key, {
+                                        [styles.conflict]: conflicts.hasOwnProperty(
+                                            key
+                                        )
+                                    })}
+                                    title={this.props.intl.formatMessage({
+                                        id: "shortcuts.change"
+                                    })}
+                                    onClick={() => this.startRecording(command)}
+                                >
+                                    {key}
+                                </button>
+                            );
+                        }
+
+                        return (
+                            <li key={command}>
+                                <span className={styles.command}>
+                                    {this.describeCommand(command)}
+                                </span>
+                                {binding}
+                                {isRecording && conflictingCommand && (
+                                    <p className={styles.error}>
+                                        <FormattedMessage
+                                            id="shortcuts.conflict"
+                                            values={{
+                                                command: this.describeCommand(
+                                                    conflictingCommand
+                                                )
+                                            }}
+                                        />
+                                    </p>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+                <div className={styles.buttons}>
+                    <Button
+                        title={this.props.intl.formatMessage({
+                            id: "shortcuts.reset"
+                        })}
+                        color="black"
+                        backgroundColor="#bbb"
+                        onClick={this.props.onResetBindings}
+                    />
+                    <Button
+                        title={this.props.intl.formatMessage({
+                            id: "shortcuts.close"
+                        })}
+                        onClick={this.props.onClose}
+                    />
+                </div>
+            </div>
+        );
+    }
+}
+
+export default injectIntl(ShortcutsOverlay);
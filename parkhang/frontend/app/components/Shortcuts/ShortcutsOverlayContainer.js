@@ -0,0 +1,55 @@
+// @flow
+import { connect } from "react-redux";
+import ShortcutsOverlay from "./ShortcutsOverlay";
+import * as actions from "actions";
+import * as reducers from "reducers";
+import { DEFAULT_KEY_BINDINGS } from "lib/keyBindings";
+import type { AppState } from "reducers";
+
+const mapStateToProps = (state: AppState) => {
+    return {
+        visible: reducers.getShortcutsOverlayVisible(state),
+        keyBindings: reducers.getKeyBindings(state),
+        userKeyBindings: reducers.getUserKeyBindings(state)
+    };
+};
+
+const mergeProps = (
+    stateProps,
+    dispatchProps: { dispatch: (action: actions.Action) => void },
+    ownProps
+) => {
+    const { dispatch } = dispatchProps;
+    return {
+        ...ownProps,
+        visible: stateProps.visible,
+        keyBindings: stateProps.keyBindings,
+        onChangeBinding: (command: string, key: string) => {
+            // Only bindings that differ from the defaults are stored so
+            // users get any later changes to the others.
+            let userKeyBindings = { ...stateProps.userKeyBindings };
+            if (DEFAULT_KEY_BINDINGS[command] === key) {
+                delete userKeyBindings[command];
+            } else {
+                userKeyBindings[command] = key;
+            }
+            dispatch(actions.changedKeyBindings(userKeyBindings));
+        },
+        onResetBindings: () => {
+            dispatch(actions.changedKeyBindings({}));
+        },
+        onClose: () => {
+            dispatch(actions.changedShortcutsOverlay(false));
+        }
+    };
+};
+
+type OwnProps = {||};
+
+const ShortcutsOverlayContainer = connect<_, OwnProps, _, _, _, _>(
+    mapStateToProps,
+    null,
+    mergeProps
+)(ShortcutsOverlay);
+
+export default ShortcutsOverlayContainer;
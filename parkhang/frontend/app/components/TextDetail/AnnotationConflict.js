@@ -0,0 +1,59 @@
+// @flow
+import React from "react";
+import { FormattedMessage, injectIntl } from "react-intl";
+import Button from "components/UI/Button";
+import type { AnnotationConflict as Conflict } from "reducers";
+import styles from "./AnnotationConflict.css";
+
+type Props = {
+    conflict: Conflict,
+    onResolve: (conflict: Conflict, keepMine: boolean) => void,
+    intl: { formatMessage: ({ [id: string]: string }) => string }
+};
+
+/**
+ * Shown when an annotation could not be saved because someone else changed
+ * it first, so the user can choose which version to keep.
+ */
+const AnnotationConflict = (props: Props) => {
+    const { conflict, intl } = props;
+    return (
+        <div className={styles.annotationConflict}>
+            <h4 className={styles.heading}>
+                <FormattedMessage id="annotation.conflict" />
+            </h4>
+            <div className={styles.versions}>
+                <div className={styles.version}>
+                    <h5 className={styles.versionHeading}>
+                        <FormattedMessage id="annotation.conflictMine" />
+                    </h5>
+                    <div className={styles.content}>
+                        {conflict.mine.content}
+                    </div>
+                    <Button
+                        title={intl.formatMessage({
+                            id: "annotation.keepMine"
+                        })}
+                        onClick={() => props.onResolve(conflict, true)}
+                    />
+                </div>
+                <div className={styles.version}>
+                    <h5 className={styles.versionHeading}>
+                        <FormattedMessage id="annotation.conflictTheirs" />
+                    </h5>
+                    <div className={styles.content}>
+                        {conflict.theirs.content}
+                    </div>
+                    <Button
+                        title={intl.formatMessage({
+                            id: "annotation.keepTheirs"
+                        })}
+                        onClick={() => props.onResolve(conflict, false)}
+                    />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default injectIntl(AnnotationConflict);
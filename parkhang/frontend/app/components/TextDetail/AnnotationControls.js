@@ -16,6 +16,11 @@ import Button from "components/UI/Button";
 import PageBreakIcon from "images/page_break_icon.svg";
 import { List } from "react-virtualized/dist/es/List";
 import AnnotationControlsHeader from "./AnnotationControlsHeader";
+import AnnotationConflict from "./AnnotationConflict";
+import AnnotationHistoryContainer from "./AnnotationHistoryContainer";
+import type { AnnotationConflict as Conflict } from "reducers";
+import { MAX_VARIANT_SHORTCUTS } from "app_constants";
+import { BASE_ANNOTATION_ID } from "lib/AnnotatedText";
 
 export const CONTROLS_MARGIN_LEFT = 10;
 
@@ -38,11 +43,16 @@ export type Props = {
     temporaryNotes: Annotation[],
     addNote: () => void,
     editNote: (annotation: Annotation) => void,
+    discussNote?: (annotation: Annotation) => void,
     saveAnnotation: (annotation: Annotation, content: string) => void,
     cancelEditAnnotation: (annotation: Annotation) => void,
     deleteAnnotation: (annotation: Annotation) => void,
     addPageBreak: () => void,
     addLineBreak: () => void,
+    conflicts: Conflict[],
+    resolveConflict: (conflict: Conflict, keepMine: boolean) => void,
+    historyAnnotationId: string | null,
+    showHistory: (annotation: Annotation | null) => void,
     list: List | null
 };
 
@@ -318,6 +328,8 @@ export default class AnnotationControls extends React.Component<Props> {
         }
 
         if (props.annotationsData) {
+            // Variants can be applied by pressing their number
+            let shortcutNumber = 0;
             props.annotationsData.map(annotationData => {
                 let isEditing = false;
                 let isActive = false;
@@ -356,6 +368,18 @@ export default class AnnotationControls extends React.Component<Props> {
                     );
                     temporaryAnnotations.push(annotationDetail);
                 } else {
+                    shortcutNumber++;
+                    let shortcut = undefined;
+                    if (
+                        isLoggedIn &&
+                        !props.temporaryAnnotation &&
+                        shortcutNumber <= MAX_VARIANT_SHORTCUTS
+                    ) {
+                        shortcut = String(shortcutNumber);
+                    }
+                    const historyVisible =
+                        props.historyAnnotationId ===
+                        annotationData.annotation.uniqueId;
                     let annotationDetail = (
                         <AnnotationDetail
                             annotationData={annotationData}
@@ -376,7 +400,29 @@ export default class AnnotationControls extends React.Component<Props> {
                                 }
                             }}
                             isLoggedIn={isLoggedIn}
-                        />
+                            shortcut={shortcut}
+                            reviewState={
+                                annotationData.userCreated
+                                    ? annotationData.annotation.reviewState
+                                    : undefined
+                            }
+                            historyHandler={
+                                annotationData.annotation.id !==
+                                BASE_ANNOTATION_ID
+                                    ? () =>
+                                          props.showHistory(
+                                              historyVisible
+                                                  ? null
+                                                  : annotationData.annotation
+                                          )
+                                    : undefined
+                            }
+                            historyVisible={historyVisible}
+                        >
+                            <AnnotationHistoryContainer
+                                annotation={annotationData.annotation}
+                            />
+                        </AnnotationDetail>
                     );
                     annotations.push(annotationDetail);
                 }
@@ -410,6 +456,7 @@ export default class AnnotationControls extends React.Component<Props> {
         let allowPageBreak = !this.props.selectedWitness.isWorking;
         let lineBreaksButton = null;
         let allowLineBreak = !this.props.selectedWitness.isWorking;
+        let imageRegionsButton = null;
         if (isLoggedIn && !this.props.selectedWitness.isWorking) {
             let pageBreaks = [];
             let lineBreaks = [];
@@ -464,6 +511,29 @@ export default class AnnotationControls extends React.Component<Props> {
                 allowLineBreak = false;
             }
 
+            const imageRegions = (this.props.availableAnnotations || []).filter(
+                (annotation: Annotation) =>
+                    annotation.type === ANNOTATION_TYPES.imageRegion &&
+                    annotation.creatorWitness.id ===
+                        this.props.selectedWitness.id
+            );
+            if (imageRegions.length > 0) {
+                imageRegionsButton = (
+                    <div className={styles.breakButtons}>
+                        <Button
+                            title="Image Region"
+                            accessoryType="DELETE"
+                            icon="&#9645;"
+                            onClick={() => {
+                                this.props.deleteAnnotation(imageRegions[0]);
+                            }}
+                            isActive={true}
+                            backgroundColor={colours.activeButton}
+                        />
+                    </div>
+                );
+            }
+
             // Can't have line break and page break in same place.
             if (!allowPageBreak) allowLineBreak = false;
             if (!allowLineBreak) allowPageBreak = false;
@@ -501,11 +571,23 @@ export default class AnnotationControls extends React.Component<Props> {
                         key={key}
                         delete={this.props.deleteAnnotation}
                         edit={this.props.editNote}
+                        discuss={this.props.discussNote}
                     />
                 );
             });
         }
 
+        let conflicts = null;
+        if (props.conflicts && props.conflicts.length > 0) {
+            conflicts = props.conflicts.map((conflict: Conflict) => (
+                <AnnotationConflict
+                    conflict={conflict}
+                    key={"CONFLICT_" + conflict.mine.uniqueId}
+                    onResolve={props.resolveConflict}
+                />
+            ));
+        }
+
         let classes = [styles.annotationControls];
         if (props.inline) {
             classes.push(styles.inline);
@@ -537,12 +619,14 @@ export default class AnnotationControls extends React.Component<Props> {
                     />
                 )}
                 <div className={styles.annotationContent}>
+                    {conflicts}
                     {anonymousUserMessage}
                     {nothingSelected}
                     {!breakSelected && temporaryAnnotations}
                     {!breakSelected && annotations}
                     {pageBreaksButton}
                     {lineBreaksButton}
+                    {imageRegionsButton}
                     {tempNotes}
                     {notes}
                 </div>
@@ -3,226 +3,23 @@ import React from "react";
 import { connect } from "react-redux";
 import { batchActions } from "redux-batched-actions";
 import AnnotationControls from "./AnnotationControls";
-import addTibetanShay from "lib/addTibetanShay";
 import * as reducers from "reducers";
-import type { AppState } from "reducers";
+import type { AppState, AnnotationConflict } from "reducers";
 import * as actions from "actions";
 import { BASE_ANNOTATION_ID } from "lib/AnnotatedText";
 import Annotation, {
     ANNOTATION_TYPES,
     TemporaryAnnotation
 } from "lib/Annotation";
-import type { AnnotationUniqueId } from "lib/Annotation";
 import AnnotatedText from "lib/AnnotatedText";
-import User from "lib/User";
-import Witness from "lib/Witness";
 import TextSegment from "lib/TextSegment";
 import SplitText from "lib/SplitText";
 import _ from "lodash";
 import { changedActiveTextAnnotation } from "actions";
-
-const TEMPORARY_ANNOTATION_ID = -3;
-const BASE_NAME = "Working";
-
-type AnnotationData = {
-    name: string,
-    content: string,
-    id: AnnotationUniqueId,
-    isTemporary: boolean,
-    annotation: Annotation,
-    userCreated: boolean
-};
-const getAnnotationsData = (
-    annotations,
-    sources,
-    workingSourceName
-): AnnotationData[] => {
-    let annotationsData = [];
-    let baseSources = sources.filter(
-        source => source.isWorking || source.isBase
-    );
-    let baseSourceNames = baseSources.map(source => source.name);
-    if (annotations) {
-        let annotationsById = {};
-        for (let i = 0; i < annotations.length; i++) {
-            let annotation = annotations[i];
-            let id = annotation.content + annotation.start;
-            if (annotation.isTemporary) {
-                annotationsById[TEMPORARY_ANNOTATION_ID] = {
-                    name: annotation.getSourceName(),
-                    content: annotation.content,
-                    id: annotation.uniqueId,
-                    isTemporary: true,
-                    annotation: annotation
-                };
-                baseSourceNames = baseSourceNames.filter(
-                    a => a !== annotation.getSourceName()
-                );
-                id = TEMPORARY_ANNOTATION_ID;
-            } else if (annotationsById[id]) {
-                let existingAnnotation = annotationsById[id];
-                existingAnnotation.name +=
-                    " " + addTibetanShay(annotation.getSourceName());
-                baseSourceNames = baseSourceNames.filter(
-                    a => a !== annotation.getSourceName()
-                );
-            } else {
-                annotationsById[id] = {
-                    name: addTibetanShay(annotation.getSourceName()),
-                    content: annotation.content,
-                    id: annotation.uniqueId,
-                    userCreated: annotation.userCreated,
-                    annotation: annotation
-                };
-                baseSourceNames = baseSourceNames.filter(
-                    a => a !== annotation.getSourceName()
-                );
-            }
-            if (
-                !annotation.userCreated &&
-                annotation.creatorWitness.isWorking
-            ) {
-                annotationsById[id].isWorking = true;
-            } else {
-                annotationsById[id].isWorking = false;
-            }
-        }
-        // Make sure Working source is first
-        baseSourceNames.unshift(workingSourceName);
-        annotationsData = Object.keys(annotationsById).reduce((arr, key) => {
-            const annotationData = annotationsById[key];
-            if (annotationData.isWorking) {
-                annotationData.name = baseSourceNames.reduce(
-                    (prev, cur) => (prev += " " + addTibetanShay(cur, ";")),
-                    ""
-                );
-            }
-            arr.push(annotationData);
-            return arr;
-        }, []);
-    }
-
-    return annotationsData;
-};
-
-const getAvailableAnnotations = (
-    annotatedText: AnnotatedText,
-    activeAnnotation: Annotation,
-    temporaryAnnotation: TemporaryAnnotation | null,
-    annotationPositions: { [string]: Annotation[] }
-): Annotation[] => {
-    let availableAnnotations = [];
-    if (
-        !temporaryAnnotation ||
-        activeAnnotation.naturalId !== temporaryAnnotation.naturalId
-    ) {
-        availableAnnotations.push(activeAnnotation);
-    }
-    if (temporaryAnnotation) {
-        availableAnnotations.push(temporaryAnnotation);
-    }
-    let [start, length] = annotatedText.getPositionOfAnnotation(
-        activeAnnotation
-    );
-
-    if (!start) {
-        return availableAnnotations;
-    }
-
-    let end = start + length;
-
-    let possibleAnnotations = [];
-
-    if (activeAnnotation.isInsertion) {
-        const insertionAnnotations = annotationPositions["i" + start];
-        if (insertionAnnotations) {
-            possibleAnnotations = possibleAnnotations.concat(
-                insertionAnnotations
-            );
-        }
-        const activeInsertionAnnotations = annotationPositions[String(start)];
-        if (activeInsertionAnnotations) {
-            possibleAnnotations = possibleAnnotations.concat(
-                activeInsertionAnnotations
-            );
-        }
-    } else {
-        // Only include annotations if they encompass the whole annotation
-        // i.e. not if activeAnnotation is a user annotation and combines
-        // annotated text with normal text.
-        let startAnnotations = annotationPositions[String(start)];
-        let endAnnotations = annotationPositions[String(end)];
-
-        if (startAnnotations) {
-            possibleAnnotations = startAnnotations;
-        }
-        if (endAnnotations) {
-            possibleAnnotations = possibleAnnotations.concat(endAnnotations);
-        }
-    }
-
-    for (let i = 0; i < possibleAnnotations.length; i++) {
-        const annotation = possibleAnnotations[i];
-        if (
-            annotation.start === activeAnnotation.start &&
-            annotation.length === activeAnnotation.length
-        ) {
-            // If an annotation is being edited, there will be a temporary annotation
-            // with the same natural id. If so, don't show the orignal version.
-            //
-            // We use natualId, as it normalises the id regardless of the original's
-            // save state. e.g. Upon editing a witness variant, a new annotation will be
-            // created. If the user is offline, that will not have been saved via the
-            // API yet. The user could then edit this new annotation, creating a temporary
-            // annotation based upon it. While this is being edited, the user could come
-            // back online and the save operation will succeed. This will mean the id of
-            // the temporary annotation will be different to the original edit, but naturalId
-            // will be the same.
-            if (
-                !temporaryAnnotation ||
-                annotation.naturalId !== temporaryAnnotation.naturalId
-            ) {
-                availableAnnotations.push(annotation);
-            }
-        } else if (!annotatedText.activeWitness.isWorking) {
-            if (
-                annotation.type === ANNOTATION_TYPES.pageBreak ||
-                annotation.type === ANNOTATION_TYPES.lineBreak
-            ) {
-                availableAnnotations.push(annotation);
-            }
-        }
-    }
-
-    availableAnnotations = _.uniqWith(
-        availableAnnotations,
-        (a, b) => a.id === b.id
-    );
-
-    return availableAnnotations;
-};
-
-const getTemporaryAnnotation = (
-    state: AppState,
-    type: string,
-    user: User,
-    witness: Witness,
-    start: number,
-    length: number
-): TemporaryAnnotation | null => {
-    const annotations = reducers.getTemporaryAnnotations(
-        state,
-        witness.id,
-        start,
-        length,
-        type
-    );
-    if (annotations.length > 0) {
-        return annotations[0];
-    } else {
-        return null;
-    }
-};
+import {
+    getAnnotationChoices,
+    getSelectAnnotationActions
+} from "state_helpers/annotationChoices";
 
 // These are the props that are expected to be set and available in ownProps
 type ContainerProps = {
@@ -261,77 +58,24 @@ export const mapStateToProps = (state: AppState, ownProps: ContainerProps) => {
             inline: null,
             firstSelectedSegment: null,
             splitTextRect: null,
-            selectedWitness: null
+            selectedWitness: null,
+            conflicts: []
         };
     }
 
-    const temporaryVariant = getTemporaryAnnotation(
+    const {
+        temporaryVariant,
+        annotations,
+        variantsData,
+        baseAnnotation
+    } = getAnnotationChoices(
         state,
-        ANNOTATION_TYPES.variant,
-        user,
-        selectedWitness,
-        activeAnnotation.start,
-        activeAnnotation.length
-    );
-
-    const annotations = getAvailableAnnotations(
         ownProps.annotatedText,
         activeAnnotation,
-        temporaryVariant,
-        ownProps.annotationPositions
-    );
-    const variants = annotations.filter(
-        (annotation: Annotation) => annotation.type === ANNOTATION_TYPES.variant
-    );
-    const sources = reducers.getSources(state);
-    const workingSourceName = reducers.getTranslation(
-        state,
-        "annotation.workingEdition",
-        BASE_NAME
+        ownProps.annotationPositions,
+        selectedWitness,
+        user
     );
-    let variantsData = getAnnotationsData(variants, sources, workingSourceName);
-
-    let baseAnnotation = null;
-    if (activeAnnotation.id == BASE_ANNOTATION_ID) {
-        baseAnnotation = activeAnnotation;
-    } else {
-        const [start, length] = ownProps.annotatedText.getPositionOfAnnotation(
-            activeAnnotation
-        );
-        if (start === null || length === null) {
-            variantsData = null;
-        } else {
-            baseAnnotation = ownProps.annotatedText.getBaseAnnotation(
-                start,
-                length
-            );
-            const baseAnnotationData = getAnnotationsData(
-                [baseAnnotation],
-                sources,
-                workingSourceName
-            );
-            variantsData = [...baseAnnotationData, ...variantsData];
-        }
-    }
-
-    // make sure temporary annotation is first, then user created, then base annotation
-    if (variantsData) {
-        variantsData.sort((a, b) => {
-            if (a.isTemporary) {
-                return -1;
-            } else if (b.isTemporary) {
-                return 1;
-            } else if (a.userCreated) {
-                return -1;
-            } else if (b.userCreated) {
-                return 1;
-            } else if (a.annotation.id && b.annotation.id) {
-                return a.annotation.id - b.annotation.id;
-            } else {
-                return 1;
-            }
-        });
-    }
 
     const notes = annotations.filter(
         (annotation: Annotation) => annotation.type === ANNOTATION_TYPES.note
@@ -357,7 +101,12 @@ export const mapStateToProps = (state: AppState, ownProps: ContainerProps) => {
         splitTextRect: ownProps.splitTextRect,
         selectedWitness: selectedWitness,
         notes: notes,
-        temporaryNotes: temporaryNotes
+        temporaryNotes: temporaryNotes,
+        conflicts: reducers.getAnnotationConflicts(
+            state,
+            activeAnnotation.witness.id
+        ),
+        historyAnnotationId: reducers.getHistoryAnnotationId(state)
     };
 };
 
@@ -398,9 +147,7 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
                     actions.changedActiveTextAnnotation(breakAnnotation)
                 );
             } else {
-                actionsBatch.push(
-                    actions.changedActiveTextAnnotation(null)
-                );
+                actionsBatch.push(actions.changedActiveTextAnnotation(null));
             }
 
             dispatch(batchActions(actionsBatch));
@@ -419,99 +166,16 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
                     value => value.uniqueId == annotation.uniqueId
                 );
             }
-            let actionsBatch = [];
-            let selectedWitness = stateProps.selectedWitness;
-            // let selectedWitnessData = reducers.getWitnessData(
-            //     state,
-            //     selectedWitness.id
-            // );
-            let selectedWitnessData = reducers.dataFromWitness(selectedWitness);
-
             if (annotation.uniqueId != stateProps.activeAnnotation.uniqueId) {
-                if (selectedWitness.isWorking) {
-                    if (annotation.id != BASE_ANNOTATION_ID) {
-                        actionsBatch.push(
-                            actions.appliedAnnotation(
-                                selectedAnnotation.uniqueId,
-                                selectedWitnessData
-                            )
-                        );
-                    }
-                    if (stateProps.activeAnnotation.id != BASE_ANNOTATION_ID) {
-                        actionsBatch.push(
-                            actions.removedAppliedAnnotation(
-                                stateProps.activeAnnotation.uniqueId,
-                                selectedWitnessData
-                            )
-                        );
-                    }
-                } else {
-                    if (
-                        stateProps.activeAnnotation.creatorWitness.id ===
-                        selectedWitness.id
-                    ) {
-                        // Replacing a default annotation
-
-                        // Currently selected annotation is a default
-                        // annotation. So need to remove that then
-                        // apply the newly selected annotation.
-
-                        actionsBatch.push(
-                            actions.removedDefaultAnnotation(
-                                stateProps.activeAnnotation.uniqueId,
-                                selectedWitnessData
-                            )
-                        );
-
-                        if (selectedAnnotation.id !== BASE_ANNOTATION_ID) {
-                            actionsBatch.push(
-                                actions.appliedAnnotation(
-                                    selectedAnnotation.uniqueId,
-                                    selectedWitnessData
-                                )
-                            );
-                        }
-                    } else {
-                        if (
-                            selectedAnnotation.creatorWitness.id ===
-                            selectedWitness.id
-                        ) {
-                            actionsBatch.push(
-                                actions.appliedDefaultAnnotation(
-                                    selectedAnnotation.uniqueId,
-                                    selectedWitnessData
-                                )
-                            );
-                        } else if (
-                            selectedAnnotation.id !== BASE_ANNOTATION_ID
-                        ) {
-                            actionsBatch.push(
-                                actions.appliedAnnotation(
-                                    selectedAnnotation.uniqueId,
-                                    selectedWitnessData
-                                )
-                            );
-                        }
-
-                        if (
-                            stateProps.activeAnnotation.id !==
-                            BASE_ANNOTATION_ID
-                        ) {
-                            actionsBatch.push(
-                                actions.removedAppliedAnnotation(
-                                    stateProps.activeAnnotation.uniqueId,
-                                    selectedWitnessData
-                                )
-                            );
-                        }
-                    }
-                }
-
-                actionsBatch.push(
-                    actions.changedActiveTextAnnotation(selectedAnnotation)
+                dispatch(
+                    batchActions(
+                        getSelectAnnotationActions(
+                            selectedAnnotation,
+                            stateProps.activeAnnotation,
+                            stateProps.selectedWitness
+                        )
+                    )
                 );
-
-                dispatch(batchActions(actionsBatch));
             }
         },
         editAnnotation: (selectedAnnotation: Annotation) => {
@@ -535,6 +199,7 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
                 // user annotations are updated
                 temporaryAnnotation.uniqueId = selectedAnnotation.uniqueId;
                 temporaryAnnotation.isSaved = selectedAnnotation.isSaved;
+                temporaryAnnotation.revision = selectedAnnotation.revision;
             }
 
             dispatch(
@@ -569,6 +234,7 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
                 selectedAnnotation.basedOn
             );
             newAnnotation.isSaved = selectedAnnotation.isSaved;
+            newAnnotation.revision = selectedAnnotation.revision;
             let actionsBatch = [];
             let action = null;
             if (newAnnotation.isSaved) {
@@ -638,6 +304,24 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
 
             dispatch(batchActions(actionsBatch));
         },
+        resolveConflict: (conflict: AnnotationConflict, keepMine: boolean) => {
+            if (keepMine) {
+                // Save it again, based on their version this time
+                const annotation = conflict.mine;
+                annotation.revision = conflict.theirs.revision;
+                dispatch(
+                    batchActions([
+                        actions.resolvedAnnotationConflict(annotation),
+                        actions.updatedAnnotation(annotation)
+                    ])
+                );
+            } else {
+                dispatch(actions.resolvedAnnotationConflict(conflict.theirs));
+            }
+        },
+        showHistory: (annotation: Annotation | null) => {
+            dispatch(actions.changedAnnotationHistory(annotation));
+        },
         addNote: () => {
             const activeAnnotation = ownProps.activeAnnotation;
             const temporaryAnnotation = new TemporaryAnnotation(
@@ -655,6 +339,10 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
                 actions.addedTemporaryAnnotation(temporaryAnnotation, true)
             );
         },
+        discussNote: (note: Annotation) => {
+            dispatch(actions.changedDiscussionsVisible(true));
+            dispatch(actions.selectedDiscussion(note.uniqueId));
+        },
         editNote: (note: Annotation) => {
             const temporaryAnnotation = new TemporaryAnnotation(
                 note,
@@ -59,6 +59,7 @@ test("mapStateToProps with no activeAnnotation", () => {
         inline: null,
         firstSelectedSegment: null,
         splitTextRect: null,
-        selectedWitness: null
+        selectedWitness: null,
+        conflicts: []
     });
 });
@@ -1,10 +1,11 @@
 // @flow
-import React from "react";
+import * as React from "react";
 import classnames from "classnames";
 import { FormattedMessage } from "react-intl";
 import styles from "./AnnotationDetail.css";
 import type { AnnotationData } from "api";
 import CheckIcon from "images/check_circle.svg";
+import { REVIEW_STATES } from "lib/Annotation";
 import { activeButton } from "css/colour.css";
 
 export type Props = {
@@ -12,7 +13,20 @@ export type Props = {
     isActive: boolean,
     selectAnnotationHandler: () => void,
     isLoggedIn: boolean,
-    editAnnotationHandler: () => void
+    editAnnotationHandler: () => void,
+    shortcut?: string,
+    // Only given for annotations created by users
+    reviewState?: string,
+    // Not given for readings without a history, e.g. the base text
+    historyHandler?: () => void,
+    historyVisible?: boolean,
+    // The history, shown if historyVisible is true
+    children?: React.Node
+};
+
+const reviewStateMessages = {
+    [REVIEW_STATES.proposed]: "annotation.proposed",
+    [REVIEW_STATES.rejected]: "annotation.rejected"
 };
 
 const MAXIMUM_TEXT_LENGTH = 250;
@@ -51,6 +65,22 @@ const AnnotationDetail = (props: Props) => {
                     </div>
                 )}
                 <h3>{props.annotationData.name}</h3>
+                {props.shortcut && (
+                    <span className={styles.shortcut}>{props.shortcut}</span>
+                )}
+                {props.reviewState &&
+                    reviewStateMessages.hasOwnProperty(props.reviewState) && (
+                        <span
+                            className={classnames(styles.reviewState, {
+                                [styles.rejected]:
+                                    props.reviewState === REVIEW_STATES.rejected
+                            })}
+                        >
+                            <FormattedMessage
+                                id={reviewStateMessages[props.reviewState]}
+                            />
+                        </span>
+                    )}
                 {props.isLoggedIn &&
                     props.isActive && (
                         <button
@@ -77,9 +107,28 @@ const AnnotationDetail = (props: Props) => {
                             <FormattedMessage id="annotation.edit" />
                         </button>
                     )}
+                {props.isLoggedIn && props.historyHandler && (
+                    <button
+                        className={classnames(styles.history, {
+                            [styles.historyVisible]: props.historyVisible
+                        })}
+                        onClick={e => {
+                            e.stopPropagation();
+                            if (props.historyHandler) {
+                                props.historyHandler();
+                            }
+                        }}
+                    >
+                        <FormattedMessage id="history.show" />
+                    </button>
+                )}
             </div>
 
             {desc}
+            {props.historyVisible && (
+                // Clicking the history shouldn't select the annotation
+                <div onClick={e => e.stopPropagation()}>{props.children}</div>
+            )}
         </div>
     );
 };
@@ -0,0 +1,122 @@
+// @flow
+import React from "react";
+import { FormattedMessage, FormattedDate, injectIntl } from "react-intl";
+import Witness from "lib/Witness";
+import { CHANGE_TYPES, DIFF_PART_TYPES } from "lib/annotationHistory";
+import type { HistoryEntry, ContentDiffPart } from "lib/annotationHistory";
+import styles from "./AnnotationHistory.css";
+
+type Props = {
+    entries: HistoryEntry[] | null,
+    witnesses: { [witnessId: number]: Witness },
+    intl: { formatMessage: ({ [id: string]: string }) => string }
+};
+
+const typeMessages = {
+    [CHANGE_TYPES.created]: "history.created",
+    [CHANGE_TYPES.updated]: "history.updated",
+    [CHANGE_TYPES.deleted]: "history.deleted",
+    [CHANGE_TYPES.applied]: "history.applied",
+    [CHANGE_TYPES.removed]: "history.removed"
+};
+
+const diffClasses = {
+    [DIFF_PART_TYPES.added]: styles.added,
+    [DIFF_PART_TYPES.removed]: styles.removed
+};
+
+function renderDiff(diff: ContentDiffPart[]) {
+    return diff.map((part, i) => (
+        <span key={i} className={diffClasses[part.type]}>
+            {part.content}
+        </span>
+    ));
+}
+
+/**
+ * Lists who created, changed, applied or removed a reading and when,
+ * including the readings it is based on.
+ */
+const AnnotationHistory = (props: Props) => {
+    const { entries, witnesses, intl } = props;
+
+    let content = null;
+    if (!entries) {
+        content = (
+            <p className={styles.message}>
+                <FormattedMessage id="history.loading" />
+            </p>
+        );
+    } else if (entries.length === 0) {
+        content = (
+            <p className={styles.message}>
+                <FormattedMessage id="history.noChanges" />
+            </p>
+        );
+    } else {
+        content = (
+            <ol className={styles.entries}>
+                {entries.map(({ change, diff }, i) => {
+                    const witness = witnesses[change.witness];
+                    let witnessName = "";
+                    if (witness) {
+                        witnessName = witness.isWorking
+                            ? intl.formatMessage({
+                                  id: "annotation.workingEdition"
+                              })
+                            : witness.source.name;
+                    }
+                    let reading = null;
+                    if (diff) {
+                        reading = renderDiff(diff);
+                    } else if (change.type === CHANGE_TYPES.created) {
+                        reading = change.content || (
+                            <FormattedMessage id="import.omitted" />
+                        );
+                    }
+                    return (
+                        <li key={i}>
+                            <div className={styles.summary}>
+                                <FormattedMessage
+                                    id={typeMessages[change.type]}
+                                    values={{
+                                        user:
+                                            change.user_name ||
+                                            intl.formatMessage({
+                                                id: "history.unknownUser"
+                                            }),
+                                        witness: witnessName
+                                    }}
+                                />
+                                <span className={styles.date}>
+                                    <FormattedDate
+                                        value={new Date(change.created)}
+                                        year="numeric"
+                                        month="short"
+                                        day="numeric"
+                                        hour="2-digit"
+                                        minute="2-digit"
+                                    />
+                                </span>
+                            </div>
+                            {reading && (
+                                <div className={styles.reading}>{reading}</div>
+                            )}
+                        </li>
+                    );
+                })}
+            </ol>
+        );
+    }
+
+    return (
+        <div className={styles.annotationHistory}>
+            <h4 className={styles.heading}>
+                <FormattedMessage id="history.heading" />
+            </h4>
+            {content}
+        </div>
+    );
+};
+
+export default injectIntl(AnnotationHistory);
@@ -0,0 +1,53 @@
+// @flow
+import { connect } from "react-redux";
+import AnnotationHistory from "./AnnotationHistory";
+import * as reducers from "reducers";
+import Annotation from "lib/Annotation";
+import { getHistoryEntries } from "lib/annotationHistory";
+import type { HistoryEntry } from "lib/annotationHistory";
+import type { AnnotationChangeData } from "api";
+import type { AppState } from "reducers";
+
+let _changes = null;
+let _entries = [];
+// Comparing the content of each change is only done when it is reloaded
+function getEntries(changes: AnnotationChangeData[]): HistoryEntry[] {
+    if (_changes !== changes) {
+        _changes = changes;
+        _entries = getHistoryEntries(changes);
+    }
+    return _entries;
+}
+
+const mapStateToProps = (state: AppState, ownProps: OwnProps) => {
+    const changes = reducers.getAnnotationChanges(
+        state,
+        ownProps.annotation.uniqueId
+    );
+    let entries = null;
+    let witnesses = {};
+    if (changes) {
+        entries = getEntries(changes);
+        for (let change of changes) {
+            const witness = reducers.getWitness(state, change.witness);
+            if (witness) {
+                witnesses[change.witness] = witness;
+            }
+        }
+    }
+
+    return {
+        entries,
+        witnesses
+    };
+};
+
+type OwnProps = {|
+    annotation: Annotation
+|};
+
+const AnnotationHistoryContainer = connect<_, OwnProps, _, _, _, _>(
+    mapStateToProps
+)(AnnotationHistory);
+
+export default AnnotationHistoryContainer;
@@ -0,0 +1,25 @@
+// @flow
+import React from "react";
+import { injectIntl } from "react-intl";
+import Button from "components/UI/Button";
+import styles from "./BlameControl.css";
+
+type Props = {
+    blameVisible: boolean,
+    onChange: (isVisible: boolean) => void,
+    intl: { formatMessage: ({ [id: string]: string }) => string }
+};
+
+const BlameControl = (props: Props) => (
+    <div className={styles.blameControl}>
+        <Button
+            title={props.intl.formatMessage({
+                id: "header.blame"
+            })}
+            isActive={props.blameVisible}
+            onClick={() => props.onChange(!props.blameVisible)}
+        />
+    </div>
+);
+
+export default injectIntl(BlameControl);
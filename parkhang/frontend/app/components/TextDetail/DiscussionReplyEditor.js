@@ -0,0 +1,138 @@
+// @flow
+import React from "react";
+import { injectIntl } from "react-intl";
+import Button from "components/UI/Button";
+import {
+    getMentionQuery,
+    getMentionSuggestions,
+    completeMention
+} from "lib/mentions";
+import type { MentionQuery } from "lib/mentions";
+import styles from "./Discussions.css";
+
+// The maximum number of usernames suggested while typing a mention
+const MAX_SUGGESTIONS = 5;
+
+type Props = {
+    usernames: string[],
+    onReply: (content: string) => void,
+    intl: { formatMessage: ({ [id: string]: string }) => string }
+};
+
+type State = {
+    content: string,
+    mentionQuery: MentionQuery | null
+};
+
+/**
+ * Edits a reply to a note, suggesting the names of the other users in
+ * the discussions when an @ is typed.
+ */
+class DiscussionReplyEditor extends React.Component<Props, State> {
+    textarea: HTMLTextAreaElement | null;
+
+    constructor(props: Props) {
+        super(props);
+
+        this.state = {
+            content: "",
+            mentionQuery: null
+        };
+    }
+
+    handleChange(e: SyntheticInputEvent<HTMLTextAreaElement>) {
+        const content = e.target.value;
+        this.setState({
+            content,
+            mentionQuery: getMentionQuery(content, e.target.selectionStart)
+        });
+    }
+
+    selectSuggestion(username: string) {
+        const { mentionQuery } = this.state;
+        if (!mentionQuery) {
+            return;
+        }
+        const completed = completeMention(
+            this.state.content,
+            mentionQuery,
+            username
+        );
+        this.setState(
+            { content: completed.content, mentionQuery: null },
+            () => {
+                const textarea = this.textarea;
+                if (textarea) {
+                    textarea.focus();
+                    textarea.setSelectionRange(
+                        completed.cursor,
+                        completed.cursor
+                    );
+                }
+            }
+        );
+    }
+
+    reply() {
+        const content = this.state.content.trim();
+        if (content.length === 0) {
+            return;
+        }
+        this.props.onReply(content);
+        this.setState({ content: "", mentionQuery: null });
+    }
+
+    render() {
+        const { mentionQuery, content } = this.state;
+        let suggestions = [];
+        if (mentionQuery) {
+            suggestions = getMentionSuggestions(
+                this.props.usernames,
+                mentionQuery.query
+            ).slice(0, MAX_SUGGESTIONS);
+        }
+
+        return (
+            <div className={styles.replyEditor}>
+                <textarea
+                    className={styles.replyText}
+                    ref={(textarea: HTMLTextAreaElement | null) =>
+                        (this.textarea = textarea)
+                    }
+                    value={content}
+                    placeholder={this.props.intl.formatMessage({
+                        id: "discussions.replyPlaceholder"
+                    })}
+                    onChange={this.handleChange.bind(this)}
+                />
+                {suggestions.length > 0 && (
+                    <ul className={styles.suggestions}>
+                        {suggestions.map(username => (
+                            <li
+                                key={username}
+                                onMouseDown={e => {
+                                    // Keep the focus in the textarea
+                                    e.preventDefault();
+                                    this.selectSuggestion(username);
+                                }}
+                            >
+                                @{username}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                <div className={styles.buttons}>
+                    <Button
+                        title={this.props.intl.formatMessage({
+                            id: "discussions.reply"
+                        })}
+                        disabled={content.trim().length === 0}
+                        onClick={this.reply.bind(this)}
+                    />
+                </div>
+            </div>
+        );
+    }
+}
+
+export default injectIntl(DiscussionReplyEditor);
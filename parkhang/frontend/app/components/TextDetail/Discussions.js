@@ -0,0 +1,328 @@
+// @flow
+import React from "react";
+import classnames from "classnames";
+import { FormattedMessage, FormattedDate, injectIntl } from "react-intl";
+import Button from "components/UI/Button";
+import DiscussionReplyEditor from "./DiscussionReplyEditor";
+import { getMentions, splitMentions } from "lib/mentions";
+import { parseNoteMarkup, getPlainText } from "lib/noteMarkup";
+import NoteContentContainer from "./NoteContentContainer";
+import type { DiscussionData } from "api";
+import styles from "./Discussions.css";
+
+type Props = {
+    visible: boolean,
+    loading: boolean,
+    discussions: DiscussionData[],
+    selectedDiscussionId: string | null,
+    userName: string,
+    usernames: string[],
+    onSelectDiscussion: (noteId: string | null) => void,
+    onReply: (noteId: string, content: string) => void,
+    onChangeResolved: (noteId: string, isResolved: boolean) => void,
+    canResolve: (discussion: DiscussionData) => boolean,
+    onShowInText: (discussion: DiscussionData) => void,
+    onClose: () => void,
+    intl: {
+        formatMessage: (
+            { [id: string]: string },
+            values?: { [string]: any }
+        ) => string
+    }
+};
+
+type State = {
+    showResolved: boolean
+};
+
+// The number of characters of a note shown in the list of discussions
+const EXCERPT_LENGTH = 80;
+
+/**
+ * Whether the user is mentioned in the note or any of the replies to it.
+ */
+function mentionsUser(discussion: DiscussionData, userName: string): boolean {
+    return (
+        getMentions(discussion.content).indexOf(userName) !== -1 ||
+        discussion.replies.some(
+            reply => reply.mentions.indexOf(userName) !== -1
+        )
+    );
+}
+
+function renderContent(content: string, userName: string) {
+    return splitMentions(content).map((part, i) =>
+        part.username ? (
+            <span
+                key={i}
+                className={classnames(styles.mention, {
+                    [styles.mentionsUser]: part.username === userName
+                })}
+            >
+                {part.content}
+            </span>
+        ) : (
+            part.content
+        )
+    );
+}
+
+function renderDate(date: string) {
+    return (
+        <span className={styles.date}>
+            <FormattedDate
+                value={new Date(date)}
+                year="numeric"
+                month="short"
+                day="numeric"
+                hour="2-digit"
+                minute="2-digit"
+            />
+        </span>
+    );
+}
+
+/**
+ * Lists the notes in a witness the user has made or been mentioned in,
+ * so they can be discussed in threads of replies and resolved when they
+ * have been dealt with.
+ */
+class Discussions extends React.Component<Props, State> {
+    constructor(props: Props) {
+        super(props);
+
+        this.state = {
+            showResolved: false
+        };
+    }
+
+    renderUnknownUser() {
+        return this.props.intl.formatMessage({ id: "history.unknownUser" });
+    }
+
+    renderList(discussions: DiscussionData[]) {
+        const { userName } = this.props;
+        if (discussions.length === 0) {
+            return (
+                <p className={styles.message}>
+                    <FormattedMessage
+                        id={
+                            this.state.showResolved
+                                ? "discussions.noResolved"
+                                : "discussions.noOpen"
+                        }
+                    />
+                </p>
+            );
+        }
+
+        return (
+            <ul className={styles.list}>
+                {discussions.map(discussion => {
+                    let excerpt = getPlainText(
+                        parseNoteMarkup(discussion.content)
+                    );
+                    if (excerpt.length > EXCERPT_LENGTH) {
+                        excerpt = excerpt.slice(0, EXCERPT_LENGTH) + "…";
+                    }
+                    return (
+                        <li
+                            key={discussion.unique_id}
+                            onClick={() =>
+                                this.props.onSelectDiscussion(
+                                    discussion.unique_id
+                                )
+                            }
+                        >
+                            <div className={styles.summary}>
+                                <span className={styles.user}>
+                                    {discussion.creator_name ||
+                                        this.renderUnknownUser()}
+                                </span>
+                                {renderDate(discussion.created)}
+                                {mentionsUser(discussion, userName) && (
+                                    <span className={styles.mentionBadge}>
+                                        <FormattedMessage id="discussions.mentionsYou" />
+                                    </span>
+                                )}
+                            </div>
+                            <div className={styles.excerpt}>{excerpt}</div>
+                            <div className={styles.replyCount}>
+                                <FormattedMessage
+                                    id="discussions.replyCount"
+                                    values={{
+                                        count: discussion.replies.length
+                                    }}
+                                />
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+        );
+    }
+
+    renderThread(discussion: DiscussionData) {
+        const { userName, usernames, intl } = this.props;
+        const noteId = discussion.unique_id;
+
+        return (
+            <div className={styles.thread}>
+                <div className={styles.threadButtons}>
+                    <Button
+                        title={intl.formatMessage({ id: "discussions.back" })}
+                        color="black"
+                        backgroundColor="#bbb"
+                        onClick={() => this.props.onSelectDiscussion(null)}
+                    />
+                    <Button
+                        title={intl.formatMessage({
+                            id: "discussions.showInText"
+                        })}
+                        onClick={() => this.props.onShowInText(discussion)}
+                    />
+                    {this.props.canResolve(discussion) && (
+                        <Button
+                            title={intl.formatMessage({
+                                id: discussion.is_resolved
+                                    ? "discussions.reopen"
+                                    : "discussions.resolve"
+                            })}
+                            onClick={() =>
+                                this.props.onChangeResolved(
+                                    noteId,
+                                    !discussion.is_resolved
+                                )
+                            }
+                        />
+                    )}
+                </div>
+                <ol className={styles.replies}>
+                    <li className={styles.note}>
+                        <div className={styles.summary}>
+                            <span className={styles.user}>
+                                {discussion.creator_name ||
+                                    this.renderUnknownUser()}
+                            </span>
+                            {renderDate(discussion.created)}
+                        </div>
+                        <div className={styles.content}>
+                            <NoteContentContainer
+                                content={discussion.content}
+                            />
+                        </div>
+                    </li>
+                    {discussion.replies.map((reply, i) => (
+                        <li key={reply.id === null ? "new" + i : reply.id}>
+                            <div className={styles.summary}>
+                                <span className={styles.user}>
+                                    {reply.user_name ||
+                                        this.renderUnknownUser()}
+                                </span>
+                                {renderDate(reply.created)}
+                            </div>
+                            <div className={styles.content}>
+                                {renderContent(reply.content, userName)}
+                            </div>
+                        </li>
+                    ))}
+                </ol>
+                {discussion.is_resolved ? (
+                    <p className={styles.message}>
+                        <FormattedMessage id="discussions.resolved" />
+                    </p>
+                ) : (
+                    <DiscussionReplyEditor
+                        key={noteId}
+                        usernames={usernames}
+                        onReply={content => this.props.onReply(noteId, content)}
+                    />
+                )}
+            </div>
+        );
+    }
+
+    render() {
+        const {
+            visible,
+            loading,
+            discussions,
+            selectedDiscussionId,
+            intl
+        } = this.props;
+        if (!visible) {
+            return null;
+        }
+
+        const { showResolved } = this.state;
+        const selectedDiscussion = discussions.find(
+            discussion => discussion.unique_id === selectedDiscussionId
+        );
+        const openCount = discussions.filter(
+            discussion => !discussion.is_resolved
+        ).length;
+
+        let content = null;
+        if (loading) {
+            content = (
+                <p className={styles.message}>
+                    <FormattedMessage id="discussions.loading" />
+                </p>
+            );
+        } else if (selectedDiscussion) {
+            content = this.renderThread(selectedDiscussion);
+        } else {
+            content = (
+                <React.Fragment>
+                    <div className={styles.filters}>
+                        <Button
+                            title={intl.formatMessage(
+                                { id: "discussions.open" },
+                                { count: openCount }
+                            )}
+                            isActive={!showResolved}
+                            onClick={() =>
+                                this.setState({ showResolved: false })
+                            }
+                        />
+                        <Button
+                            title={intl.formatMessage(
+                                { id: "discussions.resolvedFilter" },
+                                { count: discussions.length - openCount }
+                            )}
+                            isActive={showResolved}
+                            onClick={() =>
+                                this.setState({ showResolved: true })
+                            }
+                        />
+                    </div>
+                    {this.renderList(
+                        discussions.filter(
+                            discussion =>
+                                discussion.is_resolved === showResolved
+                        )
+                    )}
+                </React.Fragment>
+            );
+        }
+
+        return (
+            <div className={styles.discussions}>
+                <h3 className={styles.heading}>
+                    <FormattedMessage id="discussions.heading" />
+                </h3>
+                <div className={styles.body}>{content}</div>
+                <div className={styles.buttons}>
+                    <Button
+                        title={intl.formatMessage({ id: "review.close" })}
+                        color="black"
+                        backgroundColor="#bbb"
+                        onClick={this.props.onClose}
+                    />
+                </div>
+            </div>
+        );
+    }
+}
+
+export default injectIntl(Discussions);
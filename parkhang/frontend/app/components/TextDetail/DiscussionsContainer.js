@@ -0,0 +1,136 @@
+// @flow
+import { connect } from "react-redux";
+import Discussions from "./Discussions";
+import * as actions from "actions";
+import * as reducers from "reducers";
+import * as TextStore from "state_helpers/TextStore";
+import { getMentions } from "lib/mentions";
+import type { DiscussionData } from "api";
+import type { AppState } from "reducers";
+
+let _discussions = null;
+let _usernames = [];
+/**
+ * Get the names of everyone taking part in the discussions, who can be
+ * suggested when mentioning someone.
+ */
+function getUsernames(
+    discussions: DiscussionData[],
+    userName: string
+): string[] {
+    if (_discussions !== discussions) {
+        _discussions = discussions;
+        let usernames = new Set();
+        for (let discussion of discussions) {
+            usernames.add(discussion.creator_name);
+            for (let reply of discussion.replies) {
+                usernames.add(reply.user_name);
+                reply.mentions.forEach(username => usernames.add(username));
+            }
+        }
+        _usernames = (Array.from(usernames): any[])
+            .filter(username => username && username !== userName)
+            .sort();
+    }
+    return _usernames;
+}
+
+const mapStateToProps = (state: AppState) => {
+    const visible = reducers.getDiscussionsVisible(state);
+    const user = reducers.getUser(state);
+    const witness = reducers.getSelectedTextWitness(state);
+    let loading = true;
+    let discussions = [];
+    let usernames = [];
+    let witnessData = null;
+    let annotatedText = null;
+    if (visible && witness) {
+        witnessData = reducers.getWitnessData(state, witness.id);
+        annotatedText = TextStore.getWitnessText(state, witness.id);
+        const witnessDiscussions = reducers.getDiscussions(state, witness.id);
+        if (witnessDiscussions) {
+            loading = false;
+            discussions = witnessDiscussions;
+            usernames = getUsernames(discussions, user.name);
+        }
+    }
+
+    return {
+        visible,
+        loading,
+        discussions,
+        selectedDiscussionId: reducers.getSelectedDiscussionId(state),
+        user,
+        usernames,
+        witnessData,
+        annotatedText
+    };
+};
+
+const mergeProps = (
+    stateProps,
+    dispatchProps: {| dispatch: (action: actions.Action) => void |},
+    ownProps: OwnProps
+) => {
+    const { dispatch } = dispatchProps;
+    const { user, witnessData, annotatedText, ...props } = stateProps;
+    return {
+        ...props,
+        ...ownProps,
+        userName: user.name,
+        onSelectDiscussion: (noteId: string | null) => {
+            dispatch(actions.selectedDiscussion(noteId));
+        },
+        onReply: (noteId: string, content: string) => {
+            if (!witnessData) {
+                return;
+            }
+            const reply = {
+                id: null,
+                user: user.id,
+                user_name: user.name,
+                content,
+                mentions: getMentions(content),
+                created: new Date().toISOString()
+            };
+            dispatch(actions.addedNoteReply(witnessData, noteId, reply));
+        },
+        onChangeResolved: (noteId: string, isResolved: boolean) => {
+            if (!witnessData) {
+                return;
+            }
+            dispatch(
+                actions.changedNoteResolved(witnessData, noteId, isResolved)
+            );
+        },
+        // Only the user that made a note and reviewers can resolve it
+        canResolve: (discussion: DiscussionData) =>
+            discussion.creator_user === user.id || user.canReview,
+        onShowInText: (discussion: DiscussionData) => {
+            if (!annotatedText) {
+                return;
+            }
+            // Notes are shown with the reading they are attached to
+            const annotation = annotatedText.getAnnotation(
+                discussion.start,
+                discussion.length
+            );
+            if (annotation) {
+                dispatch(actions.changedActiveTextAnnotation(annotation));
+            }
+        },
+        onClose: () => {
+            dispatch(actions.changedDiscussionsVisible(false));
+        }
+    };
+};
+
+type OwnProps = {||};
+
+const DiscussionsContainer = connect<_, OwnProps, _, _, _, _>(
+    mapStateToProps,
+    null,
+    mergeProps
+)(Discussions);
+
+export default DiscussionsContainer;
@@ -0,0 +1,25 @@
+// @flow
+import React from "react";
+import { injectIntl } from "react-intl";
+import Button from "components/UI/Button";
+import styles from "./DiscussionsControl.css";
+
+type Props = {
+    discussionsVisible: boolean,
+    onChange: (isVisible: boolean) => void,
+    intl: { formatMessage: ({ [id: string]: string }) => string }
+};
+
+const DiscussionsControl = (props: Props) => (
+    <div className={styles.discussionsControl}>
+        <Button
+            title={props.intl.formatMessage({
+                id: "header.discussions"
+            })}
+            isActive={props.discussionsVisible}
+            onClick={() => props.onChange(!props.discussionsVisible)}
+        />
+    </div>
+);
+
+export default injectIntl(DiscussionsControl);
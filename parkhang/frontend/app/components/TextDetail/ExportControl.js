@@ -2,16 +2,73 @@ import React from "react";
 import { injectIntl } from "react-intl";
 import Button from "components/UI/Button";
 import ExportIcon from "images/export.svg";
+import { DEFAULT_PAGE_MARKER_FORMAT } from "lib/PlainTextExporter";
+import styles from "./ExportControl.css";
+
+export const EXPORT_FORMATS = [
+    "docx",
+    "criticalDocx",
+    "txt",
+    "txtBreaks",
+    "tei"
+];
+
+// Formats that mark page breaks
+const PAGE_MARKER_FORMATS = ["txtBreaks"];
 
 type Props = {
-    onClick?: () => void,
+    onClick?: (format: string, pageMarkerFormat: string) => void,
     intl: { formatMessage: ({ [id: string]: string }) => string }
 };
 
-class ExportControl extends React.Component<Props> {
+type State = {
+    format: string,
+    pageMarkerFormat: string
+};
+
+class ExportControl extends React.Component<Props, State> {
+    constructor(props: Props) {
+        super(props);
+
+        this.state = {
+            format: EXPORT_FORMATS[0],
+            pageMarkerFormat: DEFAULT_PAGE_MARKER_FORMAT
+        };
+    }
+
     render() {
+        const options = EXPORT_FORMATS.map(format => (
+            <option value={format} key={format}>
+                {this.props.intl.formatMessage({
+                    id: "header.exportFormat." + format
+                })}
+            </option>
+        ));
+
         return (
-            <div>
+            <div className={styles.exportControl}>
+                <select
+                    value={this.state.format}
+                    onChange={(e: SyntheticInputEvent<HTMLSelectElement>) => {
+                        this.setState({ format: e.target.value });
+                    }}
+                >
+                    {options}
+                </select>
+                {PAGE_MARKER_FORMATS.includes(this.state.format) && (
+                    <input
+                        type="text"
+                        value={this.state.pageMarkerFormat}
+                        title={this.props.intl.formatMessage({
+                            id: "header.pageMarkerFormat"
+                        })}
+                        onChange={(
+                            e: SyntheticInputEvent<HTMLInputElement>
+                        ) => {
+                            this.setState({ pageMarkerFormat: e.target.value });
+                        }}
+                    />
+                )}
                 <Button
                     icon={
                         <ExportIcon
@@ -23,7 +80,15 @@ class ExportControl extends React.Component<Props> {
                     title={this.props.intl.formatMessage({
                         id: "header.export"
                     })}
-                    onClick={this.props.onClick}
+                    onClick={() => {
+                        if (this.props.onClick) {
+                            this.props.onClick(
+                                this.state.format,
+                                this.state.pageMarkerFormat ||
+                                    DEFAULT_PAGE_MARKER_FORMAT
+                            );
+                        }
+                    }}
                 />
             </div>
         );
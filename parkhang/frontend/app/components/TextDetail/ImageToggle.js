@@ -1,24 +1,55 @@
 import React from "react";
+import { FormattedMessage } from "react-intl";
 import styles from "./ImageToggle.css";
 
 type Props = {
     showImages: boolean,
-    onChange: () => void
+    sideBySide: boolean,
+    onChange: () => void,
+    onChangeSideBySide: (sideBySide: boolean) => void,
+    showPechaView: boolean,
+    onChangePechaView: (showPechaView: boolean) => void
 };
 
 const ImageToggle = (props: Props) => (
     <div className={styles.imageToggle}>
-        <label htmlFor="showPageImages">Show Images</label>
+        <label htmlFor="showPechaView">
+            <FormattedMessage id="pecha.view" />
+        </label>
         <input
-            id="showPageImages"
+            id="showPechaView"
             type="checkbox"
-            checked={props.showImages}
-            onChange={(e: Event) => {
-                const target = event.target;
-                const checked = target.checked;
-                props.onChange(checked);
-            }}
+            checked={props.showPechaView}
+            onChange={e => props.onChangePechaView(e.target.checked)}
         />
+        {!props.showPechaView && (
+            <React.Fragment>
+                <label htmlFor="showPageImages">Show Images</label>
+                <input
+                    id="showPageImages"
+                    type="checkbox"
+                    checked={props.showImages}
+                    onChange={(e: Event) => {
+                        const target = event.target;
+                        const checked = target.checked;
+                        props.onChange(checked);
+                    }}
+                />
+            </React.Fragment>
+        )}
+        {props.showImages && !props.showPechaView && (
+            <React.Fragment>
+                <label htmlFor="pageImagesSideBySide">
+                    <FormattedMessage id="pageImage.sideBySide" />
+                </label>
+                <input
+                    id="pageImagesSideBySide"
+                    type="checkbox"
+                    checked={props.sideBySide}
+                    onChange={e => props.onChangeSideBySide(e.target.checked)}
+                />
+            </React.Fragment>
+        )}
     </div>
 );
 
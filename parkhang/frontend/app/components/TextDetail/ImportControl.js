@@ -0,0 +1,93 @@
+// @flow
+import React from "react";
+import { injectIntl } from "react-intl";
+import Button from "components/UI/Button";
+import Witness from "lib/Witness";
+import styles from "./ImportControl.css";
+
+type Props = {
+    witnesses: Witness[],
+    onImport?: (witnessId: number, file: File) => void,
+    intl: { formatMessage: ({ [id: string]: string }) => string }
+};
+
+type State = {
+    witnessId: number | null
+};
+
+class ImportControl extends React.Component<Props, State> {
+    fileInput: { current: null | HTMLInputElement };
+
+    constructor(props: Props) {
+        super(props);
+
+        this.fileInput = React.createRef();
+        this.state = {
+            witnessId: null
+        };
+    }
+
+    getWitnessId(witnesses: Witness[]): number | null {
+        if (witnesses.find(witness => witness.id === this.state.witnessId)) {
+            return this.state.witnessId;
+        } else if (witnesses.length > 0) {
+            return witnesses[0].id;
+        }
+        return null;
+    }
+
+    render() {
+        // Annotations are always relative to the working witness, so
+        // it cannot be imported.
+        const witnesses = this.props.witnesses.filter(
+            witness => !witness.isWorking
+        );
+        const witnessId = this.getWitnessId(witnesses);
+        if (witnessId === null) {
+            return null;
+        }
+        const options = witnesses.map(witness => (
+            <option value={witness.id} key={witness.id}>
+                {witness.source.name}
+            </option>
+        ));
+
+        return (
+            <div className={styles.importControl}>
+                <select
+                    value={witnessId}
+                    onChange={(e: SyntheticInputEvent<HTMLSelectElement>) => {
+                        this.setState({ witnessId: Number(e.target.value) });
+                    }}
+                >
+                    {options}
+                </select>
+                <input
+                    type="file"
+                    accept=".txt,.docx"
+                    className={styles.fileInput}
+                    ref={this.fileInput}
+                    onChange={(e: SyntheticInputEvent<HTMLInputElement>) => {
+                        const files = e.target.files;
+                        if (files && files.length > 0 && this.props.onImport) {
+                            this.props.onImport(witnessId, files[0]);
+                        }
+                        e.target.value = "";
+                    }}
+                />
+                <Button
+                    title={this.props.intl.formatMessage({
+                        id: "header.import"
+                    })}
+                    onClick={() => {
+                        if (this.fileInput.current) {
+                            this.fileInput.current.click();
+                        }
+                    }}
+                />
+            </div>
+        );
+    }
+}
+
+export default injectIntl(ImportControl);
@@ -0,0 +1,140 @@
+// @flow
+import React from "react";
+import { FormattedMessage, injectIntl } from "react-intl";
+import Button from "components/UI/Button";
+import Annotation from "lib/Annotation";
+import type { AnnotationUniqueId } from "lib/Annotation";
+import Witness from "lib/Witness";
+import styles from "./ImportReview.css";
+
+type Props = {
+    witness: Witness | null,
+    workingWitness: Witness | null,
+    annotations: Annotation[] | null,
+    onAccept: (witness: Witness, annotations: Annotation[]) => void,
+    onCancel: () => void,
+    intl: { formatMessage: ({ [id: string]: string }) => string }
+};
+
+type State = {
+    excluded: { [AnnotationUniqueId]: boolean }
+};
+
+/**
+ * Lists the variants found when importing a witness file so the user can
+ * choose which ones to add.
+ */
+class ImportReview extends React.Component<Props, State> {
+    constructor(props: Props) {
+        super(props);
+
+        this.state = {
+            excluded: {}
+        };
+    }
+
+    toggleAnnotation(annotation: Annotation) {
+        this.setState({
+            excluded: {
+                ...this.state.excluded,
+                [annotation.uniqueId]: !this.state.excluded[annotation.uniqueId]
+            }
+        });
+    }
+
+    render() {
+        const { annotations, witness, workingWitness, intl } = this.props;
+        if (!witness || !workingWitness) {
+            return null;
+        }
+        const workingContent = workingWitness.content || "";
+
+        let content = null;
+        if (!annotations) {
+            content = (
+                <p className={styles.message}>
+                    <FormattedMessage id="import.loading" />
+                </p>
+            );
+        } else if (annotations.length === 0) {
+            content = (
+                <p className={styles.message}>
+                    <FormattedMessage id="import.noVariants" />
+                </p>
+            );
+        } else {
+            content = (
+                <ul className={styles.variants}>
+                    {annotations.map(annotation => (
+                        <li key={annotation.uniqueId}>
+                            <label>
+                                <input
+                                    type="checkbox"
+                                    checked={
+                                        !this.state.excluded[
+                                            annotation.uniqueId
+                                        ]
+                                    }
+                                    onChange={() =>
+                                        this.toggleAnnotation(annotation)
+                                    }
+                                />
+                                <span className={styles.original}>
+                                    {workingContent.substr(
+                                        annotation.start,
+                                        annotation.length
+                                    )}
+                                </span>
+                                <span className={styles.arrow}>→</span>
+                                <span className={styles.variant}>
+                                    {annotation.content.length > 0 ? (
+                                        annotation.content
+                                    ) : (
+                                        <FormattedMessage id="import.omitted" />
+                                    )}
+                                </span>
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+            );
+        }
+
+        const selected = annotations
+            ? annotations.filter(
+                  annotation => !this.state.excluded[annotation.uniqueId]
+              )
+            : [];
+
+        return (
+            <div className={styles.importReview}>
+                <h3 className={styles.heading}>
+                    <FormattedMessage
+                        id="import.heading"
+                        values={{ witness: witness.source.name }}
+                    />
+                </h3>
+                {content}
+                <div className={styles.buttons}>
+                    <Button
+                        title={intl.formatMessage({
+                            id: "import.addVariants"
+                        })}
+                        disabled={selected.length === 0}
+                        onClick={() => this.props.onAccept(witness, selected)}
+                    />
+                    <Button
+                        title={intl.formatMessage({
+                            id: "annotation.cancel"
+                        })}
+                        color="black"
+                        backgroundColor="#bbb"
+                        onClick={this.props.onCancel}
+                    />
+                </div>
+            </div>
+        );
+    }
+}
+
+export default injectIntl(ImportReview);
@@ -0,0 +1,57 @@
+// @flow
+import { connect } from "react-redux";
+import { batchActions } from "redux-batched-actions";
+import ImportReview from "./ImportReview";
+import * as actions from "actions";
+import * as reducers from "reducers";
+import Annotation from "lib/Annotation";
+import Witness from "lib/Witness";
+import type { AppState } from "reducers";
+
+const mapStateToProps = (state: AppState) => {
+    const witnessId = reducers.getImportingWitnessId(state);
+    let witness = null;
+    let workingWitness = null;
+    if (witnessId !== null) {
+        witness = reducers.getWitness(state, witnessId);
+        if (witness) {
+            workingWitness = reducers.getWorkingWitness(state, witness.text.id);
+        }
+    }
+
+    return {
+        witness,
+        workingWitness,
+        annotations: reducers.getImportedAnnotations(state)
+    };
+};
+
+const mapDispatchToProps = dispatch => {
+    return {
+        onAccept: (witness: Witness, annotations: Annotation[]) => {
+            const witnessData = reducers.dataFromWitness(witness);
+            let actionsBatch = [];
+            for (let i = 0; i < annotations.length; i++) {
+                const annotation = annotations[i];
+                actionsBatch.push(actions.createdAnnotation(annotation));
+                actionsBatch.push(
+                    actions.appliedAnnotation(annotation.uniqueId, witnessData)
+                );
+            }
+            actionsBatch.push(actions.closedWitnessImport());
+            dispatch(batchActions(actionsBatch));
+        },
+        onCancel: () => {
+            dispatch(actions.closedWitnessImport());
+        }
+    };
+};
+
+type OwnProps = {||};
+
+const ImportReviewContainer = connect<_, OwnProps, _, _, _, _>(
+    mapStateToProps,
+    mapDispatchToProps
+)(ImportReview);
+
+export default ImportReviewContainer;
@@ -1,12 +1,14 @@
 import React from "react";
 import styles from "./Note.css";
 import Annotation from "lib/Annotation";
-import FormattedDate from "react-intl";
+import NoteContentContainer from "./NoteContentContainer";
+import FormattedDate, { FormattedMessage } from "react-intl";
 
 type Props = {
     note: Annotation,
     delete?: (note: Annotation) => void,
-    edit?: (note: Annotation) => void
+    edit?: (note: Annotation) => void,
+    discuss?: (note: Annotation) => void
 };
 
 export default class Note extends React.Component<Props> {
@@ -22,6 +24,12 @@ export default class Note extends React.Component<Props> {
         }
     }
 
+    discuss() {
+        if (this.props.discuss) {
+            this.props.discuss(this.props.note);
+        }
+    }
+
     render() {
         return (
             <div className={styles.note}>
@@ -39,8 +47,16 @@ export default class Note extends React.Component<Props> {
                     )}
                 </div>
                 <div className={styles.content} onClick={this.edit.bind(this)}>
-                    {this.props.note.content}
+                    <NoteContentContainer content={this.props.note.content} />
                 </div>
+                {this.props.discuss && this.props.note.isSaved && (
+                    <div
+                        className={styles.discuss}
+                        onClick={this.discuss.bind(this)}
+                    >
+                        <FormattedMessage id="discussions.discuss" />
+                    </div>
+                )}
             </div>
         );
     }
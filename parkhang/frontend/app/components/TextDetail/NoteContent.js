@@ -0,0 +1,100 @@
+// @flow
+import * as React from "react";
+import {
+    NOTE_NODE_TYPES,
+    NOTE_LANGUAGES,
+    parseNoteMarkup,
+    getCitationReference,
+    getCitationUrl
+} from "lib/noteMarkup";
+import type { NoteNode, Citation } from "lib/noteMarkup";
+import styles from "./NoteContent.css";
+
+type Props = {
+    content: string,
+    onOpenCitation: (citation: Citation) => void
+};
+
+const languageClasses: { [language: string]: string } = {
+    [NOTE_LANGUAGES.tibetan]: styles.tibetan,
+    [NOTE_LANGUAGES.latin]: styles.latin
+};
+
+/**
+ * Shows the formatting, links and citations in the markup of a note.
+ */
+export default class NoteContent extends React.Component<Props> {
+    openCitation(
+        e: SyntheticMouseEvent<HTMLAnchorElement>,
+        citation: Citation
+    ) {
+        // Open it in the app rather than reloading the page
+        e.preventDefault();
+        e.stopPropagation();
+        this.props.onOpenCitation(citation);
+    }
+
+    renderNodes(nodes: NoteNode[]): React.Node[] {
+        return nodes.map((node, i) => this.renderNode(node, i));
+    }
+
+    renderNode(node: NoteNode, key: number): React.Node {
+        const children = node.children || [];
+        switch (node.type) {
+            case NOTE_NODE_TYPES.bold:
+                return <strong key={key}>{this.renderNodes(children)}</strong>;
+            case NOTE_NODE_TYPES.italic:
+                return <em key={key}>{this.renderNodes(children)}</em>;
+            case NOTE_NODE_TYPES.language:
+                return (
+                    <span
+                        key={key}
+                        lang={node.language}
+                        className={languageClasses[node.language || ""]}
+                    >
+                        {this.renderNodes(children)}
+                    </span>
+                );
+            case NOTE_NODE_TYPES.link:
+                return (
+                    <a
+                        key={key}
+                        href={node.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        onClick={e => e.stopPropagation()}
+                    >
+                        {this.renderNodes(children)}
+                    </a>
+                );
+            case NOTE_NODE_TYPES.citation: {
+                const citation = node.citation;
+                if (!citation) {
+                    return null;
+                }
+                return (
+                    <a
+                        key={key}
+                        className={styles.citation}
+                        href={getCitationUrl(citation)}
+                        onClick={e => this.openCitation(e, citation)}
+                    >
+                        {children.length > 0
+                            ? this.renderNodes(children)
+                            : getCitationReference(citation)}
+                    </a>
+                );
+            }
+            default:
+                return node.content || "";
+        }
+    }
+
+    render() {
+        return (
+            <span className={styles.noteContent}>
+                {this.renderNodes(parseNoteMarkup(this.props.content))}
+            </span>
+        );
+    }
+}
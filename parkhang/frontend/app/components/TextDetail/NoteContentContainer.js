@@ -0,0 +1,38 @@
+// @flow
+import { connect } from "react-redux";
+import NoteContent from "./NoteContent";
+import * as actions from "actions";
+import { getAnnotationSlug } from "lib/textUrl";
+import type { Citation } from "lib/noteMarkup";
+
+const mapDispatchToProps = dispatch => {
+    return {
+        onOpenCitation: (citation: Citation) => {
+            let annotationSlug;
+            if (citation.start !== null && citation.length !== null) {
+                annotationSlug = getAnnotationSlug(
+                    citation.start,
+                    citation.length
+                );
+            }
+            dispatch(
+                actions.openedTextUrl(
+                    citation.textId,
+                    citation.witnessId,
+                    annotationSlug
+                )
+            );
+        }
+    };
+};
+
+type OwnProps = {|
+    content: string
+|};
+
+const NoteContentContainer = connect<_, OwnProps, _, _, _, _>(
+    null,
+    mapDispatchToProps
+)(NoteContent);
+
+export default NoteContentContainer;
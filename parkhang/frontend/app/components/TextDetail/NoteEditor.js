@@ -1,10 +1,27 @@
 //@flow
 import React from "react";
 import Annotation from "lib/Annotation";
+import {
+    NOTE_FORMATS,
+    getCitationFormat,
+    getCitationFromUrl,
+    applyNoteFormat
+} from "lib/noteMarkup";
+import type { NoteFormat } from "lib/noteMarkup";
+import NoteContent from "./NoteContent";
 import styles from "./NoteEditor.css";
 import buttonStyles from "./Button.css";
 import { FormattedMessage } from "react-intl";
 
+// The formats in the toolbar, and the ids of their labels
+const toolbarFormats = [
+    ["bold", "note.bold"],
+    ["italic", "note.italic"],
+    ["link", "note.link"],
+    ["tibetan", "note.tibetan"],
+    ["latin", "note.latin"]
+];
+
 type Props = {
     note: Annotation,
     saveNote: (note: Annotation, content: string) => void,
@@ -35,6 +52,55 @@ export default class NoteEditor extends React.Component<Props, State> {
         this.props.cancel();
     }
 
+    /**
+     * Format the selected text, or insert the markup at the cursor if
+     * nothing is selected.
+     */
+    applyFormat(format: NoteFormat) {
+        const textarea = this.textarea;
+        if (!textarea) {
+            return;
+        }
+        const formatted = applyNoteFormat(
+            this.state.content,
+            textarea.selectionStart,
+            textarea.selectionEnd,
+            format
+        );
+        this.setState({ content: formatted.content }, () => {
+            textarea.focus();
+            textarea.setSelectionRange(
+                formatted.selectionStart,
+                formatted.selectionEnd
+            );
+        });
+    }
+
+    // Cite the position the note is attached to, which can then be changed
+    // to cite somewhere else.
+    cite() {
+        const { note } = this.props;
+        this.applyFormat(
+            getCitationFormat({
+                textId: note.witness.text.id,
+                witnessId: note.creatorWitness.id,
+                start: note.start,
+                length: note.length
+            })
+        );
+    }
+
+    // Links to texts in the app are pasted as citations
+    handlePaste(e: SyntheticClipboardEvent<HTMLTextAreaElement>) {
+        const citation = getCitationFromUrl(
+            e.clipboardData.getData("text/plain")
+        );
+        if (citation) {
+            e.preventDefault();
+            this.applyFormat(getCitationFormat(citation));
+        }
+    }
+
     handleChange(e: Event) {
         const content =
             e.target instanceof HTMLTextAreaElement ? e.target.value : "";
@@ -48,6 +114,23 @@ export default class NoteEditor extends React.Component<Props, State> {
     render() {
         return (
             <div className={styles.editorContainer}>
+                <div className={styles.toolbar}>
+                    {toolbarFormats.map(([format, messageId]) => (
+                        <button
+                            key={format}
+                            type="button"
+                            className={styles[format]}
+                            onClick={() =>
+                                this.applyFormat(NOTE_FORMATS[format])
+                            }
+                        >
+                            <FormattedMessage id={messageId} />
+                        </button>
+                    ))}
+                    <button type="button" onClick={this.cite.bind(this)}>
+                        <FormattedMessage id="note.cite" />
+                    </button>
+                </div>
                 <textarea
                     className={styles.textEditor}
                     ref={(textarea: HTMLTextAreaElement | null) =>
@@ -55,7 +138,16 @@ export default class NoteEditor extends React.Component<Props, State> {
                     }
                     value={this.state.content}
                     onChange={this.handleChange.bind(this)}
+                    onPaste={this.handlePaste.bind(this)}
                 />
+                {this.state.content.length > 0 && (
+                    <div className={styles.preview}>
+                        <NoteContent
+                            content={this.state.content}
+                            onOpenCitation={() => {}}
+                        />
+                    </div>
+                )}
                 <div className={buttonStyles.buttonContainer}>
                     <div
                         className={buttonStyles.save}
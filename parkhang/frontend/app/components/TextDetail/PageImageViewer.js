@@ -0,0 +1,581 @@
+// @flow
+import * as React from "react";
+import { injectIntl } from "react-intl";
+import classnames from "classnames";
+import { getScaledImageUrl, getTiles } from "lib/iiifImage";
+import type { IiifImageInfo, ImageRegion } from "lib/iiifImage";
+import { getImageRegionFromPoints } from "lib/imageRegion";
+import type { LinkedImageRegion } from "lib/imageRegion";
+import type { PageImageAdjustments } from "actions";
+import * as constants from "app_constants";
+import styles from "./PageImageViewer.css";
+
+// How much the zoom buttons change the zoom
+const ZOOM_STEP = 1.5;
+// How much scrolling with the control key held changes the zoom
+const WHEEL_ZOOM_STEP = 1.2;
+// The smallest region that can be drawn, as a percentage of the image size
+const MIN_REGION_SIZE = 0.5;
+
+export type Props = {
+    imageUrl: string,
+    serviceUrl: string | null,
+    info: IiifImageInfo | null,
+    zoom: number,
+    adjustments: PageImageAdjustments,
+    onViewImage: (serviceUrl: string) => void,
+    onChangeZoom: (zoom: number) => void,
+    onChangeAdjustments: (adjustments: PageImageAdjustments) => void,
+    onLoadImage?: (width: number, height: number) => void,
+    // The regions of the image that are linked to text
+    regions?: LinkedImageRegion[],
+    highlightedRegionId?: string | null,
+    onSelectRegion?: (id: string) => void,
+    // Set if a region can be drawn and linked to the selected text
+    onDrawRegion?: ((region: ImageRegion) => void) | null,
+    intl: { formatMessage: ({ [id: string]: string }) => string }
+};
+
+type State = {
+    // The point of the image at the centre of the viewer, or null for the
+    // centre of the image
+    center: { x: number, y: number } | null,
+    // The size of the image if it is not from an image service
+    loadedWidth: number | null,
+    loadedHeight: number | null,
+    viewerWidth: number,
+    viewerHeight: number,
+    // Whether dragging draws a region rather than moving the image
+    drawingRegion: boolean,
+    // The region being drawn, as percentages of the image size
+    newRegion: ImageRegion | null
+};
+
+type Drag = {
+    clientX: number,
+    clientY: number,
+    center: { x: number, y: number }
+};
+
+/**
+ * Shows a page image that can be zoomed, panned, rotated and have its
+ * brightness and contrast changed.
+ *
+ * Images from a IIIF image service are shown with tiles at the resolution
+ * needed for the zoom. Other images are loaded at full size.
+ */
+class PageImageViewer extends React.Component<Props, State> {
+    viewer: HTMLDivElement | null;
+    drag: Drag | null;
+    // Where the region being drawn was started, in the full size image
+    drawStart: { x: number, y: number } | null;
+    reportedSize: string | null;
+    resizeHandler: () => void;
+    wheelHandler: (e: WheelEvent) => void;
+    mouseMoveHandler: (e: MouseEvent) => void;
+    mouseUpHandler: () => void;
+
+    constructor(props: Props) {
+        super(props);
+
+        this.state = {
+            center: null,
+            loadedWidth: null,
+            loadedHeight: null,
+            viewerWidth: 0,
+            viewerHeight: 0,
+            drawingRegion: false,
+            newRegion: null
+        };
+        this.viewer = null;
+        this.drag = null;
+        this.drawStart = null;
+        this.reportedSize = null;
+        this.resizeHandler = this.measure.bind(this);
+        this.wheelHandler = this.handleWheel.bind(this);
+        this.mouseMoveHandler = this.handleMouseMove.bind(this);
+        this.mouseUpHandler = this.handleMouseUp.bind(this);
+    }
+
+    componentDidMount() {
+        window.addEventListener("resize", this.resizeHandler);
+        if (this.viewer) {
+            // Scrolling is only stopped by listeners that are not passive
+            this.viewer.addEventListener("wheel", this.wheelHandler, {
+                passive: false
+            });
+        }
+        this.viewImage();
+        this.measure();
+        this.reportSize();
+    }
+
+    componentDidUpdate(prevProps: Props) {
+        if (prevProps.imageUrl !== this.props.imageUrl) {
+            this.setState({
+                center: null,
+                loadedWidth: null,
+                loadedHeight: null
+            });
+            this.viewImage();
+        }
+        this.measure();
+        this.reportSize();
+    }
+
+    componentWillUnmount() {
+        window.removeEventListener("resize", this.resizeHandler);
+        if (this.viewer) {
+            this.viewer.removeEventListener("wheel", this.wheelHandler);
+        }
+        this.drawStart = null;
+        this.handleMouseUp();
+    }
+
+    viewImage() {
+        if (this.props.serviceUrl && !this.props.info) {
+            this.props.onViewImage(this.props.serviceUrl);
+        }
+    }
+
+    measure() {
+        const viewer = this.viewer;
+        if (
+            viewer &&
+            (viewer.offsetWidth !== this.state.viewerWidth ||
+                viewer.offsetHeight !== this.state.viewerHeight)
+        ) {
+            this.setState({
+                viewerWidth: viewer.offsetWidth,
+                viewerHeight: viewer.offsetHeight
+            });
+        }
+    }
+
+    getImageSize(): { width: number, height: number } | null {
+        const { info } = this.props;
+        if (info) {
+            return { width: info.width, height: info.height };
+        }
+        const { loadedWidth, loadedHeight } = this.state;
+        if (loadedWidth && loadedHeight) {
+            return { width: loadedWidth, height: loadedHeight };
+        }
+        return null;
+    }
+
+    reportSize() {
+        const size = this.getImageSize();
+        const { onLoadImage } = this.props;
+        if (size && onLoadImage) {
+            const sizeKey = size.width + "x" + size.height;
+            if (sizeKey !== this.reportedSize) {
+                this.reportedSize = sizeKey;
+                onLoadImage(size.width, size.height);
+            }
+        }
+    }
+
+    // The number of screen pixels per image pixel when the image fits the
+    // viewer.
+    getFitScale(size: { width: number, height: number }): number {
+        const { viewerWidth, viewerHeight } = this.state;
+        const rotated = this.props.adjustments.rotation % 180 !== 0;
+        const width = rotated ? size.height : size.width;
+        const height = rotated ? size.width : size.height;
+        return Math.min(viewerWidth / width, viewerHeight / height);
+    }
+
+    getCenter(size: {
+        width: number,
+        height: number
+    }): { x: number, y: number } {
+        const { center } = this.state;
+        if (this.props.zoom > 1 && center) {
+            return center;
+        }
+        return { x: size.width / 2, y: size.height / 2 };
+    }
+
+    zoom(factor: number) {
+        this.props.onChangeZoom(this.props.zoom * factor);
+    }
+
+    rotate() {
+        const { adjustments } = this.props;
+        this.props.onChangeAdjustments({
+            ...adjustments,
+            rotation: (adjustments.rotation + 90) % 360
+        });
+    }
+
+    changeAdjustment(name: "brightness" | "contrast", value: number) {
+        this.props.onChangeAdjustments({
+            ...this.props.adjustments,
+            [name]: value
+        });
+    }
+
+    reset() {
+        this.props.onChangeZoom(1);
+        this.props.onChangeAdjustments(
+            constants.DEFAULT_PAGE_IMAGE_ADJUSTMENTS
+        );
+        this.setState({ center: null });
+    }
+
+    isDrawingRegion(): boolean {
+        return this.state.drawingRegion && !!this.props.onDrawRegion;
+    }
+
+    toggleDrawingRegion() {
+        this.setState({
+            drawingRegion: !this.state.drawingRegion,
+            newRegion: null
+        });
+    }
+
+    // Get the point of the full size image at a point on the screen
+    getImagePoint(
+        clientX: number,
+        clientY: number,
+        size: { width: number, height: number }
+    ): { x: number, y: number } | null {
+        const viewer = this.viewer;
+        if (!viewer) {
+            return null;
+        }
+        const rect = viewer.getBoundingClientRect();
+        const scale = this.getFitScale(size) * this.props.zoom;
+        const center = this.getCenter(size);
+        // The centre of the viewer shows the centre of the image, and the
+        // image is rotated around it.
+        const angle = (-this.props.adjustments.rotation * Math.PI) / 180;
+        const dx = clientX - rect.left - this.state.viewerWidth / 2;
+        const dy = clientY - rect.top - this.state.viewerHeight / 2;
+        return {
+            x: center.x + (dx * Math.cos(angle) - dy * Math.sin(angle)) / scale,
+            y: center.y + (dx * Math.sin(angle) + dy * Math.cos(angle)) / scale
+        };
+    }
+
+    handleWheel(e: WheelEvent) {
+        if (!e.ctrlKey) {
+            return;
+        }
+        e.preventDefault();
+        this.zoom(e.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP);
+    }
+
+    handleMouseDown(e: SyntheticMouseEvent<HTMLDivElement>) {
+        const size = this.getImageSize();
+        if (e.button !== 0 || !size) {
+            return;
+        }
+        if (this.isDrawingRegion()) {
+            e.preventDefault();
+            this.drawStart = this.getImagePoint(e.clientX, e.clientY, size);
+            document.addEventListener("mousemove", this.mouseMoveHandler);
+            document.addEventListener("mouseup", this.mouseUpHandler);
+            return;
+        }
+        if (this.props.zoom <= 1) {
+            return;
+        }
+        // Don't select the text
+        e.preventDefault();
+        this.drag = {
+            clientX: e.clientX,
+            clientY: e.clientY,
+            center: this.getCenter(size)
+        };
+        document.addEventListener("mousemove", this.mouseMoveHandler);
+        document.addEventListener("mouseup", this.mouseUpHandler);
+    }
+
+    handleMouseMove(e: MouseEvent) {
+        const drag = this.drag;
+        const drawStart = this.drawStart;
+        const size = this.getImageSize();
+        if (drawStart && size) {
+            const point = this.getImagePoint(e.clientX, e.clientY, size);
+            if (point) {
+                this.setState({
+                    newRegion: getImageRegionFromPoints(
+                        drawStart,
+                        point,
+                        size.width,
+                        size.height
+                    )
+                });
+            }
+            return;
+        }
+        if (!drag || !size) {
+            return;
+        }
+        const scale = this.getFitScale(size) * this.props.zoom;
+        // Move the image in the direction the mouse moved, whichever way
+        // it has been rotated.
+        const angle = (-this.props.adjustments.rotation * Math.PI) / 180;
+        const dx = e.clientX - drag.clientX;
+        const dy = e.clientY - drag.clientY;
+        const imageDx = (dx * Math.cos(angle) - dy * Math.sin(angle)) / scale;
+        const imageDy = (dx * Math.sin(angle) + dy * Math.cos(angle)) / scale;
+        this.setState({
+            center: {
+                x: Math.min(size.width, Math.max(0, drag.center.x - imageDx)),
+                y: Math.min(size.height, Math.max(0, drag.center.y - imageDy))
+            }
+        });
+    }
+
+    handleMouseUp() {
+        const { newRegion } = this.state;
+        const { onDrawRegion } = this.props;
+        if (this.drawStart && newRegion && onDrawRegion) {
+            if (
+                newRegion.width >= MIN_REGION_SIZE &&
+                newRegion.height >= MIN_REGION_SIZE
+            ) {
+                onDrawRegion(newRegion);
+            }
+            this.setState({ drawingRegion: false, newRegion: null });
+        }
+        this.drawStart = null;
+        this.drag = null;
+        document.removeEventListener("mousemove", this.mouseMoveHandler);
+        document.removeEventListener("mouseup", this.mouseUpHandler);
+    }
+
+    renderImage(): React.Node {
+        const { imageUrl, serviceUrl, info, zoom, adjustments } = this.props;
+        const size = this.getImageSize();
+        const filter =
+            "brightness(" +
+            adjustments.brightness +
+            "%) contrast(" +
+            adjustments.contrast +
+            "%)";
+
+        if (!size || !this.state.viewerWidth) {
+            // The size is needed before it can be zoomed
+            return (
+                <img
+                    className={styles.unsizedImage}
+                    src={imageUrl}
+                    style={{ filter }}
+                    onLoad={(e: SyntheticEvent<HTMLImageElement>) => {
+                        const image = e.currentTarget;
+                        this.setState({
+                            loadedWidth: image.naturalWidth,
+                            loadedHeight: image.naturalHeight
+                        });
+                    }}
+                />
+            );
+        }
+
+        const { viewerWidth, viewerHeight } = this.state;
+        const fitScale = this.getFitScale(size);
+        const scale = fitScale * zoom;
+        const center = this.getCenter(size);
+        const layerStyle = {
+            left: viewerWidth / 2 - center.x * scale,
+            top: viewerHeight / 2 - center.y * scale,
+            width: size.width * scale,
+            height: size.height * scale,
+            transformOrigin: center.x * scale + "px " + center.y * scale + "px",
+            transform: "rotate(" + adjustments.rotation + "deg)",
+            filter
+        };
+
+        let baseUrl = imageUrl;
+        let tiles = [];
+        if (serviceUrl && info) {
+            baseUrl = getScaledImageUrl(
+                serviceUrl,
+                Math.min(info.width, info.width * fitScale)
+            );
+            if (zoom > 1) {
+                // Enough of the image to fill the viewer at any rotation
+                const radius =
+                    Math.sqrt(
+                        viewerWidth * viewerWidth + viewerHeight * viewerHeight
+                    ) /
+                    2 /
+                    scale;
+                tiles = getTiles(
+                    serviceUrl,
+                    info,
+                    {
+                        x: center.x - radius,
+                        y: center.y - radius,
+                        width: radius * 2,
+                        height: radius * 2
+                    },
+                    scale
+                );
+            }
+        }
+
+        return (
+            <div className={styles.layer} style={layerStyle}>
+                <img className={styles.baseImage} src={baseUrl} />
+                {tiles.map(tile => (
+                    <img
+                        key={tile.url}
+                        className={styles.tile}
+                        src={tile.url}
+                        style={{
+                            left: tile.x * scale,
+                            top: tile.y * scale,
+                            width: tile.width * scale,
+                            height: tile.height * scale
+                        }}
+                    />
+                ))}
+                {this.renderRegions()}
+            </div>
+        );
+    }
+
+    renderRegions(): React.Node {
+        const { regions, highlightedRegionId, onSelectRegion } = this.props;
+        const { newRegion } = this.state;
+        const regionStyle = (region: ImageRegion) => ({
+            left: region.x + "%",
+            top: region.y + "%",
+            width: region.width + "%",
+            height: region.height + "%"
+        });
+        return (
+            <React.Fragment>
+                {(regions || []).map(({ id, region }) => (
+                    <div
+                        key={id}
+                        className={classnames(styles.region, {
+                            [styles.highlightedRegion]:
+                                id === highlightedRegionId
+                        })}
+                        style={regionStyle(region)}
+                        onClick={() => {
+                            if (onSelectRegion && !this.isDrawingRegion()) {
+                                onSelectRegion(id);
+                            }
+                        }}
+                    />
+                ))}
+                {newRegion && (
+                    <div
+                        className={styles.newRegion}
+                        style={regionStyle(newRegion)}
+                    />
+                )}
+            </React.Fragment>
+        );
+    }
+
+    render() {
+        const { zoom, adjustments, onDrawRegion, intl } = this.props;
+        let cursor = zoom > 1 ? "move" : "auto";
+        if (this.isDrawingRegion()) {
+            cursor = "crosshair";
+        }
+
+        return (
+            <div
+                className={styles.pageImageViewer}
+                ref={(div: HTMLDivElement | null) => (this.viewer = div)}
+                style={{ cursor }}
+                onMouseDown={this.handleMouseDown.bind(this)}
+            >
+                {this.renderImage()}
+                <div
+                    className={styles.toolbar}
+                    onMouseDown={e => e.stopPropagation()}
+                >
+                    <button
+                        title={intl.formatMessage({ id: "pageImage.zoomOut" })}
+                        disabled={zoom <= 1}
+                        onClick={() => this.zoom(1 / ZOOM_STEP)}
+                    >
+                        −
+                    </button>
+                    <button
+                        title={intl.formatMessage({ id: "pageImage.zoomIn" })}
+                        onClick={() => this.zoom(ZOOM_STEP)}
+                    >
+                        +
+                    </button>
+                    <button
+                        title={intl.formatMessage({ id: "pageImage.rotate" })}
+                        onClick={this.rotate.bind(this)}
+                    >
+                        ↻
+                    </button>
+                    <label
+                        title={intl.formatMessage({
+                            id: "pageImage.brightness"
+                        })}
+                    >
+                        ☀
+                        <input
+                            type="range"
+                            min="50"
+                            max="300"
+                            value={adjustments.brightness}
+                            onChange={(
+                                e: SyntheticInputEvent<HTMLInputElement>
+                            ) =>
+                                this.changeAdjustment(
+                                    "brightness",
+                                    Number(e.target.value)
+                                )
+                            }
+                        />
+                    </label>
+                    <label
+                        title={intl.formatMessage({ id: "pageImage.contrast" })}
+                    >
+                        ◐
+                        <input
+                            type="range"
+                            min="50"
+                            max="300"
+                            value={adjustments.contrast}
+                            onChange={(
+                                e: SyntheticInputEvent<HTMLInputElement>
+                            ) =>
+                                this.changeAdjustment(
+                                    "contrast",
+                                    Number(e.target.value)
+                                )
+                            }
+                        />
+                    </label>
+                    <button
+                        className={classnames({
+                            [styles.activeButton]: this.isDrawingRegion()
+                        })}
+                        title={intl.formatMessage({
+                            id: "pageImage.drawRegion"
+                        })}
+                        disabled={!onDrawRegion}
+                        onClick={this.toggleDrawingRegion.bind(this)}
+                    >
+                        ▭
+                    </button>
+                    <button
+                        title={intl.formatMessage({ id: "pageImage.reset" })}
+                        onClick={this.reset.bind(this)}
+                    >
+                        ⟲
+                    </button>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default injectIntl(PageImageViewer);
@@ -0,0 +1,92 @@
+// @flow
+import { connect } from "react-redux";
+import { batchActions } from "redux-batched-actions";
+import PageImageViewer from "./PageImageViewer";
+import * as actions from "actions";
+import * as reducers from "reducers";
+import Annotation, { ANNOTATION_TYPES } from "lib/Annotation";
+import { getImageServiceUrl } from "lib/iiifImage";
+import type { ImageRegion } from "lib/iiifImage";
+import { formatImageRegion } from "lib/imageRegion";
+import type { LinkedImageRegion } from "lib/imageRegion";
+import type { AppState } from "reducers";
+
+type OwnProps = {|
+    imageUrl: string,
+    onLoadImage?: (width: number, height: number) => void,
+    regions?: LinkedImageRegion[],
+    highlightedRegionId?: string | null,
+    onSelectRegion?: (id: string) => void,
+    // The selected text that regions drawn on the image are linked to
+    linkedAnnotation?: Annotation | null
+|};
+
+const mapStateToProps = (state: AppState, ownProps: OwnProps) => {
+    const serviceUrl = getImageServiceUrl(ownProps.imageUrl);
+    return {
+        serviceUrl,
+        info: serviceUrl ? reducers.getIiifImageInfo(state, serviceUrl) : null,
+        zoom: reducers.getPageImageZoom(state),
+        adjustments: reducers.getPageImageAdjustments(state),
+        user: reducers.getUser(state),
+        selectedWitness: reducers.getSelectedTextWitness(state)
+    };
+};
+
+const mergeProps = (
+    stateProps,
+    dispatchProps: {| dispatch: (action: actions.Action) => void |},
+    ownProps: OwnProps
+) => {
+    const { dispatch } = dispatchProps;
+    const { user, selectedWitness, ...otherStateProps } = stateProps;
+    const { linkedAnnotation, ...otherOwnProps } = ownProps;
+
+    let onDrawRegion = null;
+    if (linkedAnnotation && selectedWitness && user.isLoggedIn) {
+        onDrawRegion = (region: ImageRegion) => {
+            const regionAnnotation = new Annotation(
+                null,
+                linkedAnnotation.witness,
+                linkedAnnotation.start,
+                linkedAnnotation.length,
+                formatImageRegion(region),
+                ANNOTATION_TYPES.imageRegion,
+                selectedWitness,
+                user
+            );
+            dispatch(
+                batchActions([
+                    actions.createdAnnotation(regionAnnotation),
+                    actions.appliedAnnotation(
+                        regionAnnotation.uniqueId,
+                        reducers.dataFromWitness(selectedWitness)
+                    )
+                ])
+            );
+        };
+    }
+
+    return {
+        ...otherStateProps,
+        ...otherOwnProps,
+        onViewImage: (serviceUrl: string) => {
+            dispatch(actions.viewedPageImage(serviceUrl));
+        },
+        onChangeZoom: (zoom: number) => {
+            dispatch(actions.changedPageImageZoom(zoom));
+        },
+        onChangeAdjustments: (adjustments: actions.PageImageAdjustments) => {
+            dispatch(actions.changedPageImageAdjustments(adjustments));
+        },
+        onDrawRegion
+    };
+};
+
+const PageImageViewerContainer = connect<_, OwnProps, _, _, _, _>(
+    mapStateToProps,
+    null,
+    mergeProps
+)(PageImageViewer);
+
+export default PageImageViewerContainer;
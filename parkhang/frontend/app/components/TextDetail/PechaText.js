@@ -1,73 +1,282 @@
-import React from "react";
+// @flow
+import * as React from "react";
+import ReactDOM from "react-dom";
 import { AutoSizer } from "react-virtualized/dist/es/AutoSizer";
 import { List } from "react-virtualized/dist/es/List";
 import {
     CellMeasurer,
     CellMeasurerCache
 } from "react-virtualized/dist/es/CellMeasurer";
-import "react-virtualized/styles.css"; // only needs to be imported once
+import "react-virtualized/styles.css";
 import Text from "./Text";
+import SplitText from "lib/SplitText";
+import SegmentedText from "lib/SegmentedText";
+import TextSegment from "lib/TextSegment";
+import Annotation, { ANNOTATION_TYPES } from "lib/Annotation";
+import type { AnnotationUniqueId } from "lib/Annotation";
+import { PAGE_BREAK_KEY, LINE_BREAK_KEY } from "lib/AnnotatedText";
+import Witness, { IMAGE_START_NUMBER_KEY } from "lib/Witness";
+import getBreakPositions from "lib/getBreakPositions";
+import getPechaLines from "lib/getPechaLines";
+import { getPageMarker } from "lib/PlainTextExporter";
 import styles from "./PechaText.css";
 
-const cache = new CellMeasurerCache({
-    fixedWidth: true
-});
+// The width of a folio divided by its height
+const FOLIO_PROPORTIONS = 4;
+// Used for pages without any line breaks
+const DEFAULT_LINES_PER_SIDE = 7;
+const FOLIO_LABEL_FORMAT = "{folio}{side}";
 
-const PechaText = props => {
-    const paginatedText = props.paginatedText;
-    const pages = paginatedText.getPages();
+export type Props = {
+    splitText: SplitText,
+    annotationPositions: { [string]: Annotation[] },
+    activeAnnotations: { [AnnotationUniqueId]: Annotation } | null,
+    activeAnnotation: Annotation | null,
+    selectedAnnotatedSegments: Array<TextSegment | number>,
+    selectedSegmentId: (segmentId: string) => void,
+    selectedWitness: Witness,
+    fontSize: number
+};
+
+type State = {
+    // Whether the browser is printing, when every side is rendered
+    printing: boolean
+};
+
+/**
+ * Shows a paginated witness as the sides of pecha folios, with the lines
+ * of each side taken from its line breaks.
+ */
+export default class PechaText extends React.Component<Props, State> {
+    cache: CellMeasurerCache;
+    width: number | null;
+    beforePrintHandler: () => void;
+    afterPrintHandler: () => void;
+    _lines: SegmentedText[][] | null;
+    _linesSplitText: SplitText | null;
+    _annotationPositions: { [string]: Annotation[] } | null;
+    _textAnnotationPositions: { [string]: Annotation[] };
+
+    constructor(props: Props) {
+        super(props);
+
+        this.state = {
+            printing: false
+        };
+        this.cache = new CellMeasurerCache({
+            fixedWidth: true,
+            defaultHeight: 200
+        });
+        this.width = null;
+        this.beforePrintHandler = () => this.setState({ printing: true });
+        this.afterPrintHandler = () => this.setState({ printing: false });
+        this._lines = null;
+        this._linesSplitText = null;
+        this._annotationPositions = null;
+        this._textAnnotationPositions = {};
+    }
+
+    componentDidMount() {
+        window.addEventListener("beforeprint", this.beforePrintHandler);
+        window.addEventListener("afterprint", this.afterPrintHandler);
+    }
+
+    componentWillUnmount() {
+        window.removeEventListener("beforeprint", this.beforePrintHandler);
+        window.removeEventListener("afterprint", this.afterPrintHandler);
+    }
+
+    componentDidUpdate(prevProps: Props) {
+        if (
+            prevProps.splitText !== this.props.splitText ||
+            prevProps.fontSize !== this.props.fontSize
+        ) {
+            this.cache.clearAll();
+        }
+    }
+
+    /**
+     * Get the lines of each side.
+     */
+    getLines(): SegmentedText[][] {
+        const splitText = this.props.splitText;
+        if (!this._lines || this._linesSplitText !== splitText) {
+            const lineBreaks = getBreakPositions(
+                splitText.annotatedText,
+                ANNOTATION_TYPES.lineBreak
+            );
+            this._lines = splitText.texts.map(page =>
+                getPechaLines(page, lineBreaks, DEFAULT_LINES_PER_SIDE)
+            );
+            this._linesSplitText = splitText;
+        }
+        return this._lines;
+    }
+
+    /**
+     * Get the annotation positions without page and line breaks, which are
+     * shown by the layout instead.
+     */
+    getTextAnnotationPositions(): { [string]: Annotation[] } {
+        const annotationPositions = this.props.annotationPositions;
+        if (annotationPositions !== this._annotationPositions) {
+            let positions = {};
+            for (let key in annotationPositions) {
+                if (
+                    key.indexOf(PAGE_BREAK_KEY) !== 0 &&
+                    key.indexOf(LINE_BREAK_KEY) !== 0
+                ) {
+                    positions[key] = annotationPositions[key];
+                }
+            }
+            this._annotationPositions = annotationPositions;
+            this._textAnnotationPositions = positions;
+        }
+        return this._textAnnotationPositions;
+    }
+
+    getFolioLabel(index: number): string {
+        const properties = this.props.selectedWitness.properties;
+        let firstImage = 1;
+        if (properties && properties.hasOwnProperty(IMAGE_START_NUMBER_KEY)) {
+            firstImage = Number(properties[IMAGE_START_NUMBER_KEY]);
+        }
+        return getPageMarker(FOLIO_LABEL_FORMAT, index, firstImage);
+    }
+
+    getBaseAnnotation(annotation: Annotation): Annotation {
+        let [
+            start
+        ] = this.props.splitText.annotatedText.getPositionOfAnnotation(
+            annotation
+        );
+        if (start === null) start = 0;
+        return this.props.splitText.annotatedText.getBaseAnnotation(
+            start,
+            annotation.content.length
+        );
+    }
+
+    renderSide(index: number, width: number | null): React.Node {
+        const props = this.props;
+        const lines = this.getLines()[index];
+        const annotationPositions = this.getTextAnnotationPositions();
+        // Text only expects TextSegments
+        const selectedAnnotatedSegments = props.selectedAnnotatedSegments.reduce(
+            (acc, current: TextSegment | number) => {
+                if (current instanceof TextSegment) acc.push(current);
+                return acc;
+            },
+            []
+        );
+        const folioStyle = width
+            ? { minHeight: Math.round(width / FOLIO_PROPORTIONS) }
+            : {};
+
+        return (
+            <div className={styles.side}>
+                <div className={styles.folioLabel}>
+                    {this.getFolioLabel(index)}
+                </div>
+                <div className={styles.folio} style={folioStyle}>
+                    {lines.map((line, lineIndex) => (
+                        <div className={styles.line} key={lineIndex}>
+                            <Text
+                                segmentedText={line}
+                                annotationPositions={annotationPositions}
+                                activeAnnotations={props.activeAnnotations}
+                                activeAnnotation={props.activeAnnotation}
+                                selectedAnnotatedSegments={
+                                    selectedAnnotatedSegments
+                                }
+                                selectedSegmentId={props.selectedSegmentId}
+                                getBaseAnnotation={this.getBaseAnnotation.bind(
+                                    this
+                                )}
+                                row={index + lineIndex}
+                                activeWitness={props.selectedWitness}
+                                searchValue={null}
+                                selectedSearchResult={null}
+                                searchStringPositions={{}}
+                                fontSize={props.fontSize}
+                            />
+                        </div>
+                    ))}
+                </div>
+            </div>
+        );
+    }
+
+    renderPrintView(): React.Node {
+        const sides = this.getLines().map((lines, index) => (
+            <React.Fragment key={index}>
+                {this.renderSide(index, null)}
+            </React.Fragment>
+        ));
+        if (!document.body) {
+            return null;
+        }
+        return ReactDOM.createPortal(
+            <div className={styles.printView}>{sides}</div>,
+            document.body
+        );
+    }
 
-    function rowRenderer({ key, index, parent, style }) {
+    rowRenderer({
+        key,
+        index,
+        parent,
+        style
+    }: {
+        key: string,
+        index: number,
+        parent: {},
+        style: {}
+    }): React.Element<CellMeasurer> {
         return (
             <CellMeasurer
                 columnIndex={0}
                 key={key}
                 parent={parent}
                 rowIndex={index}
-                cache={cache}
+                cache={this.cache}
             >
-                <div key={key} style={style} className={styles.textPagesRow}>
-                    <div className={styles.pechaImage}>
-                        <div className={styles.pechaContent}>
-                            <p>Page {index + 1} image</p>
-                        </div>
-                    </div>
-                    <Text
-                        segmentedText={pages[index]}
-                        annotations={props.annotations}
-                        activeAnnotations={props.activeAnnotations}
-                        annotationPositions={props.annotationPositions}
-                        selectedAnnotatedSegments={
-                            props.selectedAnnotatedSegments
-                        }
-                    />
+                <div style={style} className={styles.sideRow}>
+                    {this.renderSide(index, this.width)}
                 </div>
             </CellMeasurer>
         );
     }
 
-    return (
-        <div className={styles.pechaText}>
-            {pages.length > 0 ? (
-                <AutoSizer>
-                    {({ height, width }) => (
-                        <List
-                            height={height}
-                            rowCount={pages.length}
-                            rowHeight={cache.rowHeight}
-                            rowRenderer={rowRenderer}
-                            width={width}
-                            deferredMeasurementCache={cache}
-                        />
-                    )}
-                </AutoSizer>
-            ) : (
-                <ul>
-                    <li>(no pages)</li>
-                </ul>
-            )}
-        </div>
-    );
-};
+    render() {
+        const rowCount = this.props.splitText.texts.length;
 
-export default PechaText;
+        return (
+            <div className={styles.pechaText}>
+                <AutoSizer
+                    onResize={({ width }) => {
+                        if (width !== this.width) {
+                            this.cache.clearAll();
+                        }
+                    }}
+                >
+                    {({ height, width }) => {
+                        this.width = width;
+                        return (
+                            <List
+                                height={height}
+                                rowCount={rowCount}
+                                rowHeight={this.cache.rowHeight}
+                                rowRenderer={this.rowRenderer.bind(this)}
+                                width={width}
+                                overscanRowCount={2}
+                                deferredMeasurementCache={this.cache}
+                            />
+                        );
+                    }}
+                </AutoSizer>
+                {this.state.printing && this.renderPrintView()}
+            </div>
+        );
+    }
+}
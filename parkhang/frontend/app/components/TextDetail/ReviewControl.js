@@ -0,0 +1,25 @@
+// @flow
+import React from "react";
+import { injectIntl } from "react-intl";
+import Button from "components/UI/Button";
+import styles from "./ReviewControl.css";
+
+type Props = {
+    reviewQueueVisible: boolean,
+    onChange: (isVisible: boolean) => void,
+    intl: { formatMessage: ({ [id: string]: string }) => string }
+};
+
+const ReviewControl = (props: Props) => (
+    <div className={styles.reviewControl}>
+        <Button
+            title={props.intl.formatMessage({
+                id: "header.review"
+            })}
+            isActive={props.reviewQueueVisible}
+            onClick={() => props.onChange(!props.reviewQueueVisible)}
+        />
+    </div>
+);
+
+export default injectIntl(ReviewControl);
@@ -0,0 +1,220 @@
+// @flow
+import React from "react";
+import { FormattedMessage, injectIntl } from "react-intl";
+import Button from "components/UI/Button";
+import { ANNOTATION_TYPES, REVIEW_STATES } from "lib/Annotation";
+import type { AnnotationUniqueId } from "lib/Annotation";
+import Witness from "lib/Witness";
+import styles from "./ReviewQueue.css";
+
+export type ProposedChange = {
+    uniqueId: AnnotationUniqueId,
+    type: string,
+    userName: string,
+    before: string,
+    after: string
+};
+
+export type WitnessChanges = {
+    witness: Witness,
+    changes: ProposedChange[]
+};
+
+type Props = {
+    textId: number | null,
+    visible: boolean,
+    loading: boolean,
+    witnessChanges: WitnessChanges[],
+    onReview: (
+        textId: number,
+        annotationIds: AnnotationUniqueId[],
+        reviewState: string
+    ) => void,
+    onClose: () => void,
+    intl: { formatMessage: ({ [id: string]: string }) => string }
+};
+
+type State = {
+    selected: { [AnnotationUniqueId]: boolean }
+};
+
+const typeMessages = {
+    [ANNOTATION_TYPES.note]: "review.note",
+    [ANNOTATION_TYPES.pageBreak]: "review.pageBreak",
+    [ANNOTATION_TYPES.lineBreak]: "review.lineBreak",
+    [ANNOTATION_TYPES.imageRegion]: "review.imageRegion"
+};
+
+/**
+ * Lists the changes users have proposed for each witness of a text so a
+ * reviewer can accept or reject them.
+ */
+class ReviewQueue extends React.Component<Props, State> {
+    constructor(props: Props) {
+        super(props);
+
+        this.state = {
+            selected: {}
+        };
+    }
+
+    toggleChanges(changes: ProposedChange[], isSelected: boolean) {
+        let selected = { ...this.state.selected };
+        for (let change of changes) {
+            selected[change.uniqueId] = isSelected;
+        }
+        this.setState({ selected });
+    }
+
+    getSelectedIds(): AnnotationUniqueId[] {
+        let ids = [];
+        for (let { changes } of this.props.witnessChanges) {
+            for (let change of changes) {
+                if (this.state.selected[change.uniqueId]) {
+                    ids.push(change.uniqueId);
+                }
+            }
+        }
+        return ids;
+    }
+
+    review(reviewState: string) {
+        const { textId } = this.props;
+        const annotationIds = this.getSelectedIds();
+        if (textId === null || annotationIds.length === 0) {
+            return;
+        }
+        this.props.onReview(textId, annotationIds, reviewState);
+        this.setState({ selected: {} });
+    }
+
+    renderChange(change: ProposedChange) {
+        let after = null;
+        if (typeMessages.hasOwnProperty(change.type)) {
+            after = (
+                <React.Fragment>
+                    <span className={styles.type}>
+                        <FormattedMessage id={typeMessages[change.type]} />
+                    </span>
+                    {change.after}
+                </React.Fragment>
+            );
+        } else if (change.after.length > 0) {
+            after = change.after;
+        } else {
+            after = <FormattedMessage id="import.omitted" />;
+        }
+
+        return (
+            <li key={change.uniqueId}>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={!!this.state.selected[change.uniqueId]}
+                        onChange={() =>
+                            this.toggleChanges(
+                                [change],
+                                !this.state.selected[change.uniqueId]
+                            )
+                        }
+                    />
+                    <span className={styles.original}>{change.before}</span>
+                    <span className={styles.arrow}>→</span>
+                    <span className={styles.proposed}>{after}</span>
+                    <span className={styles.user}>{change.userName}</span>
+                </label>
+            </li>
+        );
+    }
+
+    render() {
+        const { visible, loading, witnessChanges, intl } = this.props;
+        if (!visible) {
+            return null;
+        }
+
+        let content = null;
+        if (loading) {
+            content = (
+                <p className={styles.message}>
+                    <FormattedMessage id="review.loading" />
+                </p>
+            );
+        } else if (witnessChanges.length === 0) {
+            content = (
+                <p className={styles.message}>
+                    <FormattedMessage id="review.noChanges" />
+                </p>
+            );
+        } else {
+            content = (
+                <div className={styles.content}>
+                    {witnessChanges.map(({ witness, changes }) => (
+                        <div key={witness.id}>
+                            <h4>
+                                <label>
+                                    <input
+                                        type="checkbox"
+                                        checked={changes.every(
+                                            change =>
+                                                this.state.selected[
+                                                    change.uniqueId
+                                                ]
+                                        )}
+                                        onChange={e =>
+                                            this.toggleChanges(
+                                                changes,
+                                                e.target.checked
+                                            )
+                                        }
+                                    />
+                                    {witness.isWorking ? (
+                                        <FormattedMessage id="annotation.workingEdition" />
+                                    ) : (
+                                        witness.source.name
+                                    )}
+                                </label>
+                            </h4>
+                            <ul className={styles.changes}>
+                                {changes.map(change =>
+                                    this.renderChange(change)
+                                )}
+                            </ul>
+                        </div>
+                    ))}
+                </div>
+            );
+        }
+
+        const hasSelected = this.getSelectedIds().length > 0;
+
+        return (
+            <div className={styles.reviewQueue}>
+                <h3 className={styles.heading}>
+                    <FormattedMessage id="review.heading" />
+                </h3>
+                {content}
+                <div className={styles.buttons}>
+                    <Button
+                        title={intl.formatMessage({ id: "review.accept" })}
+                        disabled={!hasSelected}
+                        onClick={() => this.review(REVIEW_STATES.accepted)}
+                    />
+                    <Button
+                        title={intl.formatMessage({ id: "review.reject" })}
+                        disabled={!hasSelected}
+                        onClick={() => this.review(REVIEW_STATES.rejected)}
+                    />
+                    <Button
+                        title={intl.formatMessage({ id: "review.close" })}
+                        color="black"
+                        backgroundColor="#bbb"
+                        onClick={this.props.onClose}
+                    />
+                </div>
+            </div>
+        );
+    }
+}
+
+export default injectIntl(ReviewQueue);
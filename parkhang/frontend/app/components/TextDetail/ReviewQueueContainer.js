@@ -0,0 +1,124 @@
+// @flow
+import { connect } from "react-redux";
+import ReviewQueue from "./ReviewQueue";
+import type { WitnessChanges } from "./ReviewQueue";
+import * as actions from "actions";
+import * as reducers from "reducers";
+import AnnotatedText from "lib/AnnotatedText";
+import Witness from "lib/Witness";
+import { getTextSegmenter } from "lib/segmenters";
+import type { ProposedAnnotationData } from "api";
+import type { AppState } from "reducers";
+
+let _unchangedWitness = null;
+let _unchangedText = null;
+/**
+ * Get the working witness without any changes applied, which proposed
+ * changes are compared against.
+ */
+function getUnchangedText(workingWitness: Witness): AnnotatedText {
+    if (!_unchangedText || _unchangedWitness !== workingWitness) {
+        const segmenter = getTextSegmenter(workingWitness.text);
+        _unchangedWitness = workingWitness;
+        _unchangedText = new AnnotatedText(
+            segmenter(workingWitness.content || ""),
+            [],
+            text => segmenter(text).segments,
+            workingWitness
+        );
+    }
+    return _unchangedText;
+}
+
+export function getWitnessChanges(
+    state: AppState,
+    workingWitness: Witness,
+    proposedAnnotations: ProposedAnnotationData[]
+): WitnessChanges[] {
+    const unchangedText = getUnchangedText(workingWitness);
+    let witnessChanges = [];
+    let changesByWitnessId = {};
+    for (let annotationData of proposedAnnotations) {
+        const witnessId = annotationData.creator_witness;
+        if (!changesByWitnessId.hasOwnProperty(witnessId)) {
+            const witness = reducers.getWitness(state, witnessId);
+            if (!witness) {
+                continue;
+            }
+            changesByWitnessId[witnessId] = {
+                witness,
+                changes: []
+            };
+            witnessChanges.push(changesByWitnessId[witnessId]);
+        }
+        changesByWitnessId[witnessId].changes.push({
+            uniqueId: annotationData.unique_id,
+            type: annotationData.type,
+            userName: annotationData.creator_name,
+            before: unchangedText.getContentForRange(
+                annotationData.start,
+                annotationData.length
+            ),
+            after: annotationData.content
+        });
+    }
+    return witnessChanges;
+}
+
+const mapStateToProps = (state: AppState) => {
+    const selectedText = reducers.getSelectedText(state);
+    const visible = reducers.getReviewQueueVisible(state);
+    let loading = true;
+    let witnessChanges = [];
+    if (visible && selectedText) {
+        const workingWitness = reducers.getWorkingWitness(
+            state,
+            selectedText.id
+        );
+        const proposedAnnotations = reducers.getProposedAnnotations(
+            state,
+            selectedText.id
+        );
+        if (workingWitness && proposedAnnotations) {
+            loading = false;
+            witnessChanges = getWitnessChanges(
+                state,
+                workingWitness,
+                proposedAnnotations
+            );
+        }
+    }
+
+    return {
+        textId: selectedText ? selectedText.id : null,
+        visible,
+        loading,
+        witnessChanges
+    };
+};
+
+const mapDispatchToProps = dispatch => {
+    return {
+        onReview: (
+            textId: number,
+            annotationIds: string[],
+            reviewState: string
+        ) => {
+            dispatch(
+                actions.reviewedAnnotations(textId, annotationIds, reviewState)
+            );
+        },
+        onClose: () => {
+            dispatch(actions.changedReviewQueue(false));
+        }
+    };
+};
+
+type OwnProps = {||};
+
+const ReviewQueueContainer = connect<_, OwnProps, _, _, _, _>(
+    mapStateToProps,
+    mapDispatchToProps
+)(ReviewQueue);
+
+export default ReviewQueueContainer;
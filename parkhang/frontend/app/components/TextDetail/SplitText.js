@@ -15,11 +15,13 @@ import Text, {
     idForPageBreak,
     idForLineBreak
 } from "./Text";
+import type { BlameSegment } from "./Text";
 import SplitText from "lib/SplitText";
 import SegmentedText from "lib/SegmentedText";
 import shallowEqual from "lib/shallowEqual";
 import { CONTROLS_MARGIN_LEFT } from "./AnnotationControls";
 import AnnotationControlsContainer from "./AnnotationControlsContainer";
+import PageImageViewerContainer from "./PageImageViewerContainer";
 import styles from "./SplitText.css";
 import annotationControlsStyles from "./AnnotationControls.css";
 import textStyles from "./Text.css";
@@ -29,20 +31,20 @@ import TextSegment from "lib/TextSegment";
 import Annotation, { ANNOTATION_TYPES } from "lib/Annotation";
 import type { AnnotationUniqueId } from "lib/Annotation";
 import Witness from "lib/Witness";
+import { getPageImageUrl } from "lib/iiifManifest";
+import type { IiifCanvas } from "lib/iiifManifest";
+import { parseImageRegion } from "lib/imageRegion";
+import type { LinkedImageRegion } from "lib/imageRegion";
 import GraphemeSplitter from "grapheme-splitter";
+import { findSearchMatches } from "lib/patternSearch";
+import * as constants from "app_constants";
 
 const MIN_SPACE_RIGHT =
     parseInt(controlStyles.inlineWidth) + CONTROLS_MARGIN_LEFT;
 
-const IMAGE_URL_PREFIX = "//iiif.bdrc.io/";
-const IMAGE_URL_SUFFIX = "/full/full/0/default.jpg";
-const IMAGE_START_PRE_KEY = "bdrcimg_pre";
-const IMAGE_START_NUMBER_KEY = "bdrcimg_number";
-const IMAGE_START_SUFFIX_KEY = "bdrcimg_suffix";
-
 let _searchResultsCache: {
     [splitTextUniqueId: string]: {
-        [searchTerm: string]: {
+        [searchKey: string]: {
             [index: number]: { [position: number]: [number, number] }
         }
     }
@@ -51,12 +53,16 @@ let _searchResultsCache: {
 export type Props = {
     textListVisible: boolean,
     imagesBaseUrl: string,
+    pageCanvases: IiifCanvas[] | null,
     splitText: SplitText,
     didSelectSegmentIds: (segmentIds: string[]) => void,
     limitWidth: boolean,
     activeAnnotation: Annotation | null,
     selectedAnnotatedSegments: Array<TextSegment | number>,
+    collaboratorSegments: { [segmentId: string]: string },
+    blameSegments: { [segmentId: string]: BlameSegment },
     showImages: boolean,
+    pageImageLayout: string,
     annotationPositions: { [string]: Annotation[] },
     annotations: Annotation[],
     activeAnnotations: { [AnnotationUniqueId]: Annotation } | null,
@@ -68,10 +74,21 @@ export type Props = {
         length: number
     } | null,
     searchValue: string | null,
+    searchMode: string,
     fontSize: number
 };
 
-export default class SplitTextComponent extends React.PureComponent<Props> {
+type State = {
+    // The rows of the list that can be seen
+    visibleRows: { startIndex: number, stopIndex: number },
+    // The image region linked to the text under the mouse
+    highlightedRegionId: AnnotationUniqueId | null
+};
+
+export default class SplitTextComponent extends React.PureComponent<
+    Props,
+    State
+> {
     list: List | null;
     splitText: HTMLDivElement | null;
     cache: CellMeasurerCache;
@@ -83,6 +100,8 @@ export default class SplitTextComponent extends React.PureComponent<Props> {
     }) => React.Element<CellMeasurer>;
     resizeHandler: () => void;
     selectionHandler: (e: Event) => void;
+    hoveredSegmentId: (id: string | null) => void;
+    selectImageRegion: (id: AnnotationUniqueId) => void;
     textListVisible: boolean;
     activeSelection: Selection | null;
     selectedNodes: Node[] | null;
@@ -100,6 +119,8 @@ export default class SplitTextComponent extends React.PureComponent<Props> {
     imageWidth: number | null;
     imageHeight: number | null;
     calculatedImageHeight: number | null;
+    // The annotations of the image regions that have been shown
+    imageRegionAnnotations: { [AnnotationUniqueId]: Annotation };
 
     constructor(props: Props) {
         super(props);
@@ -111,6 +132,8 @@ export default class SplitTextComponent extends React.PureComponent<Props> {
             defaultHeight: 300
         });
         this.rowRenderer = this.rowRenderer.bind(this);
+        this.hoveredSegmentId = this.hoveredSegmentId.bind(this);
+        this.selectImageRegion = this.selectImageRegion.bind(this);
         this.textListVisible = props.textListVisible;
         this.activeSelection = null;
         this.selectedNodes = null;
@@ -121,7 +144,12 @@ export default class SplitTextComponent extends React.PureComponent<Props> {
         this.imageHeight = null;
         this.imageWidth = null;
         this.calculatedImageHeight = null;
-        
+        this.imageRegionAnnotations = {};
+        this.state = {
+            visibleRows: { startIndex: 0, stopIndex: 0 },
+            highlightedRegionId: null
+        };
+
         this.processProps(props);
     }
 
@@ -420,6 +448,7 @@ export default class SplitTextComponent extends React.PureComponent<Props> {
         let shouldReset = false;
         if (
             oldProps.showImages !== newProps.showImages ||
+            oldProps.pageImageLayout !== newProps.pageImageLayout ||
             this.pageBreaksChanged(oldProps, newProps)
         ) {
             shouldReset = true;
@@ -749,49 +778,199 @@ export default class SplitTextComponent extends React.PureComponent<Props> {
         const key = props.selectedWitness ? props.selectedWitness.id : 0;
 
         return (
-            <div
-                className={styles.splitText}
-                ref={div => (this.splitText = div)}
-                key={key}
-            >
-                <AutoSizer>
-                    {({ height, width }) => (
-                        <List
-                            ref={list => (this.list = list)}
-                            height={height}
-                            rowCount={props.splitText.texts.length}
-                            rowHeight={cache.rowHeight}
-                            rowRenderer={rowRenderer}
-                            width={width}
-                            overscanRowCount={3}
-                            deferredMeasurementCache={cache}
-                        />
-                    )}
-                </AutoSizer>
+            <div className={styles.splitText} key={key}>
+                <div
+                    className={styles.textColumn}
+                    ref={div => (this.splitText = div)}
+                >
+                    <AutoSizer>
+                        {({ height, width }) => (
+                            <List
+                                ref={list => (this.list = list)}
+                                height={height}
+                                rowCount={props.splitText.texts.length}
+                                rowHeight={cache.rowHeight}
+                                rowRenderer={rowRenderer}
+                                width={width}
+                                overscanRowCount={3}
+                                deferredMeasurementCache={cache}
+                                onRowsRendered={({ startIndex, stopIndex }) =>
+                                    this.setState({
+                                        visibleRows: { startIndex, stopIndex }
+                                    })
+                                }
+                            />
+                        )}
+                    </AutoSizer>
+                </div>
+                {this.showsSideImage() && (
+                    <div className={styles.imageColumn}>
+                        {this.renderPageImage(this.getSideImagePageIndex())}
+                    </div>
+                )}
             </div>
         );
     }
 
+    showsInlineImages(): boolean {
+        return (
+            this.props.showImages &&
+            this.props.pageImageLayout === constants.PAGE_IMAGE_LAYOUTS.inline
+        );
+    }
+
+    showsSideImage(): boolean {
+        return (
+            this.props.showImages &&
+            this.props.pageImageLayout ===
+                constants.PAGE_IMAGE_LAYOUTS.sideBySide
+        );
+    }
+
+    /**
+     * Get the page shown next to the text: the selected page if it can be
+     * seen, or the first page that can be.
+     */
+    getSideImagePageIndex(): number {
+        const { startIndex, stopIndex } = this.state.visibleRows;
+        const selectedIndex = this.selectedTextIndex;
+        if (
+            selectedIndex != null &&
+            selectedIndex >= startIndex &&
+            selectedIndex <= stopIndex
+        ) {
+            return selectedIndex;
+        }
+        return startIndex;
+    }
+
     getImageUrl(pageIndex: number): string {
+        if (!this.props.selectedWitness) return "";
+        return getPageImageUrl(
+            this.props.selectedWitness,
+            pageIndex,
+            this.props.pageCanvases
+        );
+    }
+
+    renderPageImage(
+        pageIndex: number,
+        onLoadImage?: (width: number, height: number) => void
+    ): React.Node {
+        return (
+            <PageImageViewerContainer
+                imageUrl={this.getImageUrl(pageIndex)}
+                onLoadImage={onLoadImage}
+                regions={this.getImageRegions(pageIndex)}
+                highlightedRegionId={this.state.highlightedRegionId}
+                onSelectRegion={this.selectImageRegion}
+                linkedAnnotation={this.getRegionLinkedAnnotation(pageIndex)}
+            />
+        );
+    }
+
+    getImageRegionAnnotations(position: number): Annotation[] {
+        const annotations = this.props.annotationPositions[String(position)];
+        if (!annotations) {
+            return [];
+        }
+        return annotations.filter(
+            annotation => annotation.type === ANNOTATION_TYPES.imageRegion
+        );
+    }
+
+    /**
+     * Get the regions of a page's image that are linked to its text.
+     */
+    getImageRegions(pageIndex: number): LinkedImageRegion[] {
+        const text = this.props.splitText.texts[pageIndex];
+        if (!text) {
+            return [];
+        }
+        let regions = [];
+        let added = {};
+        for (let segment of text.segments) {
+            for (let annotation of this.getImageRegionAnnotations(
+                segment.start
+            )) {
+                const region = parseImageRegion(annotation.content);
+                if (region && !added[annotation.uniqueId]) {
+                    added[annotation.uniqueId] = true;
+                    regions.push({ id: annotation.uniqueId, region });
+                    this.imageRegionAnnotations[
+                        annotation.uniqueId
+                    ] = annotation;
+                }
+            }
+        }
+        return regions;
+    }
+
+    /**
+     * Get the selected text if a region of the given page can be linked
+     * to it.
+     */
+    getRegionLinkedAnnotation(pageIndex: number): Annotation | null {
+        const activeAnnotation = this.props.activeAnnotation;
         if (
-            !this.props.selectedWitness ||
-            !this.props.selectedWitness.properties
-        )
-            return "";
-        let witnessProperties = this.props.selectedWitness.properties;
-        let prefix = witnessProperties[IMAGE_START_PRE_KEY];
-        let start = witnessProperties[IMAGE_START_NUMBER_KEY];
-        let suffix = witnessProperties[IMAGE_START_SUFFIX_KEY];
-        let id = Number(start) + pageIndex;
-        return IMAGE_URL_PREFIX + prefix + id + "." + suffix + IMAGE_URL_SUFFIX;
+            !activeAnnotation ||
+            !activeAnnotation.isVariant ||
+            activeAnnotation.length === 0 ||
+            this.selectedTextIndex !== pageIndex
+        ) {
+            return null;
+        }
+        return activeAnnotation;
+    }
+
+    hoveredSegmentId(id: string | null) {
+        let highlightedRegionId = null;
+        if (id && id.indexOf("s_") === 0) {
+            const regionAnnotations = this.getImageRegionAnnotations(
+                Number(id.substr(2))
+            );
+            if (regionAnnotations.length > 0) {
+                highlightedRegionId = regionAnnotations[0].uniqueId;
+            }
+        }
+        if (highlightedRegionId !== this.state.highlightedRegionId) {
+            this.setState({ highlightedRegionId }, () => {
+                if (this.showsInlineImages() && this.list) {
+                    this.list.forceUpdateGrid();
+                }
+            });
+        }
+    }
+
+    /**
+     * Select the text linked to a region of a page image.
+     */
+    selectImageRegion(id: AnnotationUniqueId) {
+        const annotatedText = this.props.splitText.annotatedText;
+        const annotation = this.imageRegionAnnotations[id];
+        if (!annotation) {
+            return;
+        }
+        const [start, length] = annotatedText.getPositionOfAnnotation(
+            annotation
+        );
+        if (start === null || !length) {
+            return;
+        }
+        const segmentIds = annotatedText.segmentedText
+            .segmentsInRange(start, length)
+            .map(segment => idForSegment(segment));
+        this.props.didSelectSegmentIds(segmentIds);
     }
 
     getStringPositions(
         text: SegmentedText,
         string: string,
+        searchMode: string,
         index: number
     ): { [position: number]: [number, number] } {
         const uniqueId = this.props.splitText.annotatedText.getUniqueId();
+        const searchKey = searchMode + ":" + string;
 
         if (!_searchResultsCache.hasOwnProperty(uniqueId)) {
             _searchResultsCache = {
@@ -799,63 +978,51 @@ export default class SplitTextComponent extends React.PureComponent<Props> {
             };
         }
 
-        if (!_searchResultsCache[uniqueId].hasOwnProperty(string)) {
+        if (!_searchResultsCache[uniqueId].hasOwnProperty(searchKey)) {
             _searchResultsCache[uniqueId] = {
-                [string]: {}
+                [searchKey]: {}
             };
         }
 
-        if (_searchResultsCache[uniqueId][string].hasOwnProperty(index)) {
-            return _searchResultsCache[uniqueId][string][index];
+        if (_searchResultsCache[uniqueId][searchKey].hasOwnProperty(index)) {
+            return _searchResultsCache[uniqueId][searchKey][index];
         }
 
         const splitter = new GraphemeSplitter();
         const content = text.getText();
         const firstSegment = text.segments[0];
         const startingPosition = firstSegment.start;
-        let positions = [];
-        let position = content.indexOf(string);
-        while (position !== -1) {
-            positions.push(position);
-            position = content.indexOf(string, position + 1);
-        }
+        const matches = findSearchMatches(content, string, searchMode);
 
-        // Position needs to be position in complete text
+        // Position needs to be position in complete text, and matches
+        // need to start and end on grapheme boundaries.
         let verifiedPositions: { [position: number]: [number, number] } = {};
-        if (positions.length > 0) {
+        if (matches.length > 0) {
             const graphemes = splitter.splitGraphemes(content);
+            let graphemeStarts = {};
+            let graphemeEnds = {};
             let position = 0;
-            let activePosition = null;
             for (let i = 0; i < graphemes.length; i++) {
                 const grapheme = graphemes[i];
                 const graphemeEnd = position + (grapheme.length - 1);
-                if (activePosition !== null) {
-                    let expectedEnd = activePosition + (string.length - 1);
-                    if (graphemeEnd >= expectedEnd) {
-                        verifiedPositions[activePosition + startingPosition] = [
-                            activePosition + startingPosition,
-                            graphemeEnd + startingPosition
-                        ];
-                        activePosition = null;
-                    }
-                } else if (positions.indexOf(position) !== -1) {
-                    if (string.length === grapheme.length) {
-                        verifiedPositions[position + startingPosition] = [
-                            position + startingPosition,
-                            graphemeEnd + startingPosition
-                        ];
-                    } else if (string.length > grapheme.length) {
-                        activePosition = position;
-                    }
-                } else {
-                    activePosition = null;
+                graphemeStarts[position] = true;
+                for (let j = position; j <= graphemeEnd; j++) {
+                    graphemeEnds[j] = graphemeEnd;
                 }
-
                 position += grapheme.length;
             }
+            for (let i = 0; i < matches.length; i++) {
+                const [start, end] = matches[i];
+                if (graphemeStarts[start]) {
+                    verifiedPositions[start + startingPosition] = [
+                        start + startingPosition,
+                        graphemeEnds[end - 1] + startingPosition
+                    ];
+                }
+            }
         }
 
-        _searchResultsCache[uniqueId][string][index] = verifiedPositions;
+        _searchResultsCache[uniqueId][searchKey][index] = verifiedPositions;
 
         return verifiedPositions;
     }
@@ -874,15 +1041,9 @@ export default class SplitTextComponent extends React.PureComponent<Props> {
         const props = this.props;
         const cache = this.cache;
         const component = this;
-        const pechaImageClass = props.showImages ? styles.pechaImage : null;
-        let imageUrl = "";
-        if (
-            props.selectedWitness &&
-            props.selectedWitness.properties &&
-            props.selectedWitness.properties.hasOwnProperty(IMAGE_START_PRE_KEY)
-        ) {
-            imageUrl = this.getImageUrl(index);
-        }
+        const pechaImageClass = this.showsInlineImages()
+            ? styles.pechaImage
+            : null;
 
         let searchStringPositions = {};
         let searchValue = this.props.searchValue;
@@ -890,13 +1051,14 @@ export default class SplitTextComponent extends React.PureComponent<Props> {
             searchStringPositions = this.getStringPositions(
                 props.splitText.texts[index],
                 searchValue,
+                props.searchMode,
                 index
             );
         }
 
         let pechaStyles = {};
         let imageHeight = null;
-        if (props.showImages && pechaImageClass && this.calculatedImageHeight) {
+        if (pechaImageClass && this.calculatedImageHeight) {
             pechaStyles["height"] = this.calculatedImageHeight + "px";
         }
 
@@ -910,24 +1072,17 @@ export default class SplitTextComponent extends React.PureComponent<Props> {
             >
                 <div key={key} style={style} className={styles.splitTextRow}>
                     <div className={styles.splitTextRowContent}>
-                        {props.showImages && (
+                        {pechaImageClass && (
                             <div
                                 className={pechaImageClass}
                                 style={pechaStyles}
                             >
-                                <img
-                                    src={imageUrl}
-                                    width="100%"
-                                    height="100%"
-                                    onLoad={e => {
-                                        if (
-                                            component.imageWidth === null &&
-                                            e.target
-                                        ) {
-                                            component.imageWidth =
-                                                e.target.naturalWidth;
-                                            component.imageHeight =
-                                                e.target.naturalHeight;
+                                {this.renderPageImage(
+                                    index,
+                                    (width, height) => {
+                                        if (component.imageWidth === null) {
+                                            component.imageWidth = width;
+                                            component.imageHeight = height;
                                             component.calculatedImageHeight = null;
                                             window.setTimeout(
                                                 component.updateList.bind(
@@ -936,8 +1091,8 @@ export default class SplitTextComponent extends React.PureComponent<Props> {
                                                 0
                                             );
                                         }
-                                    }}
-                                />
+                                    }
+                                )}
                             </div>
                         )}
                         <Text
@@ -951,6 +1106,8 @@ export default class SplitTextComponent extends React.PureComponent<Props> {
                             selectedAnnotatedSegments={
                                 this._filteredSelectedAnnotatedSegments
                             }
+                            collaboratorSegments={props.collaboratorSegments}
+                            blameSegments={props.blameSegments}
                             getBaseAnnotation={this.getBaseAnnotation.bind(
                                 this
                             )}
@@ -961,6 +1118,7 @@ export default class SplitTextComponent extends React.PureComponent<Props> {
                             }
                             searchStringPositions={searchStringPositions}
                             fontSize={props.fontSize}
+                            hoveredSegmentId={this.hoveredSegmentId}
                         />
                     </div>
                     {this.selectedTextIndex === index &&
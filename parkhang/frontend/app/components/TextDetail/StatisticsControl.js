@@ -0,0 +1,25 @@
+// @flow
+import React from "react";
+import { injectIntl } from "react-intl";
+import Button from "components/UI/Button";
+import styles from "./StatisticsControl.css";
+
+type Props = {
+    statisticsVisible: boolean,
+    onChange: (isVisible: boolean) => void,
+    intl: { formatMessage: ({ [id: string]: string }) => string }
+};
+
+const StatisticsControl = (props: Props) => (
+    <div className={styles.statisticsControl}>
+        <Button
+            title={props.intl.formatMessage({
+                id: "header.statistics"
+            })}
+            isActive={props.statisticsVisible}
+            onClick={() => props.onChange(!props.statisticsVisible)}
+        />
+    </div>
+);
+
+export default injectIntl(StatisticsControl);
@@ -0,0 +1,102 @@
+// @flow
+import React from "react";
+import classnames from "classnames";
+import { FormattedMessage } from "react-intl";
+import Loader from "react-loader";
+import Witness from "lib/Witness";
+import AnnotatedText from "lib/AnnotatedText";
+import type { AlignedRow } from "lib/alignWitnesses";
+import type { VariantRange } from "lib/variantReadings";
+import styles from "./SynopticView.css";
+
+export type Props = {
+    witnesses: Witness[],
+    texts: AnnotatedText[],
+    rows: AlignedRow[] | null,
+    fontSize: number,
+    onSelectedReading: (
+        witness: Witness,
+        text: AnnotatedText,
+        range: VariantRange
+    ) => void
+};
+
+/**
+ * Shows several witnesses side by side, one per column.
+ *
+ * Each row contains the same passage in every witness, and any part of it
+ * that differs between them is highlighted in every column.
+ */
+const SynopticView = (props: Props) => {
+    const { witnesses, texts, rows } = props;
+    const gridStyle = {
+        gridTemplateColumns: "repeat(" + witnesses.length + ", 1fr)"
+    };
+
+    const headings = witnesses.map(witness => (
+        <div className={styles.heading} key={witness.id}>
+            {witness.isWorking ? (
+                <FormattedMessage id="annotation.workingEdition" />
+            ) : (
+                witness.source.name
+            )}
+        </div>
+    ));
+
+    let content = null;
+    if (rows) {
+        content = rows.map(row => (
+            <div
+                className={styles.row}
+                style={gridStyle}
+                key={row.start + "-" + row.end}
+            >
+                {row.columns.map((pieces, index) => (
+                    <div className={styles.cell} key={witnesses[index].id}>
+                        {pieces.map(piece => {
+                            const range = piece.range;
+                            if (!range || !piece.differs) {
+                                return piece.content;
+                            }
+                            return (
+                                <span
+                                    className={classnames(styles.reading, {
+                                        [styles.omitted]:
+                                            piece.content.length === 0
+                                    })}
+                                    key={range.start + "-" + range.end}
+                                    onClick={() =>
+                                        props.onSelectedReading(
+                                            witnesses[index],
+                                            texts[index],
+                                            range
+                                        )
+                                    }
+                                >
+                                    {piece.content}
+                                </span>
+                            );
+                        })}
+                    </div>
+                ))}
+            </div>
+        ));
+    }
+
+    return (
+        <div className={styles.synopticView}>
+            <div className={styles.headings} style={gridStyle}>
+                {headings}
+            </div>
+            <div
+                className={styles.rows}
+                style={{ fontSize: props.fontSize + "px" }}
+            >
+                <Loader loaded={rows !== null} />
+                {content}
+            </div>
+        </div>
+    );
+};
+
+export default SynopticView;
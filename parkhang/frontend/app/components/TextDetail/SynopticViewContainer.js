@@ -0,0 +1,100 @@
+// @flow
+import { connect } from "react-redux";
+import { batchActions } from "redux-batched-actions";
+import SynopticView from "./SynopticView";
+import * as actions from "actions";
+import * as reducers from "reducers";
+import * as TextStore from "state_helpers/TextStore";
+import Witness from "lib/Witness";
+import AnnotatedText from "lib/AnnotatedText";
+import alignWitnesses from "lib/alignWitnesses";
+import type { AlignedRow } from "lib/alignWitnesses";
+import type { VariantRange } from "lib/variantReadings";
+import type { AppState } from "reducers";
+
+let _rowsKey: string | null = null;
+let _rows: AlignedRow[] | null = null;
+
+// Aligning is relatively expensive so only do it when one of the
+// texts has changed.
+function getRows(texts: AnnotatedText[]): AlignedRow[] {
+    const key = texts.map(text => text.getUniqueId()).join("|");
+    if (key !== _rowsKey || !_rows) {
+        _rows = alignWitnesses(texts);
+        _rowsKey = key;
+    }
+    return _rows;
+}
+
+const mapStateToProps = (state: AppState) => {
+    const selectedText = reducers.getSelectedText(state);
+    let witnesses = [];
+    let texts = [];
+    let rows = null;
+    if (selectedText) {
+        const witnessIds = reducers.getComparisonWitnessIds(
+            state,
+            selectedText.id
+        );
+        for (let i = 0; i < witnessIds.length; i++) {
+            const witness = reducers.getWitness(state, witnessIds[i]);
+            if (witness) {
+                witnesses.push(witness);
+                const text = TextStore.getWitnessText(state, witness.id);
+                if (text) {
+                    texts.push(text);
+                }
+            }
+        }
+        if (texts.length > 0 && texts.length === witnesses.length) {
+            rows = getRows(texts);
+        }
+    }
+
+    return {
+        witnesses,
+        texts,
+        rows,
+        fontSize: reducers.getTextFontSize(state)
+    };
+};
+
+const mapDispatchToProps = dispatch => {
+    return {
+        onSelectedReading: (
+            witness: Witness,
+            text: AnnotatedText,
+            range: VariantRange
+        ) => {
+            const textId = witness.text.id;
+            let annotation = null;
+            if (range.start === range.end) {
+                annotation = text.variants.find(
+                    variant =>
+                        variant.start === range.start && variant.isInsertion
+                );
+            } else {
+                annotation = text.getAnnotation(
+                    range.start,
+                    range.end - range.start
+                );
+            }
+            dispatch(
+                batchActions([
+                    actions.changedComparisonWitnesses(textId, []),
+                    actions.selectedTextWitness(textId, witness.id),
+                    actions.changedActiveTextAnnotation(annotation || null)
+                ])
+            );
+        }
+    };
+};
+
+type OwnProps = {||};
+
+const SynopticViewContainer = connect<_, OwnProps, _, _, _, _>(
+    mapStateToProps,
+    mapDispatchToProps
+)(SynopticView);
+
+export default SynopticViewContainer;
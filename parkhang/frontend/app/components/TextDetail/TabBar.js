@@ -4,11 +4,14 @@ import classnames from "classnames";
 import { FormattedMessage } from "react-intl";
 import styles from "./TabBar.css";
 import Witness from "lib/Witness";
+import * as constants from "app_constants";
 
 export type Props = {
     witnesses: Witness[],
     activeWitness: Witness | null,
-    onSelectedWitness: (witness: Witness) => void
+    onSelectedWitness: (witness: Witness) => void,
+    comparisonWitnessIds?: number[],
+    onChangedComparisonWitnesses?: (witnessIds: number[]) => void
 };
 
 export default class TabBar extends React.Component<Props> {
@@ -16,10 +19,59 @@ export default class TabBar extends React.Component<Props> {
         super(props);
     }
 
+    get comparisonWitnessIds(): number[] {
+        return this.props.comparisonWitnessIds || [];
+    }
+
+    get isComparing(): boolean {
+        return this.comparisonWitnessIds.length > 0;
+    }
+
+    changeComparison(witnessIds: number[]) {
+        if (this.props.onChangedComparisonWitnesses) {
+            this.props.onChangedComparisonWitnesses(witnessIds);
+        }
+    }
+
+    toggleComparison(witnesses: Witness[]) {
+        if (this.isComparing) {
+            this.changeComparison([]);
+        } else {
+            const activeWitness = this.props.activeWitness || witnesses[0];
+            const otherWitnesses = witnesses.filter(
+                witness => witness !== activeWitness
+            );
+            let witnessIds = [activeWitness.id];
+            for (
+                let i = 0;
+                i < otherWitnesses.length &&
+                witnessIds.length < constants.MIN_COMPARISON_WITNESSES;
+                i++
+            ) {
+                witnessIds.push(otherWitnesses[i].id);
+            }
+            this.changeComparison(witnessIds);
+        }
+    }
+
+    toggleComparisonWitness(witness: Witness) {
+        const witnessIds = this.comparisonWitnessIds;
+        if (witnessIds.indexOf(witness.id) !== -1) {
+            if (witnessIds.length > constants.MIN_COMPARISON_WITNESSES) {
+                this.changeComparison(
+                    witnessIds.filter(witnessId => witnessId !== witness.id)
+                );
+            }
+        } else if (witnessIds.length < constants.MAX_COMPARISON_WITNESSES) {
+            this.changeComparison([...witnessIds, witness.id]);
+        }
+    }
+
     render() {
         let tabs = [];
+        let witnesses = [];
         if (this.props.witnesses) {
-            const witnesses = this.props.witnesses.map(witness => witness);
+            witnesses = this.props.witnesses.map(witness => witness);
             witnesses.sort((a, b) => {
                 if (a.isWorking) {
                     return -1;
@@ -37,7 +89,11 @@ export default class TabBar extends React.Component<Props> {
             });
             for (let witness of witnesses) {
                 let classes = [styles.tab];
-                if (witness === this.props.activeWitness) {
+                if (this.isComparing) {
+                    if (this.comparisonWitnessIds.indexOf(witness.id) !== -1) {
+                        classes.push(styles.selected);
+                    }
+                } else if (witness === this.props.activeWitness) {
                     classes.push(styles.selected);
                 }
                 let tabName = witness.source.name;
@@ -50,7 +106,11 @@ export default class TabBar extends React.Component<Props> {
                     <div
                         className={classnames(...classes)}
                         onClick={() => {
-                            this.props.onSelectedWitness(witness);
+                            if (this.isComparing) {
+                                this.toggleComparisonWitness(witness);
+                            } else {
+                                this.props.onSelectedWitness(witness);
+                            }
                         }}
                         key={witness.id}
                     >
@@ -60,6 +120,27 @@ export default class TabBar extends React.Component<Props> {
             }
         }
 
+        if (
+            this.props.onChangedComparisonWitnesses &&
+            witnesses.length >= constants.MIN_COMPARISON_WITNESSES
+        ) {
+            tabs.push(
+                <div
+                    className={classnames(styles.tab, styles.compareTab)}
+                    onClick={() => this.toggleComparison(witnesses)}
+                    key="compare"
+                >
+                    <FormattedMessage
+                        id={
+                            this.isComparing
+                                ? "header.closeComparison"
+                                : "header.compare"
+                        }
+                    />
+                </div>
+            );
+        }
+
         return <div className={styles.tabBar}>{tabs}</div>;
     }
 }
@@ -37,6 +37,13 @@ export function idForLineBreak(segment: TextSegment): string {
     return "l_" + (segment.end + 1);
 }
 
+// The last user to change a segment, for the blame overlay
+export type BlameSegment = {
+    userName: string,
+    // See getBlameColour
+    colour: number
+};
+
 export type Props = {
     segmentedText: SegmentedText,
     annotationPositions: { [string]: Annotation[] },
@@ -44,6 +51,9 @@ export type Props = {
     activeAnnotations: { [AnnotationUniqueId]: Annotation } | null,
     getBaseAnnotation: (annotation: Annotation) => Annotation,
     selectedAnnotatedSegments: TextSegment[],
+    // Names of the collaborators who have selected each segment
+    collaboratorSegments?: { [segmentId: string]: string },
+    blameSegments?: { [segmentId: string]: BlameSegment },
     row: number,
     activeAnnotation: Annotation | null,
     searchValue: string | null,
@@ -54,7 +64,10 @@ export type Props = {
     } | null,
     searchStringPositions: { [position: number]: [number, number] },
     fontSize?: number,
-    activeWitness: Witness
+    activeWitness: Witness,
+    // Called with the id of the segment under the mouse, or null when the
+    // mouse leaves the text
+    hoveredSegmentId?: (id: string | null) => void
 };
 
 export type State = {
@@ -142,6 +155,12 @@ export default class Text extends React.Component<Props, State> {
         this.props.selectedSegmentId(element.id);
     }
 
+    hoveredElement(element: Element | null) {
+        if (this.props.hoveredSegmentId) {
+            this.props.hoveredSegmentId(element ? element.id : null);
+        }
+    }
+
     generateHtml(renderProps: Props, renderState: State): { __html: string } {
         let segments = renderState.segmentedText.segments;
         let textLineClass = styles.textLine;
@@ -164,6 +183,8 @@ export default class Text extends React.Component<Props, State> {
         }
 
         let activeAnnotations = renderProps.activeAnnotations || {};
+        const collaboratorSegments = renderProps.collaboratorSegments || {};
+        const blameSegments = renderProps.blameSegments || {};
 
         let highlightClass = styles.highlight;
         let activeHighlightClass = styles.activeHighlight;
@@ -180,6 +201,7 @@ export default class Text extends React.Component<Props, State> {
             let selectedCurrentLineBreak = false;
             let lineBreakAnnotation = false;
             let pageBreakAnnotation = null;
+            let hasImageRegion = false;
             if (annotations) {
                 let activeInsertions = [];
                 let inactiveInsertions = [];
@@ -224,6 +246,10 @@ export default class Text extends React.Component<Props, State> {
                             !renderProps.activeWitness.isWorking
                         ) {
                             lineBreakAnnotation = annotation;
+                        } else if (
+                            annotation.type === ANNOTATION_TYPES.imageRegion
+                        ) {
+                            hasImageRegion = true;
                         } else {
                             remainingAnnotations.push(annotation);
                         }
@@ -302,6 +328,9 @@ export default class Text extends React.Component<Props, State> {
                 ) {
                     classes.push(styles.annotation);
                 }
+                if (hasImageRegion) {
+                    classes.push(styles.imageRegion);
+                }
             }
 
             // It's an insertion at the end of the text, which should have just been added to the html.
@@ -330,6 +359,18 @@ export default class Text extends React.Component<Props, State> {
                 classes.push(styles.selectedAnnotation);
             }
 
+            let titleAttribute = "";
+            const blame = blameSegments[id];
+            if (blame) {
+                classes.push(styles["blame" + blame.colour]);
+                titleAttribute = ' title="' + _.escape(blame.userName) + '"';
+            }
+            const collaborators = collaboratorSegments[id];
+            if (collaborators) {
+                classes.push(styles.collaboratorSelection);
+                titleAttribute = ' title="' + _.escape(collaborators) + '"';
+            }
+
             if (classes.length > 0) {
                 let className = classnames(...classes);
                 classAttribute = 'class="' + className + '"';
@@ -396,6 +437,7 @@ export default class Text extends React.Component<Props, State> {
                 id +
                 " " +
                 classAttribute +
+                titleAttribute +
                 ">" +
                 segmentContent +
                 "</span>";
@@ -485,6 +527,8 @@ export default class Text extends React.Component<Props, State> {
                     className={classnames(...classes)}
                     dangerouslySetInnerHTML={html}
                     onClick={e => this.selectedElement(e.target)}
+                    onMouseOver={e => this.hoveredElement(e.target)}
+                    onMouseLeave={() => this.hoveredElement(null)}
                     style={{
                         fontSize: this.props.fontSize
                     }}
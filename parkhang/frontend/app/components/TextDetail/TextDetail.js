@@ -4,11 +4,19 @@ import classnames from "classnames";
 
 import TextHeadingContainer from "./TextHeadingContainer";
 import SplitTextComponent from "components/TextDetail/SplitText";
+import PechaText from "components/TextDetail/PechaText";
 import Loader from "react-loader";
 import AnnotationControlsContainer from "./AnnotationControlsContainer";
+import ImportReviewContainer from "./ImportReviewContainer";
+import SynopticViewContainer from "./SynopticViewContainer";
+import VariantStatisticsContainer from "./VariantStatisticsContainer";
+import ReviewQueueContainer from "./ReviewQueueContainer";
+import DiscussionsContainer from "./DiscussionsContainer";
 import SplitText from "lib/SplitText";
 import Annotation from "lib/Annotation";
+import type { AnnotationUniqueId } from "lib/Annotation";
 import Witness from "lib/Witness";
+import type { IiifCanvas } from "lib/iiifManifest";
 import AnnotatedText from "lib/AnnotatedText";
 import lengthSplitter from "lib/text_splitters/lengthSplitter";
 import positionSplitter from "lib/text_splitters/positionSplitter";
@@ -17,23 +25,29 @@ import styles from "./TextDetail.css";
 import utilStyles from "css/util.css";
 import type { TextData } from "api";
 import TextSegment from "lib/TextSegment";
+import type { BlameSegment } from "./Text";
 
 export type Props = {
     paginated: boolean,
     pageImagesVisible: boolean,
+    showPechaView: boolean,
     text: TextData | null,
     loading: boolean,
     pageBreaks: number[],
     annotatedText: AnnotatedText,
     annotations: Annotation[],
-    activeAnnotations: Annotation[],
+    activeAnnotations: { [AnnotationUniqueId]: Annotation } | null,
     activeAnnotation: Annotation | null,
     didSelectSegmentIds: (segmentIds: string[]) => void,
     selectedSegmentId: (segmentId: string) => void,
     annotationPositions: { [string]: Annotation[] },
     selectedAnnotatedSegments: Array<TextSegment | number>,
+    collaboratorSegments: { [segmentId: string]: string },
+    blameSegments: { [segmentId: string]: BlameSegment },
     textListVisible: boolean,
     imagesBaseUrl: string,
+    pageCanvases: IiifCanvas[] | null,
+    pageImageLayout: string,
     selectedWitness: Witness | null,
     selectedSearchResult: {
         textId: number,
@@ -41,7 +55,9 @@ export type Props = {
         length: number
     } | null,
     searchValue: string | null,
-    fontSize: number
+    searchMode: string,
+    fontSize: number,
+    comparing: boolean
 };
 
 let textDetailId = 0;
@@ -66,11 +82,13 @@ class TextDetail extends React.Component<Props> {
         let inlineControls = false;
         let textComponent = null;
         let splitText = null;
+        let limitWidth = false;
 
         if (!this.props.annotatedText || !this.props.text || this.props.loading) {
             textComponent = <div key={this.key} />;
+        } else if (this.props.comparing) {
+            textComponent = <SynopticViewContainer key={this.key} />;
         } else {
-            let limitWidth = false;
             let splitter;
             if (this.props.paginated) {
                 splitter = positionSplitter(this.props.pageBreaks);
@@ -80,6 +98,31 @@ class TextDetail extends React.Component<Props> {
 
             splitText = new SplitText(this.props.annotatedText, splitter);
             inlineControls = true;
+        }
+
+        const selectedWitness = this.props.selectedWitness;
+        if (
+            splitText &&
+            selectedWitness &&
+            this.props.paginated &&
+            this.props.showPechaView
+        ) {
+            textComponent = (
+                <PechaText
+                    splitText={splitText}
+                    annotationPositions={this.props.annotationPositions}
+                    activeAnnotations={this.props.activeAnnotations}
+                    activeAnnotation={this.props.activeAnnotation}
+                    selectedAnnotatedSegments={
+                        this.props.selectedAnnotatedSegments
+                    }
+                    selectedSegmentId={this.props.selectedSegmentId}
+                    selectedWitness={selectedWitness}
+                    fontSize={this.props.fontSize}
+                    key={this.key}
+                />
+            );
+        } else if (splitText) {
             textComponent = (
                 <SplitTextComponent
                     splitText={splitText}
@@ -93,13 +136,18 @@ class TextDetail extends React.Component<Props> {
                     selectedAnnotatedSegments={
                         this.props.selectedAnnotatedSegments
                     }
+                    collaboratorSegments={this.props.collaboratorSegments}
+                    blameSegments={this.props.blameSegments}
                     textListVisible={this.props.textListVisible}
                     showImages={this.props.pageImagesVisible}
+                    pageImageLayout={this.props.pageImageLayout}
                     imagesBaseUrl={this.props.imagesBaseUrl}
+                    pageCanvases={this.props.pageCanvases}
                     selectedWitness={this.props.selectedWitness}
                     key={this.key}
                     selectedSearchResult={this.props.selectedSearchResult}
                     searchValue={this.props.searchValue}
+                    searchMode={this.props.searchMode}
                     fontSize={this.props.fontSize}
                 />
             );
@@ -118,6 +166,10 @@ class TextDetail extends React.Component<Props> {
             >
                 <TextHeadingContainer text={text} />
                 <Loader loaded={!this.props.loading} />
+                <ImportReviewContainer />
+                <VariantStatisticsContainer />
+                <ReviewQueueContainer />
+                <DiscussionsContainer />
                 <div
                     className={classnames(
                         styles.textContainer,
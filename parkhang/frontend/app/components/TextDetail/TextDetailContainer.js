@@ -8,7 +8,7 @@ import Witness from "lib/Witness";
 import Text from "lib/Text";
 import TextSegment from "lib/TextSegment";
 import type { AppState } from "reducers";
-import type { AnnotationData, TextData } from "api";
+import type { AnnotationData, AnnotationChangeData, TextData } from "api";
 import {
     WORKING_VERSION_ANNOTATION_ID,
     INSERTION_KEY,
@@ -17,6 +17,8 @@ import {
     LINE_BREAK_KEY
 } from "lib/AnnotatedText";
 import TextDetail from "components/TextDetail";
+import { idForSegment } from "components/TextDetail/Text";
+import type { BlameSegment } from "components/TextDetail/Text";
 import {
     changedActiveAnnotation,
     changedActiveTextAnnotation,
@@ -24,6 +26,7 @@ import {
 } from "actions";
 import {
     showPageImages,
+    getShowPechaView,
     getAnnotationsForWitnessId,
     getActiveAnnotationsForWitnessId,
     getActiveAnnotation,
@@ -38,13 +41,20 @@ import {
     getSelectedTextWitnessId,
     getTextWitnesses,
     getWitness,
+    getComparisonWitnessIds,
     hasLoadedWitnessAnnotations,
     getRemovedDefaultAnnotationsForWitnessId,
     hasLoadedWitnessAppliedAnnotations,
     getScrollPosition,
     getSelectedSearchResult,
     getSearchValue,
-    getTextFontSize
+    getSearchMode,
+    getTextFontSize,
+    getCollaboratorPresence,
+    getShowBlame,
+    getWitnessBlame,
+    getIiifCanvases,
+    getPageImageLayout
 } from "reducers";
 import _ from "lodash";
 
@@ -54,97 +64,96 @@ import SegmentedText from "lib/SegmentedText";
 import * as actions from "actions";
 import * as constants from "app_constants";
 import * as TextStore from "state_helpers/TextStore";
+import getAnnotationPositions from "lib/getAnnotationPositions";
+import { CHANGE_TYPES, getBlameColour } from "lib/annotationHistory";
+import { getIiifManifestUrl } from "lib/iiifManifest";
+import type { IiifCanvas } from "lib/iiifManifest";
 
 const DISMISS_CONTROLS_ON_CLICK = true;
 
-function getInsertionKey(annotation) {
-    return [annotation.start, annotation.length].join("-");
-}
+let _selectedWitness = null;
 
-let _posAnnotatedText;
-let _posAnnotations;
-let _positions;
-let _posVersion;
-const getAnnotationPositions = (
+/**
+ * Get the names of the collaborators who have selected each segment,
+ * keyed by segment id.
+ */
+function getCollaboratorSegments(
     annotatedText: AnnotatedText,
-    annotations: Annotation[]
-): { [string]: Annotation[] } => {
-    if (
-        annotatedText === _posAnnotatedText &&
-        annotations === _posAnnotations &&
-        annotatedText.version === _posVersion
-    ) {
-        return _positions;
-    }
-
-    let positions = {};
-    let activeInsertions = {};
-
-    for (let i = 0; i < annotations.length; i++) {
-        let annotation = annotations[i];
-        let [startPos, length] = annotatedText.getPositionOfAnnotation(
-            annotation
+    presence: actions.CollaboratorPresence[]
+): { [segmentId: string]: string } {
+    let names = {};
+    for (let i = 0; i < presence.length; i++) {
+        const annotation = annotatedText.getAnnotation(
+            presence[i].start,
+            presence[i].length
         );
-        if (startPos == null) {
+        if (!annotation) {
             continue;
         }
-        if (length === 0) {
-            if (annotation.isInsertion) {
-                // group with any active insertions at the same position
-                const activeKey = getInsertionKey(annotation);
-                const activeInsertionPositions = activeInsertions[activeKey];
-                if (activeInsertionPositions) {
-                    activeInsertionPositions.map(pos =>
-                        positions[pos].push(annotation)
-                    );
-                    continue;
-                }
-                startPos = INSERTION_KEY + startPos;
-            }
-            if (annotation.isDeletion && annotation.length > 0) {
-                // active deletion
-                startPos = DELETION_KEY + startPos;
-            }
-            if (annotation.type === ANNOTATION_TYPES.pageBreak) {
-                startPos = PAGE_BREAK_KEY + startPos;
-            }
-            if (annotation.type === ANNOTATION_TYPES.lineBreak) {
-                startPos = LINE_BREAK_KEY + startPos;
-            }
-            if (positions[startPos] === undefined) {
-                positions[startPos] = [];
-            }
-            if (positions[startPos].indexOf(annotation) === -1) {
-                positions[startPos].push(annotation);
-            }
-        } else {
-            let annotationPositions = [];
-            for (let j = startPos; j < startPos + length; j++) {
-                if (positions[j] === undefined) {
-                    positions[j] = [];
-                }
-                if (positions[j].indexOf(annotation) === -1) {
-                    positions[j].push(annotation);
-                }
-                annotationPositions.push(j);
-            }
-            // Store the positions this annotation is displayed at.
-            // This can then be used later to group with inactive insertions
-            if (annotation.isInsertion) {
-                const key = getInsertionKey(annotation);
-                activeInsertions[key] = annotationPositions;
+        const segments = annotatedText.segmentsForAnnotation(annotation);
+        for (let j = 0; j < segments.length; j++) {
+            const segment = segments[j];
+            if (segment instanceof TextSegment) {
+                const id = idForSegment(segment);
+                names[id] = names[id]
+                    ? names[id] + ", " + presence[i].user
+                    : presence[i].user;
             }
         }
     }
+    return names;
+}
 
-    _posAnnotatedText = annotatedText;
-    _posAnnotations = annotations;
-    _positions = positions;
-    _posVersion = annotatedText.version;
-    return positions;
-};
-
-let _selectedWitness = null;
+/**
+ * Get the last user to change each segment of the witness's text.
+ * changes should be the latest change to each annotation, oldest first.
+ *
+ * Segments are changed by the variants applied to them, or by removing
+ * a variant that is applied by default, which shows the base text again.
+ */
+function getBlameSegments(
+    annotatedText: AnnotatedText,
+    changes: AnnotationChangeData[],
+    appliedAnnotations: { [AnnotationUniqueId]: Annotation },
+    annotations: { [AnnotationUniqueId]: Annotation }
+): { [segmentId: string]: BlameSegment } {
+    let blameSegments = {};
+    for (let i = 0; i < changes.length; i++) {
+        const change = changes[i];
+        const userId = change.user;
+        const userName = change.user_name;
+        if (userId === null || !userName) {
+            continue;
+        }
+        const uniqueId = change.annotation_unique_id;
+        let annotation = null;
+        if (appliedAnnotations.hasOwnProperty(uniqueId)) {
+            annotation = appliedAnnotations[uniqueId];
+        } else if (
+            change.type === CHANGE_TYPES.removed &&
+            annotations.hasOwnProperty(uniqueId)
+        ) {
+            // As it isn't applied, this gets the segments now shown in
+            // its place.
+            annotation = annotations[uniqueId];
+        }
+        if (!annotation || !annotation.isType(ANNOTATION_TYPES.variant)) {
+            continue;
+        }
+        const blame = {
+            userName,
+            colour: getBlameColour(userId)
+        };
+        const segments = annotatedText.segmentsForAnnotation(annotation);
+        for (let j = 0; j < segments.length; j++) {
+            const segment = segments[j];
+            if (segment instanceof TextSegment) {
+                blameSegments[idForSegment(segment)] = blame;
+            }
+        }
+    }
+    return blameSegments;
+}
 
 const mapStateToProps = state => {
     const user = getUser(state);
@@ -160,14 +169,18 @@ const mapStateToProps = state => {
             loading: loading,
             paginated: null,
             pageImagesVisible: false,
+            showPechaView: false,
             annotatedText: null,
             selectedAnnotatedSegments: null,
+            collaboratorSegments: {},
+            blameSegments: {},
             annotationPositions: null,
             activeAnnotations: null,
             activeAnnotation: null,
             user: user,
             textListVisible,
-            fontSize: constants.DEFAULT_TEXT_FONT_SIZE
+            fontSize: constants.DEFAULT_TEXT_FONT_SIZE,
+            comparing: false
         };
     }
 
@@ -185,15 +198,26 @@ const mapStateToProps = state => {
     let annotatedText = null;
     let activeAnnotation = getActiveTextAnnotation(state);
     let selectedAnnotatedSegments = [];
+    let collaboratorSegments = {};
+    let blameSegments = {};
     let appliedAnnotations = {};
     let pageBreaks = [];
     let imagesBaseUrl = "";
+    let pageCanvases: IiifCanvas[] | null = null;
     let selectedWitness;
     let searchValue = getSearchValue(state);
+    const searchMode = getSearchMode(state);
     // Whether to show the text's page images
     let paginated = false;
     let pageImagesVisible = false;
+    let showPechaView = false;
     let fontSize = getTextFontSize(state);
+    let comparing = false;
+    if (selectedText) {
+        comparing =
+            getComparisonWitnessIds(state, selectedText.id).length >=
+            constants.MIN_COMPARISON_WITNESSES;
+    }
     if (
         workingWitness &&
         selectedText &&
@@ -216,6 +240,7 @@ const mapStateToProps = state => {
         if (selectedWitness.id !== workingWitness.id) {
             paginated = true;
             pageImagesVisible = showPageImages(state);
+            showPechaView = getShowPechaView(state);
         }
 
         annotatedText = TextStore.getWitnessText(state, selectedWitness.id);
@@ -254,6 +279,25 @@ const mapStateToProps = state => {
             }
         }
 
+        if (annotatedText) {
+            collaboratorSegments = getCollaboratorSegments(
+                annotatedText,
+                getCollaboratorPresence(state, selectedWitness.id)
+            );
+        }
+
+        const blame = getShowBlame(state)
+            ? getWitnessBlame(state, selectedWitness.id)
+            : null;
+        if (annotatedText && blame) {
+            blameSegments = getBlameSegments(
+                annotatedText,
+                blame,
+                appliedAnnotations,
+                annotations
+            );
+        }
+
         if (selectedWitness && baseWitness && annotatedText) {
             let witnessPageBreaks =
                 annotatedText.getAnnotationsOfType(
@@ -288,6 +332,10 @@ const mapStateToProps = state => {
                     "/" +
                     selectedWitness.source.name +
                     "/";
+                const manifestUrl = getIiifManifestUrl(selectedWitness);
+                if (manifestUrl) {
+                    pageCanvases = getIiifCanvases(state, manifestUrl);
+                }
             }
         }
     }
@@ -303,19 +351,26 @@ const mapStateToProps = state => {
         loading: loading,
         paginated: paginated,
         pageImagesVisible: pageImagesVisible,
+        showPechaView,
         annotatedText: annotatedText,
         selectedAnnotatedSegments: selectedAnnotatedSegments,
+        collaboratorSegments,
+        blameSegments,
         annotationPositions: annotationPositions,
         activeAnnotations: { ...appliedAnnotations },
         activeAnnotation: activeAnnotation,
         pageBreaks: pageBreaks,
         imagesBaseUrl: imagesBaseUrl,
+        pageCanvases,
+        pageImageLayout: getPageImageLayout(state),
         user: user,
         textListVisible,
         selectedWitness,
         selectedSearchResult,
         searchValue,
-        fontSize
+        searchMode,
+        fontSize,
+        comparing
     };
 };
 
@@ -572,7 +627,7 @@ const getTextWorkingWitness = (textData: TextData): Witness => {
         WORKING_VERSION_ANNOTATION_ID,
         WORKING_VERSION_SOURCE_NAME
     );
-    const text = new Text(textData.id, textData.name);
+    const text = new Text(textData.id, textData.name, textData.language);
     const witness = new Witness(
         WORKING_VERSION_ANNOTATION_ID,
         text,
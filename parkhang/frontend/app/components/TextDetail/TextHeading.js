@@ -1,11 +1,17 @@
 // @flow
 import React from "react";
+import { FormattedMessage } from "react-intl";
 import addTibetanShay from "lib/addTibetanShay";
 import styles from "./TextHeading.css";
 import TabBar from "./TabBar";
 import Witness from "lib/Witness";
 import type { TextData } from "api";
 import ExportControl from "./ExportControl";
+import ImportControl from "./ImportControl";
+import StatisticsControl from "./StatisticsControl";
+import ReviewControl from "./ReviewControl";
+import BlameControl from "./BlameControl";
+import DiscussionsControl from "./DiscussionsControl";
 import Loader from "react-loader";
 import ImageToggle from "./ImageToggle";
 import FontSize from "./FontSize";
@@ -15,12 +21,32 @@ export type Props = {
     selectedText: TextData,
     selectedWitness: Witness,
     exportingWitness: boolean,
+    exportedOwnChangesOnly: boolean,
+    canImport: boolean,
+    comparisonWitnessIds: number[],
+    statisticsVisible: boolean,
+    canReview: boolean,
+    reviewQueueVisible: boolean,
+    canShowBlame: boolean,
+    blameVisible: boolean,
+    canShowDiscussions: boolean,
+    discussionsVisible: boolean,
     showPageImages: boolean,
+    pageImagesSideBySide: boolean,
+    showPechaView: boolean,
     textFontSize: number,
     onToggledPageImages: () => void,
+    onToggledPageImagesSideBySide: (sideBySide: boolean) => void,
+    onToggledPechaView: (showPechaView: boolean) => void,
     onSelectedWitness: () => void,
     onChangedFontSize: () => void,
-    onExport?: () => void
+    onExport?: (format: string, pageMarkerFormat: string) => void,
+    onImport?: (witnessId: number, file: File) => void,
+    onChangedComparisonWitnesses?: (witnessIds: number[]) => void,
+    onChangedStatisticsVisible: (isVisible: boolean) => void,
+    onChangedReviewQueueVisible: (isVisible: boolean) => void,
+    onChangedBlameVisible: (isVisible: boolean) => void,
+    onChangedDiscussionsVisible: (isVisible: boolean) => void
 };
 
 const TextHeading = (props: Props) => {
@@ -39,13 +65,47 @@ const TextHeading = (props: Props) => {
                         {!props.selectedWitness.isWorking && (
                             <ImageToggle
                                 showImages={props.showPageImages}
+                                sideBySide={props.pageImagesSideBySide}
                                 onChange={props.onToggledPageImages}
+                                onChangeSideBySide={
+                                    props.onToggledPageImagesSideBySide
+                                }
+                                showPechaView={props.showPechaView}
+                                onChangePechaView={props.onToggledPechaView}
                             />
                         )}
                         <FontSize
                             fontSize={props.textFontSize}
                             onChange={props.onChangedFontSize}
                         />
+                        <StatisticsControl
+                            statisticsVisible={props.statisticsVisible}
+                            onChange={props.onChangedStatisticsVisible}
+                        />
+                        {props.canReview && (
+                            <ReviewControl
+                                reviewQueueVisible={props.reviewQueueVisible}
+                                onChange={props.onChangedReviewQueueVisible}
+                            />
+                        )}
+                        {props.canShowBlame && (
+                            <BlameControl
+                                blameVisible={props.blameVisible}
+                                onChange={props.onChangedBlameVisible}
+                            />
+                        )}
+                        {props.canShowDiscussions && (
+                            <DiscussionsControl
+                                discussionsVisible={props.discussionsVisible}
+                                onChange={props.onChangedDiscussionsVisible}
+                            />
+                        )}
+                        {props.canImport && (
+                            <ImportControl
+                                witnesses={props.witnesses}
+                                onImport={props.onImport}
+                            />
+                        )}
                         {!props.exportingWitness && (
                             <ExportControl onClick={props.onExport} />
                         )}
@@ -55,10 +115,19 @@ const TextHeading = (props: Props) => {
                     <Loader loaded={!props.exportingWitness} scale={0.5} />
                 </div>
             </div>
+            {props.exportedOwnChangesOnly && (
+                <div className={styles.exportWarning}>
+                    <FormattedMessage id="header.exportedOwnChangesOnly" />
+                </div>
+            )}
             <TabBar
                 witnesses={props.witnesses}
                 activeWitness={props.selectedWitness}
                 onSelectedWitness={props.onSelectedWitness}
+                comparisonWitnessIds={props.comparisonWitnessIds}
+                onChangedComparisonWitnesses={
+                    props.onChangedComparisonWitnesses
+                }
             />
         </div>
     );
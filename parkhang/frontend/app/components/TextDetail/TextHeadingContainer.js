@@ -8,20 +8,35 @@ import {
     selectedTextWitness,
     changedActiveAnnotation,
     exportWitness,
+    importWitnessFile,
+    changedComparisonWitnesses,
+    changedVariantStatistics,
+    changedReviewQueue,
+    changedShowBlame,
+    changedDiscussionsVisible,
     changedShowPageImages,
+    changedPageImageLayout,
+    changedShowPechaView,
     changedTextFontSize
 } from "actions";
 import * as reducers from "reducers";
 import Witness from "lib/Witness";
 import type { AppState } from "reducers";
+import * as constants from "app_constants";
 
 const mapStateToProps = (state: AppState): {} => {
     const selectedText = reducers.getSelectedText(state);
     let witnesses = [];
     let exportingWitness = false;
+    let exportedOwnChangesOnly = false;
     let selectedWitness;
+    let comparisonWitnessIds = [];
     if (selectedText) {
         witnesses = reducers.getTextWitnesses(state, selectedText.id);
+        comparisonWitnessIds = reducers.getComparisonWitnessIds(
+            state,
+            selectedText.id
+        );
         const selectedWitnessId = reducers.getSelectedTextWitnessId(
             state,
             selectedText.id
@@ -32,6 +47,10 @@ const mapStateToProps = (state: AppState): {} => {
                 state,
                 selectedWitnessId
             );
+            exportedOwnChangesOnly = reducers.getExportedOwnChangesOnly(
+                state,
+                selectedWitnessId
+            );
         } else {
             selectedWitness = reducers.getWorkingWitness(
                 state,
@@ -40,14 +59,40 @@ const mapStateToProps = (state: AppState): {} => {
         }
     }
     let showPageImages = reducers.showPageImages(state);
+    const pageImagesSideBySide =
+        reducers.getPageImageLayout(state) ===
+        constants.PAGE_IMAGE_LAYOUTS.sideBySide;
+    const showPechaView = reducers.getShowPechaView(state);
     let textFontSize = reducers.getTextFontSize(state);
+    const statisticsVisible = reducers.getVariantStatisticsVisible(state);
+    const reviewQueueVisible = reducers.getReviewQueueVisible(state);
+    const canReview = reducers.getUser(state).canReview;
+    const canShowBlame = reducers.getUser(state).isLoggedIn;
+    const blameVisible = reducers.getShowBlame(state);
+    const canShowDiscussions = reducers.getUser(state).isLoggedIn;
+    const discussionsVisible = reducers.getDiscussionsVisible(state);
+    const canImport =
+        reducers.getUser(state).isLoggedIn &&
+        reducers.getImportingWitnessId(state) === null;
 
     return {
         witnesses,
         selectedText,
         selectedWitness,
         exportingWitness,
+        exportedOwnChangesOnly,
+        canImport,
+        comparisonWitnessIds,
+        statisticsVisible,
+        canReview,
+        reviewQueueVisible,
+        canShowBlame,
+        blameVisible,
+        canShowDiscussions,
+        discussionsVisible,
         showPageImages,
+        pageImagesSideBySide,
+        showPechaView,
         textFontSize
     };
 };
@@ -61,20 +106,58 @@ const mergeProps = (stateProps: Props, dispatchProps, ownProps): {} => {
         onToggledPageImages: (showImages: boolean) => {
             dispatch(changedShowPageImages(showImages));
         },
+        onToggledPageImagesSideBySide: (sideBySide: boolean) => {
+            dispatch(
+                changedPageImageLayout(
+                    sideBySide
+                        ? constants.PAGE_IMAGE_LAYOUTS.sideBySide
+                        : constants.PAGE_IMAGE_LAYOUTS.inline
+                )
+            );
+        },
+        onToggledPechaView: (showPechaView: boolean) => {
+            dispatch(changedShowPechaView(showPechaView));
+        },
         onChangedFontSize: (fontSize: number) => {
             dispatch(changedTextFontSize(fontSize));
         },
         onSelectedWitness: (witness: Witness) => {
             dispatch(selectedTextWitness(selectedText.id, witness.id));
         },
-        onExport: () => {
-            dispatch(exportWitness(stateProps.selectedWitness.id, "docx"));
+        onExport: (format: string, pageMarkerFormat: string) => {
+            dispatch(
+                exportWitness(
+                    stateProps.selectedWitness.id,
+                    format,
+                    pageMarkerFormat
+                )
+            );
+        },
+        onImport: (witnessId: number, file: File) => {
+            dispatch(importWitnessFile(witnessId, file));
+        },
+        onChangedComparisonWitnesses: (witnessIds: number[]) => {
+            dispatch(changedComparisonWitnesses(selectedText.id, witnessIds));
+        },
+        onChangedStatisticsVisible: (isVisible: boolean) => {
+            dispatch(changedVariantStatistics(isVisible));
+        },
+        onChangedReviewQueueVisible: (isVisible: boolean) => {
+            dispatch(changedReviewQueue(isVisible));
+        },
+        onChangedBlameVisible: (isVisible: boolean) => {
+            dispatch(changedShowBlame(isVisible));
+        },
+        onChangedDiscussionsVisible: (isVisible: boolean) => {
+            dispatch(changedDiscussionsVisible(isVisible));
         }
     };
 };
 
-const TextHeadingContainer = connect(mapStateToProps, null, mergeProps)(
-    TextHeading
-);
+const TextHeadingContainer = connect(
+    mapStateToProps,
+    null,
+    mergeProps
+)(TextHeading);
 
 export default TextHeadingContainer;
@@ -0,0 +1,281 @@
+// @flow
+import React from "react";
+import { FormattedMessage, injectIntl } from "react-intl";
+import Button from "components/UI/Button";
+import type {
+    SourceStatistics,
+    UserStatistics,
+    UserOperations,
+    VariantCounts
+} from "lib/variantStatistics";
+import type { DistanceMatrix } from "lib/witnessDistances";
+import styles from "./VariantStatistics.css";
+
+type Props = {
+    textId: number | null,
+    visible: boolean,
+    loading: boolean,
+    sources: SourceStatistics[],
+    users: UserStatistics[],
+    operations: UserOperations[],
+    density: number[],
+    distances: DistanceMatrix | null,
+    onExportDistances: (textId: number, format: string) => void,
+    onClose: () => void,
+    intl: {
+        formatMessage: (
+            { [id: string]: string },
+            values?: { [string]: any }
+        ) => string
+    }
+};
+
+const countCells = (counts: VariantCounts) => [
+    <td key="insertions">{counts.insertions}</td>,
+    <td key="deletions">{counts.deletions}</td>,
+    <td key="substitutions">{counts.substitutions}</td>,
+    <td key="total">{counts.total}</td>
+];
+
+const countHeadings = [
+    <th key="insertions">
+        <FormattedMessage id="statistics.insertions" />
+    </th>,
+    <th key="deletions">
+        <FormattedMessage id="statistics.deletions" />
+    </th>,
+    <th key="substitutions">
+        <FormattedMessage id="statistics.substitutions" />
+    </th>,
+    <th key="total">
+        <FormattedMessage id="statistics.total" />
+    </th>
+];
+
+/**
+ * Summarises the variants recorded against a text so editors can see which
+ * witnesses differ most from the working edition.
+ */
+const VariantStatistics = (props: Props) => {
+    if (!props.visible) {
+        return null;
+    }
+    const {
+        textId,
+        sources,
+        users,
+        operations,
+        density,
+        distances,
+        intl
+    } = props;
+
+    let content = null;
+    if (props.loading) {
+        content = (
+            <p className={styles.message}>
+                <FormattedMessage id="statistics.loading" />
+            </p>
+        );
+    } else {
+        const maxDensity = Math.max(1, ...density);
+        content = (
+            <div className={styles.content}>
+                <h4>
+                    <FormattedMessage id="statistics.sources" />
+                </h4>
+                {sources.length === 0 ? (
+                    <p className={styles.message}>
+                        <FormattedMessage id="statistics.noVariants" />
+                    </p>
+                ) : (
+                    <table className={styles.table}>
+                        <thead>
+                            <tr>
+                                <th />
+                                {countHeadings}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sources.map(statistics => (
+                                <tr key={statistics.source.id}>
+                                    <th>{statistics.source.name}</th>
+                                    {countCells(statistics.counts)}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+
+                {users.length > 0 && (
+                    <React.Fragment>
+                        <h4>
+                            <FormattedMessage id="statistics.users" />
+                        </h4>
+                        <table className={styles.table}>
+                            <thead>
+                                <tr>
+                                    <th />
+                                    {countHeadings}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {users.map(statistics => (
+                                    <tr key={statistics.user.id}>
+                                        <th>
+                                            {statistics.user.name ||
+                                                intl.formatMessage(
+                                                    { id: "statistics.user" },
+                                                    { id: statistics.user.id }
+                                                )}
+                                        </th>
+                                        {countCells(statistics.counts)}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </React.Fragment>
+                )}
+
+                {operations.length > 0 && (
+                    <React.Fragment>
+                        <h4>
+                            <FormattedMessage id="statistics.operations" />
+                        </h4>
+                        <table className={styles.table}>
+                            <thead>
+                                <tr>
+                                    <th />
+                                    <th />
+                                    <th>
+                                        <FormattedMessage id="statistics.applied" />
+                                    </th>
+                                    <th>
+                                        <FormattedMessage id="statistics.removed" />
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {operations.map(
+                                    ({ userName, witness, counts }) => (
+                                        <tr key={userName + "-" + witness.id}>
+                                            <th>{userName}</th>
+                                            <th>
+                                                {witness.isWorking ? (
+                                                    <FormattedMessage id="annotation.workingEdition" />
+                                                ) : (
+                                                    witness.source.name
+                                                )}
+                                            </th>
+                                            <td>{counts.applied}</td>
+                                            <td>{counts.removed}</td>
+                                        </tr>
+                                    )
+                                )}
+                            </tbody>
+                        </table>
+                    </React.Fragment>
+                )}
+
+                {textId !== null &&
+                    distances &&
+                    distances.witnesses.length > 1 && (
+                        <React.Fragment>
+                            <h4>
+                                <FormattedMessage id="statistics.distances" />
+                            </h4>
+                            <p className={styles.help}>
+                                <FormattedMessage id="statistics.distancesHelp" />
+                            </p>
+                            <table className={styles.table}>
+                                <thead>
+                                    <tr>
+                                        <th />
+                                        {distances.witnesses.map(witness => (
+                                            <th key={witness.id}>
+                                                {witness.source.name}
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {distances.witnesses.map((witness, row) => (
+                                        <tr key={witness.id}>
+                                            <th>{witness.source.name}</th>
+                                            {distances.distances[row].map(
+                                                (distance, column) => (
+                                                    <td
+                                                        className={
+                                                            column > row
+                                                                ? styles.disagreements
+                                                                : null
+                                                        }
+                                                        key={column}
+                                                    >
+                                                        {column > row
+                                                            ? distance.disagreements
+                                                            : distance.agreements}
+                                                    </td>
+                                                )
+                                            )}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <div className={styles.downloads}>
+                                <Button
+                                    title={intl.formatMessage({
+                                        id: "statistics.downloadCsv"
+                                    })}
+                                    onClick={() =>
+                                        props.onExportDistances(textId, "csv")
+                                    }
+                                />
+                                <Button
+                                    title={intl.formatMessage({
+                                        id: "statistics.downloadNexus"
+                                    })}
+                                    onClick={() =>
+                                        props.onExportDistances(textId, "nexus")
+                                    }
+                                />
+                            </div>
+                        </React.Fragment>
+                    )}
+
+                <h4>
+                    <FormattedMessage id="statistics.density" />
+                </h4>
+                <div className={styles.density}>
+                    {density.map((count, index) => (
+                        <div
+                            className={styles.bar}
+                            style={{ height: (count / maxDensity) * 100 + "%" }}
+                            title={String(count)}
+                            key={index}
+                        />
+                    ))}
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className={styles.variantStatistics}>
+            <h3 className={styles.heading}>
+                <FormattedMessage id="statistics.heading" />
+            </h3>
+            {content}
+            <div className={styles.buttons}>
+                <Button
+                    title={intl.formatMessage({ id: "statistics.close" })}
+                    color="black"
+                    backgroundColor="#bbb"
+                    onClick={props.onClose}
+                />
+            </div>
+        </div>
+    );
+};
+
+export default injectIntl(VariantStatistics);
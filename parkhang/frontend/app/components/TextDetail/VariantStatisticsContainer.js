@@ -0,0 +1,108 @@
+// @flow
+import { connect } from "react-redux";
+import VariantStatistics from "./VariantStatistics";
+import * as actions from "actions";
+import * as reducers from "reducers";
+import { ANNOTATION_TYPES } from "lib/Annotation";
+import {
+    getSourceStatistics,
+    getUserStatistics,
+    getUserOperations,
+    getVariantDensity
+} from "lib/variantStatistics";
+import {
+    getComparableWitnesses,
+    getDistanceMatrix
+} from "lib/witnessDistances";
+import type { AppState } from "reducers";
+
+const mapStateToProps = (state: AppState) => {
+    const selectedText = reducers.getSelectedText(state);
+    const visible = reducers.getVariantStatisticsVisible(state);
+    let loading = true;
+    let sources = [];
+    let users = [];
+    let operations = [];
+    let density = [];
+    let distances = null;
+    if (visible && selectedText) {
+        const workingWitness = reducers.getWorkingWitness(
+            state,
+            selectedText.id
+        );
+        if (
+            workingWitness &&
+            reducers.hasLoadedWitnessAnnotations(state, workingWitness.id)
+        ) {
+            loading = false;
+            const annotationsData = reducers.getAnnotationsForWitnessId(
+                state,
+                workingWitness.id,
+                ANNOTATION_TYPES.variant
+            );
+            let variants = [];
+            for (let uniqueId in annotationsData) {
+                if (annotationsData.hasOwnProperty(uniqueId)) {
+                    const variant = reducers.annotationFromData(
+                        state,
+                        annotationsData[uniqueId]
+                    );
+                    if (variant) {
+                        variants.push(variant);
+                    }
+                }
+            }
+            sources = getSourceStatistics(variants);
+            users = getUserStatistics(variants);
+            density = getVariantDensity(
+                variants,
+                workingWitness.content ? workingWitness.content.length : 0
+            );
+
+            const witnesses = reducers.getTextWitnesses(state, selectedText.id);
+            distances = getDistanceMatrix(
+                getComparableWitnesses(witnesses),
+                variants
+            );
+
+            const operationStatistics = reducers.getOperationStatistics(
+                state,
+                selectedText.id
+            );
+            if (operationStatistics) {
+                operations = getUserOperations(operationStatistics, witnesses);
+            }
+        }
+    }
+
+    return {
+        textId: selectedText ? selectedText.id : null,
+        visible,
+        loading,
+        sources,
+        users,
+        operations,
+        density,
+        distances
+    };
+};
+
+const mapDispatchToProps = dispatch => {
+    return {
+        onExportDistances: (textId: number, format: string) => {
+            dispatch(actions.exportDistanceMatrix(textId, format));
+        },
+        onClose: () => {
+            dispatch(actions.changedVariantStatistics(false));
+        }
+    };
+};
+
+type OwnProps = {||};
+
+const VariantStatisticsContainer = connect<_, OwnProps, _, _, _, _>(
+    mapStateToProps,
+    mapDispatchToProps
+)(VariantStatistics);
+
+export default VariantStatisticsContainer;
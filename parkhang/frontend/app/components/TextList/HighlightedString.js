@@ -1,13 +1,15 @@
 // @flow
 import * as React from "react";
 import GraphemeSplitter from "grapheme-splitter";
-import reactStringReplace from "react-string-replace";
+import { findSearchMatches } from "lib/patternSearch";
+import { SEARCH_MODES } from "app_constants";
 
 type Props = {
     string: string,
     highlightClass: string,
     stringClass?: string,
-    searchTerm?: string
+    searchTerm?: string,
+    searchMode?: string
 };
 
 export default class HighlightedString extends React.Component<Props> {
@@ -15,37 +17,64 @@ export default class HighlightedString extends React.Component<Props> {
         super(props);
     }
 
+    /**
+     * Wrap each match in a highlight span.
+     *
+     * Matches are extended to whole graphemes so vowels and stacked
+     * letters aren't separated from their consonants.
+     */
+    highlightMatches(
+        string: string,
+        matches: Array<[number, number]>
+    ): React.Node[] {
+        const splitter = new GraphemeSplitter();
+        const graphemes = splitter.splitGraphemes(string);
+        let boundaries = [0];
+        for (let i = 0; i < graphemes.length; i++) {
+            boundaries.push(boundaries[i] + graphemes[i].length);
+        }
+
+        let parts = [];
+        let lastEnd = 0;
+        for (let i = 0; i < matches.length; i++) {
+            let [start, end] = matches[i];
+            start = Math.max(
+                lastEnd,
+                ...boundaries.filter(boundary => boundary <= start)
+            );
+            end = Math.min(...boundaries.filter(boundary => boundary >= end));
+            if (end <= start) {
+                continue;
+            }
+            if (start > lastEnd) {
+                parts.push(string.slice(lastEnd, start));
+            }
+            parts.push(
+                <span className={this.props.highlightClass} key={start}>
+                    {string.slice(start, end)}
+                </span>
+            );
+            lastEnd = end;
+        }
+        if (lastEnd < string.length) {
+            parts.push(string.slice(lastEnd));
+        }
+
+        return parts;
+    }
+
     render() {
         const string = this.props.string;
         let nameHtml = string;
         let stringClass = this.props.stringClass || "";
         if (this.props.searchTerm) {
-            const searchTerm = this.props.searchTerm;
-            const splitter = new GraphemeSplitter();
-            const graphemes = splitter.splitGraphemes(string);
-            const start = string.indexOf(searchTerm);
-            const end = start + searchTerm.length;
-            let position = 0;
-            let foundGraphemes = "";
-            if (start > -1) {
-                for (let i = 0; i < graphemes.length; i++) {
-                    let grapheme = graphemes[i];
-                    if (position >= start && position < end) {
-                        foundGraphemes += grapheme;
-                    }
-                    position += grapheme.length;
-                }
-            }
-            if (foundGraphemes.length > 0) {
-                nameHtml = reactStringReplace(
-                    string,
-                    foundGraphemes,
-                    (match, i) => (
-                        <span className={this.props.highlightClass}>
-                            {match}
-                        </span>
-                    )
-                );
+            const matches = findSearchMatches(
+                string,
+                this.props.searchTerm,
+                this.props.searchMode || SEARCH_MODES.text
+            );
+            if (matches.length > 0) {
+                nameHtml = this.highlightMatches(string, matches);
             }
         }
         return <span className={stringClass}>{nameHtml}</span>;
@@ -8,8 +8,10 @@ import {
 } from "react-virtualized/dist/es/CellMeasurer";
 import "react-virtualized/styles.css"; // only needs to be imported once
 import { List } from "react-virtualized/dist/es/List";
+import { FormattedMessage } from "react-intl";
 import * as api from "api";
 import addTibetanShay from "lib/addTibetanShay";
+import { getAnnotationSlug, getTextUrl } from "lib/textUrl";
 import styles from "./TextList.css";
 import Loader from "react-loader";
 import HighlightedString from "./HighlightedString";
@@ -26,14 +28,20 @@ type Props = {
         length: number,
         selectedText: api.TextData
     ) => void,
+    onSelectedVariantSearchResult: (
+        text: api.TextData,
+        result: api.VariantSearchResultData
+    ) => void,
     onSearchText: (text: api.TextData, searchTerm: string) => void,
     searchTerm: string,
+    searchMode: string,
     searchResults: { [number]: api.TextSearchResultData },
     selectedSearchResult: null | {
         textId: number,
         start: number,
         length: number
     },
+    sourceNames: { [sourceId: number]: string },
     searching: boolean
 };
 
@@ -92,6 +100,7 @@ class TextList extends React.Component<Props> {
         let name = addTibetanShay(text.name);
         let nameHtml = <span className={styles.textName}>{name}</span>;
         let textSearchResults = [];
+        let variantSearchResults = [];
         let resultsCount = null;
         let extraRemaining = false;
         let loadingResults = false;
@@ -103,15 +112,20 @@ class TextList extends React.Component<Props> {
                     stringClass={styles.textName}
                     highlightClass={styles.highlight}
                     searchTerm={searchTerm}
+                    searchMode={this.props.searchMode}
                 />
             );
             if (searchResults.hasOwnProperty(text.id)) {
                 textSearchResults = searchResults[text.id].results;
+                variantSearchResults = searchResults[text.id].variants || [];
                 extraRemaining = searchResults[text.id].extra;
                 loadingResults = searchResults[text.id].loading;
                 resultsCount = (
                     <ResultCount
-                        count={searchResults[text.id].total}
+                        count={
+                            searchResults[text.id].total +
+                            variantSearchResults.length
+                        }
                         extra={extraRemaining}
                     />
                 );
@@ -141,7 +155,7 @@ class TextList extends React.Component<Props> {
                             onSelectedSearchResult(
                                 text,
                                 result[0],
-                                searchTerm.length,
+                                result[2],
                                 selectedText
                             );
                         }}
@@ -151,12 +165,49 @@ class TextList extends React.Component<Props> {
                             string={result[1]}
                             highlightClass={styles.highlight}
                             searchTerm={searchTerm}
+                            searchMode={this.props.searchMode}
                         />
                     </div>
                 );
             });
         }
 
+        const variantSearchResultRows = variantSearchResults.map(result => {
+            const url = getTextUrl(
+                text.id,
+                result.witness,
+                getAnnotationSlug(
+                    result.start,
+                    result.length,
+                    result.annotation
+                )
+            );
+            return (
+                <a
+                    key={result.annotation}
+                    href={url}
+                    onClick={(e: SyntheticEvent<HTMLAnchorElement>) => {
+                        e.preventDefault();
+                        this.props.onSelectedVariantSearchResult(text, result);
+                    }}
+                    className={classnames(
+                        styles.searchResult,
+                        styles.variantSearchResult
+                    )}
+                >
+                    <span className={styles.variantSource}>
+                        {this.props.sourceNames[result.source]}
+                    </span>
+                    <HighlightedString
+                        string={result.extract}
+                        highlightClass={styles.highlight}
+                        searchTerm={searchTerm}
+                        searchMode={this.props.searchMode}
+                    />
+                </a>
+            );
+        });
+
         const searchText = () => {
             this.props.onSearchText(text, searchTerm);
         };
@@ -183,6 +234,14 @@ class TextList extends React.Component<Props> {
                             {textSearchResultRows}
                         </div>
                     )}
+                    {variantSearchResults.length > 0 && (
+                        <div className={styles.searchResults}>
+                            <div className={styles.variantResultsHeading}>
+                                <FormattedMessage id="leftbar.variantResults" />
+                            </div>
+                            {variantSearchResultRows}
+                        </div>
+                    )}
                     {extraRemaining && (
                         <div className={styles.loadMore} onClick={searchText}>
                             <LoadMore loading={loadingResults} />
@@ -3,13 +3,23 @@ import React from "react";
 import styles from "./TextsSearch.css";
 import { injectIntl } from "react-intl";
 import Button from "components/UI/Button";
+import { SEARCH_MODES } from "app_constants";
+import { SYLLABLE_WILDCARD } from "lib/patternSearch";
 
 type Props = {
     searchValue: string,
     searchChanged: (searchTerm: string) => void,
+    searchMode: string,
+    searchModeChanged: (searchMode: string) => void,
+    searchError: string | null,
     selectedSearchOption?: (e: SyntheticEvent<HTMLSelectElement>) => void,
     minimiseButtonClicked: () => void,
-    intl: { formatMessage: ({ [id: string]: string }) => string }
+    intl: {
+        formatMessage: (
+            { [id: string]: string },
+            values?: { [key: string]: string }
+        ) => string
+    }
 };
 
 const TextsSearch = (props: Props) => {
@@ -21,6 +31,10 @@ const TextsSearch = (props: Props) => {
             props.searchChanged(searchTerm);
         }
     };
+    const changeSearchMode = (e: SyntheticEvent<HTMLSelectElement>) => {
+        props.searchModeChanged(e.currentTarget.value);
+    };
+    const isPattern = props.searchMode === SEARCH_MODES.pattern;
     return (
         <div className={styles.textsSearchContainer}>
             <div className={styles.textsSearch}>
@@ -28,9 +42,15 @@ const TextsSearch = (props: Props) => {
                     <input
                         type="text"
                         id="textSearchInput"
-                        placeholder={props.intl.formatMessage({
-                            id: "leftbar.search"
-                        })}
+                        className={props.searchError ? styles.invalid : null}
+                        placeholder={props.intl.formatMessage(
+                            {
+                                id: isPattern
+                                    ? "leftbar.searchPatternPlaceholder"
+                                    : "leftbar.search"
+                            },
+                            { wildcard: SYLLABLE_WILDCARD }
+                        )}
                         ref={textInput}
                     />
                     <Button
@@ -41,6 +61,31 @@ const TextsSearch = (props: Props) => {
                         noBezel={true}
                     />
                 </form>
+                <select value={props.searchMode} onChange={changeSearchMode}>
+                    <option value={SEARCH_MODES.text}>
+                        {props.intl.formatMessage({
+                            id: "leftbar.searchText"
+                        })}
+                    </option>
+                    <option value={SEARCH_MODES.variants}>
+                        {props.intl.formatMessage({
+                            id: "leftbar.searchVariants"
+                        })}
+                    </option>
+                    <option value={SEARCH_MODES.pattern}>
+                        {props.intl.formatMessage({
+                            id: "leftbar.searchPattern"
+                        })}
+                    </option>
+                </select>
+                {props.searchError && (
+                    <div className={styles.searchError}>
+                        {props.intl.formatMessage(
+                            { id: "leftbar.invalidPattern" },
+                            { error: props.searchError }
+                        )}
+                    </div>
+                )}
             </div>
         </div>
     );
@@ -2,12 +2,15 @@
 import React from "react";
 import { connect } from "react-redux";
 import TextsSearch from "./TextsSearch";
-import { changedSearchValue } from "actions";
+import { changedSearchValue, changedSearchMode } from "actions";
+import { getSearchMode, getSearchError } from "reducers";
 import type { AppState } from "reducers";
 
 const mapStateToProps = (state: AppState) => {
     return {
-        searchValue: state.ui.searchValue
+        searchValue: state.ui.searchValue,
+        searchMode: getSearchMode(state),
+        searchError: getSearchError(state)
     };
 };
 
@@ -16,6 +19,9 @@ const mapDispatchToProps = dispatch => {
         searchChanged: (searchTerm: string) => {
             // const value = e.currentTarget.value;
             dispatch(changedSearchValue(searchTerm));
+        },
+        searchModeChanged: (searchMode: string) => {
+            dispatch(changedSearchMode(searchMode));
         }
     };
 };
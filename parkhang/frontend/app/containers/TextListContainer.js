@@ -13,6 +13,8 @@ const mapStateToProps = (state: AppState) => {
     const searchValue = reducers.getSearchValue(state);
     const searchResults = reducers.getSearchResults(state, searchValue);
     const selectedSearchResult = reducers.getSelectedSearchResult(state);
+    const searchMode = reducers.getSearchMode(state);
+    const searchError = reducers.getSearchError(state);
     // TODO: display search results or spinner depending on when anything
     // returned
 
@@ -20,19 +22,27 @@ const mapStateToProps = (state: AppState) => {
     let texts = state.data.texts;
     if (searchValue.length > 0) {
         if (searchResults === null) {
-            searching = true;
+            searching = searchError === null;
             texts = [];
         } else {
             texts = texts.filter(text => searchResults.hasOwnProperty(text.id));
         }
     }
 
+    let sourceNames = {};
+    const sources = reducers.getSources(state);
+    for (let i = 0; i < sources.length; i++) {
+        sourceNames[sources[i].id] = sources[i].name;
+    }
+
     return {
         texts: texts,
         selectedText: getSelectedText(state),
         searchTerm: searchValue,
+        searchMode,
         searchResults,
         selectedSearchResult,
+        sourceNames,
         searching
     };
 };
@@ -59,6 +69,12 @@ const mapDispatchToProps = dispatch => {
                 dispatch(actions.selectedSearchResult(text.id, start, length));
             }
         },
+        onSelectedVariantSearchResult: (
+            text: api.TextData,
+            result: api.VariantSearchResultData
+        ) => {
+            dispatch(actions.selectedVariantSearchResult(text.id, result));
+        },
         onSearchText: (text: api.TextData, searchTerm: string) => {
             dispatch(actions.searchedText(text.id, searchTerm));
         }
@@ -24,6 +24,7 @@ import rootReducer, { allReducers } from "reducers";
 
 // Redux state helpers
 import textMiddleware from "state_helpers/textMiddleware";
+import historyMiddleware from "state_helpers/historyMiddleware";
 
 // URL management
 import { connectRoutes } from "redux-first-router";
@@ -33,6 +34,7 @@ import "core-js/fn/string/pad-start";
 import "core-js/fn/string/pad-end";
 import "regenerator-runtime/runtime";
 import rootSaga from "sagas";
+import { setCacheUser } from "lib/offlineStore";
 
 // i18n
 import { IntlProvider, updateIntl } from "react-intl-redux";
@@ -57,6 +59,7 @@ const locales = {
 
 // App Constants
 import * as constants from "app_constants";
+import { TEXT_URL_PATH } from "lib/textUrl";
 
 // For react-intl - prevents FormattedMessage from always
 // outputting a <span>
@@ -70,7 +73,7 @@ const sagaMiddleware = createSagaMiddleware();
 // redux-first-router
 const routesMap = {
     HOME: "/",
-    [actions.TEXT_URL]: "/texts/:textId/witnesses/:witnessId/:annotation?",
+    [actions.TEXT_URL]: TEXT_URL_PATH,
     USER: "/user/:id"
 };
 const routes = connectRoutes(routesMap, {
@@ -81,7 +84,12 @@ let locationRootReducer = combineReducers({
     location: routes.reducer
 });
 
-const middlewares = [routes.middleware, sagaMiddleware, textMiddleware];
+const middlewares = [
+    routes.middleware,
+    sagaMiddleware,
+    textMiddleware,
+    historyMiddleware
+];
 let store = createStore(
     enableBatching(locationRootReducer),
     compose(
@@ -101,6 +109,8 @@ if (process.env.NODE_ENV === "development") {
     );
 }
 
+// Responses are cached for each user, so set the user before loading any
+setCacheUser(USER_LOGGED_IN ? USER_ID : null);
 sagaMiddleware.run(rootSaga);
 routes.initialDispatch();
 
@@ -113,7 +123,9 @@ store.dispatch(
 );
 
 if (USER_LOGGED_IN) {
-    store.dispatch(userLoggedIn(USER_ID, USER_NAME, USER_LOCALE));
+    store.dispatch(
+        userLoggedIn(USER_ID, USER_NAME, USER_LOCALE, USER_CAN_REVIEW)
+    );
 } else {
     const cookieLang = Cookies.get(i18n_cookie_name);
     if (cookieLang) {
@@ -288,7 +288,11 @@ export default class AnnotatedText {
         } else {
             const startSegment = this.segmentedText.segmentAtPosition(startPos);
             let endSegment;
-            if (isActive || annotation.id === WORKING_VERSION_ANNOTATION_ID) {
+            if (
+                (isActive || annotation.id === WORKING_VERSION_ANNOTATION_ID) &&
+                // The content of an image region is not text
+                annotation.type !== ANNOTATION_TYPES.imageRegion
+            ) {
                 let contentLength = annotation.content.length;
                 if (contentLength > 0) contentLength -= 1;
                 endSegment = this.segmentedText.segmentAtPosition(
@@ -511,7 +515,7 @@ export default class AnnotatedText {
                 let segment = this.segmentAtOriginalPosition(i);
                 if (
                     segment instanceof TextSegment &&
-                    segments.indexOf(segment) !== -1
+                    segments.indexOf(segment) === -1
                 ) {
                     segments.push(segment);
                 }
@@ -302,6 +302,14 @@ describe("AnnotatedText", () => {
         expect(annotatedText.originalSegmentAtPosition(1000)).toEqual(null);
     });
 
+    test("Get content for original range", () => {
+        expect(noAnnotatedText.getContentForRange(45, 5)).toEqual("སྟྲཱི");
+        expect(annotatedText.getContentForRange(45, 5)).toEqual("ས");
+        // Deleted
+        expect(annotatedText.getContentForRange(256, 2)).toEqual("");
+        expect(annotatedText.getContentForRange(45, 0)).toEqual("");
+    });
+
     test("Get base annotation", () => {
         let expectedAnnotation = new Annotation(
             BASE_ANNOTATION_ID,
@@ -796,6 +804,35 @@ describe("AnnotatedText", () => {
         // TODO: write some more tests for multi-segment changes
     });
 
+    test("Get current position of image region", () => {
+        const segmentedText = segmentTibetanText(baseWitness.content || "");
+        const region = new Annotation(
+            null,
+            baseWitness,
+            5,
+            13,
+            "pct:10,20,50,10",
+            ANNOTATION_TYPES.imageRegion,
+            otherWitness
+        );
+        const withRegion = new AnnotatedText(
+            segmentedText,
+            [region],
+            segmenter,
+            baseWitness
+        );
+        const withoutRegion = new AnnotatedText(
+            segmentedText,
+            [],
+            segmenter,
+            baseWitness
+        );
+
+        // The region's content is not used as the length of the text
+        expect(withRegion.getPositionOfAnnotation(region)).toEqual([5, 13]);
+        expect(withoutRegion.getPositionOfAnnotation(region)).toEqual([5, 13]);
+    });
+
     test("AnnotatedText uniqueId", () => {
         const segmentedText = segmentTibetanText(baseWitness.content || "");
         const annotatedText = new AnnotatedText(
@@ -8,11 +8,20 @@ export const ANNOTATION_TYPES: { [string]: string } = {
     note: "N",
     marker: "M",
     pageBreak: "P",
-    lineBreak: "L"
+    lineBreak: "L",
+    // Links a range of text to a region of its page image
+    imageRegion: "R"
 };
 
 export const TEMPORARY_TYPE: string = "T";
 
+// Users' annotations are proposed until a reviewer accepts or rejects them
+export const REVIEW_STATES: { [string]: string } = {
+    proposed: "P",
+    accepted: "A",
+    rejected: "R"
+};
+
 export function getNaturalId(
     type: string,
     creatorUserId: number | null,
@@ -51,6 +60,10 @@ export default class Annotation {
     basedOn: Annotation | null;
     _isSaved: boolean;
     modified: ?Date;
+    // The revision on the server this version is based on
+    revision: number;
+    // One of REVIEW_STATES
+    reviewState: string;
 
     /**
      * Text annotation
@@ -92,6 +105,15 @@ export default class Annotation {
         this._uniqueId = uniqueId;
         this.basedOn = basedOn;
         this._isSaved = false;
+        this.revision = 1;
+        // Like the server, users' variants are proposed unless they can
+        // review them.
+        this.reviewState =
+            creatorUser &&
+            !creatorUser.canReview &&
+            type === ANNOTATION_TYPES.variant
+                ? REVIEW_STATES.proposed
+                : REVIEW_STATES.accepted;
     }
 
     get id(): number | null {
@@ -225,6 +247,10 @@ export default class Annotation {
     get isWorkingAnnotation(): boolean {
         return !this.userCreated && this.creatorWitness.isWorking;
     }
+
+    get isAccepted(): boolean {
+        return this.reviewState === REVIEW_STATES.accepted;
+    }
 }
 
 /**
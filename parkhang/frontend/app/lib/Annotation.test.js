@@ -1,7 +1,8 @@
 // @flow
-import Annotation, { ANNOTATION_TYPES } from "./Annotation";
+import Annotation, { ANNOTATION_TYPES, REVIEW_STATES } from "./Annotation";
 import Source from "./Source";
 import Text from "./Text";
+import User from "./User";
 import Witness from "./Witness";
 
 const baseTextContent =
@@ -45,4 +46,31 @@ describe("Annotation", () => {
         expect(pageBreak.isInsertion).toEqual(false);
         expect(insertion.isInsertion).toEqual(true);
     });
+
+    test("Only users' variants are proposed", () => {
+        const user = new User(1, "Test User");
+        const variant = new Annotation(
+            2,
+            baseWitness,
+            3,
+            0,
+            "insertion",
+            ANNOTATION_TYPES.variant,
+            otherWitness,
+            user
+        );
+        const note = new Annotation(
+            3,
+            baseWitness,
+            3,
+            0,
+            "note",
+            ANNOTATION_TYPES.note,
+            otherWitness,
+            user
+        );
+        expect(variant.reviewState).toEqual(REVIEW_STATES.proposed);
+        expect(note.reviewState).toEqual(REVIEW_STATES.accepted);
+        expect(insertion.reviewState).toEqual(REVIEW_STATES.accepted);
+    });
 });
@@ -1,13 +1,174 @@
 // @flow
 import type { TextExporter } from "./TextExporter";
 import AnnotatedText from "./AnnotatedText";
+import Annotation, { ANNOTATION_TYPES } from "./Annotation";
+import Witness from "./Witness";
+import getBreakPositions from "./getBreakPositions";
 import lengthSplitterFactory from "lib/text_splitters/lengthSplitter";
+import {
+    NOTE_NODE_TYPES,
+    NOTE_LANGUAGES,
+    parseNoteMarkup,
+    getCitationReference,
+    getCitationUrl,
+    getPlainText
+} from "./noteMarkup";
+import type { NoteNode } from "./noteMarkup";
+import {
+    getWitnessVariants,
+    getReadings,
+    getVariantRanges
+} from "./variantReadings";
 
 const TIBETAN_FONT = "Microsoft Himalaya";
+const LATIN_FONT = "Times New Roman";
 const HEADING = "TibetanHeading";
 const TEXT = "TibetanText";
+const FOOTNOTE = "TibetanFootnote";
+
+// Used in footnotes for a witness that omits the reading.
+export const OMITTED_READING = "om.";
+
+export const FOOTNOTE_MARKER = "footnote";
+export const PAGE_BREAK_MARKER = "pageBreak";
+export const LINE_BREAK_MARKER = "lineBreak";
+
+/**
+ * Something to insert at a position in the exported text.
+ *
+ * Footnotes are either plain text or a parsed note.
+ */
+export type Marker = {
+    position: number,
+    type: string,
+    footnote?: string,
+    note?: NoteNode[]
+};
+
+/**
+ * Formatted text in a note's footnote.
+ *
+ * font is null if it is the footnote's font.
+ */
+export type NoteRun = {
+    text: string,
+    bold: boolean,
+    italic: boolean,
+    underline: boolean,
+    font: string | null
+};
+
+const languageFonts: { [language: string]: string } = {
+    [NOTE_LANGUAGES.tibetan]: TIBETAN_FONT,
+    [NOTE_LANGUAGES.latin]: LATIN_FONT
+};
+
+/**
+ * Get the formatted runs of text of a parsed note.
+ *
+ * Links in footnotes can't be followed in Word, so the address of links
+ * and citations is added after them. Citations link to the witness in
+ * the app at siteUrl.
+ */
+export function getNoteRuns(
+    nodes: NoteNode[],
+    siteUrl: string,
+    formatting: $Diff<NoteRun, { text: string }> = {
+        bold: false,
+        italic: false,
+        underline: false,
+        font: null
+    }
+): NoteRun[] {
+    let runs = [];
+    for (let node of nodes) {
+        const children = node.children || [];
+        switch (node.type) {
+            case NOTE_NODE_TYPES.bold:
+                runs.push(
+                    ...getNoteRuns(children, siteUrl, {
+                        ...formatting,
+                        bold: true
+                    })
+                );
+                break;
+            case NOTE_NODE_TYPES.italic:
+                runs.push(
+                    ...getNoteRuns(children, siteUrl, {
+                        ...formatting,
+                        italic: true
+                    })
+                );
+                break;
+            case NOTE_NODE_TYPES.language:
+                runs.push(
+                    ...getNoteRuns(children, siteUrl, {
+                        ...formatting,
+                        font:
+                            languageFonts[node.language || ""] ||
+                            formatting.font
+                    })
+                );
+                break;
+            case NOTE_NODE_TYPES.link:
+            case NOTE_NODE_TYPES.citation: {
+                const citation = node.citation;
+                let url = node.url || "";
+                let label = children;
+                if (citation) {
+                    url = siteUrl + getCitationUrl(citation);
+                    if (label.length === 0) {
+                        label = [
+                            {
+                                type: NOTE_NODE_TYPES.text,
+                                content: getCitationReference(citation)
+                            }
+                        ];
+                    }
+                }
+                runs.push(
+                    ...getNoteRuns(label, siteUrl, {
+                        ...formatting,
+                        underline: true
+                    })
+                );
+                if (getPlainText(label) !== url) {
+                    runs.push({ ...formatting, text: " (" + url + ")" });
+                }
+                break;
+            }
+            default:
+                runs.push({ ...formatting, text: node.content || "" });
+        }
+    }
+    return runs;
+}
 
 class DocxExporter implements TextExporter {
+    critical: boolean;
+    witnesses: Witness[];
+    variants: Annotation[];
+    siteUrl: string;
+
+    /**
+     * @param {boolean} [critical=false] - Export as a critical edition, with
+     *      variant and note footnotes and page and line breaks.
+     * @param {Witness[]} [witnesses] - All witnesses of the text
+     * @param {Annotation[]} [variants] - Variant annotations of all witnesses
+     * @param {string} [siteUrl] - Where citations in notes are linked to
+     */
+    constructor(
+        critical: boolean = false,
+        witnesses: Witness[] = [],
+        variants: Annotation[] = [],
+        siteUrl: string = ""
+    ) {
+        this.critical = critical;
+        this.witnesses = witnesses;
+        this.variants = variants;
+        this.siteUrl = siteUrl;
+    }
+
     async export(text: AnnotatedText, filename: string): Promise<Blob> {
         // We are importing dynamically as docx is a large library that
         // is only required occasionally, thus not worth slowing down
@@ -21,14 +182,47 @@ class DocxExporter implements TextExporter {
         const title = doc.createParagraph(text.textInfo.name).style(HEADING);
 
         const content = text.getText();
-        const splitter = lengthSplitterFactory(1000, /^།[\s]+(?!།[\s]+)/, 2, 5);
-        const positions = splitter(content);
+        const positions = this.getParagraphEnds(content);
 
+        let markers = this.critical ? this.getMarkers(text) : [];
+        let footnoteId = 1;
         let startPos = 0;
         while (positions.length > 0) {
             const pos = positions.shift();
-            const paraContent = content.substring(startPos, pos);
-            const para = new docx.Paragraph(paraContent).style(TEXT);
+            const para = new docx.Paragraph().style(TEXT);
+            let runStart = startPos;
+            while (
+                markers.length > 0 &&
+                (markers[0].position <= pos || positions.length === 0)
+            ) {
+                const marker = markers.shift();
+                const markerPos = Math.min(marker.position, pos);
+                if (markerPos > runStart) {
+                    para.createTextRun(content.substring(runStart, markerPos));
+                    runStart = markerPos;
+                }
+                switch (marker.type) {
+                    case FOOTNOTE_MARKER:
+                        doc.createFootnote(
+                            marker.note
+                                ? this.createNoteParagraph(docx, marker.note)
+                                : new docx.Paragraph(marker.footnote).style(
+                                      FOOTNOTE
+                                  )
+                        );
+                        para.referenceFootnote(footnoteId++);
+                        break;
+                    case PAGE_BREAK_MARKER:
+                        para.addRun(new docx.PageBreak());
+                        break;
+                    case LINE_BREAK_MARKER:
+                        para.addRun(new docx.Run().break());
+                        break;
+                }
+            }
+            if (pos > runStart) {
+                para.createTextRun(content.substring(runStart, pos));
+            }
             doc.addParagraph(para);
             startPos = pos;
         }
@@ -38,6 +232,194 @@ class DocxExporter implements TextExporter {
         return blob;
     }
 
+    /**
+     * Get the positions in the text where each paragraph ends.
+     *
+     * The text is split after a shad every 1000 or so characters. The last
+     * paragraph always ends at the end of the text, even when it is too short
+     * to be split.
+     */
+    getParagraphEnds(content: string): number[] {
+        const splitter = lengthSplitterFactory(1000, /^།[\s]+(?!།[\s]+)/, 2, 5);
+        return [...splitter(content), content.length];
+    }
+
+    /**
+     * Get the footnotes and breaks of a critical edition, sorted by
+     * their position in the generated text.
+     */
+    getMarkers(text: AnnotatedText): Marker[] {
+        let markers = [
+            ...this.getVariantMarkers(text),
+            ...this.getNoteMarkers(text),
+            ...this.getBreakMarkers(
+                text,
+                ANNOTATION_TYPES.pageBreak,
+                PAGE_BREAK_MARKER
+            ),
+            ...this.getBreakMarkers(
+                text,
+                ANNOTATION_TYPES.lineBreak,
+                LINE_BREAK_MARKER
+            )
+        ];
+        // Array.sort is not guaranteed to be stable, so preserve the
+        // order markers were added in for markers at the same position.
+        markers = markers
+            .map((marker, index) => [marker, index])
+            .sort((a, b) => a[0].position - b[0].position || a[1] - b[1])
+            .map(([marker]) => marker);
+
+        return markers;
+    }
+
+    /**
+     * A footnote after each applied variant, giving the readings of the
+     * other witnesses.
+     */
+    getVariantMarkers(text: AnnotatedText): Marker[] {
+        const originalContent = text.originalText.getText();
+        const witnessVariants = getWitnessVariants(
+            text,
+            this.witnesses,
+            this.variants
+        );
+        const witnessesById = this.witnesses.reduce((acc, witness) => {
+            acc[witness.id] = witness;
+            return acc;
+        }, {});
+        const activeWitnessId = text.activeWitness.id;
+        let markers = [];
+        const ranges = getVariantRanges(text.variants);
+        for (let i = 0; i < ranges.length; i++) {
+            const range = ranges[i];
+            const readings = getReadings(
+                originalContent,
+                range,
+                witnessVariants
+            );
+            const footnote = readings
+                .map(reading => {
+                    const names = reading.witnessIds
+                        .filter(
+                            witnessId =>
+                                witnessId !== activeWitnessId &&
+                                witnessesById.hasOwnProperty(witnessId)
+                        )
+                        .map(witnessId => witnessesById[witnessId].source.name);
+                    if (names.length === 0) {
+                        return null;
+                    }
+                    const content =
+                        reading.content.length > 0
+                            ? reading.content
+                            : OMITTED_READING;
+                    return names.join(", ") + ": " + content;
+                })
+                .filter(value => value !== null)
+                .join("; ");
+            if (footnote.length === 0) {
+                continue;
+            }
+
+            const position = this.getEndPosition(text, range.start);
+            if (position !== null) {
+                markers.push({
+                    position: position,
+                    type: FOOTNOTE_MARKER,
+                    footnote: footnote
+                });
+            }
+        }
+
+        return markers;
+    }
+
+    /**
+     * Return the position in the generated text at the end of the variant
+     * applied at the given position in the original text.
+     */
+    getEndPosition(text: AnnotatedText, originalStart: number): number | null {
+        const variant = text.variants.find(
+            variant => variant.start === originalStart
+        );
+        if (!variant) {
+            return null;
+        }
+        const [start] = text.getPositionOfAnnotation(variant);
+        if (start === null) {
+            return null;
+        }
+        let end = start + variant.content.length;
+        // Include any other applied variants that were merged into the range
+        const otherVariants = text.variants.filter(
+            other => other !== variant && other.start > originalStart
+        );
+        for (let i = 0; i < otherVariants.length; i++) {
+            const other = otherVariants[i];
+            if (other.start < variant.start + variant.length) {
+                const [otherStart] = text.getPositionOfAnnotation(other);
+                if (otherStart !== null) {
+                    end = Math.max(end, otherStart + other.content.length);
+                }
+            }
+        }
+
+        return end;
+    }
+
+    /**
+     * A footnote containing each note, after the text it refers to.
+     */
+    getNoteMarkers(text: AnnotatedText): Marker[] {
+        const notes = text.getAnnotationsOfType(ANNOTATION_TYPES.note);
+        let markers = [];
+        if (!notes) {
+            return markers;
+        }
+        for (let id in notes) {
+            const note = notes[id];
+            if (note.content.length === 0) {
+                continue;
+            }
+            const [start, length] = text.getPositionOfAnnotation(note);
+            if (start !== null) {
+                markers.push({
+                    position: start + (length || 0),
+                    type: FOOTNOTE_MARKER,
+                    note: parseNoteMarkup(note.content)
+                });
+            }
+        }
+
+        return markers;
+    }
+
+    // docx is passed in as it is imported dynamically
+    createNoteParagraph(docx: any, note: NoteNode[]) {
+        const para = new docx.Paragraph().style(FOOTNOTE);
+        for (let noteRun of getNoteRuns(note, this.siteUrl)) {
+            const run = new docx.TextRun(noteRun.text);
+            if (noteRun.bold) run.bold();
+            if (noteRun.italic) run.italic();
+            if (noteRun.underline) run.underline();
+            if (noteRun.font) run.font(noteRun.font);
+            para.addRun(run);
+        }
+        return para;
+    }
+
+    getBreakMarkers(
+        text: AnnotatedText,
+        annotationType: string,
+        markerType: string
+    ): Marker[] {
+        return getBreakPositions(text, annotationType).map(position => ({
+            position: position,
+            type: markerType
+        }));
+    }
+
     generateStyles(doc: Document) {
         // As we are now dynamically importing docx, these types are not
         // available until runtime.
@@ -54,6 +436,11 @@ class DocxExporter implements TextExporter {
             .basedOn("Normal")
             .size(18)
             .font(TIBETAN_FONT);
+        //$FlowFixMe
+        doc.Styles.createParagraphStyle(FOOTNOTE, FOOTNOTE)
+            .basedOn("Normal")
+            .size(14)
+            .font(TIBETAN_FONT);
     }
 }
 
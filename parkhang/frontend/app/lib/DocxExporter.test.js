@@ -0,0 +1,134 @@
+// @flow
+import DocxExporter, {
+    getNoteRuns,
+    FOOTNOTE_MARKER,
+    PAGE_BREAK_MARKER,
+    LINE_BREAK_MARKER
+} from "./DocxExporter";
+import AnnotatedText from "./AnnotatedText";
+import segmentTibetanText from "./segmentTibetanText";
+import Annotation, { ANNOTATION_TYPES } from "./Annotation";
+import { parseNoteMarkup } from "./noteMarkup";
+import {
+    workingContent,
+    workingWitness,
+    dergeWitness,
+    witnesses,
+    dergeVariant,
+    variants,
+    segmenter
+} from "./__fixtures__/sampleText";
+
+describe("DocxExporter", () => {
+    test("No markers when not critical", () => {
+        const exporter = new DocxExporter();
+        const annotatedText = new AnnotatedText(
+            segmentTibetanText(workingContent),
+            [dergeVariant],
+            segmenter,
+            workingWitness,
+            dergeWitness
+        );
+
+        expect(exporter.critical).toBe(false);
+        expect(exporter.getVariantMarkers(annotatedText)).toEqual([]);
+    });
+
+    test("Critical edition markers", () => {
+        const exporter = new DocxExporter(true, witnesses, variants);
+        const note = new Annotation(
+            3,
+            workingWitness,
+            4,
+            2,
+            "A note",
+            ANNOTATION_TYPES.note,
+            dergeWitness
+        );
+        const pageBreak = new Annotation(
+            4,
+            workingWitness,
+            20,
+            0,
+            null,
+            ANNOTATION_TYPES.pageBreak,
+            dergeWitness
+        );
+        const lineBreak = new Annotation(
+            5,
+            workingWitness,
+            6,
+            0,
+            null,
+            ANNOTATION_TYPES.lineBreak,
+            dergeWitness
+        );
+        const annotatedText = new AnnotatedText(
+            segmentTibetanText(workingContent),
+            [dergeVariant, note, pageBreak, lineBreak],
+            segmenter,
+            workingWitness,
+            dergeWitness
+        );
+
+        expect(exporter.getMarkers(annotatedText)).toEqual([
+            {
+                position: 6,
+                type: LINE_BREAK_MARKER
+            },
+            {
+                position: 11,
+                type: FOOTNOTE_MARKER,
+                note: parseNoteMarkup("A note")
+            },
+            {
+                position: 15,
+                type: FOOTNOTE_MARKER,
+                footnote: "Working, Narthang: སྐད"
+            },
+            {
+                position: 20,
+                type: PAGE_BREAK_MARKER
+            }
+        ]);
+    });
+
+    test("Paragraphs end at the end of the text", () => {
+        const exporter = new DocxExporter();
+        expect(exporter.getParagraphEnds(workingContent)).toEqual([
+            workingContent.length
+        ]);
+
+        const longContent = "ཀ་ཁ། ".repeat(300);
+        const ends = exporter.getParagraphEnds(longContent);
+        expect(ends.length).toBeGreaterThan(1);
+        expect(ends[ends.length - 1]).toBe(longContent.length);
+    });
+
+    test("Formatted notes", () => {
+        const note = parseNoteMarkup(
+            "**{en:Bold}** *see [[2/5/100-4|Derge]]* [link](https://example.com)"
+        );
+        const plain = {
+            bold: false,
+            italic: false,
+            underline: false,
+            font: null
+        };
+        expect(getNoteRuns(note, "https://parkhang.example.org")).toEqual([
+            { ...plain, text: "Bold", bold: true, font: "Times New Roman" },
+            { ...plain, text: " " },
+            { ...plain, text: "see ", italic: true },
+            { ...plain, text: "Derge", italic: true, underline: true },
+            {
+                ...plain,
+                text:
+                    " (https://parkhang.example.org/texts/2/witnesses/5/100-4)",
+                italic: true
+            },
+            { ...plain, text: " " },
+            { ...plain, text: "link", underline: true },
+            { ...plain, text: " (https://example.com)" }
+        ]);
+    });
+});
@@ -1,10 +1,136 @@
 // @flow
 import { TextExporter } from "./TextExporter";
 import AnnotatedText from "./AnnotatedText";
+import { ANNOTATION_TYPES } from "./Annotation";
+import { IMAGE_START_NUMBER_KEY } from "./Witness";
+import getBreakPositions from "./getBreakPositions";
+
+/**
+ * Page markers are generated from a format containing any of the
+ * following tokens:
+ *
+ * {page} - the page number, starting from 1
+ * {image} - the number of the page's image, using the witness image numbering
+ * {folio} - the folio number, assuming each image is one side of a folio
+ *      and the first image is 1a
+ * {side} - the side of the folio, a or b
+ */
+export const DEFAULT_PAGE_MARKER_FORMAT = "[{folio}{side}]";
+
+const PAGE_MARKER_TOKENS = {
+    "{page}": "\\d+",
+    "{image}": "\\d+",
+    "{folio}": "\\d+",
+    "{side}": "[ab]"
+};
+
+export type PlainTextExportOptions = {
+    lineBreaks: boolean,
+    pageBreaks: boolean,
+    pageMarkerFormat: string
+};
+
+export type PlainTextPage = {
+    label: string,
+    content: string
+};
+
+const defaultOptions: PlainTextExportOptions = {
+    lineBreaks: false,
+    pageBreaks: false,
+    pageMarkerFormat: DEFAULT_PAGE_MARKER_FORMAT
+};
+
+export function getPageMarker(
+    format: string,
+    pageIndex: number,
+    firstImage: number = 1
+): string {
+    const image = firstImage + pageIndex;
+    const values = {
+        "{page}": String(pageIndex + 1),
+        "{image}": String(image),
+        "{folio}": String(Math.ceil(image / 2)),
+        "{side}": image % 2 === 1 ? "a" : "b"
+    };
+    return format.replace(/\{(page|image|folio|side)\}/g, token =>
+        values.hasOwnProperty(token) ? values[token] : token
+    );
+}
+
+function getPageMarkerRegExp(format: string): RegExp {
+    const pattern = format
+        .split(/(\{(?:page|image|folio|side)\})/)
+        .map(part =>
+            PAGE_MARKER_TOKENS.hasOwnProperty(part)
+                ? PAGE_MARKER_TOKENS[part]
+                : part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        )
+        .join("");
+    return new RegExp("^" + pattern + "$");
+}
+
+/**
+ * Split text exported with page breaks back into its pages.
+ *
+ * Any content before the first page marker, such as the title, is ignored.
+ *
+ * @param {string} content - Text exported by PlainTextExporter
+ * @param {string} [pageMarkerFormat] - The format used when exporting
+ * @return {PlainTextPage[]}
+ */
+export function parsePages(
+    content: string,
+    pageMarkerFormat: string = DEFAULT_PAGE_MARKER_FORMAT
+): PlainTextPage[] {
+    const markerRegExp = getPageMarkerRegExp(pageMarkerFormat);
+    const lines = content.split("\n");
+    let pages = [];
+    let page = null;
+    let pageLines = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (markerRegExp.test(line)) {
+            if (page) {
+                page.content = pageLines.join("\n");
+                pages.push(page);
+            }
+            page = {
+                label: line,
+                content: ""
+            };
+            pageLines = [];
+        } else if (page) {
+            pageLines.push(line);
+        }
+    }
+    if (page) {
+        page.content = pageLines.join("\n");
+        pages.push(page);
+    }
+
+    return pages;
+}
 
 export default class PlainTextExporter implements TextExporter {
+    options: PlainTextExportOptions;
+
+    /**
+     * By default, only the text content is exported.
+     *
+     * If lineBreaks is true, line breaks are exported as newlines.
+     * If pageBreaks is true, each page starts with a line containing a
+     * page marker, which can be split up again using parsePages.
+     *
+     * @param {Object} [options]
+     */
+    constructor(options: $Shape<PlainTextExportOptions> = {}) {
+        this.options = { ...defaultOptions, ...options };
+    }
+
     export(text: AnnotatedText, filename: string): Promise<Blob> {
-        const textContent = text.textInfo.name + "\n\n" + text.getText();
+        const textContent =
+            text.textInfo.name + "\n\n" + this.generateContent(text);
         const type = "text/plain";
         let textFile;
 
@@ -22,4 +148,61 @@ export default class PlainTextExporter implements TextExporter {
             resolve(textFile);
         });
     }
+
+    generateContent(text: AnnotatedText): string {
+        const content = text.getText();
+        const { lineBreaks, pageBreaks, pageMarkerFormat } = this.options;
+        if (!lineBreaks && !pageBreaks) {
+            return content;
+        }
+
+        const isInside = position => position > 0 && position < content.length;
+        const pageBreakPositions = pageBreaks
+            ? getBreakPositions(text, ANNOTATION_TYPES.pageBreak).filter(
+                  isInside
+              )
+            : [];
+        // A page break also ends the line
+        const lineBreakPositions = lineBreaks
+            ? getBreakPositions(text, ANNOTATION_TYPES.lineBreak).filter(
+                  position =>
+                      isInside(position) &&
+                      pageBreakPositions.indexOf(position) === -1
+              )
+            : [];
+        const breakPositions = pageBreakPositions
+            .concat(lineBreakPositions)
+            .sort((a, b) => a - b);
+
+        const properties = text.activeWitness.properties;
+        let firstImage = 1;
+        if (properties && properties.hasOwnProperty(IMAGE_START_NUMBER_KEY)) {
+            firstImage = Number(properties[IMAGE_START_NUMBER_KEY]);
+        }
+
+        let pageIndex = 0;
+        let output = "";
+        if (pageBreaks) {
+            output += getPageMarker(pageMarkerFormat, pageIndex, firstImage);
+            output += "\n";
+        }
+        let start = 0;
+        for (let i = 0; i < breakPositions.length; i++) {
+            const position = breakPositions[i];
+            output += content.substring(start, position) + "\n";
+            if (pageBreakPositions.indexOf(position) !== -1) {
+                pageIndex++;
+                output += getPageMarker(
+                    pageMarkerFormat,
+                    pageIndex,
+                    firstImage
+                );
+                output += "\n";
+            }
+            start = position;
+        }
+        output += content.substring(start);
+
+        return output;
+    }
 }
@@ -1,5 +1,8 @@
 // @flow
-import PlainTextExporter from "./PlainTextExporter";
+import PlainTextExporter, {
+    getPageMarker,
+    parsePages
+} from "./PlainTextExporter";
 import AnnotatedText from "./AnnotatedText";
 import Source from "./Source";
 import Text from "./Text";
@@ -69,3 +72,97 @@ describe("PlainTextExporter", () => {
         });
     });
 });
+
+describe("PlainTextExporter with breaks", () => {
+    const breakAnnotations = [
+        ...annotations,
+        new Annotation(
+            3,
+            baseWitness,
+            37,
+            0,
+            null,
+            ANNOTATION_TYPES.lineBreak,
+            otherWitness
+        ),
+        new Annotation(
+            4,
+            baseWitness,
+            51,
+            0,
+            null,
+            ANNOTATION_TYPES.pageBreak,
+            otherWitness
+        ),
+        new Annotation(
+            5,
+            baseWitness,
+            67,
+            0,
+            null,
+            ANNOTATION_TYPES.pageBreak,
+            otherWitness
+        )
+    ];
+    const witness = new Witness(
+        1,
+        text,
+        source1,
+        baseTextContent,
+        true,
+        false,
+        1,
+        {
+            bdrcimg_number: 23
+        }
+    );
+    const breaksText = new AnnotatedText(
+        segmentTibetanText(baseWitness.content || ""),
+        breakAnnotations,
+        segmenter,
+        witness
+    );
+
+    test("Get page markers", () => {
+        expect(getPageMarker("[{folio}{side}]", 0)).toEqual("[1a]");
+        expect(getPageMarker("[{folio}{side}]", 3, 23)).toEqual("[13b]");
+        expect(getPageMarker("<{page}/{image}>", 2, 5)).toEqual("<3/7>");
+    });
+
+    test("Export line and page breaks", () => {
+        const exporter = new PlainTextExporter({
+            lineBreaks: true,
+            pageBreaks: true
+        });
+        const content = exporter.generateContent(breaksText);
+
+        expect(content).toEqual(
+            "[12a]\n" +
+                "༄༅༅། །རྒྱ་གར་\n" +
+                "སྐད་དུ། ས་\n" +
+                "[12b]\n" +
+                "པྲཛྙཱ་ཤྲཱི་མ་ཧཱ་\n" +
+                "[13a]\n" +
+                "ཀཱ་ལ་སཱ་དྷ་ནཾ་ནཱ་མ།"
+        );
+    });
+
+    test("Split exported text into pages", () => {
+        const format = "<{page}>";
+        const exporter = new PlainTextExporter({
+            lineBreaks: true,
+            pageBreaks: true,
+            pageMarkerFormat: format
+        });
+        const content =
+            breaksText.textInfo.name +
+            "\n\n" +
+            exporter.generateContent(breaksText);
+        const pages = parsePages(content, format);
+
+        expect(pages.map(page => page.label)).toEqual(["<1>", "<2>", "<3>"]);
+        expect(
+            pages.map(page => page.content.replace(/\n/g, "")).join("")
+        ).toEqual(amendedText);
+    });
+});
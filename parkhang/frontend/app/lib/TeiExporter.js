@@ -0,0 +1,201 @@
+// @flow
+import type { TextExporter } from "./TextExporter";
+import AnnotatedText from "./AnnotatedText";
+import Annotation from "./Annotation";
+import Witness from "./Witness";
+import {
+    getVariantRanges,
+    getWitnessVariants,
+    getReadings
+} from "./variantReadings";
+import type { Reading } from "./variantReadings";
+
+const TEI_NAMESPACE = "http://www.tei-c.org/ns/1.0";
+
+export function escapeXml(value: string): string {
+    return value
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+export function getWitnessXmlId(witness: Witness): string {
+    return "W" + witness.id;
+}
+
+/**
+ * Exports a witness as TEI P5 XML with a critical apparatus.
+ *
+ * The apparatus uses parallel segmentation: each place where any witness
+ * differs from the working text becomes an <app> element. The <lem> is the
+ * reading of the exported witness and every other reading is given in a
+ * <rdg> listing the witnesses that have it.
+ */
+export default class TeiExporter implements TextExporter {
+    witnesses: Witness[];
+    variants: Annotation[];
+
+    /**
+     * @param {Witness[]} witnesses - All witnesses of the text
+     * @param {Annotation[]} variants - Variant annotations of all witnesses
+     */
+    constructor(witnesses: Witness[], variants: Annotation[]) {
+        this.witnesses = witnesses;
+        this.variants = variants;
+    }
+
+    export(text: AnnotatedText, filename: string): Promise<Blob> {
+        const content = this.generateXml(text);
+        const type = "application/tei+xml";
+        let textFile;
+
+        try {
+            textFile = new File([content], filename, {
+                type: type
+            });
+        } catch (e) {
+            textFile = new Blob([content], {
+                type: type
+            });
+        }
+
+        return new Promise(resolve => {
+            resolve(textFile);
+        });
+    }
+
+    generateXml(text: AnnotatedText): string {
+        const name = escapeXml(text.textInfo.name);
+        const listWit = this.witnesses
+            .map(
+                witness =>
+                    '<witness xml:id="' +
+                    getWitnessXmlId(witness) +
+                    '">' +
+                    escapeXml(witness.source.name) +
+                    "</witness>"
+            )
+            .join("\n            ");
+
+        return (
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<TEI xmlns="' +
+            TEI_NAMESPACE +
+            '">\n' +
+            "  <teiHeader>\n" +
+            "    <fileDesc>\n" +
+            "      <titleStmt>\n" +
+            "        <title>" +
+            name +
+            "</title>\n" +
+            "      </titleStmt>\n" +
+            "      <publicationStmt>\n" +
+            "        <p>Exported from Parkhang</p>\n" +
+            "      </publicationStmt>\n" +
+            "      <sourceDesc>\n" +
+            "        <listWit>\n" +
+            "            " +
+            listWit +
+            "\n" +
+            "        </listWit>\n" +
+            "      </sourceDesc>\n" +
+            "    </fileDesc>\n" +
+            "    <encodingDesc>\n" +
+            '      <variantEncoding method="parallel-segmentation" location="internal"/>\n' +
+            "    </encodingDesc>\n" +
+            "  </teiHeader>\n" +
+            "  <text>\n" +
+            "    <body>\n" +
+            "      <p>" +
+            this.generateBody(text) +
+            "</p>\n" +
+            "    </body>\n" +
+            "  </text>\n" +
+            "</TEI>\n"
+        );
+    }
+
+    generateBody(text: AnnotatedText): string {
+        const originalContent = text.originalText.getText();
+        const witnessVariants = getWitnessVariants(
+            text,
+            this.witnesses,
+            this.variants
+        );
+        let allVariants = [];
+        for (let witnessId in witnessVariants) {
+            allVariants = allVariants.concat(
+                witnessVariants[Number(witnessId)]
+            );
+        }
+        const ranges = getVariantRanges(allVariants);
+
+        let body = "";
+        let position = 0;
+        for (let i = 0; i < ranges.length; i++) {
+            const range = ranges[i];
+            body += escapeXml(originalContent.substring(position, range.start));
+            body += this.generateApp(
+                text.activeWitness,
+                getReadings(originalContent, range, witnessVariants)
+            );
+            position = range.end;
+        }
+        body += escapeXml(originalContent.substring(position));
+
+        return body;
+    }
+
+    generateApp(activeWitness: Witness, readings: Reading[]): string {
+        const lemma = readings.find(
+            reading => reading.witnessIds.indexOf(activeWitness.id) !== -1
+        );
+        if (!lemma) {
+            return "";
+        }
+        if (readings.length === 1) {
+            return escapeXml(lemma.content);
+        }
+
+        const witnessesById = this.witnesses.reduce((acc, witness) => {
+            acc[witness.id] = witness;
+            return acc;
+        }, {});
+        const getWit = (reading: Reading): string =>
+            reading.witnessIds
+                .filter(witnessId => witnessesById.hasOwnProperty(witnessId))
+                .map(
+                    witnessId => "#" + getWitnessXmlId(witnessesById[witnessId])
+                )
+                .join(" ");
+        const element = (name: string, reading: Reading): string => {
+            const wit = getWit(reading);
+            const attr = wit.length > 0 ? ' wit="' + wit + '"' : "";
+            if (reading.content.length === 0) {
+                return "<" + name + attr + "/>";
+            }
+            return (
+                "<" +
+                name +
+                attr +
+                ">" +
+                escapeXml(reading.content) +
+                "</" +
+                name +
+                ">"
+            );
+        };
+
+        let app = "<app>" + element("lem", lemma);
+        for (let i = 0; i < readings.length; i++) {
+            const reading = readings[i];
+            if (reading !== lemma) {
+                app += element("rdg", reading);
+            }
+        }
+        app += "</app>";
+
+        return app;
+    }
+}
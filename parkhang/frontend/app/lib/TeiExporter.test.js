@@ -0,0 +1,62 @@
+// @flow
+import TeiExporter from "./TeiExporter";
+import AnnotatedText from "./AnnotatedText";
+import segmentTibetanText from "./segmentTibetanText";
+import {
+    workingContent,
+    text,
+    workingWitness,
+    dergeWitness,
+    witnesses,
+    dergeVariant,
+    variants,
+    segmenter
+} from "./__fixtures__/sampleText";
+
+describe("TeiExporter", () => {
+    test("Export apparatus for working witness", () => {
+        const exporter = new TeiExporter(witnesses, variants);
+        const annotatedText = new AnnotatedText(
+            segmentTibetanText(workingContent),
+            [],
+            segmenter,
+            workingWitness
+        );
+        const xml = exporter.generateXml(annotatedText);
+
+        expect(xml).toContain("<title>" + text.name + "</title>");
+        expect(xml).toContain('<witness xml:id="W2">Derge</witness>');
+        expect(xml).toContain(
+            '<app><lem wit="#W1 #W3">སྐད</lem><rdg wit="#W2">སྐང</rdg></app>'
+        );
+        expect(xml).toContain(
+            '<app><lem wit="#W1 #W2">ས་</lem><rdg wit="#W3"/></app>'
+        );
+    });
+
+    test("Export apparatus for other witness", done => {
+        const exporter = new TeiExporter(witnesses, variants);
+        const annotatedText = new AnnotatedText(
+            segmentTibetanText(workingContent),
+            [dergeVariant],
+            segmenter,
+            workingWitness,
+            dergeWitness
+        );
+        const expectedBody =
+            "<p>༄༅། །རྒྱ་གར་" +
+            '<app><lem wit="#W2">སྐང</lem><rdg wit="#W1 #W3">སྐད</rdg></app>' +
+            "་དུ། " +
+            '<app><lem wit="#W1 #W2">ས་</lem><rdg wit="#W3"/></app>' +
+            "པྲཛྙཱ་ཤྲཱི།</p>";
+
+        exporter.export(annotatedText, "test.xml").then(file => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                expect(reader.result).toContain(expectedBody);
+                done();
+            };
+            reader.readAsText(file);
+        });
+    });
+});
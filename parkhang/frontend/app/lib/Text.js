@@ -1,11 +1,20 @@
 // @flow
 
+// Texts without a language are Tibetan
+export const DEFAULT_TEXT_LANGUAGE = "bo";
+
 export default class Text {
     id: number;
     name: string;
+    language: string;
 
-    constructor(id: number, name: string) {
+    constructor(
+        id: number,
+        name: string,
+        language: string = DEFAULT_TEXT_LANGUAGE
+    ) {
         this.id = id;
         this.name = name;
+        this.language = language;
     }
 }
@@ -14,11 +14,19 @@ export default class User {
     id: number;
     name: string;
     locale: string;
+    // Whether the user can accept or reject other users' annotations
+    canReview: boolean;
 
-    constructor(id: number, name: string, locale: string = DEFAULT_LOCALE) {
+    constructor(
+        id: number,
+        name: string,
+        locale: string = DEFAULT_LOCALE,
+        canReview: boolean = false
+    ) {
         this.id = Number(id);
         this.name = name;
         this.locale = locale;
+        this.canReview = canReview;
     }
 
     /**
@@ -2,6 +2,17 @@
 import Source from "lib/Source";
 import Text from "lib/Text";
 
+// Keys of the witness properties giving the filenames of its page images
+export const IMAGE_START_PRE_KEY = "bdrcimg_pre";
+export const IMAGE_START_NUMBER_KEY = "bdrcimg_number";
+export const IMAGE_START_SUFFIX_KEY = "bdrcimg_suffix";
+// Key of the witness property giving the url of the IIIF Presentation
+// manifest of its volume, which is used for its page images if it is set
+export const IIIF_MANIFEST_KEY = "iiif_manifest";
+// Key of the witness property giving the id of the canvas of its first
+// page, if it does not start on the first canvas of the manifest
+export const IIIF_START_CANVAS_KEY = "iiif_start_canvas";
+
 /**
  * Represents a printed version of a text.
  */
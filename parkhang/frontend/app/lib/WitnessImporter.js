@@ -0,0 +1,183 @@
+// @flow
+import Annotation, { ANNOTATION_TYPES } from "./Annotation";
+import Witness from "./Witness";
+import User from "./User";
+import TextSegment from "./TextSegment";
+import { getTextSegmenter } from "./segmenters";
+import diffSegments from "./diffSegments";
+
+const WORD_NAMESPACE =
+    "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+/**
+ * Return the text of a docx document.xml, with paragraphs separated by
+ * newlines.
+ */
+export function getDocxText(xml: string): string {
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(xml, "application/xml");
+    const paragraphs = doc.getElementsByTagNameNS(WORD_NAMESPACE, "p");
+    let lines = [];
+    for (let i = 0; i < paragraphs.length; i++) {
+        const nodes = paragraphs[i].getElementsByTagNameNS(WORD_NAMESPACE, "*");
+        let line = "";
+        for (let j = 0; j < nodes.length; j++) {
+            const node = nodes[j];
+            switch (node.localName) {
+                case "t":
+                    line += node.textContent;
+                    break;
+                case "tab":
+                    line += "\t";
+                    break;
+                case "br":
+                    line += "\n";
+                    break;
+            }
+        }
+        lines.push(line);
+    }
+
+    return lines.join("\n");
+}
+
+function readTextFile(file: File): Promise<string> {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            resolve(String(reader.result));
+        };
+        reader.onerror = () => {
+            reject(reader.error);
+        };
+        reader.readAsText(file);
+    });
+}
+
+async function readDocxFile(file: File): Promise<string> {
+    // Only required when importing docx files, so not worth
+    // including in the initial load.
+    const JSZip = (await import(/* webpackChunkName: "jszip" */ "jszip"))
+        .default;
+    const zip = await JSZip.loadAsync(file);
+    const documentFile = zip.file("word/document.xml");
+    if (!documentFile) {
+        throw new Error("Not a valid docx file: " + file.name);
+    }
+    const xml = await documentFile.async("string");
+
+    return getDocxText(xml);
+}
+
+/**
+ * Return the text content of a .txt or .docx file.
+ */
+export function readWitnessFile(file: File): Promise<string> {
+    if (/\.docx$/i.test(file.name)) {
+        return readDocxFile(file);
+    }
+    return readTextFile(file);
+}
+
+// Differences in whitespace alone are not variants
+function segmentKey(segment: TextSegment): string {
+    return segment.text.replace(/\s+/g, " ");
+}
+
+/**
+ * Creates variant annotations for a witness from an outside transcription.
+ *
+ * The transcription is compared to the working witness segment by
+ * segment, using the segmenter for the text's language, and each
+ * difference becomes a new annotation created by the user for the witness. They are not saved until the user has reviewed
+ * them.
+ */
+export default class WitnessImporter {
+    workingWitness: Witness;
+    witness: Witness;
+    user: User | null;
+
+    /**
+     * @param {Witness} workingWitness - The witness the annotations apply to
+     * @param {Witness} witness - The witness being imported
+     * @param {User|null} user - The user creating the annotations
+     */
+    constructor(workingWitness: Witness, witness: Witness, user: User | null) {
+        this.workingWitness = workingWitness;
+        this.witness = witness;
+        this.user = user;
+    }
+
+    async import(
+        file: File,
+        existingAnnotations: Annotation[] = []
+    ): Promise<Annotation[]> {
+        const content = await readWitnessFile(file);
+        return this.getAnnotations(content, existingAnnotations);
+    }
+
+    /**
+     * Return a variant annotation for each difference between the working
+     * witness and content.
+     *
+     * @param {string} content - The text of the imported witness
+     * @param {Annotation[]} existingAnnotations - Annotations of the witness
+     *      that already exist. No new annotation is created for the same
+     *      position.
+     */
+    getAnnotations(
+        content: string,
+        existingAnnotations: Annotation[] = []
+    ): Annotation[] {
+        const workingContent = this.workingWitness.content || "";
+        const segmenter = getTextSegmenter(this.workingWitness.text);
+        const workingSegments = segmenter(workingContent).segments;
+        const importedSegments = segmenter(content).segments;
+        const changes = diffSegments(
+            workingSegments.map(segmentKey),
+            importedSegments.map(segmentKey)
+        );
+        const existingPositions = existingAnnotations.map(
+            annotation => annotation.start + "-" + annotation.length
+        );
+
+        let annotations = [];
+        for (let i = 0; i < changes.length; i++) {
+            const { aStart, aEnd, bStart, bEnd } = changes[i];
+            let start = workingContent.length;
+            if (aStart < workingSegments.length) {
+                start = workingSegments[aStart].start;
+            }
+            let length = 0;
+            if (aEnd > aStart) {
+                length = workingSegments[aEnd - 1].end + 1 - start;
+            }
+            const original = workingContent.substr(start, length);
+            const variant = importedSegments
+                .slice(bStart, bEnd)
+                .map(segment => segment.text)
+                .join("");
+            if (original.trim() === "" && variant.trim() === "") {
+                continue;
+            }
+            if (existingPositions.indexOf(start + "-" + length) !== -1) {
+                continue;
+            }
+
+            annotations.push(
+                new Annotation(
+                    null,
+                    this.workingWitness,
+                    start,
+                    length,
+                    variant,
+                    ANNOTATION_TYPES.variant,
+                    this.witness,
+                    this.user
+                )
+            );
+        }
+
+        return annotations;
+    }
+}
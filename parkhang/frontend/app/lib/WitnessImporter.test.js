@@ -0,0 +1,94 @@
+// @flow
+import WitnessImporter, { getDocxText } from "./WitnessImporter";
+import Text from "./Text";
+import Witness from "./Witness";
+import User from "./User";
+import Annotation, { ANNOTATION_TYPES } from "./Annotation";
+import {
+    workingSource,
+    dergeSource,
+    workingWitness,
+    dergeWitness
+} from "./__fixtures__/sampleText";
+
+const user = new User(1, "Test User");
+
+describe("WitnessImporter", () => {
+    const importer = new WitnessImporter(workingWitness, dergeWitness, user);
+
+    test("Create variants", () => {
+        const content = "༄༅། །རྒྱ་གར་སྐང་དུ།\nཔྲཛྙཱ་ཤྲཱི་ཡི།\n";
+        const annotations = importer.getAnnotations(content);
+
+        expect(
+            annotations.map(annotation => [
+                annotation.start,
+                annotation.length,
+                annotation.content
+            ])
+        ).toEqual([[12, 3, "སྐང"], [20, 2, ""], [32, 0, "་ཡི"]]);
+        annotations.forEach(annotation => {
+            expect(annotation.type).toEqual(ANNOTATION_TYPES.variant);
+            expect(annotation.witness).toBe(workingWitness);
+            expect(annotation.creatorWitness).toBe(dergeWitness);
+            expect(annotation.creatorUser).toBe(user);
+        });
+    });
+
+    test("Ignore existing annotations", () => {
+        const content = "༄༅། །རྒྱ་གར་སྐང་དུ། ས་པྲཛྙཱ་ཤྲཱི།";
+        const existing = new Annotation(
+            1,
+            workingWitness,
+            12,
+            3,
+            "སྐང",
+            ANNOTATION_TYPES.variant,
+            dergeWitness
+        );
+
+        expect(importer.getAnnotations(content, [existing])).toEqual([]);
+    });
+
+    test("Segment the text in its language", () => {
+        const latinText = new Text(2, "Test", "en");
+        const latinWorkingWitness = new Witness(
+            3,
+            latinText,
+            workingSource,
+            "The quick brown fox jumps.",
+            false,
+            true
+        );
+        const latinImporter = new WitnessImporter(
+            latinWorkingWitness,
+            new Witness(4, latinText, dergeSource, null, true),
+            user
+        );
+        const annotations = latinImporter.getAnnotations(
+            "The quick red fox jumps."
+        );
+
+        expect(
+            annotations.map(annotation => [
+                annotation.start,
+                annotation.length,
+                annotation.content
+            ])
+        ).toEqual([[10, 5, "red"]]);
+    });
+
+    test("Get docx text", () => {
+        const xml =
+            '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+            "<w:body>" +
+            "<w:p><w:r><w:t>༄༅། །རྒྱ་གར་</w:t></w:r><w:r><w:t>སྐད་དུ།</w:t></w:r></w:p>" +
+            "<w:p><w:r><w:t>ས་པྲཛྙཱ་</w:t><w:br/><w:t>ཤྲཱི།</w:t></w:r></w:p>" +
+            "</w:body>" +
+            "</w:document>";
+
+        expect(getDocxText(xml)).toEqual(
+            "༄༅། །རྒྱ་གར་སྐད་དུ།\nས་པྲཛྙཱ་\nཤྲཱི།"
+        );
+    });
+});
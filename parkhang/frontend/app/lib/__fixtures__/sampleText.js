@@ -0,0 +1,57 @@
+// @flow
+import Source from "../Source";
+import Text from "../Text";
+import Witness from "../Witness";
+import Annotation, { ANNOTATION_TYPES } from "../Annotation";
+import segmentTibetanText from "../segmentTibetanText";
+
+/**
+ * A short text with a working witness and two other witnesses, shared by
+ * the tests.
+ */
+
+export const workingContent = "༄༅། །རྒྱ་གར་སྐད་དུ། ས་པྲཛྙཱ་ཤྲཱི།";
+
+export const workingSource = new Source(1, "Working", false, true);
+export const dergeSource = new Source(2, "Derge");
+export const narthangSource = new Source(3, "Narthang");
+
+export const text = new Text(1, "དཔལ་ནག་པོ་ཆེན་པོ");
+
+export const workingWitness = new Witness(
+    1,
+    text,
+    workingSource,
+    workingContent,
+    false,
+    true
+);
+export const dergeWitness = new Witness(2, text, dergeSource, null, true);
+export const narthangWitness = new Witness(3, text, narthangSource);
+export const witnesses = [workingWitness, dergeWitness, narthangWitness];
+
+// Derge reads "སྐད" as "སྐང"
+export const dergeVariant = new Annotation(
+    1,
+    workingWitness,
+    12,
+    3,
+    "སྐང",
+    ANNOTATION_TYPES.variant,
+    dergeWitness
+);
+// Narthang omits "ས་"
+export const narthangVariant = new Annotation(
+    2,
+    workingWitness,
+    20,
+    2,
+    "",
+    ANNOTATION_TYPES.variant,
+    narthangWitness
+);
+export const variants = [dergeVariant, narthangVariant];
+
+export function segmenter(content: string) {
+    return segmentTibetanText(content).sortedSegments();
+}
@@ -0,0 +1,126 @@
+// @flow
+import AnnotatedText from "./AnnotatedText";
+import { getVariantRanges, getRangeReading } from "./variantReadings";
+import type { VariantRange } from "./variantReadings";
+import lengthSplitterFactory from "lib/text_splitters/lengthSplitter";
+
+/**
+ * Part of a row of one witness.
+ *
+ * If range is set, the content is that witness's reading of a range of
+ * the original text that has variants in at least one of the witnesses.
+ */
+export type AlignedPiece = {
+    content: string,
+    range: VariantRange | null,
+    differs: boolean
+};
+
+/**
+ * A passage of the original text, with the content of each witness.
+ */
+export type AlignedRow = {
+    start: number,
+    end: number,
+    columns: AlignedPiece[][]
+};
+
+const ROW_LENGTH = 150;
+
+/**
+ * Align the given witness texts so they can be compared side by side.
+ *
+ * All texts must be generated from the same original text. It is split
+ * into rows at the end of phrases, never inside a range that has variants,
+ * so each row contains the same passage in every witness.
+ *
+ * @param {AnnotatedText[]} texts - One text for each witness to compare
+ * @param {number} [rowLength] - Minimum length of a row in the original text
+ * @return {AlignedRow[]}
+ */
+export default function alignWitnesses(
+    texts: AnnotatedText[],
+    rowLength: number = ROW_LENGTH
+): AlignedRow[] {
+    if (texts.length === 0) {
+        return [];
+    }
+    const originalContent = texts[0].originalText.getText();
+    let allVariants = [];
+    for (let i = 0; i < texts.length; i++) {
+        allVariants = allVariants.concat(texts[i].variants);
+    }
+    const ranges = getVariantRanges(allVariants);
+
+    const splitter = lengthSplitterFactory(
+        rowLength,
+        /^།[\s]+(?!།[\s]+)/,
+        2,
+        5
+    );
+    const splitPositions = splitter(originalContent).filter(
+        position =>
+            !ranges.some(
+                range =>
+                    (range.start < position && position < range.end) ||
+                    // insertions at this position are in the next row
+                    (range.start === position && range.end === position)
+            )
+    );
+    splitPositions.push(originalContent.length);
+
+    let rows = [];
+    let rowStart = 0;
+    let rangeIndex = 0;
+    for (let i = 0; i < splitPositions.length; i++) {
+        const rowEnd = splitPositions[i];
+        let rowRanges = [];
+        while (
+            rangeIndex < ranges.length &&
+            (ranges[rangeIndex].start < rowEnd ||
+                (rowEnd === originalContent.length &&
+                    ranges[rangeIndex].start === rowEnd))
+        ) {
+            rowRanges.push(ranges[rangeIndex]);
+            rangeIndex++;
+        }
+
+        const columns = texts.map(() => []);
+        let position = rowStart;
+        for (let j = 0; j < rowRanges.length; j++) {
+            const range = rowRanges[j];
+            if (range.start > position) {
+                const content = originalContent.substring(
+                    position,
+                    range.start
+                );
+                columns.forEach(pieces =>
+                    pieces.push({ content, range: null, differs: false })
+                );
+            }
+            const readings = texts.map(text =>
+                getRangeReading(originalContent, range, text.variants)
+            );
+            const differs = readings.some(reading => reading !== readings[0]);
+            columns.forEach((pieces, index) =>
+                pieces.push({ content: readings[index], range, differs })
+            );
+            position = range.end;
+        }
+        if (rowEnd > position) {
+            const content = originalContent.substring(position, rowEnd);
+            columns.forEach(pieces =>
+                pieces.push({ content, range: null, differs: false })
+            );
+        }
+
+        rows.push({
+            start: rowStart,
+            end: rowEnd,
+            columns
+        });
+        rowStart = rowEnd;
+    }
+
+    return rows;
+}
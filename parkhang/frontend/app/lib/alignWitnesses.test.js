@@ -0,0 +1,67 @@
+// @flow
+import alignWitnesses from "./alignWitnesses";
+import AnnotatedText from "./AnnotatedText";
+import segmentTibetanText from "./segmentTibetanText";
+import {
+    workingContent,
+    workingWitness,
+    dergeWitness,
+    narthangWitness,
+    dergeVariant,
+    narthangVariant,
+    segmenter
+} from "./__fixtures__/sampleText";
+
+function annotatedText(witness, variants) {
+    return new AnnotatedText(
+        segmentTibetanText(workingContent),
+        variants,
+        segmenter,
+        workingWitness,
+        witness
+    );
+}
+
+describe("alignWitnesses", () => {
+    const texts = [
+        annotatedText(workingWitness, []),
+        annotatedText(dergeWitness, [dergeVariant]),
+        annotatedText(narthangWitness, [narthangVariant])
+    ];
+
+    test("Align rows", () => {
+        const rows = alignWitnesses(texts, 10);
+
+        expect(rows.map(row => [row.start, row.end])).toEqual([
+            [0, 20],
+            [20, workingContent.length]
+        ]);
+        expect(
+            rows[0].columns.map(pieces =>
+                pieces.map(piece => piece.content).join("")
+            )
+        ).toEqual([
+            "༄༅། །རྒྱ་གར་སྐད་དུ། ",
+            "༄༅། །རྒྱ་གར་སྐང་དུ། ",
+            "༄༅། །རྒྱ་གར་སྐད་དུ། "
+        ]);
+        expect(
+            rows[1].columns.map(pieces =>
+                pieces.map(piece => piece.content).join("")
+            )
+        ).toEqual(["ས་པྲཛྙཱ་ཤྲཱི།", "ས་པྲཛྙཱ་ཤྲཱི།", "པྲཛྙཱ་ཤྲཱི།"]);
+    });
+
+    test("Highlight differences in every column", () => {
+        const rows = alignWitnesses(texts);
+
+        expect(rows.length).toEqual(1);
+        rows[0].columns.forEach(pieces => {
+            const differing = pieces.filter(piece => piece.differs);
+            expect(differing.map(piece => piece.range)).toEqual([
+                { start: 12, end: 15 },
+                { start: 20, end: 22 }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,113 @@
+// @flow
+import diffSegments from "./diffSegments";
+import segmentTibetanText from "./segmentTibetanText";
+import type { AnnotationChangeData } from "api";
+
+export const CHANGE_TYPES: { [string]: string } = {
+    created: "C",
+    updated: "U",
+    deleted: "D",
+    applied: "A",
+    removed: "R"
+};
+
+export const DIFF_PART_TYPES: { [string]: string } = {
+    unchanged: "unchanged",
+    added: "added",
+    removed: "removed"
+};
+
+// The number of colours used to tell users apart in the blame overlay
+export const BLAME_COLOUR_COUNT = 8;
+
+/**
+ * Part of the content of an annotation, and whether it was added or
+ * removed by a change. One of DIFF_PART_TYPES.
+ */
+export type ContentDiffPart = {
+    type: string,
+    content: string
+};
+
+/**
+ * A change to an annotation, with the difference from the content before
+ * the change.
+ *
+ * diff is null if the change did not alter the content, or there was no
+ * earlier content to compare it with.
+ */
+export type HistoryEntry = {
+    change: AnnotationChangeData,
+    diff: ContentDiffPart[] | null
+};
+
+function getSegments(content: string): string[] {
+    return segmentTibetanText(content).segments.map(segment => segment.text);
+}
+
+/**
+ * Return the parts of the content that were unchanged, removed and added
+ * when before was changed to after, comparing whole syllables.
+ */
+export function diffContent(before: string, after: string): ContentDiffPart[] {
+    const a = getSegments(before);
+    const b = getSegments(after);
+    let parts = [];
+    const addPart = (type: string, segments: string[]) => {
+        const content = segments.join("");
+        if (content.length === 0) {
+            return;
+        }
+        const previous = parts[parts.length - 1];
+        if (previous && previous.type === type) {
+            previous.content += content;
+        } else {
+            parts.push({ type, content });
+        }
+    };
+
+    let aPosition = 0;
+    for (let change of diffSegments(a, b)) {
+        addPart(DIFF_PART_TYPES.unchanged, a.slice(aPosition, change.aStart));
+        addPart(DIFF_PART_TYPES.removed, a.slice(change.aStart, change.aEnd));
+        addPart(DIFF_PART_TYPES.added, b.slice(change.bStart, change.bEnd));
+        aPosition = change.aEnd;
+    }
+    addPart(DIFF_PART_TYPES.unchanged, a.slice(aPosition));
+
+    return parts;
+}
+
+/**
+ * Get the history entries for the changes to an annotation and the
+ * annotations it is based on, oldest first.
+ *
+ * Each created or updated entry is compared with the content of the
+ * change before it.
+ */
+export function getHistoryEntries(
+    changes: AnnotationChangeData[]
+): HistoryEntry[] {
+    let previousContent = null;
+    return changes.map(change => {
+        let diff = null;
+        if (
+            change.type === CHANGE_TYPES.created ||
+            change.type === CHANGE_TYPES.updated
+        ) {
+            const content = change.content || "";
+            if (previousContent !== null && previousContent !== content) {
+                diff = diffContent(previousContent, content);
+            }
+            previousContent = content;
+        }
+        return { change, diff };
+    });
+}
+
+/**
+ * Get the index of the colour used for a user in the blame overlay.
+ */
+export function getBlameColour(userId: number): number {
+    return userId % BLAME_COLOUR_COUNT;
+}
@@ -0,0 +1,58 @@
+// @flow
+import {
+    CHANGE_TYPES,
+    DIFF_PART_TYPES,
+    diffContent,
+    getHistoryEntries
+} from "./annotationHistory";
+
+function change(id: number, type: string, content: string | null) {
+    return {
+        id,
+        annotation_unique_id: "a" + id,
+        type,
+        witness: 1,
+        user: 1,
+        user_name: "user",
+        content,
+        created: "2020-01-0" + id + "T00:00:00Z"
+    };
+}
+
+describe("annotationHistory", () => {
+    test("Diff content", () => {
+        expect(diffContent("རྒྱ་གར་སྐད་དུ།", "རྒྱ་ནག་སྐད་དུ།")).toEqual([
+            { type: DIFF_PART_TYPES.unchanged, content: "རྒྱ་" },
+            { type: DIFF_PART_TYPES.removed, content: "གར" },
+            { type: DIFF_PART_TYPES.added, content: "ནག" },
+            { type: DIFF_PART_TYPES.unchanged, content: "་སྐད་དུ།" }
+        ]);
+        expect(diffContent("", "སྐད་")).toEqual([
+            { type: DIFF_PART_TYPES.added, content: "སྐད་" }
+        ]);
+    });
+
+    test("History entries", () => {
+        const changes = [
+            change(1, CHANGE_TYPES.created, "གར་"),
+            change(2, CHANGE_TYPES.created, "ནག་"),
+            change(3, CHANGE_TYPES.applied, "ནག་"),
+            change(4, CHANGE_TYPES.updated, ""),
+            change(5, CHANGE_TYPES.deleted, "")
+        ];
+
+        const entries = getHistoryEntries(changes);
+        expect(entries.map(entry => entry.change)).toEqual(changes);
+        expect(entries.map(entry => entry.diff)).toEqual([
+            null,
+            [
+                { type: DIFF_PART_TYPES.removed, content: "གར" },
+                { type: DIFF_PART_TYPES.added, content: "ནག" },
+                { type: DIFF_PART_TYPES.unchanged, content: "་" }
+            ],
+            null,
+            [{ type: DIFF_PART_TYPES.removed, content: "ནག་" }],
+            null
+        ]);
+    });
+});
@@ -0,0 +1,224 @@
+// @flow
+
+/**
+ * Items a[aStart..aEnd) that were replaced by items b[bStart..bEnd).
+ *
+ * If aStart === aEnd, the items from b were inserted before a[aStart].
+ * If bStart === bEnd, the items from a were deleted.
+ */
+export type SegmentChange = {
+    aStart: number,
+    aEnd: number,
+    bStart: number,
+    bEnd: number
+};
+
+// Above this many cells, an unanchored range is treated as one change
+// rather than using a full LCS table.
+const MAX_LCS_SIZE = 1000000;
+
+/**
+ * Return the changes needed to turn the list of segments a into b.
+ *
+ * This is a patience diff: segments that occur only once in both lists
+ * are used as anchors, falling back to a longest common subsequence for
+ * small ranges without anchors. It copes with long texts without
+ * needing memory proportional to the product of their lengths.
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @return {SegmentChange[]} Changes, in order
+ */
+export default function diffSegments(
+    a: string[],
+    b: string[]
+): SegmentChange[] {
+    let changes = [];
+    diffRange(a, 0, a.length, b, 0, b.length, changes);
+
+    return changes.reduce((merged, change) => {
+        const previous = merged[merged.length - 1];
+        if (
+            previous &&
+            previous.aEnd === change.aStart &&
+            previous.bEnd === change.bStart
+        ) {
+            previous.aEnd = change.aEnd;
+            previous.bEnd = change.bEnd;
+        } else {
+            merged.push({ ...change });
+        }
+        return merged;
+    }, []);
+}
+
+function diffRange(
+    a: string[],
+    aStart: number,
+    aEnd: number,
+    b: string[],
+    bStart: number,
+    bEnd: number,
+    changes: SegmentChange[]
+) {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        aStart++;
+        bStart++;
+    }
+    while (aStart < aEnd && bStart < bEnd && a[aEnd - 1] === b[bEnd - 1]) {
+        aEnd--;
+        bEnd--;
+    }
+    if (aStart === aEnd && bStart === bEnd) {
+        return;
+    }
+    if (aStart === aEnd || bStart === bEnd) {
+        changes.push({ aStart, aEnd, bStart, bEnd });
+        return;
+    }
+
+    const anchors = getAnchors(a, aStart, aEnd, b, bStart, bEnd);
+    if (anchors.length > 0) {
+        let aPos = aStart;
+        let bPos = bStart;
+        for (let i = 0; i < anchors.length; i++) {
+            const [aIndex, bIndex] = anchors[i];
+            diffRange(a, aPos, aIndex, b, bPos, bIndex, changes);
+            aPos = aIndex + 1;
+            bPos = bIndex + 1;
+        }
+        diffRange(a, aPos, aEnd, b, bPos, bEnd, changes);
+    } else if ((aEnd - aStart) * (bEnd - bStart) <= MAX_LCS_SIZE) {
+        lcsDiff(a, aStart, aEnd, b, bStart, bEnd, changes);
+    } else {
+        changes.push({ aStart, aEnd, bStart, bEnd });
+    }
+}
+
+/**
+ * Return the longest increasing sequence of [aIndex, bIndex] pairs of
+ * items that are unique in both ranges.
+ */
+function getAnchors(
+    a: string[],
+    aStart: number,
+    aEnd: number,
+    b: string[],
+    bStart: number,
+    bEnd: number
+): Array<[number, number]> {
+    let counts: Map<string, [number, number, number, number]> = new Map();
+    for (let i = aStart; i < aEnd; i++) {
+        const count = counts.get(a[i]);
+        if (count) {
+            count[0]++;
+        } else {
+            counts.set(a[i], [1, i, 0, -1]);
+        }
+    }
+    for (let i = bStart; i < bEnd; i++) {
+        const count = counts.get(b[i]);
+        if (count) {
+            count[2]++;
+            count[3] = i;
+        }
+    }
+
+    let pairs = [];
+    counts.forEach(([aCount, aIndex, bCount, bIndex]) => {
+        if (aCount === 1 && bCount === 1) {
+            pairs.push([aIndex, bIndex]);
+        }
+    });
+    pairs.sort((x, y) => x[0] - y[0]);
+
+    // Patience sorting to find the longest increasing subsequence of
+    // b indexes.
+    let tails: number[] = [];
+    let previous: number[] = [];
+    for (let i = 0; i < pairs.length; i++) {
+        const bIndex = pairs[i][1];
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (pairs[tails[mid]][1] < bIndex) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        previous[i] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = i;
+    }
+
+    let anchors = [];
+    let index = tails.length > 0 ? tails[tails.length - 1] : -1;
+    while (index !== -1) {
+        anchors.unshift(pairs[index]);
+        index = previous[index];
+    }
+
+    return anchors;
+}
+
+function lcsDiff(
+    a: string[],
+    aStart: number,
+    aEnd: number,
+    b: string[],
+    bStart: number,
+    bEnd: number,
+    changes: SegmentChange[]
+) {
+    const aLength = aEnd - aStart;
+    const bLength = bEnd - bStart;
+    const width = bLength + 1;
+    // lengths[i * width + j] is the LCS length of a[aStart + i..aEnd)
+    // and b[bStart + j..bEnd)
+    let lengths = new Uint32Array((aLength + 1) * width);
+    for (let i = aLength - 1; i >= 0; i--) {
+        for (let j = bLength - 1; j >= 0; j--) {
+            if (a[aStart + i] === b[bStart + j]) {
+                lengths[i * width + j] = lengths[(i + 1) * width + j + 1] + 1;
+            } else {
+                lengths[i * width + j] = Math.max(
+                    lengths[(i + 1) * width + j],
+                    lengths[i * width + j + 1]
+                );
+            }
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    let change = null;
+    while (i < aLength || j < bLength) {
+        if (i < aLength && j < bLength && a[aStart + i] === b[bStart + j]) {
+            change = null;
+            i++;
+            j++;
+            continue;
+        }
+        if (!change) {
+            change = {
+                aStart: aStart + i,
+                aEnd: aStart + i,
+                bStart: bStart + j,
+                bEnd: bStart + j
+            };
+            changes.push(change);
+        }
+        if (
+            j >= bLength ||
+            (i < aLength &&
+                lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])
+        ) {
+            i++;
+            change.aEnd = aStart + i;
+        } else {
+            j++;
+            change.bEnd = bStart + j;
+        }
+    }
+}
@@ -0,0 +1,28 @@
+// @flow
+import diffSegments from "./diffSegments";
+
+describe("diffSegments", () => {
+    test("No changes", () => {
+        expect(diffSegments(["a", "b", "c"], ["a", "b", "c"])).toEqual([]);
+    });
+
+    test("Replacement, insertion and deletion", () => {
+        const a = ["a", "b", "c", "d", "e", "f"];
+        const b = ["a", "x", "c", "d", "y", "e"];
+
+        expect(diffSegments(a, b)).toEqual([
+            { aStart: 1, aEnd: 2, bStart: 1, bEnd: 2 },
+            { aStart: 4, aEnd: 4, bStart: 4, bEnd: 5 },
+            { aStart: 5, aEnd: 6, bStart: 6, bEnd: 6 }
+        ]);
+    });
+
+    test("Repeated segments", () => {
+        const a = ["a", "་", "b", "་", "a", "་", "b", "་"];
+        const b = ["a", "་", "b", "་", "b", "་"];
+
+        expect(diffSegments(a, b)).toEqual([
+            { aStart: 4, aEnd: 6, bStart: 4, bEnd: 4 }
+        ]);
+    });
+});
@@ -0,0 +1,109 @@
+// @flow
+import AnnotatedText, {
+    INSERTION_KEY,
+    DELETION_KEY,
+    PAGE_BREAK_KEY,
+    LINE_BREAK_KEY
+} from "./AnnotatedText";
+import Annotation, { ANNOTATION_TYPES } from "./Annotation";
+
+function getInsertionKey(annotation: Annotation): string {
+    return [annotation.start, annotation.length].join("-");
+}
+
+let _posAnnotatedText;
+let _posAnnotations;
+let _positions;
+let _posVersion;
+/**
+ * Group annotations by the positions in the generated text they are
+ * displayed at.
+ *
+ * Zero-length annotations are keyed by their position prefixed with the
+ * key for their kind, e.g. INSERTION_KEY.
+ *
+ * The last result is cached, as this is called whenever the text is
+ * rendered.
+ *
+ * @param {AnnotatedText} annotatedText
+ * @param {Annotation[]} annotations
+ * @return {Object.<string, Annotation[]>}
+ */
+export default function getAnnotationPositions(
+    annotatedText: AnnotatedText,
+    annotations: Annotation[]
+): { [string]: Annotation[] } {
+    if (
+        annotatedText === _posAnnotatedText &&
+        annotations === _posAnnotations &&
+        annotatedText.version === _posVersion
+    ) {
+        return _positions;
+    }
+
+    let positions = {};
+    let activeInsertions = {};
+
+    for (let i = 0; i < annotations.length; i++) {
+        let annotation = annotations[i];
+        let [startPos, length] = annotatedText.getPositionOfAnnotation(
+            annotation
+        );
+        if (startPos == null) {
+            continue;
+        }
+        if (length === 0) {
+            if (annotation.isInsertion) {
+                // group with any active insertions at the same position
+                const activeKey = getInsertionKey(annotation);
+                const activeInsertionPositions = activeInsertions[activeKey];
+                if (activeInsertionPositions) {
+                    activeInsertionPositions.map(pos =>
+                        positions[pos].push(annotation)
+                    );
+                    continue;
+                }
+                startPos = INSERTION_KEY + startPos;
+            }
+            if (annotation.isDeletion && annotation.length > 0) {
+                // active deletion
+                startPos = DELETION_KEY + startPos;
+            }
+            if (annotation.type === ANNOTATION_TYPES.pageBreak) {
+                startPos = PAGE_BREAK_KEY + startPos;
+            }
+            if (annotation.type === ANNOTATION_TYPES.lineBreak) {
+                startPos = LINE_BREAK_KEY + startPos;
+            }
+            if (positions[startPos] === undefined) {
+                positions[startPos] = [];
+            }
+            if (positions[startPos].indexOf(annotation) === -1) {
+                positions[startPos].push(annotation);
+            }
+        } else {
+            let annotationPositions = [];
+            for (let j = startPos; j < startPos + length; j++) {
+                if (positions[j] === undefined) {
+                    positions[j] = [];
+                }
+                if (positions[j].indexOf(annotation) === -1) {
+                    positions[j].push(annotation);
+                }
+                annotationPositions.push(j);
+            }
+            // Store the positions this annotation is displayed at.
+            // This can then be used later to group with inactive insertions
+            if (annotation.isInsertion) {
+                const key = getInsertionKey(annotation);
+                activeInsertions[key] = annotationPositions;
+            }
+        }
+    }
+
+    _posAnnotatedText = annotatedText;
+    _posAnnotations = annotations;
+    _positions = positions;
+    _posVersion = annotatedText.version;
+    return positions;
+}
@@ -0,0 +1,32 @@
+// @flow
+import AnnotatedText from "./AnnotatedText";
+
+/**
+ * Return the sorted positions in the generated text of the given text's
+ * active break annotations.
+ *
+ * A break at a position comes before the character at that position.
+ *
+ * @param {AnnotatedText} text
+ * @param {string} type - ANNOTATION_TYPES.pageBreak or ANNOTATION_TYPES.lineBreak
+ * @return {number[]}
+ */
+export default function getBreakPositions(
+    text: AnnotatedText,
+    type: string
+): number[] {
+    const breaks = text.getAnnotationsOfType(type);
+    let positions = [];
+    if (!breaks) {
+        return positions;
+    }
+    for (let id in breaks) {
+        const [start] = text.getPositionOfAnnotation(breaks[id]);
+        if (start !== null && positions.indexOf(start) === -1) {
+            positions.push(start);
+        }
+    }
+    positions.sort((a, b) => a - b);
+
+    return positions;
+}
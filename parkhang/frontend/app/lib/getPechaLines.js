@@ -0,0 +1,68 @@
+// @flow
+import SegmentedText from "./SegmentedText";
+
+/**
+ * Split a page of text into the lines of a pecha folio side.
+ *
+ * The page is split at any line breaks inside it. If it has none, its
+ * segments are shared between defaultLineCount lines of roughly the same
+ * length.
+ *
+ * @param {SegmentedText} page
+ * @param {number[]} lineBreaks - Sorted positions of line breaks in the
+ *      text the page is part of. A break comes before the character at its
+ *      position.
+ * @param {number} defaultLineCount
+ * @return {SegmentedText[]}
+ */
+export default function getPechaLines(
+    page: SegmentedText,
+    lineBreaks: number[],
+    defaultLineCount: number
+): SegmentedText[] {
+    const segments = page.sortedSegments();
+    if (segments.length === 0) {
+        return [];
+    }
+    const pageStart = segments[0].start;
+    const pageEnd = segments[segments.length - 1].end;
+    const pageBreaks = lineBreaks.filter(
+        position => position > pageStart && position <= pageEnd
+    );
+
+    let lines: Array<typeof segments> = [];
+    if (pageBreaks.length > 0) {
+        let breakIndex = 0;
+        let line = [];
+        for (let segment of segments) {
+            while (
+                breakIndex < pageBreaks.length &&
+                segment.start >= pageBreaks[breakIndex]
+            ) {
+                lines.push(line);
+                line = [];
+                breakIndex++;
+            }
+            line.push(segment);
+        }
+        lines.push(line);
+    } else {
+        const lineLength = page.getText().length / defaultLineCount;
+        let position = 0;
+        for (let segment of segments) {
+            const lineIndex = Math.min(
+                defaultLineCount - 1,
+                Math.floor(position / lineLength)
+            );
+            if (!lines[lineIndex]) {
+                lines[lineIndex] = [];
+            }
+            lines[lineIndex].push(segment);
+            position += segment.length;
+        }
+    }
+
+    return lines
+        .filter(line => line && line.length > 0)
+        .map(line => new SegmentedText(line));
+}
@@ -0,0 +1,38 @@
+// @flow
+import getPechaLines from "./getPechaLines";
+import SegmentedText from "./SegmentedText";
+import TextSegment from "./TextSegment";
+
+// A page starting at position 10 with five segments of four characters
+const page = new SegmentedText(
+    ["ཀ་ཁ་", "ག་ང་", "ཅ་ཆ་", "ཇ་ཉ་", "ཏ་ཐ་"].map(
+        (text, index) => new TextSegment(10 + index * 4, text)
+    )
+);
+
+function getLineTexts(lines: SegmentedText[]): string[] {
+    return lines.map(line => line.getText());
+}
+
+describe("getPechaLines", () => {
+    test("Split a page at its line breaks", () => {
+        const lines = getPechaLines(page, [2, 18, 26, 40], 7);
+        expect(getLineTexts(lines)).toEqual(["ཀ་ཁ་ག་ང་", "ཅ་ཆ་ཇ་ཉ་", "ཏ་ཐ་"]);
+        expect(lines[1].segments[0].start).toEqual(18);
+    });
+
+    test("Ignore breaks at the start of the page", () => {
+        const lines = getPechaLines(page, [10, 14], 7);
+        expect(getLineTexts(lines)).toEqual(["ཀ་ཁ་", "ག་ང་ཅ་ཆ་ཇ་ཉ་ཏ་ཐ་"]);
+    });
+
+    test("Split a page without line breaks evenly", () => {
+        expect(getLineTexts(getPechaLines(page, [], 2))).toEqual([
+            "ཀ་ཁ་ག་ང་ཅ་ཆ་",
+            "ཇ་ཉ་ཏ་ཐ་"
+        ]);
+        // There are fewer segments than lines
+        expect(getPechaLines(page, [], 7).length).toEqual(5);
+        expect(getPechaLines(new SegmentedText([]), [], 7)).toEqual([]);
+    });
+});
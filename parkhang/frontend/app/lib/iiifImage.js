@@ -0,0 +1,165 @@
+// @flow
+
+/**
+ * Functions for requesting images from a IIIF Image API service.
+ *
+ * See https://iiif.io/api/image/2.1/
+ */
+
+// The region, size, rotation and quality/format at the end of an image url
+const IMAGE_REQUEST_REGEX = /\/(full|square|(?:pct:)?[0-9.]+,[0-9.]+,[0-9.]+,[0-9.]+)\/(full|max|!?[0-9]*,[0-9]*|pct:[0-9.]+)\/!?[0-9.]+\/[a-z]+\.[a-z]+$/;
+
+// Used if the service does not say how it is tiled
+const DEFAULT_TILE_SIZE = 512;
+
+/**
+ * The size of an image and how it is tiled.
+ *
+ * scaleFactors are the amounts the image can be reduced by when
+ * requesting tiles, smallest first.
+ */
+export type IiifImageInfo = {
+    width: number,
+    height: number,
+    tileWidth: number,
+    tileHeight: number,
+    scaleFactors: number[]
+};
+
+/**
+ * A part of an image. The position and size are in the full size image.
+ */
+export type IiifTile = {
+    url: string,
+    x: number,
+    y: number,
+    width: number,
+    height: number
+};
+
+/**
+ * An area of the full size image.
+ */
+export type ImageRegion = {
+    x: number,
+    y: number,
+    width: number,
+    height: number
+};
+
+/**
+ * Get the url of the image service of an image, or null if the url is not
+ * a IIIF Image API request.
+ */
+export function getImageServiceUrl(imageUrl: string): string | null {
+    if (!IMAGE_REQUEST_REGEX.test(imageUrl)) {
+        return null;
+    }
+    return imageUrl.replace(IMAGE_REQUEST_REGEX, "");
+}
+
+/**
+ * Get the url of the description of an image service.
+ */
+export function getImageInfoUrl(serviceUrl: string): string {
+    return serviceUrl + "/info.json";
+}
+
+/**
+ * Get the size and tiles of an image from its info.json.
+ *
+ * Returns null if it does not give the size of the image.
+ */
+export function parseImageInfo(info: Object): IiifImageInfo | null {
+    if (!info || !(info.width > 0) || !(info.height > 0)) {
+        return null;
+    }
+    let tileWidth = DEFAULT_TILE_SIZE;
+    let tileHeight = DEFAULT_TILE_SIZE;
+    let scaleFactors = [1];
+    if (Array.isArray(info.tiles) && info.tiles.length > 0) {
+        const tiles = info.tiles[0];
+        tileWidth = tiles.width || DEFAULT_TILE_SIZE;
+        tileHeight = tiles.height || tileWidth;
+        if (Array.isArray(tiles.scaleFactors) && tiles.scaleFactors.length) {
+            scaleFactors = tiles.scaleFactors.slice().sort((a, b) => a - b);
+        }
+    }
+    return {
+        width: info.width,
+        height: info.height,
+        tileWidth,
+        tileHeight,
+        scaleFactors
+    };
+}
+
+/**
+ * Get the url of the whole image scaled to the given width.
+ */
+export function getScaledImageUrl(serviceUrl: string, width: number): string {
+    return serviceUrl + "/full/" + Math.ceil(width) + ",/0/default.jpg";
+}
+
+/**
+ * Get the tiles needed to show a region of an image.
+ *
+ * The tiles are the smallest that have at least as many pixels as are
+ * shown, so they are not blurred when scaled up.
+ *
+ * @param {string} serviceUrl
+ * @param {IiifImageInfo} info
+ * @param {ImageRegion} region - The visible part of the full size image.
+ * @param {number} scale - The size the image is shown at, where 1 is full size.
+ * @return {IiifTile[]}
+ */
+export function getTiles(
+    serviceUrl: string,
+    info: IiifImageInfo,
+    region: ImageRegion,
+    scale: number
+): IiifTile[] {
+    let scaleFactor = info.scaleFactors[0];
+    for (let factor of info.scaleFactors) {
+        if (factor <= 1 / scale) {
+            scaleFactor = factor;
+        }
+    }
+    const regionWidth = info.tileWidth * scaleFactor;
+    const regionHeight = info.tileHeight * scaleFactor;
+
+    const firstColumn = Math.max(0, Math.floor(region.x / regionWidth));
+    const lastColumn = Math.min(
+        Math.ceil(info.width / regionWidth),
+        Math.ceil((region.x + region.width) / regionWidth)
+    );
+    const firstRow = Math.max(0, Math.floor(region.y / regionHeight));
+    const lastRow = Math.min(
+        Math.ceil(info.height / regionHeight),
+        Math.ceil((region.y + region.height) / regionHeight)
+    );
+
+    let tiles = [];
+    for (let row = firstRow; row < lastRow; row++) {
+        for (let column = firstColumn; column < lastColumn; column++) {
+            const x = column * regionWidth;
+            const y = row * regionHeight;
+            const width = Math.min(regionWidth, info.width - x);
+            const height = Math.min(regionHeight, info.height - y);
+            tiles.push({
+                url:
+                    serviceUrl +
+                    "/" +
+                    [x, y, width, height].join(",") +
+                    "/" +
+                    Math.ceil(width / scaleFactor) +
+                    ",/0/default.jpg",
+                x,
+                y,
+                width,
+                height
+            });
+        }
+    }
+    return tiles;
+}
@@ -0,0 +1,95 @@
+// @flow
+import {
+    getImageServiceUrl,
+    getImageInfoUrl,
+    getScaledImageUrl,
+    parseImageInfo,
+    getTiles
+} from "./iiifImage";
+import imageInfo from "./__fixtures__/iiifImageInfo.json";
+
+const SERVICE_URL = "https://iiif.bdrc.io/bdr:V22084_I0886::I08860003.jpg";
+
+describe("iiifImage", () => {
+    test("Get the image service of an image", () => {
+        expect(
+            getImageServiceUrl(SERVICE_URL + "/full/full/0/default.jpg")
+        ).toEqual(SERVICE_URL);
+        expect(
+            getImageServiceUrl(
+                "//iiif.bdrc.io/bdr:V1::I1.jpg/0,0,100,100/!50,50/90/gray.png"
+            )
+        ).toEqual("//iiif.bdrc.io/bdr:V1::I1.jpg");
+        expect(getImageServiceUrl("/static/images/texts/1.jpg")).toBeNull();
+        expect(getImageInfoUrl(SERVICE_URL)).toEqual(
+            SERVICE_URL + "/info.json"
+        );
+        expect(getScaledImageUrl(SERVICE_URL, 799.5)).toEqual(
+            SERVICE_URL + "/full/800,/0/default.jpg"
+        );
+    });
+
+    test("Parse image info", () => {
+        expect(parseImageInfo(imageInfo)).toEqual({
+            width: 2000,
+            height: 500,
+            tileWidth: 256,
+            tileHeight: 256,
+            scaleFactors: [1, 2, 4, 8]
+        });
+        expect(parseImageInfo({ width: 100, height: 50 })).toEqual({
+            width: 100,
+            height: 50,
+            tileWidth: 512,
+            tileHeight: 512,
+            scaleFactors: [1]
+        });
+        expect(parseImageInfo({})).toBeNull();
+    });
+
+    test("Get full size tiles", () => {
+        const info = parseImageInfo(imageInfo);
+        if (!info) {
+            throw new Error("No image info");
+        }
+        const tiles = getTiles(
+            SERVICE_URL,
+            info,
+            { x: 0, y: 0, width: 300, height: 300 },
+            1
+        );
+        expect(tiles.length).toEqual(4);
+        expect(tiles[0]).toEqual({
+            url: SERVICE_URL + "/0,0,256,256/256,/0/default.jpg",
+            x: 0,
+            y: 0,
+            width: 256,
+            height: 256
+        });
+        // Tiles at the edge of the image are smaller
+        expect(tiles[3]).toEqual({
+            url: SERVICE_URL + "/256,256,256,244/256,/0/default.jpg",
+            x: 256,
+            y: 256,
+            width: 256,
+            height: 244
+        });
+    });
+
+    test("Get scaled down tiles", () => {
+        const info = parseImageInfo(imageInfo);
+        if (!info) {
+            throw new Error("No image info");
+        }
+        const tiles = getTiles(
+            SERVICE_URL,
+            info,
+            { x: -100, y: -100, width: 2200, height: 700 },
+            0.25
+        );
+        expect(tiles.map(tile => tile.url)).toEqual([
+            SERVICE_URL + "/0,0,1024,500/256,/0/default.jpg",
+            SERVICE_URL + "/1024,0,976,500/244,/0/default.jpg"
+        ]);
+    });
+});
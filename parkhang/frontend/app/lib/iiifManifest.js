@@ -0,0 +1,184 @@
+// @flow
+import Witness, {
+    IMAGE_START_PRE_KEY,
+    IMAGE_START_NUMBER_KEY,
+    IMAGE_START_SUFFIX_KEY,
+    IIIF_MANIFEST_KEY,
+    IIIF_START_CANVAS_KEY
+} from "lib/Witness";
+
+// Used for witnesses that give their images' filenames instead of a manifest
+const IMAGE_URL_PREFIX = "//iiif.bdrc.io/";
+const IMAGE_URL_SUFFIX = "/full/full/0/default.jpg";
+
+// Version 3 of the IIIF Image API uses "max" instead of "full" for the size
+const IMAGE_V3_URL_SUFFIX = "/full/max/0/default.jpg";
+const IMAGE_V3_CONTEXT = "http://iiif.io/api/image/3/context.json";
+
+/**
+ * A page of a IIIF Presentation manifest.
+ *
+ * imageUrl is an empty string if the canvas has no image.
+ */
+export type IiifCanvas = {
+    id: string,
+    label: string,
+    imageUrl: string
+};
+
+function getId(resource: Object): string {
+    return resource.id || resource["@id"] || "";
+}
+
+// Labels are strings in version 2 of the Presentation API, and maps of
+// languages to strings in version 3.
+function getLabel(label: any): string {
+    if (!label) {
+        return "";
+    }
+    if (typeof label === "string") {
+        return label;
+    }
+    if (Array.isArray(label)) {
+        return label.map(getLabel).join(" ");
+    }
+    if (label.hasOwnProperty("@value")) {
+        return String(label["@value"]);
+    }
+    const values = Object.keys(label).map(language => label[language]);
+    return values.length > 0 ? getLabel(values[0]) : "";
+}
+
+function getImageUrl(image: Object | null): string {
+    if (!image) {
+        return "";
+    }
+    let service = image.service;
+    if (Array.isArray(service)) {
+        service = service[0];
+    }
+    if (service && getId(service)) {
+        const serviceUrl = getId(service).replace(/\/$/, "");
+        const isVersion3 =
+            service.type === "ImageService3" ||
+            service["@context"] === IMAGE_V3_CONTEXT;
+        return (
+            serviceUrl + (isVersion3 ? IMAGE_V3_URL_SUFFIX : IMAGE_URL_SUFFIX)
+        );
+    }
+    return getId(image);
+}
+
+// A version 2 canvas has images, each with a resource.
+function getV2Canvas(canvas: Object): IiifCanvas {
+    const images = canvas.images || [];
+    return {
+        id: getId(canvas),
+        label: getLabel(canvas.label),
+        imageUrl: getImageUrl(images.length > 0 ? images[0].resource : null)
+    };
+}
+
+// A version 3 canvas has annotation pages, whose annotations have the
+// image as their body.
+function getV3Canvas(canvas: Object): IiifCanvas {
+    let image = null;
+    const pages = canvas.items || [];
+    if (pages.length > 0 && pages[0].items && pages[0].items.length > 0) {
+        image = pages[0].items[0].body;
+        if (Array.isArray(image)) {
+            image = image[0];
+        }
+    }
+    return {
+        id: getId(canvas),
+        label: getLabel(canvas.label),
+        imageUrl: getImageUrl(image)
+    };
+}
+
+/**
+ * Get the canvases of a IIIF Presentation manifest, in order.
+ *
+ * Versions 2 and 3 of the Presentation API are supported. Only the first
+ * sequence of a version 2 manifest is used.
+ */
+export function parseIiifManifest(manifest: Object): IiifCanvas[] {
+    if (!manifest) {
+        return [];
+    }
+    if (Array.isArray(manifest.items)) {
+        return manifest.items
+            .filter(item => item.type === "Canvas")
+            .map(getV3Canvas);
+    }
+    if (
+        Array.isArray(manifest.sequences) &&
+        manifest.sequences.length > 0 &&
+        Array.isArray(manifest.sequences[0].canvases)
+    ) {
+        return manifest.sequences[0].canvases.map(getV2Canvas);
+    }
+    return [];
+}
+
+/**
+ * Get the url of the witness's IIIF manifest, if it has one.
+ */
+export function getIiifManifestUrl(witness: Witness): string | null {
+    const properties = witness.properties;
+    if (properties && properties[IIIF_MANIFEST_KEY]) {
+        return String(properties[IIIF_MANIFEST_KEY]);
+    }
+    return null;
+}
+
+/**
+ * Get the url of the image of a page of the witness.
+ *
+ * The page before the first page break is page 0. It is shown on the
+ * witness's start canvas, or the manifest's first canvas if it does not
+ * have one, and each page break moves on to the next canvas.
+ *
+ * If the witness has no manifest, or the manifest has not been loaded or
+ * has no image for the page, the url is made from the filename properties
+ * of the witness. An empty string is returned if there is no image.
+ *
+ * @param {Witness} witness
+ * @param {number} pageIndex
+ * @param {IiifCanvas[]|null} canvases - The canvases of the witness's manifest
+ * @return {string}
+ */
+export function getPageImageUrl(
+    witness: Witness,
+    pageIndex: number,
+    canvases: IiifCanvas[] | null = null
+): string {
+    const properties = witness.properties;
+    if (!properties) {
+        return "";
+    }
+
+    if (canvases) {
+        let startIndex = 0;
+        if (properties[IIIF_START_CANVAS_KEY]) {
+            startIndex = canvases.findIndex(
+                canvas => canvas.id === properties[IIIF_START_CANVAS_KEY]
+            );
+        }
+        const canvas =
+            startIndex === -1 ? null : canvases[startIndex + pageIndex];
+        if (canvas && canvas.imageUrl) {
+            return canvas.imageUrl;
+        }
+    }
+
+    if (!properties.hasOwnProperty(IMAGE_START_PRE_KEY)) {
+        return "";
+    }
+    const prefix = properties[IMAGE_START_PRE_KEY];
+    const start = properties[IMAGE_START_NUMBER_KEY];
+    const suffix = properties[IMAGE_START_SUFFIX_KEY];
+    const id = Number(start) + pageIndex;
+    return IMAGE_URL_PREFIX + prefix + id + "." + suffix + IMAGE_URL_SUFFIX;
+}
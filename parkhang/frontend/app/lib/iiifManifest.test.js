@@ -0,0 +1,101 @@
+// @flow
+import Source from "lib/Source";
+import Text from "lib/Text";
+import Witness from "lib/Witness";
+import {
+    parseIiifManifest,
+    getIiifManifestUrl,
+    getPageImageUrl
+} from "./iiifManifest";
+import manifestV2 from "./__fixtures__/iiifManifestV2.json";
+import manifestV3 from "./__fixtures__/iiifManifestV3.json";
+
+const MANIFEST_URL = "https://iiifpres.bdrc.io/v:bdr:V22084_I0886/manifest";
+const CANVAS_URL = "https://iiifpres.bdrc.io/v:bdr:V22084_I0886/canvas/";
+const IMAGE_URL = "https://iiif.bdrc.io/bdr:V22084_I0886::I08860";
+
+const source = new Source(1, "Derge");
+const text = new Text(1, "Text");
+
+function createWitness(properties: {} | null): Witness {
+    return new Witness(2, text, source, null, false, false, 1, properties);
+}
+
+describe("iiifManifest", () => {
+    test("Parse a version 2 manifest", () => {
+        const canvases = parseIiifManifest(manifestV2);
+        expect(canvases.length).toEqual(4);
+        expect(canvases[0]).toEqual({
+            id: CANVAS_URL + "I08860003.jpg",
+            label: "1a",
+            imageUrl: IMAGE_URL + "003.jpg/full/full/0/default.jpg"
+        });
+        // The scans are not numbered consecutively
+        expect(canvases[3].imageUrl).toEqual(
+            IMAGE_URL + "007.jpg/full/full/0/default.jpg"
+        );
+    });
+
+    test("Parse a version 3 manifest", () => {
+        expect(parseIiifManifest(manifestV3)).toEqual([
+            {
+                id: "https://example.org/iiif/volume1/canvas/1",
+                label: "1a",
+                imageUrl:
+                    "https://example.org/iiif/image/page1/full/max/0/default.jpg"
+            },
+            {
+                id: "https://example.org/iiif/volume1/canvas/2",
+                label: "1b",
+                imageUrl:
+                    "https://example.org/iiif/image/page2/full/max/0/default.jpg"
+            }
+        ]);
+    });
+
+    test("Parse an invalid manifest", () => {
+        expect(parseIiifManifest({})).toEqual([]);
+        expect(parseIiifManifest({ sequences: [] })).toEqual([]);
+    });
+
+    test("Get page images from the manifest", () => {
+        const canvases = parseIiifManifest(manifestV2);
+        const witness = createWitness({
+            iiif_manifest: MANIFEST_URL,
+            iiif_start_canvas: CANVAS_URL + "I08860004.jpg"
+        });
+        expect(getIiifManifestUrl(witness)).toEqual(MANIFEST_URL);
+        expect(getPageImageUrl(witness, 0, canvases)).toEqual(
+            IMAGE_URL + "004.jpg/full/full/0/default.jpg"
+        );
+        expect(getPageImageUrl(witness, 2, canvases)).toEqual(
+            IMAGE_URL + "007.jpg/full/full/0/default.jpg"
+        );
+        // There are only four canvases
+        expect(getPageImageUrl(witness, 3, canvases)).toEqual("");
+    });
+
+    test("Fall back to the image filenames", () => {
+        const witness = createWitness({
+            iiif_manifest: MANIFEST_URL,
+            bdrcimg_pre: "bdr:V22084_I0886::I08860",
+            bdrcimg_number: "3",
+            bdrcimg_suffix: "jpg"
+        });
+        const fallbackUrl = "//iiif.bdrc.io/bdr:V22084_I0886::I088604.jpg";
+
+        // The manifest has not been loaded
+        expect(getPageImageUrl(witness, 1)).toEqual(
+            fallbackUrl + "/full/full/0/default.jpg"
+        );
+        expect(
+            getPageImageUrl(witness, 4, parseIiifManifest(manifestV2))
+        ).toEqual(
+            "//iiif.bdrc.io/bdr:V22084_I0886::I088607.jpg" +
+                "/full/full/0/default.jpg"
+        );
+
+        expect(getIiifManifestUrl(createWitness(null))).toBeNull();
+        expect(getPageImageUrl(createWitness(null), 0)).toEqual("");
+    });
+});
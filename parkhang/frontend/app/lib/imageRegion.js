@@ -0,0 +1,90 @@
+// @flow
+import type { ImageRegion } from "lib/iiifImage";
+
+/**
+ * Functions for the regions of page images that image region annotations
+ * link text to.
+ *
+ * Regions are stored in the annotation's content in the format of a IIIF
+ * percentage region, e.g. "pct:10,20,50.5,10", so they do not depend on the
+ * size of the image they were drawn on.
+ */
+
+const REGION_PREFIX = "pct:";
+
+// Decimal places kept when storing a region
+const PRECISION = 2;
+
+/**
+ * A region linked to an annotation, as percentages of the image size.
+ */
+export type LinkedImageRegion = {
+    id: string,
+    region: ImageRegion
+};
+
+function round(value: number): number {
+    const factor = Math.pow(10, PRECISION);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Get the region stored in an annotation's content.
+ *
+ * Returns null if it is not a valid region.
+ */
+export function parseImageRegion(content: string | null): ImageRegion | null {
+    if (!content || content.indexOf(REGION_PREFIX) !== 0) {
+        return null;
+    }
+    const values = content
+        .substr(REGION_PREFIX.length)
+        .split(",")
+        .map(value => Number(value));
+    if (
+        values.length !== 4 ||
+        values.some(value => isNaN(value) || value < 0 || value > 100)
+    ) {
+        return null;
+    }
+    const [x, y, width, height] = values;
+    if (width === 0 || height === 0) {
+        return null;
+    }
+    return { x, y, width, height };
+}
+
+/**
+ * Get the content of an annotation storing the given region.
+ */
+export function formatImageRegion(region: ImageRegion): string {
+    return (
+        REGION_PREFIX +
+        [region.x, region.y, region.width, region.height].map(round).join(",")
+    );
+}
+
+/**
+ * Get the region, as percentages of the image size, of the rectangle
+ * between two points in an image.
+ *
+ * Points outside the image are moved to its edge.
+ */
+export function getImageRegionFromPoints(
+    start: { x: number, y: number },
+    end: { x: number, y: number },
+    imageWidth: number,
+    imageHeight: number
+): ImageRegion {
+    const clamp = (value, max) => Math.min(max, Math.max(0, value));
+    const x1 = clamp(Math.min(start.x, end.x), imageWidth);
+    const y1 = clamp(Math.min(start.y, end.y), imageHeight);
+    const x2 = clamp(Math.max(start.x, end.x), imageWidth);
+    const y2 = clamp(Math.max(start.y, end.y), imageHeight);
+    return {
+        x: (x1 / imageWidth) * 100,
+        y: (y1 / imageHeight) * 100,
+        width: ((x2 - x1) / imageWidth) * 100,
+        height: ((y2 - y1) / imageHeight) * 100
+    };
+}
@@ -0,0 +1,54 @@
+// @flow
+import {
+    parseImageRegion,
+    formatImageRegion,
+    getImageRegionFromPoints
+} from "./imageRegion";
+
+describe("imageRegion", () => {
+    test("Parse a region", () => {
+        expect(parseImageRegion("pct:10,20,50.5,10")).toEqual({
+            x: 10,
+            y: 20,
+            width: 50.5,
+            height: 10
+        });
+        expect(parseImageRegion(null)).toBeNull();
+        expect(parseImageRegion("10,20,50,10")).toBeNull();
+        expect(parseImageRegion("pct:10,20,50")).toBeNull();
+        expect(parseImageRegion("pct:10,20,150,10")).toBeNull();
+        expect(parseImageRegion("pct:10,20,0,10")).toBeNull();
+    });
+
+    test("Format a region", () => {
+        const region = { x: 10, y: 1 / 3, width: 50.5, height: 12.3456 };
+        const content = formatImageRegion(region);
+        expect(content).toEqual("pct:10,0.33,50.5,12.35");
+        expect(parseImageRegion(content)).toEqual({
+            x: 10,
+            y: 0.33,
+            width: 50.5,
+            height: 12.35
+        });
+    });
+
+    test("Get a region from two points", () => {
+        expect(
+            getImageRegionFromPoints(
+                { x: 1500, y: 400 },
+                { x: 500, y: 100 },
+                2000,
+                500
+            )
+        ).toEqual({ x: 25, y: 20, width: 50, height: 60 });
+        // Points outside the image
+        expect(
+            getImageRegionFromPoints(
+                { x: -100, y: 250 },
+                { x: 1000, y: 600 },
+                2000,
+                500
+            )
+        ).toEqual({ x: 0, y: 50, width: 50, height: 50 });
+    });
+});
@@ -0,0 +1,161 @@
+// @flow
+import { MAX_VARIANT_SHORTCUTS } from "app_constants";
+
+// The key each shortcut command is bound to
+export type KeyBindings = { [command: string]: string };
+
+export const APPLY_VARIANT_COMMAND = "applyVariant";
+export const SHOW_SHORTCUTS_COMMAND = "showShortcuts";
+
+/**
+ * Get the name of the command that applies the nth listed variant.
+ *
+ * @param {number} n
+ * @return {string}
+ */
+export function getApplyVariantCommand(n: number): string {
+    return APPLY_VARIANT_COMMAND + n;
+}
+
+let defaultKeyBindings: KeyBindings = {
+    closeAnnotationControls: "Escape",
+    addPageBreak: "shift-Enter",
+    addLineBreak: "Enter",
+    selectPreviousSegment: "ArrowLeft",
+    selectNextSegment: "ArrowRight",
+    undoAnnotationChange: "ctrl-z",
+    redoAnnotationChange: "ctrl-shift-Z",
+    selectNextVariant: "v",
+    selectPreviousVariant: "V",
+    selectNextNote: "n",
+    selectPreviousNote: "N",
+    selectNextPageBreak: "p",
+    selectPreviousPageBreak: "P",
+    selectNextUnreviewedVariant: "u",
+    selectPreviousUnreviewedVariant: "U"
+};
+for (let n = 1; n <= MAX_VARIANT_SHORTCUTS; n++) {
+    defaultKeyBindings[getApplyVariantCommand(n)] = String(n);
+}
+defaultKeyBindings[SHOW_SHORTCUTS_COMMAND] = "?";
+
+// In the order they are listed to the user
+export const DEFAULT_KEY_BINDINGS = defaultKeyBindings;
+
+/**
+ * Get the key of a keyboard event, in the form used by key bindings.
+ *
+ * Modifiers are added as prefixes, e.g. "ctrl-z". Shift is not added to
+ * characters typed without ctrl as it is already part of the character,
+ * e.g. "?" rather than "shift-?".
+ *
+ * @param {KeyboardEvent} e
+ * @return {string}
+ */
+export function getShortcutKey(e: {
+    key: string,
+    shiftKey: boolean,
+    ctrlKey: boolean,
+    metaKey: boolean
+}): string {
+    const isCtrl = e.ctrlKey || e.metaKey;
+    let key = e.key;
+    if (e.shiftKey && (key.length > 1 || isCtrl)) {
+        key = "shift-" + key;
+    }
+    if (isCtrl) {
+        key = "ctrl-" + key;
+    }
+    return key;
+}
+
+/**
+ * Get the bindings of every command, using the user's bindings where they
+ * have changed them.
+ *
+ * Bindings of commands that no longer exist are ignored.
+ *
+ * @param {KeyBindings} userBindings
+ * @return {KeyBindings}
+ */
+export function getKeyBindings(userBindings: KeyBindings | null): KeyBindings {
+    let bindings = { ...DEFAULT_KEY_BINDINGS };
+    if (userBindings) {
+        for (let command in userBindings) {
+            if (bindings.hasOwnProperty(command)) {
+                bindings[command] = userBindings[command];
+            }
+        }
+    }
+    return bindings;
+}
+
+/**
+ * Get the keys that are bound to more than one command.
+ *
+ * @param {KeyBindings} bindings
+ * @return {Object.<string, string[]>} The commands bound to each
+ *                                     conflicting key.
+ */
+export function getKeyConflicts(
+    bindings: KeyBindings
+): { [key: string]: string[] } {
+    let commandsByKey = {};
+    for (let command in bindings) {
+        const key = bindings[command];
+        if (!key) continue;
+        if (!commandsByKey.hasOwnProperty(key)) {
+            commandsByKey[key] = [];
+        }
+        commandsByKey[key].push(command);
+    }
+    let conflicts = {};
+    for (let key in commandsByKey) {
+        if (commandsByKey[key].length > 1) {
+            conflicts[key] = commandsByKey[key];
+        }
+    }
+    return conflicts;
+}
+
+/**
+ * Get the command bound to a key.
+ *
+ * If the key is bound to more than one command, the first listed is used.
+ *
+ * @param {KeyBindings} bindings
+ * @param {string} key
+ * @return {?string}
+ */
+export function getCommandForKey(
+    bindings: KeyBindings,
+    key: string
+): string | null {
+    for (let command in bindings) {
+        if (bindings[command] === key) {
+            return command;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the translation of a command's description.
+ *
+ * @param {string} command
+ * @return {{id: string, values: Object}}
+ */
+export function getCommandMessage(
+    command: string
+): { id: string, values: { [string]: mixed } } {
+    if (
+        command.startsWith(APPLY_VARIANT_COMMAND) &&
+        command.length > APPLY_VARIANT_COMMAND.length
+    ) {
+        return {
+            id: "shortcuts." + APPLY_VARIANT_COMMAND,
+            values: { number: command.substr(APPLY_VARIANT_COMMAND.length) }
+        };
+    }
+    return { id: "shortcuts." + command, values: {} };
+}
@@ -0,0 +1,67 @@
+import {
+    DEFAULT_KEY_BINDINGS,
+    getShortcutKey,
+    getKeyBindings,
+    getKeyConflicts,
+    getCommandForKey,
+    getCommandMessage,
+    getApplyVariantCommand
+} from "./keyBindings";
+
+const keyEvent = (key, modifiers = {}) => ({
+    key,
+    shiftKey: false,
+    ctrlKey: false,
+    metaKey: false,
+    ...modifiers
+});
+
+describe("keyBindings", () => {
+    test("Shortcut keys", () => {
+        expect(getShortcutKey(keyEvent("v"))).toEqual("v");
+        expect(getShortcutKey(keyEvent("?", { shiftKey: true }))).toEqual("?");
+        expect(getShortcutKey(keyEvent("Enter", { shiftKey: true }))).toEqual(
+            "shift-Enter"
+        );
+        expect(
+            getShortcutKey(keyEvent("Z", { shiftKey: true, metaKey: true }))
+        ).toEqual("ctrl-shift-Z");
+        expect(getShortcutKey(keyEvent("ཝ"))).toEqual("ཝ");
+    });
+
+    test("User bindings replace the defaults", () => {
+        const bindings = getKeyBindings({
+            selectNextVariant: "ཝ",
+            removedCommand: "x"
+        });
+        expect(bindings.selectNextVariant).toEqual("ཝ");
+        expect(bindings.selectNextNote).toEqual(
+            DEFAULT_KEY_BINDINGS.selectNextNote
+        );
+        expect(bindings.hasOwnProperty("removedCommand")).toBe(false);
+        expect(getCommandForKey(bindings, "ཝ")).toEqual("selectNextVariant");
+        expect(getCommandForKey(bindings, "v")).toBeNull();
+    });
+
+    test("Default bindings don't conflict", () => {
+        expect(getKeyConflicts(DEFAULT_KEY_BINDINGS)).toEqual({});
+    });
+
+    test("Conflicting bindings", () => {
+        const bindings = getKeyBindings({ selectNextNote: "v" });
+        expect(getKeyConflicts(bindings)).toEqual({
+            v: ["selectNextVariant", "selectNextNote"]
+        });
+    });
+
+    test("Command messages", () => {
+        expect(getCommandMessage("selectNextNote")).toEqual({
+            id: "shortcuts.selectNextNote",
+            values: {}
+        });
+        expect(getCommandMessage(getApplyVariantCommand(3))).toEqual({
+            id: "shortcuts.applyVariant",
+            values: { number: "3" }
+        });
+    });
+});
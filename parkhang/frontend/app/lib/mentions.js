@@ -0,0 +1,136 @@
+// @flow
+
+// Users are mentioned in replies to notes as @username. This should match
+// MENTION_PATTERN on the server.
+const MENTION_REGEX = /(^|\s)@([^\s@,;:!?()"'\u0f0b-\u0f14]+)/g;
+
+// An @ that is being typed at the end of the content before the cursor
+const PARTIAL_MENTION_REGEX = /(?:^|\s)@([^\s@,;:!?()"'\u0f0b-\u0f14]*)$/;
+
+/**
+ * Part of the content of a reply, and whether it mentions a user.
+ *
+ * If it is a mention, username is the name of the user mentioned.
+ */
+export type MentionPart = {
+    content: string,
+    username: string | null
+};
+
+/**
+ * The partial @username being typed, starting at start.
+ */
+export type MentionQuery = {
+    start: number,
+    query: string
+};
+
+// A full stop at the end of a name is the end of a sentence
+function trimUsername(match: string): string {
+    return match.replace(/\.+$/, "");
+}
+
+/**
+ * Get the usernames of the users mentioned in the content, in the order
+ * they are first mentioned.
+ */
+export function getMentions(content: string): string[] {
+    let usernames = [];
+    let match;
+    MENTION_REGEX.lastIndex = 0;
+    while ((match = MENTION_REGEX.exec(content))) {
+        const username = trimUsername(match[2]);
+        if (username.length > 0 && usernames.indexOf(username) === -1) {
+            usernames.push(username);
+        }
+    }
+    return usernames;
+}
+
+/**
+ * Split the content into the text and the mentions in it, so they can be
+ * shown differently.
+ */
+export function splitMentions(content: string): MentionPart[] {
+    let parts = [];
+    let position = 0;
+    let match;
+    MENTION_REGEX.lastIndex = 0;
+    while ((match = MENTION_REGEX.exec(content))) {
+        const username = trimUsername(match[2]);
+        if (username.length === 0) {
+            continue;
+        }
+        const start = match.index + match[1].length;
+        if (start > position) {
+            parts.push({
+                content: content.slice(position, start),
+                username: null
+            });
+        }
+        position = start + username.length + 1;
+        parts.push({
+            content: content.slice(start, position),
+            username
+        });
+    }
+    if (position < content.length) {
+        parts.push({ content: content.slice(position), username: null });
+    }
+    return parts;
+}
+
+/**
+ * Get the partial mention that ends at the cursor, if there is one.
+ */
+export function getMentionQuery(
+    content: string,
+    cursor: number
+): MentionQuery | null {
+    const match = PARTIAL_MENTION_REGEX.exec(content.slice(0, cursor));
+    if (!match) {
+        return null;
+    }
+    const query = match[1];
+    return {
+        start: cursor - query.length - 1,
+        query
+    };
+}
+
+/**
+ * Get the usernames that start with the query, ignoring case.
+ */
+export function getMentionSuggestions(
+    usernames: string[],
+    query: string
+): string[] {
+    const lowerQuery = query.toLowerCase();
+    return usernames.filter(
+        username =>
+            username.toLowerCase().startsWith(lowerQuery) && username !== query
+    );
+}
+
+/**
+ * Replace the partial mention with a mention of the username.
+ *
+ * A space is added after the mention unless there is one already. Returns
+ * the new content and the position of the cursor after the mention.
+ */
+export function completeMention(
+    content: string,
+    mentionQuery: MentionQuery,
+    username: string
+): { content: string, cursor: number } {
+    const end = mentionQuery.start + mentionQuery.query.length + 1;
+    let mention = "@" + username;
+    if (!/^\s/.test(content.slice(end))) {
+        mention += " ";
+    }
+    return {
+        content:
+            content.slice(0, mentionQuery.start) + mention + content.slice(end),
+        cursor: mentionQuery.start + mention.length
+    };
+}
@@ -0,0 +1,64 @@
+// @flow
+import {
+    getMentions,
+    splitMentions,
+    getMentionQuery,
+    getMentionSuggestions,
+    completeMention
+} from "./mentions";
+
+describe("mentions", () => {
+    test("Get mentions", () => {
+        expect(
+            getMentions("@tenzin can you check this? Thanks @pema. @tenzin")
+        ).toEqual(["tenzin", "pema"]);
+        expect(getMentions("email@example.com and @")).toEqual([]);
+        expect(getMentions("@བཀྲ་ཤིས། @pema, ཞུ།")).toEqual(["བཀྲ", "pema"]);
+    });
+
+    test("Split mentions", () => {
+        expect(splitMentions("Ask @pema.")).toEqual([
+            { content: "Ask ", username: null },
+            { content: "@pema", username: "pema" },
+            { content: ".", username: null }
+        ]);
+        expect(splitMentions("@tenzin")).toEqual([
+            { content: "@tenzin", username: "tenzin" }
+        ]);
+        expect(splitMentions("No mentions")).toEqual([
+            { content: "No mentions", username: null }
+        ]);
+    });
+
+    test("Get the mention being typed", () => {
+        expect(getMentionQuery("Ask @pe", 7)).toEqual({
+            start: 4,
+            query: "pe"
+        });
+        expect(getMentionQuery("Ask @", 5)).toEqual({ start: 4, query: "" });
+        expect(getMentionQuery("Ask @pema now", 13)).toBeNull();
+        expect(getMentionQuery("email@exa", 9)).toBeNull();
+    });
+
+    test("Complete a mention", () => {
+        const usernames = ["Pema", "pemba", "tenzin"];
+        expect(getMentionSuggestions(usernames, "pe")).toEqual([
+            "Pema",
+            "pemba"
+        ]);
+        expect(getMentionSuggestions(usernames, "tenzin")).toEqual([]);
+
+        const content = "Ask @pe about it";
+        const query = getMentionQuery(content, 7);
+        expect(query).not.toBeNull();
+        if (query) {
+            expect(completeMention(content, query, "pemba")).toEqual({
+                content: "Ask @pemba about it",
+                cursor: 10
+            });
+        }
+        expect(
+            completeMention("Ask @", { start: 4, query: "" }, "tenzin")
+        ).toEqual({ content: "Ask @tenzin ", cursor: 12 });
+    });
+});
@@ -0,0 +1,328 @@
+// @flow
+import { getAnnotationSlug, getTextUrl } from "./textUrl";
+
+/**
+ * Notes can contain lightweight markup:
+ *
+ *  **bold**, *italic*, [label](https://example.com),
+ *  {bo:Tibetan} and {en:Latin} language spans, and citations of a
+ *  position in a witness of another text: [[textId/witnessId/start-length|label]]
+ *  (the position and label are optional).
+ *
+ * A backslash before a markup character shows it as it is.
+ */
+
+export const NOTE_NODE_TYPES: { [string]: string } = {
+    text: "text",
+    bold: "bold",
+    italic: "italic",
+    link: "link",
+    language: "language",
+    citation: "citation"
+};
+
+// The languages that can be marked in notes
+export const NOTE_LANGUAGES: { [string]: string } = {
+    tibetan: "bo",
+    latin: "en"
+};
+
+const ESCAPABLE_CHARACTERS = "\\*[]{}";
+
+const LANGUAGE_REGEX = new RegExp(
+    "^\\{(" +
+        Object.keys(NOTE_LANGUAGES)
+            .map(name => NOTE_LANGUAGES[name])
+            .join("|") +
+        "):"
+);
+const LINK_REGEX = /^\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/;
+// See TEXT_URL_PATH
+const TEXT_URL_REGEX = /^(?:https?:\/\/[^/\s]+)?\/texts\/([0-9]+)\/witnesses\/([0-9]+)(?:\/([0-9]+)-([0-9]+)(?:-[0-9a-f]+)?)?\/?$/;
+const CITATION_REGEX = /^\[\[([0-9]+)\/([0-9]+)(?:\/([0-9]+)-([0-9]+))?(?:\|([^\]\n]*))?\]\]/;
+
+/**
+ * A position in a witness of a text. start and length are null if it
+ * cites the whole witness.
+ */
+export type Citation = {
+    textId: number,
+    witnessId: number,
+    start: number | null,
+    length: number | null
+};
+
+/**
+ * Part of a parsed note, one of NOTE_NODE_TYPES.
+ *
+ * Text nodes have content, and the others have children. A citation's
+ * children are its label, and are empty if it has none.
+ */
+export type NoteNode = {
+    type: string,
+    content?: string,
+    children?: NoteNode[],
+    url?: string,
+    language?: string,
+    citation?: Citation
+};
+
+type ParseResult = {
+    nodes: NoteNode[],
+    position: number,
+    closed: boolean
+};
+
+type InlineResult = {
+    node: NoteNode,
+    position: number
+};
+
+// Parse from start until the closing markup, or the end of the markup if
+// closing is null.
+function parseUntil(
+    markup: string,
+    start: number,
+    closing: string | null
+): ParseResult {
+    let nodes = [];
+    let text = "";
+    const addText = () => {
+        if (text.length > 0) {
+            nodes.push({ type: NOTE_NODE_TYPES.text, content: text });
+            text = "";
+        }
+    };
+
+    let position = start;
+    while (position < markup.length) {
+        if (closing && markup.startsWith(closing, position)) {
+            addText();
+            return {
+                nodes,
+                position: position + closing.length,
+                closed: true
+            };
+        }
+        const char = markup[position];
+        const next = markup[position + 1];
+        if (char === "\\" && next && ESCAPABLE_CHARACTERS.includes(next)) {
+            text += next;
+            position += 2;
+            continue;
+        }
+        const inline = parseInline(markup, position);
+        if (inline) {
+            addText();
+            nodes.push(inline.node);
+            position = inline.position;
+        } else {
+            text += char;
+            position++;
+        }
+    }
+    addText();
+
+    return { nodes, position, closed: closing === null };
+}
+
+function parseSpan(
+    markup: string,
+    start: number,
+    opening: string,
+    closing: string,
+    node: NoteNode
+): InlineResult | null {
+    const contentStart = start + opening.length;
+    // As in Markdown, "2 * 3 * 4" is not italic
+    if (/^\s?$/.test(markup.charAt(contentStart))) {
+        return null;
+    }
+    const result = parseUntil(markup, contentStart, closing);
+    if (!result.closed || result.nodes.length === 0) {
+        return null;
+    }
+    return {
+        node: { ...node, children: result.nodes },
+        position: result.position
+    };
+}
+
+function parseInline(markup: string, start: number): InlineResult | null {
+    const rest = markup.slice(start);
+    if (rest.startsWith("**")) {
+        return parseSpan(markup, start, "**", "**", {
+            type: NOTE_NODE_TYPES.bold
+        });
+    }
+    if (rest.startsWith("*")) {
+        return parseSpan(markup, start, "*", "*", {
+            type: NOTE_NODE_TYPES.italic
+        });
+    }
+    if (rest.startsWith("[[")) {
+        const match = CITATION_REGEX.exec(rest);
+        if (!match) {
+            return null;
+        }
+        const hasPosition = match[3] !== undefined;
+        return {
+            node: {
+                type: NOTE_NODE_TYPES.citation,
+                citation: {
+                    textId: Number(match[1]),
+                    witnessId: Number(match[2]),
+                    start: hasPosition ? Number(match[3]) : null,
+                    length: hasPosition ? Number(match[4]) : null
+                },
+                children: match[5] ? parseNoteMarkup(match[5]) : []
+            },
+            position: start + match[0].length
+        };
+    }
+    if (rest.startsWith("[")) {
+        const match = LINK_REGEX.exec(rest);
+        if (!match) {
+            return null;
+        }
+        return {
+            node: {
+                type: NOTE_NODE_TYPES.link,
+                url: match[2],
+                children: parseNoteMarkup(match[1])
+            },
+            position: start + match[0].length
+        };
+    }
+    const languageMatch = LANGUAGE_REGEX.exec(rest);
+    if (languageMatch) {
+        return parseSpan(markup, start, languageMatch[0], "}", {
+            type: NOTE_NODE_TYPES.language,
+            language: languageMatch[1]
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Parse the markup of a note. Any markup that is not complete is kept as
+ * text.
+ */
+export function parseNoteMarkup(markup: string): NoteNode[] {
+    return parseUntil(markup, 0, null).nodes;
+}
+
+/**
+ * Get how a citation is written in a note, without its label.
+ */
+export function getCitationReference(citation: Citation): string {
+    let reference = citation.textId + "/" + citation.witnessId;
+    if (citation.start !== null && citation.length !== null) {
+        reference += "/" + citation.start + "-" + citation.length;
+    }
+    return reference;
+}
+
+/**
+ * Get the url that opens the cited witness at the cited position.
+ */
+export function getCitationUrl(citation: Citation): string {
+    let annotationSlug;
+    if (citation.start !== null && citation.length !== null) {
+        annotationSlug = getAnnotationSlug(citation.start, citation.length);
+    }
+    return getTextUrl(citation.textId, citation.witnessId, annotationSlug);
+}
+
+/**
+ * Get the citation for a link to a text in the app, e.g. one copied from
+ * the address bar. Returns null if it is not a link to a text.
+ */
+export function getCitationFromUrl(url: string): Citation | null {
+    const match = TEXT_URL_REGEX.exec(url.trim());
+    if (!match) {
+        return null;
+    }
+    const hasPosition = match[3] !== undefined;
+    return {
+        textId: Number(match[1]),
+        witnessId: Number(match[2]),
+        start: hasPosition ? Number(match[3]) : null,
+        length: hasPosition ? Number(match[4]) : null
+    };
+}
+
+/**
+ * Get the text of a parsed note without any formatting. Citations without
+ * a label are given as their reference.
+ */
+export function getPlainText(nodes: NoteNode[]): string {
+    return nodes
+        .map(node => {
+            if (node.type === NOTE_NODE_TYPES.text) {
+                return node.content || "";
+            }
+            const children = node.children || [];
+            if (
+                node.type === NOTE_NODE_TYPES.citation &&
+                children.length === 0 &&
+                node.citation
+            ) {
+                return getCitationReference(node.citation);
+            }
+            return getPlainText(children);
+        })
+        .join("");
+}
+
+/**
+ * The markup added before and after the selected text to format it.
+ */
+export type NoteFormat = {
+    before: string,
+    after: string
+};
+
+export const NOTE_FORMATS: { [string]: NoteFormat } = {
+    bold: { before: "**", after: "**" },
+    italic: { before: "*", after: "*" },
+    link: { before: "[", after: "](https://)" },
+    tibetan: { before: "{" + NOTE_LANGUAGES.tibetan + ":", after: "}" },
+    latin: { before: "{" + NOTE_LANGUAGES.latin + ":", after: "}" }
+};
+
+/**
+ * Get the format that cites the given position, using the selected text
+ * as its label.
+ */
+export function getCitationFormat(citation: Citation): NoteFormat {
+    return {
+        before: "[[" + getCitationReference(citation) + "|",
+        after: "]]"
+    };
+}
+
+/**
+ * Add the markup of a format around the selected part of the content.
+ *
+ * Returns the new content and the new selection, which is the same text
+ * as before.
+ */
+export function applyNoteFormat(
+    content: string,
+    selectionStart: number,
+    selectionEnd: number,
+    format: NoteFormat
+): { content: string, selectionStart: number, selectionEnd: number } {
+    return {
+        content:
+            content.slice(0, selectionStart) +
+            format.before +
+            content.slice(selectionStart, selectionEnd) +
+            format.after +
+            content.slice(selectionEnd),
+        selectionStart: selectionStart + format.before.length,
+        selectionEnd: selectionEnd + format.before.length
+    };
+}
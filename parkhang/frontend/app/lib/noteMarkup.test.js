@@ -0,0 +1,134 @@
+// @flow
+import {
+    NOTE_NODE_TYPES,
+    NOTE_FORMATS,
+    parseNoteMarkup,
+    getCitationUrl,
+    getPlainText,
+    getCitationFormat,
+    getCitationFromUrl,
+    applyNoteFormat
+} from "./noteMarkup";
+
+const text = (content: string) => ({ type: NOTE_NODE_TYPES.text, content });
+
+describe("noteMarkup", () => {
+    test("Parse formatting", () => {
+        expect(
+            parseNoteMarkup("**Bold *and italic*** {bo:བོད་ཡིག} {en:Latin}")
+        ).toEqual([
+            {
+                type: NOTE_NODE_TYPES.bold,
+                children: [
+                    text("Bold "),
+                    {
+                        type: NOTE_NODE_TYPES.italic,
+                        children: [text("and italic")]
+                    }
+                ]
+            },
+            text(" "),
+            {
+                type: NOTE_NODE_TYPES.language,
+                language: "bo",
+                children: [text("བོད་ཡིག")]
+            },
+            text(" "),
+            {
+                type: NOTE_NODE_TYPES.language,
+                language: "en",
+                children: [text("Latin")]
+            }
+        ]);
+    });
+
+    test("Incomplete markup is kept as text", () => {
+        expect(parseNoteMarkup("2 * 3 * 4")).toEqual([text("2 * 3 * 4")]);
+        expect(parseNoteMarkup("**not bold")).toEqual([text("**not bold")]);
+        expect(parseNoteMarkup("{fr:unknown}")).toEqual([text("{fr:unknown}")]);
+        expect(parseNoteMarkup("[label](not a url)")).toEqual([
+            text("[label](not a url)")
+        ]);
+        expect(parseNoteMarkup("\\*escaped\\*")).toEqual([text("*escaped*")]);
+    });
+
+    test("Parse links and citations", () => {
+        const nodes = parseNoteMarkup(
+            "See [the catalogue](https://example.com/a?b=1), [[2/5/100-4|Derge]] and [[3/7]]."
+        );
+        expect(nodes).toEqual([
+            text("See "),
+            {
+                type: NOTE_NODE_TYPES.link,
+                url: "https://example.com/a?b=1",
+                children: [text("the catalogue")]
+            },
+            text(", "),
+            {
+                type: NOTE_NODE_TYPES.citation,
+                citation: { textId: 2, witnessId: 5, start: 100, length: 4 },
+                children: [text("Derge")]
+            },
+            text(" and "),
+            {
+                type: NOTE_NODE_TYPES.citation,
+                citation: {
+                    textId: 3,
+                    witnessId: 7,
+                    start: null,
+                    length: null
+                },
+                children: []
+            },
+            text(".")
+        ]);
+        expect(getPlainText(nodes)).toEqual(
+            "See the catalogue, Derge and 3/7."
+        );
+        expect(
+            getCitationUrl({ textId: 2, witnessId: 5, start: 100, length: 4 })
+        ).toEqual("/texts/2/witnesses/5/100-4");
+        expect(
+            getCitationUrl({
+                textId: 3,
+                witnessId: 7,
+                start: null,
+                length: null
+            })
+        ).toEqual("/texts/3/witnesses/7");
+    });
+
+    test("Get citations from links to texts", () => {
+        expect(
+            getCitationFromUrl(
+                "https://parkhang.example.org/texts/2/witnesses/5/100-4-1a2b3c4d"
+            )
+        ).toEqual({ textId: 2, witnessId: 5, start: 100, length: 4 });
+        expect(getCitationFromUrl("/texts/3/witnesses/7")).toEqual({
+            textId: 3,
+            witnessId: 7,
+            start: null,
+            length: null
+        });
+        expect(getCitationFromUrl("https://example.com/texts/3")).toBeNull();
+    });
+
+    test("Apply formats to the selection", () => {
+        expect(applyNoteFormat("A note", 2, 6, NOTE_FORMATS.bold)).toEqual({
+            content: "A **note**",
+            selectionStart: 4,
+            selectionEnd: 8
+        });
+        const citationFormat = getCitationFormat({
+            textId: 2,
+            witnessId: 5,
+            start: 100,
+            length: 4
+        });
+        const cited = applyNoteFormat("A note", 2, 6, citationFormat);
+        expect(cited.content).toEqual("A [[2/5/100-4|note]]");
+        expect(parseNoteMarkup(cited.content)[1].type).toEqual(
+            NOTE_NODE_TYPES.citation
+        );
+    });
+});
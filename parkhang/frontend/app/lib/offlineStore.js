@@ -0,0 +1,172 @@
+// @flow
+
+/**
+ * Persistent storage so the app can be used while offline.
+ *
+ * Requests that change data are stored until they have been sent, so they
+ * are not lost if the page is closed while offline, and the API responses
+ * needed to show texts are cached so previously opened texts can still be
+ * loaded. Responses are cached for the user that received them, and are
+ * removed when the user logs out.
+ *
+ * If IndexedDB is not available nothing is stored.
+ */
+
+const DB_NAME = "parkhang";
+const DB_VERSION = 1;
+const REQUESTS_STORE = "requests";
+const RESPONSES_STORE = "responses";
+
+let _database: Promise<any> | null = null;
+let _lastRequestId = 0;
+let _cacheUserId: number | null = null;
+
+function openDatabase(): Promise<any> {
+    if (!_database) {
+        _database = new Promise(resolve => {
+            const indexedDB =
+                typeof window !== "undefined" ? window.indexedDB : null;
+            if (!indexedDB) {
+                resolve(null);
+                return;
+            }
+            const openRequest = indexedDB.open(DB_NAME, DB_VERSION);
+            openRequest.onupgradeneeded = () => {
+                const db = openRequest.result;
+                db.createObjectStore(REQUESTS_STORE);
+                db.createObjectStore(RESPONSES_STORE);
+            };
+            openRequest.onsuccess = () => {
+                resolve(openRequest.result);
+            };
+            openRequest.onerror = () => {
+                console.warn(
+                    "Could not open offline store: %o",
+                    openRequest.error
+                );
+                resolve(null);
+            };
+        });
+    }
+
+    return _database;
+}
+
+/**
+ * Run callback in a transaction on the given object store.
+ *
+ * @return {Promise} Resolves with the result of the request returned by
+ *                   callback, or an array of results if it returns an array
+ *                   of requests. Resolves with undefined if there is no
+ *                   database.
+ */
+function transaction(
+    storeName: string,
+    mode: "readonly" | "readwrite",
+    callback: (store: any) => any
+): Promise<any> {
+    return openDatabase().then(db => {
+        if (!db) {
+            return undefined;
+        }
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = callback(tx.objectStore(storeName));
+            tx.oncomplete = () =>
+                resolve(
+                    Array.isArray(request)
+                        ? request.map(req => req.result)
+                        : request.result
+                );
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    });
+}
+
+/**
+ * Get a new id for a queued request.
+ *
+ * Ids increase in the order they are created so requests can be replayed
+ * in the same order.
+ */
+export function getQueuedRequestId(): number {
+    _lastRequestId = Math.max(_lastRequestId + 1, Date.now());
+    return _lastRequestId;
+}
+
+export function addQueuedRequest(id: number, request: {}): Promise<void> {
+    return transaction(REQUESTS_STORE, "readwrite", store =>
+        store.put(request, id)
+    ).catch(e => console.warn("Could not store request: %o", e));
+}
+
+export function removeQueuedRequest(id: number): Promise<void> {
+    return transaction(REQUESTS_STORE, "readwrite", store =>
+        store.delete(id)
+    ).catch(e => console.warn("Could not remove stored request: %o", e));
+}
+
+/**
+ * Get all the stored requests, in the order they were queued.
+ */
+export function getQueuedRequests(): Promise<Array<[number, any]>> {
+    return transaction(REQUESTS_STORE, "readonly", store => [
+        store.getAllKeys(),
+        store.getAll()
+    ])
+        .then(results => {
+            if (!results) {
+                return [];
+            }
+            const [ids, requests] = results;
+            return ids.map((id, index) => [id, requests[index]]);
+        })
+        .catch(e => {
+            console.warn("Could not load stored requests: %o", e);
+            return [];
+        });
+}
+
+/**
+ * Set the user responses are cached for.
+ *
+ * @param {number|null} userId - null if the user is not logged in.
+ */
+export function setCacheUser(userId: number | null) {
+    _cacheUserId = userId;
+}
+
+function getCacheKey(url: string): string {
+    return (_cacheUserId === null ? "" : _cacheUserId) + ":" + url;
+}
+
+export function cacheResponse(url: string, data: any): Promise<void> {
+    return transaction(RESPONSES_STORE, "readwrite", store =>
+        store.put(data, getCacheKey(url))
+    ).catch(e => console.warn("Could not cache response: %o", e));
+}
+
+/**
+ * Get the last response the user received for url.
+ *
+ * @return {Promise} Resolves with undefined if nothing has been cached.
+ */
+export function getCachedResponse(url: string): Promise<any> {
+    return transaction(RESPONSES_STORE, "readonly", store =>
+        store.get(getCacheKey(url))
+    ).catch(e => {
+        console.warn("Could not load cached response: %o", e);
+        return undefined;
+    });
+}
+
+/**
+ * Remove all the cached responses, e.g. when the user logs out so the next
+ * user of the browser can't see them.
+ */
+export function clearCachedResponses(): Promise<void> {
+    return transaction(RESPONSES_STORE, "readwrite", store =>
+        store.clear()
+    ).catch(e => console.warn("Could not clear cached responses: %o", e));
+}
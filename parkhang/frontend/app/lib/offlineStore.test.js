@@ -0,0 +1,80 @@
+// @flow
+import * as offlineStore from "./offlineStore";
+import FDBFactory from "fake-indexeddb/lib/FDBFactory";
+
+describe("offlineStore without IndexedDB", () => {
+    test("Queued request ids increase", () => {
+        const first = offlineStore.getQueuedRequestId();
+        const second = offlineStore.getQueuedRequestId();
+
+        expect(second).toBeGreaterThan(first);
+    });
+
+    test("Nothing is stored", async () => {
+        const id = offlineStore.getQueuedRequestId();
+        await offlineStore.addQueuedRequest(id, { method: "post", url: "/" });
+        await offlineStore.cacheResponse("/api/texts/", []);
+
+        expect(await offlineStore.getQueuedRequests()).toEqual([]);
+        expect(
+            await offlineStore.getCachedResponse("/api/texts/")
+        ).toBeUndefined();
+    });
+});
+
+describe("offlineStore with IndexedDB", () => {
+    let store;
+
+    beforeEach(() => {
+        window.indexedDB = new FDBFactory();
+        // The database is opened once per module
+        jest.resetModules();
+        store = require("./offlineStore");
+    });
+
+    afterEach(() => {
+        delete window.indexedDB;
+    });
+
+    test("Queued requests are stored in order until removed", async () => {
+        const firstId = store.getQueuedRequestId();
+        const secondId = store.getQueuedRequestId();
+        const first = { method: "post", url: "/first/", data: { a: 1 } };
+        const second = { method: "put", url: "/second/", data: null };
+        await store.addQueuedRequest(secondId, second);
+        await store.addQueuedRequest(firstId, first);
+
+        expect(await store.getQueuedRequests()).toEqual([
+            [firstId, first],
+            [secondId, second]
+        ]);
+
+        await store.removeQueuedRequest(firstId);
+        expect(await store.getQueuedRequests()).toEqual([[secondId, second]]);
+    });
+
+    test("Responses are cached for each user", async () => {
+        store.setCacheUser(1);
+        await store.cacheResponse("/api/texts/", [{ id: 1 }]);
+        expect(await store.getCachedResponse("/api/texts/")).toEqual([
+            { id: 1 }
+        ]);
+
+        store.setCacheUser(2);
+        expect(await store.getCachedResponse("/api/texts/")).toBeUndefined();
+        store.setCacheUser(null);
+        expect(await store.getCachedResponse("/api/texts/")).toBeUndefined();
+    });
+
+    test("Cached responses are cleared", async () => {
+        store.setCacheUser(1);
+        await store.cacheResponse("/api/texts/", [{ id: 1 }]);
+        const id = store.getQueuedRequestId();
+        await store.addQueuedRequest(id, { method: "post", url: "/" });
+
+        await store.clearCachedResponses();
+        expect(await store.getCachedResponse("/api/texts/")).toBeUndefined();
+        // Requests still need to be sent
+        expect(await store.getQueuedRequests()).toHaveLength(1);
+    });
+});
@@ -0,0 +1,149 @@
+// @flow
+import { findTibetanMatches } from "./tibetanSearch";
+import * as constants from "app_constants";
+import type { TextSearchResultData } from "api";
+
+// Matches any single syllable in a search pattern
+export const SYLLABLE_WILDCARD = "%";
+export const SYLLABLE_PATTERN = "[^་༌།༎\\s]+";
+
+const EXTRACT_LENGTH = 60;
+const EXTRACT_DELIMITERS = "།་ ";
+
+/**
+ * Compile a search pattern.
+ *
+ * Patterns are regular expressions, except that the syllable wildcard
+ * matches any single syllable. An escaped wildcard matches itself.
+ *
+ * @param {string} pattern
+ * @return {RegExp}
+ * @throws {SyntaxError} If the pattern is not a valid regular expression.
+ */
+export function compileSearchPattern(pattern: string): RegExp {
+    let source = "";
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === "\\" && i + 1 < pattern.length) {
+            source += char + pattern[i + 1];
+            i++;
+        } else if (char === SYLLABLE_WILDCARD) {
+            source += SYLLABLE_PATTERN;
+        } else {
+            source += char;
+        }
+    }
+
+    return new RegExp(source, "g");
+}
+
+/**
+ * Find the non-empty matches of a pattern.
+ *
+ * @param {string} content
+ * @param {RegExp} pattern
+ * @return {Array.<[number, number]>} The start and end (exclusive) of each
+ *                                    match.
+ */
+export function findPatternMatches(
+    content: string,
+    pattern: RegExp
+): Array<[number, number]> {
+    const regex = new RegExp(pattern.source, "g");
+    let matches = [];
+    for (;;) {
+        const match = regex.exec(content);
+        if (!match) {
+            break;
+        }
+        if (match[0].length === 0) {
+            regex.lastIndex++;
+            continue;
+        }
+        matches.push([match.index, match.index + match[0].length]);
+    }
+
+    return matches;
+}
+
+/**
+ * Find the matches of a search term using the given search mode.
+ *
+ * Invalid patterns match nothing.
+ *
+ * @param {string} content
+ * @param {string} searchTerm
+ * @param {string} searchMode - One of SEARCH_MODES
+ * @return {Array.<[number, number]>}
+ */
+export function findSearchMatches(
+    content: string,
+    searchTerm: string,
+    searchMode: string
+): Array<[number, number]> {
+    if (searchMode !== constants.SEARCH_MODES.pattern) {
+        return findTibetanMatches(content, searchTerm);
+    }
+    try {
+        return findPatternMatches(content, compileSearchPattern(searchTerm));
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Get the part of content around a match, trimmed to whole syllables.
+ *
+ * This is the same as the extracts of the server's search results.
+ *
+ * @param {string} content
+ * @param {number} start
+ * @param {number} length
+ * @return {string}
+ */
+export function getSearchExtract(
+    content: string,
+    start: number,
+    length: number
+): string {
+    const left = Math.trunc((EXTRACT_LENGTH - length) / 2);
+    const extractStart = Math.max(start - left, 0);
+    const extract = content.substr(extractStart, EXTRACT_LENGTH);
+    let delimiters = [];
+    for (let i = 0; i < extract.length; i++) {
+        if (EXTRACT_DELIMITERS.includes(extract[i])) {
+            delimiters.push(i);
+        }
+    }
+    const trimmedStart = delimiters.length > 0 ? delimiters[0] : 0;
+    const trimmedEnd =
+        delimiters.length > 1
+            ? delimiters[delimiters.length - 1] + 1
+            : extract.length;
+
+    return extract.slice(trimmedStart, trimmedEnd);
+}
+
+/**
+ * Search a witness's text with a pattern.
+ *
+ * @param {string} content
+ * @param {RegExp} pattern
+ * @return {TextSearchResultData} Results in the same form as those
+ *                                returned by the server.
+ */
+export function getPatternSearchResults(
+    content: string,
+    pattern: RegExp
+): TextSearchResultData {
+    const matches = findPatternMatches(content, pattern);
+    return {
+        results: matches.map(([start, end]) => [
+            start,
+            getSearchExtract(content, start, end - start),
+            end - start
+        ]),
+        total: matches.length,
+        extra: false
+    };
+}
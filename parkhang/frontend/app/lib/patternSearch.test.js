@@ -0,0 +1,63 @@
+import {
+    compileSearchPattern,
+    findPatternMatches,
+    findSearchMatches,
+    getPatternSearchResults,
+    getSearchExtract
+} from "./patternSearch";
+import { SEARCH_MODES } from "app_constants";
+
+const content = "༄༅། །རྒྱ་གར་སྐད་དུ། ཨཱརྱ་ཏཱ་རཱ། བོད་སྐད་དུ།";
+
+describe("patternSearch", () => {
+    test("Syllable wildcards match a single syllable", () => {
+        const pattern = compileSearchPattern("%་སྐད་དུ");
+        expect(findPatternMatches(content, pattern)).toEqual([
+            [9, 18],
+            [32, 42]
+        ]);
+    });
+
+    test("Escaped wildcards match themselves", () => {
+        const pattern = compileSearchPattern("\\%");
+        expect(findPatternMatches("10%", pattern)).toEqual([[2, 3]]);
+    });
+
+    test("Regular expressions", () => {
+        const pattern = compileSearchPattern("(བོད|གར)་སྐད");
+        expect(findPatternMatches(content, pattern)).toEqual([
+            [9, 15],
+            [32, 39]
+        ]);
+        // Empty matches are ignored
+        expect(findPatternMatches(content, compileSearchPattern("x*"))).toEqual(
+            []
+        );
+    });
+
+    test("Invalid patterns", () => {
+        expect(() => compileSearchPattern("(རྒྱ")).toThrow(SyntaxError);
+        expect(
+            findSearchMatches(content, "(རྒྱ", SEARCH_MODES.pattern)
+        ).toEqual([]);
+    });
+
+    test("Other search modes find Tibetan matches", () => {
+        expect(
+            findSearchMatches(content, "བོད སྐད", SEARCH_MODES.text)
+        ).toEqual([[32, 39]]);
+    });
+
+    test("Search results", () => {
+        const results = getPatternSearchResults(
+            content,
+            compileSearchPattern("བོད་%")
+        );
+        expect(results).toEqual({
+            results: [[32, getSearchExtract(content, 32, 7), 7]],
+            total: 1,
+            extra: false
+        });
+        expect(results.results[0][1]).toContain("བོད་སྐད");
+    });
+});
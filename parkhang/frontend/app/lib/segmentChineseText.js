@@ -0,0 +1,72 @@
+// @flow
+import SegmentedText from "./SegmentedText";
+import TextSegment from "./TextSegment";
+
+export const CHINESE_SPACES = " \n　";
+
+/**
+ * Whether the character is a CJK ideograph, including those in the
+ * supplementary planes.
+ */
+function isIdeograph(codePoint: number): boolean {
+    return (
+        (codePoint >= 0x3400 && codePoint <= 0x4dbf) ||
+        (codePoint >= 0x4e00 && codePoint <= 0x9fff) ||
+        (codePoint >= 0xf900 && codePoint <= 0xfaff) ||
+        (codePoint >= 0x20000 && codePoint <= 0x3134f)
+    );
+}
+
+function isPunctuation(codePoint: number): boolean {
+    return (
+        (codePoint >= 0x3000 && codePoint <= 0x303f) ||
+        (codePoint >= 0xff00 && codePoint <= 0xff0f) ||
+        (codePoint >= 0xff1a && codePoint <= 0xff20) ||
+        (codePoint >= 0xff3b && codePoint <= 0xff40) ||
+        (codePoint >= 0xff5b && codePoint <= 0xff65)
+    );
+}
+
+/**
+ * Split Chinese text into characters.
+ *
+ * Each ideograph and punctuation mark is a segment. Runs of spaces, and of
+ * any other characters such as Latin letters or numbers, are kept together.
+ */
+export default function segmentChineseText(text: string): SegmentedText {
+    let segments = [];
+    let currentSegment = "";
+    let currentStart = 0;
+    let inSpace = false;
+    let inOther = false;
+    let position = 0;
+    for (let char of text) {
+        const codePoint = char.codePointAt(0);
+        let startsSegment = true;
+        if (CHINESE_SPACES.includes(char)) {
+            startsSegment = !inSpace;
+            inSpace = true;
+            inOther = false;
+        } else if (isIdeograph(codePoint) || isPunctuation(codePoint)) {
+            inSpace = false;
+            inOther = false;
+        } else {
+            startsSegment = !inOther;
+            inSpace = false;
+            inOther = true;
+        }
+
+        if (startsSegment && currentSegment.length > 0) {
+            segments.push(new TextSegment(currentStart, currentSegment));
+            currentSegment = "";
+            currentStart = position;
+        }
+        currentSegment += char;
+        position += char.length;
+    }
+
+    if (currentSegment) {
+        segments.push(new TextSegment(currentStart, currentSegment));
+    }
+    return new SegmentedText(segments);
+}
@@ -0,0 +1,31 @@
+// @flow
+import segmentChineseText from "./segmentChineseText";
+import TextSegment from "./TextSegment";
+
+describe("segmentChineseText", () => {
+    test("Split text into characters", () => {
+        expect(segmentChineseText("如是我聞。一時 佛在").segments).toEqual([
+            new TextSegment(0, "如"),
+            new TextSegment(1, "是"),
+            new TextSegment(2, "我"),
+            new TextSegment(3, "聞"),
+            new TextSegment(4, "。"),
+            new TextSegment(5, "一"),
+            new TextSegment(6, "時"),
+            new TextSegment(7, " "),
+            new TextSegment(8, "佛"),
+            new TextSegment(9, "在")
+        ]);
+    });
+
+    test("Keep other characters together", () => {
+        // 𠀀 is outside the Basic Multilingual Plane
+        const segments = segmentChineseText("T0251 𠀀經").segments;
+        expect(segments).toEqual([
+            new TextSegment(0, "T0251"),
+            new TextSegment(5, " "),
+            new TextSegment(6, "𠀀"),
+            new TextSegment(8, "經")
+        ]);
+    });
+});
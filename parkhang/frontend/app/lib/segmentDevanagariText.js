@@ -0,0 +1,90 @@
+// @flow
+import SegmentedText from "./SegmentedText";
+import TextSegment from "./TextSegment";
+
+// Characters that separate segments
+export const DEVANAGARI_BREAKS = "।॥";
+export const DEVANAGARI_SPACES = " \n";
+
+const VIRAMA = 0x094d;
+const ZERO_WIDTH_NON_JOINER = 0x200c;
+const ZERO_WIDTH_JOINER = 0x200d;
+
+function isConsonant(codePoint: number): boolean {
+    return (
+        (codePoint >= 0x0915 && codePoint <= 0x0939) ||
+        (codePoint >= 0x0958 && codePoint <= 0x095f) ||
+        (codePoint >= 0x0978 && codePoint <= 0x097f)
+    );
+}
+
+/**
+ * Whether the character is a vowel sign or other mark that belongs to the
+ * akshara before it.
+ */
+function isMark(codePoint: number): boolean {
+    return (
+        (codePoint >= 0x0900 && codePoint <= 0x0903) ||
+        (codePoint >= 0x093a && codePoint <= 0x094f && codePoint !== 0x093d) ||
+        (codePoint >= 0x0951 && codePoint <= 0x0957) ||
+        (codePoint >= 0x0962 && codePoint <= 0x0963) ||
+        codePoint === ZERO_WIDTH_NON_JOINER ||
+        codePoint === ZERO_WIDTH_JOINER
+    );
+}
+
+/**
+ * Split Devanagari text into aksharas.
+ *
+ * Consonants joined by a virama are part of the same akshara, as are the
+ * vowel signs and other marks following them. Each danda is a segment, as
+ * is each run of spaces.
+ */
+export default function segmentDevanagariText(text: string): SegmentedText {
+    let segments = [];
+    let currentSegment = "";
+    let currentStart = 0;
+    let inBreak = false;
+    let inSpace = false;
+    // Whether the next consonant is part of the current akshara
+    let joinConsonant = false;
+    let position = 0;
+    for (let char of text) {
+        const codePoint = char.codePointAt(0);
+        let startsSegment = true;
+        if (DEVANAGARI_BREAKS.includes(char)) {
+            inBreak = true;
+            inSpace = false;
+        } else if (DEVANAGARI_SPACES.includes(char)) {
+            startsSegment = !inSpace;
+            inBreak = false;
+            inSpace = true;
+        } else {
+            if (!inBreak && !inSpace) {
+                startsSegment =
+                    !isMark(codePoint) &&
+                    !(joinConsonant && isConsonant(codePoint));
+            }
+            inBreak = false;
+            inSpace = false;
+        }
+
+        if (startsSegment && currentSegment.length > 0) {
+            segments.push(new TextSegment(currentStart, currentSegment));
+            currentSegment = "";
+            currentStart = position;
+        }
+        currentSegment += char;
+        if (codePoint === VIRAMA) {
+            joinConsonant = true;
+        } else if (codePoint !== ZERO_WIDTH_JOINER) {
+            joinConsonant = false;
+        }
+        position += char.length;
+    }
+
+    if (currentSegment) {
+        segments.push(new TextSegment(currentStart, currentSegment));
+    }
+    return new SegmentedText(segments);
+}
@@ -0,0 +1,37 @@
+// @flow
+import segmentDevanagariText from "./segmentDevanagariText";
+import TextSegment from "./TextSegment";
+
+describe("segmentDevanagariText", () => {
+    test("Split text into aksharas", () => {
+        const text = "धर्मक्षेत्रे कुरुक्षेत्रे।। नमः";
+        expect(segmentDevanagariText(text).segments).toEqual([
+            new TextSegment(0, "ध"),
+            new TextSegment(1, "र्म"),
+            new TextSegment(4, "क्षे"),
+            new TextSegment(8, "त्रे"),
+            new TextSegment(12, " "),
+            new TextSegment(13, "कु"),
+            new TextSegment(15, "रु"),
+            new TextSegment(17, "क्षे"),
+            new TextSegment(21, "त्रे"),
+            new TextSegment(25, "।"),
+            new TextSegment(26, "।"),
+            new TextSegment(27, " "),
+            new TextSegment(28, "न"),
+            new TextSegment(29, "मः")
+        ]);
+    });
+
+    test("Keep independent vowels and their marks together", () => {
+        const segments = segmentDevanagariText("ॐ  अं इति").segments;
+        expect(segments.map(segment => segment.text)).toEqual([
+            "ॐ",
+            "  ",
+            "अं",
+            " ",
+            "इ",
+            "ति"
+        ]);
+    });
+});
@@ -0,0 +1,64 @@
+// @flow
+import SegmentedText from "./SegmentedText";
+import TextSegment from "./TextSegment";
+
+export const LATIN_SPACES = " \t\n";
+
+/**
+ * Whether the character is part of a word: a letter, including accented
+ * and transliteration letters, a combining mark or a digit.
+ */
+function isWordCharacter(char: string): boolean {
+    const codePoint = char.codePointAt(0);
+    return (
+        /[A-Za-z0-9]/.test(char) ||
+        (codePoint >= 0x00c0 &&
+            codePoint <= 0x024f &&
+            codePoint !== 0x00d7 &&
+            codePoint !== 0x00f7) ||
+        (codePoint >= 0x0300 && codePoint <= 0x036f) ||
+        (codePoint >= 0x1e00 && codePoint <= 0x1eff)
+    );
+}
+
+/**
+ * Split text in Latin script into words.
+ *
+ * Each punctuation mark is a segment, as is each run of spaces.
+ */
+export default function segmentLatinText(text: string): SegmentedText {
+    let segments = [];
+    let currentSegment = "";
+    let currentStart = 0;
+    let inWord = false;
+    let inSpace = false;
+    let position = 0;
+    for (let char of text) {
+        let startsSegment = true;
+        if (LATIN_SPACES.includes(char)) {
+            startsSegment = !inSpace;
+            inSpace = true;
+            inWord = false;
+        } else if (isWordCharacter(char)) {
+            startsSegment = !inWord;
+            inSpace = false;
+            inWord = true;
+        } else {
+            inSpace = false;
+            inWord = false;
+        }
+
+        if (startsSegment && currentSegment.length > 0) {
+            segments.push(new TextSegment(currentStart, currentSegment));
+            currentSegment = "";
+            currentStart = position;
+        }
+        currentSegment += char;
+        position += char.length;
+    }
+
+    if (currentSegment) {
+        segments.push(new TextSegment(currentStart, currentSegment));
+    }
+    return new SegmentedText(segments);
+}
@@ -0,0 +1,32 @@
+// @flow
+import segmentLatinText from "./segmentLatinText";
+import TextSegment from "./TextSegment";
+
+describe("segmentLatinText", () => {
+    test("Split text into words", () => {
+        expect(segmentLatinText("Thus have I heard,  once.").segments).toEqual([
+            new TextSegment(0, "Thus"),
+            new TextSegment(4, " "),
+            new TextSegment(5, "have"),
+            new TextSegment(9, " "),
+            new TextSegment(10, "I"),
+            new TextSegment(11, " "),
+            new TextSegment(12, "heard"),
+            new TextSegment(17, ","),
+            new TextSegment(18, "  "),
+            new TextSegment(20, "once"),
+            new TextSegment(24, ".")
+        ]);
+    });
+
+    test("Keep transliterated words together", () => {
+        const segments = segmentLatinText("evaṃ mayā śrutam").segments;
+        expect(segments.map(segment => segment.text)).toEqual([
+            "evaṃ",
+            " ",
+            "mayā",
+            " ",
+            "śrutam"
+        ]);
+    });
+});
@@ -2,9 +2,13 @@
 import SegmentedText from "./SegmentedText";
 import TextSegment from "./TextSegment";
 
+// Characters that separate segments
+export const TIBETAN_BREAKS = "།།";
+export const TIBETAN_SPACES = "༌་ \n";
+
 export default function segmentTibetanText(text: string): SegmentedText {
-    const breaks = "།།";
-    const spaces = "༌་ \n";
+    const breaks = TIBETAN_BREAKS;
+    const spaces = TIBETAN_SPACES;
 
     let segments = [];
     let currentSegment = "";
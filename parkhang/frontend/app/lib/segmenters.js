@@ -0,0 +1,44 @@
+// @flow
+import SegmentedText from "./SegmentedText";
+import Text, { DEFAULT_TEXT_LANGUAGE } from "./Text";
+import segmentTibetanText from "./segmentTibetanText";
+import segmentDevanagariText from "./segmentDevanagariText";
+import segmentChineseText from "./segmentChineseText";
+import segmentLatinText from "./segmentLatinText";
+
+/**
+ * Splits the content of a text into the segments that are selected and
+ * annotated, such as syllables or words.
+ */
+export type Segmenter = (text: string) => SegmentedText;
+
+let segmenters: { [language: string]: Segmenter } = {
+    bo: segmentTibetanText,
+    sa: segmentDevanagariText,
+    zh: segmentChineseText,
+    en: segmentLatinText
+};
+
+/**
+ * Use segmenter for texts in the given language, replacing any segmenter
+ * already registered for it.
+ */
+export function registerSegmenter(language: string, segmenter: Segmenter) {
+    segmenters[language] = segmenter;
+}
+
+/**
+ * Get the segmenter for a language.
+ *
+ * Languages without a segmenter use the one for DEFAULT_TEXT_LANGUAGE.
+ */
+export function getSegmenter(language: ?string): Segmenter {
+    if (language && segmenters.hasOwnProperty(language)) {
+        return segmenters[language];
+    }
+    return segmenters[DEFAULT_TEXT_LANGUAGE];
+}
+
+export function getTextSegmenter(text: Text): Segmenter {
+    return getSegmenter(text.language);
+}
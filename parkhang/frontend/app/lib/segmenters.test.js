@@ -0,0 +1,35 @@
+// @flow
+import {
+    registerSegmenter,
+    getSegmenter,
+    getTextSegmenter
+} from "./segmenters";
+import Text from "./Text";
+import SegmentedText from "./SegmentedText";
+import TextSegment from "./TextSegment";
+import segmentTibetanText from "./segmentTibetanText";
+import segmentChineseText from "./segmentChineseText";
+
+describe("segmenters", () => {
+    test("Get the segmenter for a language", () => {
+        expect(getSegmenter("zh")).toBe(segmentChineseText);
+        expect(getSegmenter("bo")).toBe(segmentTibetanText);
+        // Unknown languages are segmented as Tibetan
+        expect(getSegmenter("xx")).toBe(segmentTibetanText);
+        expect(getSegmenter(null)).toBe(segmentTibetanText);
+    });
+
+    test("Get the segmenter for a text", () => {
+        expect(getTextSegmenter(new Text(1, "Text"))).toBe(segmentTibetanText);
+        expect(getTextSegmenter(new Text(2, "經", "zh"))).toBe(
+            segmentChineseText
+        );
+    });
+
+    test("Register a segmenter", () => {
+        const segmentWholeText = (text: string) =>
+            new SegmentedText([new TextSegment(0, text)]);
+        registerSegmenter("pi", segmentWholeText);
+        expect(getSegmenter("pi")("evaṃ me sutaṃ").segments.length).toEqual(1);
+    });
+});
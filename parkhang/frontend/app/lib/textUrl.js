@@ -0,0 +1,43 @@
+// @flow
+
+export const TEXT_URL_PATH = "/texts/:textId/witnesses/:witnessId/:annotation?";
+
+/**
+ * Get the part of a text's url identifying an annotation.
+ *
+ * Only the start of a saved annotation's unique id is included.
+ *
+ * @param {number} start
+ * @param {number} length
+ * @param {string} uniqueId
+ * @return {string}
+ */
+export function getAnnotationSlug(
+    start: number,
+    length: number,
+    uniqueId?: string
+): string {
+    let annotationSlug = start + "-" + length;
+    if (uniqueId) {
+        annotationSlug += "-" + uniqueId.substr(0, 8);
+    }
+    return annotationSlug;
+}
+
+/**
+ * Get the url that opens a witness of a text, optionally at an annotation.
+ *
+ * @param {number} textId
+ * @param {number} witnessId
+ * @param {string} annotationSlug - See getAnnotationSlug
+ * @return {string}
+ */
+export function getTextUrl(
+    textId: number,
+    witnessId: number,
+    annotationSlug?: string
+): string {
+    return TEXT_URL_PATH.replace(":textId", String(textId))
+        .replace(":witnessId", String(witnessId))
+        .replace("/:annotation?", annotationSlug ? "/" + annotationSlug : "");
+}
@@ -0,0 +1,17 @@
+import { getAnnotationSlug, getTextUrl } from "./textUrl";
+
+describe("textUrl", () => {
+    test("Annotation slugs include the start of saved annotation ids", () => {
+        expect(getAnnotationSlug(10, 2)).toEqual("10-2");
+        expect(
+            getAnnotationSlug(10, 2, "0d6ab5a8-8d5e-4d3e-a8f6-6c0d1f4a2b3c")
+        ).toEqual("10-2-0d6ab5a8");
+    });
+
+    test("Text urls", () => {
+        expect(getTextUrl(1, 2)).toEqual("/texts/1/witnesses/2");
+        expect(getTextUrl(1, 2, "10-2-0d6ab5a8")).toEqual(
+            "/texts/1/witnesses/2/10-2-0d6ab5a8"
+        );
+    });
+});
@@ -0,0 +1,119 @@
+// @flow
+import { TIBETAN_BREAKS, TIBETAN_SPACES } from "./segmentTibetanText";
+import { NON_BREAKING_TSHEG } from "./addTibetanShay";
+
+export const TSHEG = "་";
+
+// Orthographic variants that are searched for as the same text
+const FOLDED_CHARACTERS = {
+    [NON_BREAKING_TSHEG]: TSHEG,
+    ༀ: "ཨོཾ",
+    "ྃ": "ཾ"
+};
+
+export type NormalisedString = {
+    text: string,
+    // The position in the original string of each character in text,
+    // followed by the length of the original string.
+    positions: number[]
+};
+
+function isSeparator(char: string): boolean {
+    return TIBETAN_BREAKS.includes(char) || TIBETAN_SPACES.includes(char);
+}
+
+/**
+ * Normalise a string so it can be searched regardless of how its syllables
+ * are separated.
+ *
+ * Runs of tsheg, shad and spaces are replaced by a single tsheg.
+ * Orthographic variants are folded into the same form and precomposed
+ * characters are decomposed.
+ *
+ * @param {string} str
+ * @return {NormalisedString}
+ */
+export function normaliseTibetan(str: string): NormalisedString {
+    let text = "";
+    let positions = [];
+    let inSeparator = false;
+    for (let i = 0; i < str.length; i++) {
+        const char = str[i];
+        if (isSeparator(char)) {
+            if (!inSeparator) {
+                text += TSHEG;
+                positions.push(i);
+                inSeparator = true;
+            }
+            continue;
+        }
+        inSeparator = false;
+        const folded = FOLDED_CHARACTERS.hasOwnProperty(char)
+            ? FOLDED_CHARACTERS[char]
+            : char.normalize("NFD");
+        for (let j = 0; j < folded.length; j++) {
+            text += folded[j];
+            positions.push(i);
+        }
+    }
+    positions.push(str.length);
+
+    return { text, positions };
+}
+
+/**
+ * Normalise a search term.
+ *
+ * As well as normalising it in the same way as the text being searched,
+ * separators at the start and end are removed so e.g. trailing shads
+ * are ignored.
+ *
+ * @param {string} searchTerm
+ * @return {string}
+ */
+export function normaliseSearchTerm(searchTerm: string): string {
+    let text = normaliseTibetan(searchTerm).text;
+    let start = 0;
+    let end = text.length;
+    while (start < end && text[start] === TSHEG) {
+        start++;
+    }
+    while (end > start && text[end - 1] === TSHEG) {
+        end--;
+    }
+
+    return text.slice(start, end);
+}
+
+/**
+ * Find the occurrences of searchTerm in content, ignoring the differences
+ * removed by normalisation.
+ *
+ * @param {string} content
+ * @param {string} searchTerm
+ * @return {Array.<[number, number]>} The start and end (exclusive) of each
+ *                                    match in the original content.
+ */
+export function findTibetanMatches(
+    content: string,
+    searchTerm: string
+): Array<[number, number]> {
+    const term = normaliseSearchTerm(searchTerm);
+    if (term.length === 0) {
+        return [];
+    }
+    const normalised = normaliseTibetan(content);
+    const positions = normalised.positions;
+    let matches = [];
+    let position = normalised.text.indexOf(term);
+    while (position !== -1) {
+        const lastPosition = position + term.length - 1;
+        // Include all of the last original character, e.g. if it was
+        // decomposed into several characters.
+        const end = positions[lastPosition] + 1;
+        matches.push([positions[position], end]);
+        position = normalised.text.indexOf(term, position + term.length);
+    }
+
+    return matches;
+}
@@ -0,0 +1,39 @@
+import {
+    normaliseTibetan,
+    normaliseSearchTerm,
+    findTibetanMatches
+} from "./tibetanSearch";
+import { NON_BREAKING_TSHEG } from "./addTibetanShay";
+
+describe("tibetanSearch", () => {
+    test("Normalise separators", () => {
+        const normalised = normaliseTibetan("ཀ། །ཁ" + NON_BREAKING_TSHEG + "ག");
+        expect(normalised.text).toEqual("ཀ་ཁ་ག");
+        expect(normalised.positions).toEqual([0, 1, 4, 5, 6, 7]);
+    });
+
+    test("Decompose precomposed characters", () => {
+        const normalised = normaliseTibetan("ཀ\u0f73");
+        expect(normalised.text).toEqual("ཀ\u0f71\u0f72");
+        expect(normalised.positions).toEqual([0, 1, 1, 2]);
+    });
+
+    test("Normalise search term", () => {
+        expect(normaliseSearchTerm("རྒྱ་གར་སྐད། ")).toEqual("རྒྱ་གར་སྐད");
+        expect(normaliseSearchTerm("་ཀ" + NON_BREAKING_TSHEG + "།")).toEqual(
+            "ཀ"
+        );
+        expect(normaliseSearchTerm("།")).toEqual("");
+    });
+
+    test("Find matches in the original text", () => {
+        const content = "༄༅། །རྒྱ་གར་སྐད་དུ། ས་པྲཛྙཱ་ཤྲཱི། རྒྱ་གར༌";
+        expect(findTibetanMatches(content, "རྒྱ གར།")).toEqual([
+            [5, 11],
+            [34, 40]
+        ]);
+        expect(findTibetanMatches(content, "དུ་ས")).toEqual([[16, 21]]);
+        expect(findTibetanMatches(content, "ཤྲ\u0f73")).toEqual([[28, 32]]);
+        expect(findTibetanMatches(content, "་")).toEqual([]);
+    });
+});
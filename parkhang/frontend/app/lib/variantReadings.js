@@ -0,0 +1,154 @@
+// @flow
+import AnnotatedText from "./AnnotatedText";
+import Annotation from "./Annotation";
+import Witness from "./Witness";
+
+/**
+ * A range of the original text covered by one or more variants.
+ */
+export type VariantRange = {
+    start: number,
+    end: number
+};
+
+/**
+ * A reading of a VariantRange and the ids of the witnesses that have it.
+ */
+export type Reading = {
+    content: string,
+    witnessIds: number[]
+};
+
+/**
+ * Merge the ranges of the given variants so that overlapping variants,
+ * and insertions at the same position as another variant, share a range.
+ */
+export function getVariantRanges(variants: Annotation[]): VariantRange[] {
+    const sorted = [...variants].sort((a, b) => a.start - b.start);
+    let ranges = [];
+    let current: VariantRange | null = null;
+    for (let i = 0; i < sorted.length; i++) {
+        const variant = sorted[i];
+        const end = variant.start + variant.length;
+        if (
+            current &&
+            (variant.start < current.end || variant.start === current.start)
+        ) {
+            current.end = Math.max(current.end, end);
+        } else {
+            current = {
+                start: variant.start,
+                end: end
+            };
+            ranges.push(current);
+        }
+    }
+
+    return ranges;
+}
+
+/**
+ * Return the content of the given range of the original text with the
+ * variants inside that range applied.
+ */
+export function getRangeReading(
+    originalContent: string,
+    range: VariantRange,
+    variants: Annotation[]
+): string {
+    const rangeVariants = variants
+        .filter(
+            variant =>
+                variant.start >= range.start &&
+                variant.start + variant.length <= range.end &&
+                // an insertion at the end of a range belongs to the next one
+                (variant.start < range.end || range.start === range.end)
+        )
+        .sort((a, b) => {
+            let res = a.start - b.start;
+            if (res === 0) {
+                // insertions come before the content at their position
+                res = a.length - b.length;
+            }
+            return res;
+        });
+
+    let reading = "";
+    let position = range.start;
+    for (let i = 0; i < rangeVariants.length; i++) {
+        const variant = rangeVariants[i];
+        if (variant.start < position) {
+            continue;
+        }
+        reading += originalContent.substring(position, variant.start);
+        reading += variant.content;
+        position = variant.start + variant.length;
+    }
+    reading += originalContent.substring(position, range.end);
+
+    return reading;
+}
+
+/**
+ * Get the variants that make up each witness's version of the text.
+ *
+ * The exported text's own variants are used for its witness, default
+ * variants for every other witness and none for the working witness.
+ */
+export function getWitnessVariants(
+    text: AnnotatedText,
+    witnesses: Witness[],
+    variants: Annotation[]
+): { [witnessId: number]: Annotation[] } {
+    const activeWitness = text.activeWitness;
+    let witnessVariants = {};
+    for (let i = 0; i < witnesses.length; i++) {
+        const witness = witnesses[i];
+        if (witness.id === activeWitness.id) {
+            witnessVariants[witness.id] = text.variants;
+        } else if (witness.isWorking) {
+            witnessVariants[witness.id] = [];
+        } else {
+            witnessVariants[witness.id] = variants.filter(
+                variant =>
+                    variant.isVariant &&
+                    !variant.userCreated &&
+                    variant.creatorWitness.id === witness.id
+            );
+        }
+    }
+    if (!witnessVariants.hasOwnProperty(activeWitness.id)) {
+        witnessVariants[activeWitness.id] = text.variants;
+    }
+
+    return witnessVariants;
+}
+
+/**
+ * Group the witnesses by their reading of the given range.
+ */
+export function getReadings(
+    originalContent: string,
+    range: VariantRange,
+    witnessVariants: { [witnessId: number]: Annotation[] }
+): Reading[] {
+    let readings: Reading[] = [];
+    for (let witnessId in witnessVariants) {
+        const content = getRangeReading(
+            originalContent,
+            range,
+            witnessVariants[Number(witnessId)]
+        );
+        let reading = readings.find(reading => reading.content === content);
+        if (!reading) {
+            reading = {
+                content: content,
+                witnessIds: []
+            };
+            readings.push(reading);
+        }
+        reading.witnessIds.push(Number(witnessId));
+    }
+
+    return readings;
+}
@@ -0,0 +1,77 @@
+// @flow
+import {
+    getVariantRanges,
+    getRangeReading,
+    getWitnessVariants,
+    getReadings
+} from "./variantReadings";
+import AnnotatedText from "./AnnotatedText";
+import segmentTibetanText from "./segmentTibetanText";
+import Annotation, { ANNOTATION_TYPES } from "./Annotation";
+import {
+    workingContent,
+    workingWitness,
+    narthangWitness,
+    witnesses,
+    dergeVariant,
+    narthangVariant,
+    variants
+} from "./__fixtures__/sampleText";
+
+describe("variantReadings", () => {
+    test("getVariantRanges merges overlapping variants", () => {
+        const insertion = new Annotation(
+            3,
+            workingWitness,
+            12,
+            0,
+            "ཀ",
+            ANNOTATION_TYPES.variant,
+            narthangWitness
+        );
+        const overlapping = new Annotation(
+            4,
+            workingWitness,
+            13,
+            4,
+            "ཁ",
+            ANNOTATION_TYPES.variant,
+            narthangWitness
+        );
+        expect(
+            getVariantRanges([dergeVariant, insertion, overlapping])
+        ).toEqual([{ start: 12, end: 17 }]);
+    });
+
+    test("getRangeReading applies variants within range", () => {
+        const range = { start: 12, end: 15 };
+        expect(getRangeReading(workingContent, range, [dergeVariant])).toEqual(
+            "སྐང"
+        );
+        expect(getRangeReading(workingContent, range, [])).toEqual("སྐད");
+    });
+
+    test("getReadings groups witnesses by reading", () => {
+        const annotatedText = new AnnotatedText(
+            segmentTibetanText(workingContent),
+            [],
+            null,
+            workingWitness
+        );
+        const witnessVariants = getWitnessVariants(
+            annotatedText,
+            witnesses,
+            variants
+        );
+        expect(witnessVariants[1]).toEqual([]);
+        expect(witnessVariants[2]).toEqual([dergeVariant]);
+        expect(witnessVariants[3]).toEqual([narthangVariant]);
+
+        expect(
+            getReadings(workingContent, { start: 12, end: 15 }, witnessVariants)
+        ).toEqual([
+            { content: "སྐད", witnessIds: [1, 3] },
+            { content: "སྐང", witnessIds: [2] }
+        ]);
+    });
+});
@@ -0,0 +1,202 @@
+// @flow
+import Annotation from "./Annotation";
+import type { AnnotationUniqueId } from "./Annotation";
+import Source from "./Source";
+import User from "./User";
+import Witness from "./Witness";
+import type { OperationStatisticsData } from "api";
+
+/**
+ * Number of variants of each kind.
+ */
+export type VariantCounts = {
+    insertions: number,
+    deletions: number,
+    substitutions: number,
+    total: number
+};
+
+/**
+ * Counts of the variants recorded from a source.
+ */
+export type SourceStatistics = {
+    source: Source,
+    counts: VariantCounts
+};
+
+/**
+ * Counts of the variants created by a user.
+ */
+export type UserStatistics = {
+    user: User,
+    counts: VariantCounts
+};
+
+/**
+ * The number of variants that have been applied to and removed from
+ * a witness.
+ */
+export type OperationCounts = {
+    applied: number,
+    removed: number
+};
+
+/**
+ * The variants a user has applied to and removed from a witness.
+ */
+export type UserOperations = {
+    userName: string,
+    witness: Witness,
+    counts: OperationCounts
+};
+
+const DENSITY_BUCKETS = 50;
+
+function emptyCounts(): VariantCounts {
+    return {
+        insertions: 0,
+        deletions: 0,
+        substitutions: 0,
+        total: 0
+    };
+}
+
+/**
+ * Count the insertions, deletions and substitutions in the given variants.
+ */
+export function countVariants(variants: Annotation[]): VariantCounts {
+    let counts = emptyCounts();
+    for (let i = 0; i < variants.length; i++) {
+        const variant = variants[i];
+        if (variant.isInsertion) {
+            counts.insertions++;
+        } else if (variant.isDeletion) {
+            counts.deletions++;
+        } else {
+            counts.substitutions++;
+        }
+        counts.total++;
+    }
+
+    return counts;
+}
+
+/**
+ * Count the variants recorded from each source.
+ *
+ * Variants created by users are not included as they are not readings
+ * found in the source.
+ */
+export function getSourceStatistics(
+    variants: Annotation[]
+): SourceStatistics[] {
+    let variantsBySource: { [sourceId: number]: Annotation[] } = {};
+    let sources = [];
+    for (let i = 0; i < variants.length; i++) {
+        const variant = variants[i];
+        if (variant.userCreated) {
+            continue;
+        }
+        const source = variant.creatorWitness.source;
+        if (!variantsBySource.hasOwnProperty(source.id)) {
+            variantsBySource[source.id] = [];
+            sources.push(source);
+        }
+        variantsBySource[source.id].push(variant);
+    }
+
+    return sources.map(source => ({
+        source,
+        counts: countVariants(variantsBySource[source.id])
+    }));
+}
+
+/**
+ * Count the variants created by each user.
+ */
+export function getUserStatistics(variants: Annotation[]): UserStatistics[] {
+    let variantsByUser: { [userId: number]: Annotation[] } = {};
+    let users = [];
+    for (let i = 0; i < variants.length; i++) {
+        const user = variants[i].creatorUser;
+        if (!user) {
+            continue;
+        }
+        if (!variantsByUser.hasOwnProperty(user.id)) {
+            variantsByUser[user.id] = [];
+            users.push(user);
+        }
+        variantsByUser[user.id].push(variants[i]);
+    }
+
+    return users.map(user => ({
+        user,
+        counts: countVariants(variantsByUser[user.id])
+    }));
+}
+
+/**
+ * Match the operation counts loaded for each user to their witnesses.
+ *
+ * Counts for witnesses that are not given are left out.
+ *
+ * @param {OperationStatisticsData[]} statistics - Counts for each user
+ *      and witness
+ * @param {Witness[]} witnesses - The witnesses of the text
+ */
+export function getUserOperations(
+    statistics: OperationStatisticsData[],
+    witnesses: Witness[]
+): UserOperations[] {
+    let witnessesById: { [id: number]: Witness } = {};
+    for (let i = 0; i < witnesses.length; i++) {
+        witnessesById[witnesses[i].id] = witnesses[i];
+    }
+
+    let operations = [];
+    for (let i = 0; i < statistics.length; i++) {
+        const userStatistics = statistics[i];
+        if (!witnessesById.hasOwnProperty(userStatistics.witness)) {
+            continue;
+        }
+        operations.push({
+            userName: userStatistics.user_name,
+            witness: witnessesById[userStatistics.witness],
+            counts: {
+                applied: userStatistics.applied,
+                removed: userStatistics.removed
+            }
+        });
+    }
+
+    return operations;
+}
+
+/**
+ * Count the variants that start in each of a number of equal length
+ * sections of the text.
+ *
+ * @param {Annotation[]} variants
+ * @param {number} textLength - Length of the text the variants are in
+ * @param {number} [buckets] - Number of sections to divide the text into
+ * @return {number[]} The number of variants in each section
+ */
+export function getVariantDensity(
+    variants: Annotation[],
+    textLength: number,
+    buckets: number = DENSITY_BUCKETS
+): number[] {
+    let density = new Array(buckets).fill(0);
+    if (textLength <= 0) {
+        return density;
+    }
+    for (let i = 0; i < variants.length; i++) {
+        const bucket = Math.min(
+            Math.floor((variants[i].start / textLength) * buckets),
+            buckets - 1
+        );
+        density[bucket]++;
+    }
+
+    return density;
+}
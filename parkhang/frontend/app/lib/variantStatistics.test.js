@@ -0,0 +1,121 @@
+// @flow
+import {
+    countVariants,
+    getSourceStatistics,
+    getUserStatistics,
+    getUserOperations,
+    getVariantDensity
+} from "./variantStatistics";
+import User from "./User";
+import Annotation, { ANNOTATION_TYPES } from "./Annotation";
+import {
+    workingContent,
+    dergeSource,
+    narthangSource,
+    workingWitness,
+    dergeWitness,
+    narthangWitness
+} from "./__fixtures__/sampleText";
+
+const user = new User(1, "Test User");
+
+function variant(id, witness, start, length, content, creatorUser = null) {
+    return new Annotation(
+        id,
+        workingWitness,
+        start,
+        length,
+        content,
+        ANNOTATION_TYPES.variant,
+        witness,
+        creatorUser
+    );
+}
+
+const substitution = variant(1, dergeWitness, 12, 3, "སྐང");
+const deletion = variant(2, narthangWitness, 20, 2, "");
+const insertion = variant(3, narthangWitness, 32, 0, "་ཡི");
+const userVariant = variant(4, dergeWitness, 5, 2, "རྒྱ", user);
+const variants = [substitution, deletion, insertion, userVariant];
+
+describe("variantStatistics", () => {
+    test("Count variants", () => {
+        expect(countVariants(variants)).toEqual({
+            insertions: 1,
+            deletions: 1,
+            substitutions: 2,
+            total: 4
+        });
+    });
+
+    test("Count variants from each source", () => {
+        expect(getSourceStatistics(variants)).toEqual([
+            {
+                source: dergeSource,
+                counts: {
+                    insertions: 0,
+                    deletions: 0,
+                    substitutions: 1,
+                    total: 1
+                }
+            },
+            {
+                source: narthangSource,
+                counts: {
+                    insertions: 1,
+                    deletions: 1,
+                    substitutions: 0,
+                    total: 2
+                }
+            }
+        ]);
+    });
+
+    test("Count variants created by each user", () => {
+        const statistics = getUserStatistics(variants);
+
+        expect(statistics.length).toEqual(1);
+        expect(statistics[0].user).toBe(user);
+        expect(statistics[0].counts.total).toEqual(1);
+    });
+
+    test("Get applied and removed variants by user", () => {
+        const statistics = [
+            {
+                user: 1,
+                user_name: "Test User",
+                witness: workingWitness.id,
+                applied: 2,
+                removed: 1
+            },
+            {
+                user: 2,
+                user_name: "Other User",
+                witness: 100,
+                applied: 1,
+                removed: 0
+            }
+        ];
+
+        expect(getUserOperations(statistics, [workingWitness])).toEqual([
+            {
+                userName: "Test User",
+                witness: workingWitness,
+                counts: {
+                    applied: 2,
+                    removed: 1
+                }
+            }
+        ]);
+    });
+
+    test("Get variant density", () => {
+        expect(getVariantDensity(variants, workingContent.length, 4)).toEqual([
+            1,
+            1,
+            1,
+            1
+        ]);
+        expect(getVariantDensity(variants, 0, 2)).toEqual([0, 0]);
+    });
+});
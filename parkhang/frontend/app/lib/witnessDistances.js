@@ -0,0 +1,151 @@
+// @flow
+import Annotation from "./Annotation";
+import Witness from "./Witness";
+
+/**
+ * Comparison of the readings two witnesses have against the base text.
+ *
+ * agreements is the number of readings both witnesses share and
+ * disagreements is the number of readings only one of them has.
+ */
+export type WitnessDistance = {
+    agreements: number,
+    disagreements: number
+};
+
+export type DistanceMatrix = {
+    witnesses: Witness[],
+    distances: WitnessDistance[][]
+};
+
+/**
+ * Get the witnesses that can be compared, with the base witness first.
+ *
+ * The working witness is excluded as its readings are the ones chosen
+ * by users rather than found in a source.
+ */
+export function getComparableWitnesses(witnesses: Witness[]): Witness[] {
+    return witnesses
+        .filter(witness => !witness.isWorking)
+        .sort((a, b) => {
+            if (a.isBase !== b.isBase) {
+                return a.isBase ? -1 : 1;
+            }
+            return a.id - b.id;
+        });
+}
+
+function readingKey(variant: Annotation): string {
+    return variant.start + "-" + variant.length + "-" + variant.content;
+}
+
+/**
+ * Compare the readings of every pair of the given witnesses.
+ *
+ * A witness's readings are the variants recorded from it against the
+ * base text. Two witnesses agree on a reading when they both have a
+ * variant with the same start, length and content.
+ *
+ * @param {Witness[]} witnesses - The witnesses to compare
+ * @param {Annotation[]} variants - The variants of all the witnesses
+ * @return {DistanceMatrix}
+ */
+export function getDistanceMatrix(
+    witnesses: Witness[],
+    variants: Annotation[]
+): DistanceMatrix {
+    let readings: { [witnessId: number]: { [key: string]: boolean } } = {};
+    for (let i = 0; i < witnesses.length; i++) {
+        readings[witnesses[i].id] = {};
+    }
+    for (let i = 0; i < variants.length; i++) {
+        const variant = variants[i];
+        const witnessReadings = readings[variant.creatorWitness.id];
+        if (witnessReadings && !variant.userCreated) {
+            witnessReadings[readingKey(variant)] = true;
+        }
+    }
+
+    const distances = witnesses.map(witness => {
+        const keys = Object.keys(readings[witness.id]);
+        return witnesses.map(otherWitness => {
+            const otherReadings = readings[otherWitness.id];
+            const otherCount = Object.keys(otherReadings).length;
+            let agreements = 0;
+            for (let i = 0; i < keys.length; i++) {
+                if (otherReadings[keys[i]]) {
+                    agreements++;
+                }
+            }
+            return {
+                agreements,
+                disagreements: keys.length + otherCount - agreements * 2
+            };
+        });
+    });
+
+    return {
+        witnesses,
+        distances
+    };
+}
+
+function csvValue(value: string): string {
+    if (/[",\n]/.test(value)) {
+        return '"' + value.replace(/"/g, '""') + '"';
+    }
+    return value;
+}
+
+/**
+ * Get the disagreements between witnesses as CSV.
+ */
+export function distanceMatrixToCsv(matrix: DistanceMatrix): string {
+    const names = matrix.witnesses.map(witness => witness.source.name);
+    let lines = [["", ...names].map(csvValue).join(",")];
+    for (let i = 0; i < names.length; i++) {
+        const row = matrix.distances[i].map(distance =>
+            String(distance.disagreements)
+        );
+        lines.push([csvValue(names[i]), ...row].join(","));
+    }
+
+    return lines.join("\n") + "\n";
+}
+
+function nexusLabel(label: string): string {
+    if (/^[A-Za-z0-9_.-]+$/.test(label)) {
+        return label;
+    }
+    return "'" + label.replace(/'/g, "''") + "'";
+}
+
+/**
+ * Get the disagreements between witnesses as a NEXUS file with a
+ * DISTANCES block, which can be read by phylogenetic tools such as
+ * SplitsTree and PAUP.
+ */
+export function distanceMatrixToNexus(matrix: DistanceMatrix): string {
+    const labels = matrix.witnesses.map(witness =>
+        nexusLabel(witness.source.name)
+    );
+    let lines = [
+        "#NEXUS",
+        "",
+        "BEGIN TAXA;",
+        "    DIMENSIONS NTAX=" + labels.length + ";",
+        "    TAXLABELS " + labels.join(" ") + ";",
+        "END;",
+        "",
+        "BEGIN DISTANCES;",
+        "    FORMAT TRIANGLE=BOTH LABELS=LEFT DIAGONAL;",
+        "    MATRIX"
+    ];
+    for (let i = 0; i < labels.length; i++) {
+        const row = matrix.distances[i].map(distance => distance.disagreements);
+        lines.push("        " + [labels[i], ...row].join(" "));
+    }
+    lines.push("    ;", "END;");
+
+    return lines.join("\n") + "\n";
+}
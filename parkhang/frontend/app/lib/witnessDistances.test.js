@@ -0,0 +1,97 @@
+// @flow
+import {
+    getComparableWitnesses,
+    getDistanceMatrix,
+    distanceMatrixToCsv,
+    distanceMatrixToNexus
+} from "./witnessDistances";
+import Source from "./Source";
+import Witness from "./Witness";
+import User from "./User";
+import Annotation, { ANNOTATION_TYPES } from "./Annotation";
+import {
+    text,
+    workingWitness,
+    dergeWitness,
+    narthangWitness
+} from "./__fixtures__/sampleText";
+
+const user = new User(1, "Test User");
+
+const source3 = new Source(4, "Peking, 1737");
+const pekingWitness = new Witness(4, text, source3);
+
+let nextId = 1;
+function variant(witness, start, length, content, creatorUser = null) {
+    return new Annotation(
+        nextId++,
+        workingWitness,
+        start,
+        length,
+        content,
+        ANNOTATION_TYPES.variant,
+        witness,
+        creatorUser
+    );
+}
+
+const variants = [
+    variant(narthangWitness, 12, 3, "སྐང"),
+    variant(pekingWitness, 12, 3, "སྐང"),
+    variant(narthangWitness, 20, 2, ""),
+    variant(pekingWitness, 20, 2, "སི"),
+    variant(pekingWitness, 32, 0, "་ཡི"),
+    variant(dergeWitness, 5, 2, "རྒྱ", user)
+];
+const witnesses = [dergeWitness, narthangWitness, pekingWitness];
+
+describe("witnessDistances", () => {
+    test("Compare witness readings", () => {
+        const matrix = getDistanceMatrix(witnesses, variants);
+
+        expect(matrix.witnesses).toBe(witnesses);
+        expect(
+            matrix.distances.map(row => row.map(d => d.disagreements))
+        ).toEqual([[0, 2, 3], [2, 0, 3], [3, 3, 0]]);
+        expect(matrix.distances.map(row => row.map(d => d.agreements))).toEqual(
+            [[0, 0, 0], [0, 2, 1], [0, 1, 3]]
+        );
+    });
+
+    test("Get comparable witnesses", () => {
+        expect(
+            getComparableWitnesses([
+                pekingWitness,
+                workingWitness,
+                narthangWitness,
+                dergeWitness
+            ])
+        ).toEqual(witnesses);
+    });
+
+    test("Export CSV", () => {
+        const matrix = getDistanceMatrix(witnesses, variants);
+
+        expect(distanceMatrixToCsv(matrix)).toEqual(
+            ',Derge,Narthang,"Peking, 1737"\n' +
+                "Derge,0,2,3\n" +
+                "Narthang,2,0,3\n" +
+                '"Peking, 1737",3,3,0\n'
+        );
+    });
+
+    test("Export NEXUS", () => {
+        const matrix = getDistanceMatrix(witnesses, variants);
+        const nexus = distanceMatrixToNexus(matrix);
+
+        expect(nexus).toMatch(/^#NEXUS\n/);
+        expect(nexus).toContain("DIMENSIONS NTAX=3;");
+        expect(nexus).toContain("TAXLABELS Derge Narthang 'Peking, 1737';");
+        expect(nexus).toContain(
+            "        Derge 0 2 3\n" +
+                "        Narthang 2 0 3\n" +
+                "        'Peking, 1737' 3 3 0\n" +
+                "    ;\n"
+        );
+    });
+});
@@ -0,0 +1,58 @@
+// @flow
+import AnnotatedText from "./AnnotatedText";
+import Annotation from "./Annotation";
+
+function positionKey(annotation: Annotation): string {
+    return annotation.type + "-" + annotation.start + "-" + annotation.length;
+}
+
+/**
+ * Get the working version of a witness: the accepted annotations the user
+ * has applied, along with the accepted annotations other users have
+ * applied.
+ *
+ * Other users' annotations replace the annotations they are based on.
+ * Where the user has changed the same part of the text, the user's
+ * change is kept.
+ *
+ * @param {AnnotatedText} annotatedText - The user's version of the witness.
+ * @param {Annotation[]} otherAnnotations - Other users' applied annotations.
+ */
+export default function getWorkingVersion(
+    annotatedText: AnnotatedText,
+    otherAnnotations: Annotation[]
+): AnnotatedText {
+    // Changes that are waiting for review, or have been rejected,
+    // are not part of the working version.
+    let annotations = annotatedText.annotations.filter(
+        annotation => annotation.isAccepted
+    );
+
+    let changedPositions = {};
+    for (let annotation of annotations) {
+        if (annotation.userCreated) {
+            changedPositions[positionKey(annotation)] = true;
+        }
+    }
+
+    let replacedIds = {};
+    for (let annotation of otherAnnotations) {
+        const key = positionKey(annotation);
+        if (!annotation.isAccepted || changedPositions[key]) {
+            continue;
+        }
+        if (annotation.basedOn) {
+            replacedIds[annotation.basedOn.uniqueId] = true;
+        }
+        changedPositions[key] = true;
+        annotations.push(annotation);
+    }
+
+    return new AnnotatedText(
+        annotatedText.originalText,
+        annotations.filter(annotation => !replacedIds[annotation.uniqueId]),
+        annotatedText.segmenter,
+        annotatedText.baseWitness,
+        annotatedText.activeWitness
+    );
+}
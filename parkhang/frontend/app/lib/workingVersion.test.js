@@ -0,0 +1,75 @@
+// @flow
+import getWorkingVersion from "./workingVersion";
+import AnnotatedText from "./AnnotatedText";
+import Annotation, { ANNOTATION_TYPES, REVIEW_STATES } from "./Annotation";
+import User from "./User";
+import segmentTibetanText from "./segmentTibetanText";
+import {
+    workingContent,
+    workingWitness,
+    dergeWitness,
+    segmenter
+} from "./__fixtures__/sampleText";
+
+const user = new User(1, "User");
+const otherUser = new User(2, "Other User");
+
+function variant(id, start, length, creatorUser = null, basedOn = null) {
+    return new Annotation(
+        id,
+        dergeWitness,
+        start,
+        length,
+        "ཀ",
+        ANNOTATION_TYPES.variant,
+        workingWitness,
+        creatorUser,
+        String(id),
+        basedOn
+    );
+}
+
+describe("getWorkingVersion", () => {
+    const defaultVariant = variant(1, 0, 2);
+    const otherDefaultVariant = variant(2, 4, 3);
+    const userVariant = variant(3, 8, 2, user);
+    const proposedVariant = variant(4, 12, 2, user);
+    const annotatedText = new AnnotatedText(
+        segmentTibetanText(workingContent),
+        [defaultVariant, otherDefaultVariant, userVariant, proposedVariant],
+        segmenter,
+        dergeWitness,
+        workingWitness
+    );
+    userVariant.reviewState = REVIEW_STATES.accepted;
+
+    test("Leave out annotations that are not accepted", () => {
+        const workingVersion = getWorkingVersion(annotatedText, []);
+        expect(workingVersion.annotations).toEqual([
+            defaultVariant,
+            otherDefaultVariant,
+            userVariant
+        ]);
+    });
+
+    test("Add other users' accepted annotations", () => {
+        const replacement = variant(5, 4, 3, otherUser, otherDefaultVariant);
+        const conflicting = variant(6, 8, 2, otherUser);
+        const proposed = variant(7, 16, 2, otherUser);
+        for (let annotation of [replacement, conflicting]) {
+            annotation.reviewState = REVIEW_STATES.accepted;
+        }
+
+        const workingVersion = getWorkingVersion(annotatedText, [
+            replacement,
+            conflicting,
+            proposed
+        ]);
+        expect(workingVersion.annotations).toEqual([
+            defaultVariant,
+            userVariant,
+            replacement
+        ]);
+        expect(workingVersion.activeWitness).toBe(workingWitness);
+    });
+});
@@ -10,6 +10,8 @@ import type { SourceData, TextData, WitnessData, AnnotationData } from "api";
 import Source from "lib/Source";
 import Text from "lib/Text";
 import User from "lib/User";
+import type { IiifCanvas } from "lib/iiifManifest";
+import type { IiifImageInfo } from "lib/iiifImage";
 
 export type AnnotationOperations = {
     [api.AnnotationOp]: { [AnnotationUniqueId]: AnnotationUniqueId }
@@ -41,6 +43,27 @@ export type DataState = {
     loadingAnnotations: boolean,
     loadedAnnotations: boolean,
     loadedAnnotationOperations: boolean,
+    operationStatisticsById: {
+        [textId: number]: api.OperationStatisticsData[]
+    },
+    proposedAnnotationsById: {
+        [textId: number]: api.ProposedAnnotationData[]
+    },
+    annotationChangesById: {
+        [annotationId: string]: api.AnnotationChangeData[]
+    },
+    witnessBlameById: {
+        [witnessId: number]: api.AnnotationChangeData[]
+    },
+    witnessDiscussionsById: {
+        [witnessId: number]: api.DiscussionData[]
+    },
+    iiifCanvasesByUrl: {
+        [manifestUrl: string]: IiifCanvas[]
+    },
+    iiifImageInfoByUrl: {
+        [serviceUrl: string]: IiifImageInfo
+    },
     searchResults: {
         [searchTerm: string]: {
             [textId: number]: api.TextSearchResultData
@@ -71,6 +94,13 @@ export const initialDataState: DataState = {
     loadingAnnotations: false,
     loadedAnnotations: false,
     loadedAnnotationOperations: false,
+    operationStatisticsById: {},
+    proposedAnnotationsById: {},
+    annotationChangesById: {},
+    witnessBlameById: {},
+    witnessDiscussionsById: {},
+    iiifCanvasesByUrl: {},
+    iiifImageInfoByUrl: {},
     searchResults: {}
 };
 
@@ -415,7 +445,30 @@ function updatedAnnotation(
     if (!annotation.isSaved) {
         console.warn("Updating annotation which is not saved: %o", action);
     }
-    return createdAnnotation(state, action);
+    state = createdAnnotation(state, action);
+
+    // The update is sent with the revision it is based on, and the server
+    // increments the revision when it accepts it. Updates pushed from the
+    // server already have the new revision.
+    const witness = annotation.witness;
+    const revision = action.fromServer
+        ? annotation.revision
+        : annotation.revision + 1;
+    const annotationData =
+        state.witnessAnnotationsById[witness.id][annotation.uniqueId];
+    return {
+        ...state,
+        witnessAnnotationsById: {
+            ...state.witnessAnnotationsById,
+            [witness.id]: {
+                ...state.witnessAnnotationsById[witness.id],
+                [annotation.uniqueId]: {
+                    ...annotationData,
+                    revision
+                }
+            }
+        }
+    };
 }
 
 function deletedAnnotation(
@@ -448,6 +501,13 @@ function deletedAnnotation(
     };
 }
 
+function resolvedAnnotationConflict(
+    state: DataState,
+    action: actions.AnnotationAction
+): DataState {
+    return createdAnnotation(state, action);
+}
+
 /**
  * Deletes the existing temporary annotation if it is present,
  * then adds the saved version.
@@ -483,6 +543,194 @@ function savedAnnotation(
     };
 }
 
+function loadedOperationStatistics(
+    state: DataState,
+    action: actions.LoadedOperationStatisticsAction
+): DataState {
+    return {
+        ...state,
+        operationStatisticsById: {
+            ...state.operationStatisticsById,
+            [action.textId]: action.statistics
+        }
+    };
+}
+
+function loadedProposedAnnotations(
+    state: DataState,
+    action: actions.LoadedProposedAnnotationsAction
+): DataState {
+    return {
+        ...state,
+        proposedAnnotationsById: {
+            ...state.proposedAnnotationsById,
+            [action.textId]: action.annotations
+        }
+    };
+}
+
+/**
+ * Removes the reviewed annotations from the text's proposed annotations,
+ * and updates any that have been loaded into a witness.
+ * @param state
+ * @param action
+ */
+function reviewedAnnotations(
+    state: DataState,
+    action: actions.ReviewedAnnotationsAction
+): DataState {
+    const { textId, annotationIds, reviewState } = action;
+    const proposedAnnotations = state.proposedAnnotationsById[textId] || [];
+
+    let witnessAnnotationsById = { ...state.witnessAnnotationsById };
+    for (let witnessId in witnessAnnotationsById) {
+        const witnessAnnotations = witnessAnnotationsById[witnessId];
+        for (let annotationId of annotationIds) {
+            const annotationData = witnessAnnotations[annotationId];
+            if (annotationData) {
+                // Reviewing doesn't change the revision of annotations
+                witnessAnnotationsById[witnessId] = {
+                    ...witnessAnnotationsById[witnessId],
+                    [annotationId]: {
+                        ...annotationData,
+                        review_state: reviewState
+                    }
+                };
+            }
+        }
+    }
+
+    return {
+        ...state,
+        witnessAnnotationsById,
+        proposedAnnotationsById: {
+            ...state.proposedAnnotationsById,
+            [textId]: proposedAnnotations.filter(
+                annotationData =>
+                    annotationIds.indexOf(annotationData.unique_id) === -1
+            )
+        }
+    };
+}
+
+function loadedAnnotationHistory(
+    state: DataState,
+    action: actions.LoadedAnnotationHistoryAction
+): DataState {
+    return {
+        ...state,
+        annotationChangesById: {
+            ...state.annotationChangesById,
+            [action.annotationId]: action.changes
+        }
+    };
+}
+
+function loadedWitnessBlame(
+    state: DataState,
+    action: actions.LoadedWitnessBlameAction
+): DataState {
+    return {
+        ...state,
+        witnessBlameById: {
+            ...state.witnessBlameById,
+            [action.witnessId]: action.changes
+        }
+    };
+}
+
+function loadedDiscussions(
+    state: DataState,
+    action: actions.LoadedDiscussionsAction
+): DataState {
+    return {
+        ...state,
+        witnessDiscussionsById: {
+            ...state.witnessDiscussionsById,
+            [action.witnessId]: action.discussions
+        }
+    };
+}
+
+function loadedIiifManifest(
+    state: DataState,
+    action: actions.LoadedIiifManifestAction
+): DataState {
+    return {
+        ...state,
+        iiifCanvasesByUrl: {
+            ...state.iiifCanvasesByUrl,
+            [action.url]: action.canvases
+        }
+    };
+}
+
+function loadedIiifImageInfo(
+    state: DataState,
+    action: actions.LoadedIiifImageInfoAction
+): DataState {
+    return {
+        ...state,
+        iiifImageInfoByUrl: {
+            ...state.iiifImageInfoByUrl,
+            [action.serviceUrl]: action.info
+        }
+    };
+}
+
+function updateDiscussion(
+    state: DataState,
+    witnessId: number,
+    noteId: string,
+    update: (discussion: api.DiscussionData) => api.DiscussionData
+): DataState {
+    const discussions = state.witnessDiscussionsById[witnessId];
+    if (!discussions) {
+        return state;
+    }
+    return {
+        ...state,
+        witnessDiscussionsById: {
+            ...state.witnessDiscussionsById,
+            [witnessId]: discussions.map(discussion =>
+                discussion.unique_id === noteId
+                    ? update(discussion)
+                    : discussion
+            )
+        }
+    };
+}
+
+function addedNoteReply(
+    state: DataState,
+    action: actions.AddedNoteReplyAction
+): DataState {
+    return updateDiscussion(
+        state,
+        action.witnessData.id,
+        action.noteId,
+        discussion => ({
+            ...discussion,
+            replies: discussion.replies.concat([action.reply])
+        })
+    );
+}
+
+function changedNoteResolved(
+    state: DataState,
+    action: actions.ChangedNoteResolvedAction
+): DataState {
+    return updateDiscussion(
+        state,
+        action.witnessData.id,
+        action.noteId,
+        discussion => ({
+            ...discussion,
+            is_resolved: action.isResolved
+        })
+    );
+}
+
 function searchedText(
     state: DataState,
     action: actions.SearchedTextAction
@@ -539,6 +787,18 @@ function updatedSearchResults(
     }
 }
 
+// Each mode finds different results, so they are discarded when the mode
+// is changed.
+function changedSearchMode(
+    state: DataState,
+    action: actions.ChangedSearchModeAction
+): DataState {
+    return {
+        ...state,
+        searchResults: {}
+    };
+}
+
 const dataReducers = {};
 dataReducers[actions.LOADING_INITIAL_DATA] = loadingInitialData;
 dataReducers[actions.LOADED_INITIAL_DATA] = loadedInitialData;
@@ -561,8 +821,20 @@ dataReducers[actions.CREATED_ANNOTATION] = createdAnnotation;
 dataReducers[actions.UPDATED_ANNOTATION] = updatedAnnotation;
 dataReducers[actions.DELETED_ANNOTATION] = deletedAnnotation;
 dataReducers[actions.SAVED_ANNOTATION] = savedAnnotation;
+dataReducers[actions.RESOLVED_ANNOTATION_CONFLICT] = resolvedAnnotationConflict;
 dataReducers[actions.UPDATED_SEARCH_RESULTS] = updatedSearchResults;
 dataReducers[actions.SEARCHED_TEXT] = searchedText;
+dataReducers[actions.CHANGED_SEARCH_MODE] = changedSearchMode;
+dataReducers[actions.LOADED_OPERATION_STATISTICS] = loadedOperationStatistics;
+dataReducers[actions.LOADED_PROPOSED_ANNOTATIONS] = loadedProposedAnnotations;
+dataReducers[actions.REVIEWED_ANNOTATIONS] = reviewedAnnotations;
+dataReducers[actions.LOADED_ANNOTATION_HISTORY] = loadedAnnotationHistory;
+dataReducers[actions.LOADED_WITNESS_BLAME] = loadedWitnessBlame;
+dataReducers[actions.LOADED_DISCUSSIONS] = loadedDiscussions;
+dataReducers[actions.ADDED_NOTE_REPLY] = addedNoteReply;
+dataReducers[actions.CHANGED_NOTE_RESOLVED] = changedNoteResolved;
+dataReducers[actions.LOADED_IIIF_MANIFEST] = loadedIiifManifest;
+dataReducers[actions.LOADED_IIIF_IMAGE_INFO] = loadedIiifImageInfo;
 export default dataReducers;
 
 // Selectors
@@ -578,7 +850,7 @@ export const getText = (
         if (asData) {
             text = textData;
         } else {
-            text = new Text(textData.id, textData.name);
+            text = new Text(textData.id, textData.name, textData.language);
         }
     }
     return text;
@@ -789,6 +1061,12 @@ export function annotationFromData(
     if (annotationData.modified) {
         annotation.modified = annotationData.modified;
     }
+    if (annotationData.revision) {
+        annotation.revision = annotationData.revision;
+    }
+    if (annotationData.review_state) {
+        annotation.reviewState = annotationData.review_state;
+    }
 
     return annotation;
 }
@@ -831,7 +1109,9 @@ export function dataFromAnnotation(
         unique_id: annotation.uniqueId,
         original: annotation.basedOn ? annotation.basedOn.uniqueId : null,
         is_deleted: false,
-        is_saved: annotation.isSaved
+        is_saved: annotation.isSaved,
+        revision: annotation.revision,
+        review_state: annotation.reviewState
     };
 }
 
@@ -1012,3 +1292,80 @@ export const getSearchResults = (
         return null;
     }
 };
+
+export const getOperationStatistics = (
+    state: DataState,
+    textId: number
+): api.OperationStatisticsData[] | null => {
+    if (state.operationStatisticsById.hasOwnProperty(textId)) {
+        return state.operationStatisticsById[textId];
+    } else {
+        return null;
+    }
+};
+
+export const getProposedAnnotations = (
+    state: DataState,
+    textId: number
+): api.ProposedAnnotationData[] | null => {
+    if (state.proposedAnnotationsById.hasOwnProperty(textId)) {
+        return state.proposedAnnotationsById[textId];
+    } else {
+        return null;
+    }
+};
+
+export const getAnnotationChanges = (
+    state: DataState,
+    annotationId: string
+): api.AnnotationChangeData[] | null => {
+    if (state.annotationChangesById.hasOwnProperty(annotationId)) {
+        return state.annotationChangesById[annotationId];
+    } else {
+        return null;
+    }
+};
+
+export const getWitnessBlame = (
+    state: DataState,
+    witnessId: number
+): api.AnnotationChangeData[] | null => {
+    if (state.witnessBlameById.hasOwnProperty(witnessId)) {
+        return state.witnessBlameById[witnessId];
+    } else {
+        return null;
+    }
+};
+
+export const getDiscussions = (
+    state: DataState,
+    witnessId: number
+): api.DiscussionData[] | null => {
+    if (state.witnessDiscussionsById.hasOwnProperty(witnessId)) {
+        return state.witnessDiscussionsById[witnessId];
+    } else {
+        return null;
+    }
+};
+
+export const getIiifCanvases = (
+    state: DataState,
+    manifestUrl: string
+): IiifCanvas[] | null => {
+    if (state.iiifCanvasesByUrl.hasOwnProperty(manifestUrl)) {
+        return state.iiifCanvasesByUrl[manifestUrl];
+    } else {
+        return null;
+    }
+};
+
+export const getIiifImageInfo = (
+    state: DataState,
+    serviceUrl: string
+): IiifImageInfo | null => {
+    if (state.iiifImageInfoByUrl.hasOwnProperty(serviceUrl)) {
+        return state.iiifImageInfoByUrl[serviceUrl];
+    } else {
+        return null;
+    }
+};
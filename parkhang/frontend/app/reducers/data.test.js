@@ -4,13 +4,15 @@ import Source from "lib/Source";
 import Witness from "lib/Witness";
 import Annotation, {
     TemporaryAnnotation,
-    ANNOTATION_TYPES
+    ANNOTATION_TYPES,
+    REVIEW_STATES
 } from "lib/Annotation";
 import User from "lib/User";
 import dataReducers, * as data from "reducers/data";
 // import dataReducers, { initialDataState, dataFromAnnotation } from 'reducers/data'
 import * as actions from "actions";
 import * as api from "api";
+import * as constants from "app_constants";
 
 const source1 = new Source(1, "Derge", true);
 const source2 = new Source(2, "Narthang");
@@ -278,6 +280,8 @@ describe("CUD annotation", () => {
         if (!annotationData) throw new Error();
 
         annotationData.is_saved = true;
+        // The server increments the revision when it accepts the update
+        annotationData.revision = updatedAnnotation.revision + 1;
         const expectedState = {
             ...state,
             witnessAnnotationsById: {
@@ -347,9 +351,10 @@ describe("CUD annotation", () => {
             ...state,
             witnessAnnotationsById: {
                 [baseWitness.id]: {
-                    [savedAnnotation.uniqueId]: data.dataFromAnnotation(
-                        updatedSavedAnnotation
-                    )
+                    [savedAnnotation.uniqueId]: {
+                        ...data.dataFromAnnotation(updatedSavedAnnotation),
+                        revision: updatedSavedAnnotation.revision + 1
+                    }
                 }
             }
         };
@@ -530,3 +535,165 @@ describe("Data selectors", () => {
         ).toEqual(false);
     });
 });
+
+describe("Search results", () => {
+    test("Results are discarded when the search mode changes", () => {
+        const results = {
+            [text.id]: { results: [[0, "Test", 4]], total: 1, extra: false }
+        };
+        const updated = actions.updatedSearchResults("Test", results);
+        let state = dataReducers[updated.type](data.initialDataState, updated);
+        expect(data.getSearchResults(state, "Test")).toEqual(results);
+
+        const changed = actions.changedSearchMode(
+            constants.SEARCH_MODES.variants
+        );
+        state = dataReducers[changed.type](state, changed);
+        expect(data.getSearchResults(state, "Test")).toBeNull();
+    });
+});
+
+describe("Variant statistics", () => {
+    test("Operation statistics are stored for each text", () => {
+        const statistics = [
+            {
+                user: 1,
+                user_name: "Test User",
+                witness: otherWitness.id,
+                applied: 3,
+                removed: 1
+            }
+        ];
+        expect(
+            data.getOperationStatistics(data.initialDataState, text.id)
+        ).toBeNull();
+
+        const loaded = actions.loadedOperationStatistics(text.id, statistics);
+        const state = dataReducers[loaded.type](data.initialDataState, loaded);
+        expect(data.getOperationStatistics(state, text.id)).toEqual(statistics);
+    });
+});
+
+describe("Reviewing annotations", () => {
+    test("Users' annotations are proposed unless they can review", () => {
+        const reviewer = new User(2, "Reviewer", "en", true);
+        const proposed = new Annotation(
+            null,
+            baseWitness,
+            5,
+            7,
+            "proposed",
+            ANNOTATION_TYPES.variant,
+            baseWitness,
+            user
+        );
+        const accepted = new Annotation(
+            null,
+            baseWitness,
+            5,
+            7,
+            "accepted",
+            ANNOTATION_TYPES.variant,
+            baseWitness,
+            reviewer
+        );
+        expect(proposed.reviewState).toEqual(REVIEW_STATES.proposed);
+        expect(accepted.reviewState).toEqual(REVIEW_STATES.accepted);
+        expect(annotation.isAccepted).toBe(true);
+    });
+
+    test("Reviewed annotations are removed from the proposed annotations", () => {
+        const userAnnotation = new Annotation(
+            null,
+            baseWitness,
+            5,
+            7,
+            "proposed",
+            ANNOTATION_TYPES.variant,
+            baseWitness,
+            user
+        );
+        const created = actions.createdAnnotation(userAnnotation);
+        let state = dataReducers[created.type](data.initialDataState, created);
+        const annotationData = {
+            ...data.dataFromAnnotation(userAnnotation),
+            creator_name: "Test"
+        };
+        const otherAnnotationData = {
+            ...annotationData,
+            unique_id: "other"
+        };
+        const loaded = actions.loadedProposedAnnotations(text.id, [
+            annotationData,
+            otherAnnotationData
+        ]);
+        state = dataReducers[loaded.type](state, loaded);
+        expect(data.getProposedAnnotations(state, text.id)).toHaveLength(2);
+
+        const reviewed = actions.reviewedAnnotations(
+            text.id,
+            [userAnnotation.uniqueId],
+            REVIEW_STATES.rejected
+        );
+        state = dataReducers[reviewed.type](state, reviewed);
+        expect(data.getProposedAnnotations(state, text.id)).toEqual([
+            otherAnnotationData
+        ]);
+        const reviewedData =
+            state.witnessAnnotationsById[baseWitness.id][
+                userAnnotation.uniqueId
+            ];
+        expect(reviewedData.review_state).toEqual(REVIEW_STATES.rejected);
+        expect(reviewedData.revision).toEqual(userAnnotation.revision);
+    });
+});
+
+describe("Discussions", () => {
+    test("Replies are added to the discussion of a note", () => {
+        const note = new Annotation(
+            null,
+            baseWitness,
+            5,
+            7,
+            "A note",
+            ANNOTATION_TYPES.note,
+            baseWitness,
+            user
+        );
+        const noteData = {
+            ...data.dataFromAnnotation(note),
+            creator_name: "Test",
+            created: "2020-01-01T00:00:00Z",
+            is_resolved: false,
+            replies: []
+        };
+        const loaded = actions.loadedDiscussions(baseWitness.id, [noteData]);
+        let state = dataReducers[loaded.type](data.initialDataState, loaded);
+
+        const reply = {
+            id: null,
+            user: user.id,
+            user_name: user.name,
+            content: "A reply to @Test",
+            mentions: ["Test"],
+            created: "2020-01-01T00:00:00Z"
+        };
+        const added = actions.addedNoteReply(
+            baseWitnessData,
+            note.uniqueId,
+            reply
+        );
+        state = dataReducers[added.type](state, added);
+        const resolved = actions.changedNoteResolved(
+            baseWitnessData,
+            note.uniqueId,
+            true
+        );
+        state = dataReducers[resolved.type](state, resolved);
+
+        expect(data.getDiscussions(state, baseWitness.id)).toEqual([
+            { ...noteData, is_resolved: true, replies: [reply] }
+        ]);
+        expect(data.getDiscussions(state, otherWitness.id)).toBeNull();
+    });
+});
@@ -4,7 +4,7 @@ import AnnotatedText from "lib/AnnotatedText";
 import * as selectors from "reducers";
 import getWitnessAppliedAnnotations from "./getWitnessAppliedAnnotations";
 import { getRemovedDefaultAnnotationsForWitnessId } from "reducers";
-import segmentTibetanText from "lib/segmentTibetanText";
+import { getTextSegmenter } from "lib/segmenters";
 
 const getWitnessAnnotatedText = (
     state: AppState,
@@ -73,15 +73,14 @@ const getWitnessAnnotatedText = (
         );
     }
 
-    let segmentedWorkingWitness = segmentTibetanText(
-        workingWitness.content || ""
-    );
+    const segmenter = getTextSegmenter(workingWitness.text);
+    let segmentedWorkingWitness = segmenter(workingWitness.content || "");
 
     let annotatedText = new AnnotatedText(
         segmentedWorkingWitness,
         appliedAnnotations,
         text => {
-            return segmentTibetanText(text).segments;
+            return segmenter(text).segments;
         },
         workingWitness,
         witness
@@ -14,8 +14,17 @@ import Source from "lib/Source";
 import Text from "lib/Text";
 import type { WitnessData, AnnotationData, TextData } from "api";
 import { appliedOp, removedOp } from "api";
-import type { TextSearchResultData } from "api";
+import type {
+    TextSearchResultData,
+    OperationStatisticsData,
+    ProposedAnnotationData,
+    AnnotationChangeData,
+    DiscussionData
+} from "api";
 import User from "lib/User";
+import type { KeyBindings } from "lib/keyBindings";
+import type { IiifCanvas } from "lib/iiifManifest";
+import type { IiifImageInfo } from "lib/iiifImage";
 
 // i18n
 import { intlReducer } from "react-intl-redux";
@@ -125,6 +134,24 @@ export const showPageImages = (state: AppState): boolean => {
     return ui.showPageImages(state.ui);
 };
 
+export const getShowPechaView = (state: AppState): boolean => {
+    return ui.getShowPechaView(state.ui);
+};
+
+export const getPageImageLayout = (state: AppState): string => {
+    return ui.getPageImageLayout(state.ui);
+};
+
+export const getPageImageZoom = (state: AppState): number => {
+    return ui.getPageImageZoom(state.ui);
+};
+
+export const getPageImageAdjustments = (
+    state: AppState
+): actions.PageImageAdjustments => {
+    return ui.getPageImageAdjustments(state.ui);
+};
+
 export const getActiveAnnotation = (
     state: AppState,
     witnessId?: number
@@ -171,24 +198,110 @@ export const getExportingWitness = (
     return ui.getExportingWitness(state.ui, witnessId);
 };
 
+export const getExportedOwnChangesOnly = (
+    state: AppState,
+    witnessId: number
+): boolean => {
+    return ui.getExportedOwnChangesOnly(state.ui, witnessId);
+};
+
+export const getImportingWitnessId = (state: AppState): number | null => {
+    return ui.getImportingWitnessId(state.ui);
+};
+
+export const getImportedAnnotations = (
+    state: AppState
+): Annotation[] | null => {
+    return ui.getImportedAnnotations(state.ui);
+};
+
+export const getComparisonWitnessIds = (
+    state: AppState,
+    textId: number
+): number[] => {
+    return ui.getComparisonWitnessIds(state.ui, textId);
+};
+
 export const getSearchValue = (state: AppState): string => {
     return ui.getSearchValue(state.ui);
 };
 
+export const getSearchMode = (state: AppState): string => {
+    return ui.getSearchMode(state.ui);
+};
+
+export const getSearchError = (state: AppState): string | null => {
+    return ui.getSearchError(state.ui);
+};
+
 export const getSelectedSearchResult = (
     state: AppState
 ): null | { textId: number, start: number, length: number } => {
     return ui.getSelectedSearchResult(state.ui);
 };
 
+export const getVariantStatisticsVisible = (state: AppState): boolean => {
+    return ui.getVariantStatisticsVisible(state.ui);
+};
+
+export const getReviewQueueVisible = (state: AppState): boolean => {
+    return ui.getReviewQueueVisible(state.ui);
+};
+
+export const getHistoryAnnotationId = (state: AppState): string | null => {
+    return ui.getHistoryAnnotationId(state.ui);
+};
+
+export const getShowBlame = (state: AppState): boolean => {
+    return ui.getShowBlame(state.ui);
+};
+
+export const getDiscussionsVisible = (state: AppState): boolean => {
+    return ui.getDiscussionsVisible(state.ui);
+};
+
+export const getSelectedDiscussionId = (state: AppState): string | null => {
+    return ui.getSelectedDiscussionId(state.ui);
+};
+
 export const getAccountOverlayVisible = (state: AppState): boolean => {
     return ui.getAccountOverlayVisible(state.ui);
 };
 
+export const getShortcutsOverlayVisible = (state: AppState): boolean => {
+    return ui.getShortcutsOverlayVisible(state.ui);
+};
+
+export const getUserKeyBindings = (state: AppState): KeyBindings => {
+    return ui.getUserKeyBindings(state.ui);
+};
+
+export const getKeyBindings = (state: AppState): KeyBindings => {
+    return ui.getKeyBindings(state.ui);
+};
+
 export const getTextFontSize = (state: AppState): number => {
     return ui.getTextFontSize(state.ui);
 };
 
+export const getPendingRequestCount = (state: AppState): number => {
+    return ui.getPendingRequestCount(state.ui);
+};
+
+export const getUndoAnnotationChange = (
+    state: AppState,
+    textId: number
+): actions.AnnotationChange | null => {
+    return ui.getUndoAnnotationChange(state.ui, textId);
+};
+
+export const getRedoAnnotationChange = (
+    state: AppState,
+    textId: number
+): actions.AnnotationChange | null => {
+    return ui.getRedoAnnotationChange(state.ui, textId);
+};
+
 // data
 
 export const getText = (
@@ -318,6 +431,41 @@ export const annotationFromData = (
     return annotation;
 };
 
+/**
+ * An annotation update that was rejected by the server, and the version of
+ * the annotation that is on the server.
+ */
+export type AnnotationConflict = {
+    mine: Annotation,
+    theirs: Annotation
+};
+
+export const getAnnotationConflicts = (
+    state: AppState,
+    witnessId: number
+): AnnotationConflict[] => {
+    const conflictsData = ui.getAnnotationConflicts(state.ui, witnessId);
+    let conflicts = [];
+    for (let i = 0; i < conflictsData.length; i++) {
+        const mine = annotationFromData(state, conflictsData[i].mine);
+        const theirs = annotationFromData(state, conflictsData[i].theirs);
+        if (mine && theirs) {
+            // Both versions have been saved to the server
+            mine.save();
+            theirs.save();
+            conflicts.push({ mine, theirs });
+        }
+    }
+    return conflicts;
+};
+
+export const getCollaboratorPresence = (
+    state: AppState,
+    witnessId: number
+): actions.CollaboratorPresence[] => {
+    return ui.getCollaboratorPresence(state.ui, witnessId);
+};
+
 export const annotationsFromData = (
     state: AppState,
     annotationList: { [string]: AnnotationData } | null
@@ -376,6 +524,55 @@ export const getSearchResults = (
     return data.getSearchResults(state.data, searchTerm);
 };
 
+export const getOperationStatistics = (
+    state: AppState,
+    textId: number
+): OperationStatisticsData[] | null => {
+    return data.getOperationStatistics(state.data, textId);
+};
+
+export const getProposedAnnotations = (
+    state: AppState,
+    textId: number
+): ProposedAnnotationData[] | null => {
+    return data.getProposedAnnotations(state.data, textId);
+};
+
+export const getAnnotationChanges = (
+    state: AppState,
+    annotationId: string
+): AnnotationChangeData[] | null => {
+    return data.getAnnotationChanges(state.data, annotationId);
+};
+
+export const getWitnessBlame = (
+    state: AppState,
+    witnessId: number
+): AnnotationChangeData[] | null => {
+    return data.getWitnessBlame(state.data, witnessId);
+};
+
+export const getDiscussions = (
+    state: AppState,
+    witnessId: number
+): DiscussionData[] | null => {
+    return data.getDiscussions(state.data, witnessId);
+};
+
+export const getIiifCanvases = (
+    state: AppState,
+    manifestUrl: string
+): IiifCanvas[] | null => {
+    return data.getIiifCanvases(state.data, manifestUrl);
+};
+
+export const getIiifImageInfo = (
+    state: AppState,
+    serviceUrl: string
+): IiifImageInfo | null => {
+    return data.getIiifImageInfo(state.data, serviceUrl);
+};
+
 // Root
 
 export const allReducers = {
@@ -3,6 +3,8 @@ import * as actions from "actions";
 import Annotation, { TemporaryAnnotation } from "lib/Annotation";
 import * as api from "api";
 import * as constants from "app_constants";
+import { getKeyBindings as getKeyBindingsWithDefaults } from "lib/keyBindings";
+import type { KeyBindings } from "lib/keyBindings";
 
 export type UIState = {
     selectedText: api.TextData | null,
@@ -13,7 +15,14 @@ export type UIState = {
         length: number
     } | null,
     searchValue: string,
+    searchMode: string,
+    searchError: string | null,
     showPageImages: boolean,
+    // Whether paginated witnesses are shown as pecha folios
+    showPechaView: boolean,
+    pageImageLayout: string,
+    pageImageZoom: number,
+    pageImageAdjustments: actions.PageImageAdjustments,
     activeAnnotations: { [witnessId: number]: Annotation },
     activeTextAnnotations: { [textId: number]: Annotation },
     textListVisible: boolean,
@@ -29,8 +38,37 @@ export type UIState = {
     exportingWitness: {
         [witnessId: number]: boolean
     },
+    exportedOwnChangesOnly: {
+        [witnessId: number]: boolean
+    },
+    importingWitnessId: number | null,
+    importedAnnotations: Annotation[] | null,
+    comparisonWitnesses: { [textId: number]: number[] },
+    showVariantStatistics: boolean,
+    showReviewQueue: boolean,
+    historyAnnotationId: string | null,
+    showBlame: boolean,
+    showDiscussions: boolean,
+    selectedDiscussionId: string | null,
     showAccountOverlay: boolean,
-    textFontSize: number
+    showShortcutsOverlay: boolean,
+    keyBindings: KeyBindings,
+    textFontSize: number,
+    pendingRequests: number,
+    annotationHistory: {
+        [textId: number]: {
+            undo: actions.AnnotationChange[],
+            redo: actions.AnnotationChange[]
+        }
+    },
+    annotationConflicts: {
+        [annotationId: string]: actions.AnnotationConflictData
+    },
+    collaboratorPresence: {
+        [witnessId: number]: {
+            [clientId: string]: actions.CollaboratorPresence
+        }
+    }
 };
 
 export const initialUIState = {
@@ -38,7 +76,13 @@ export const initialUIState = {
     selectedTextWitness: {},
     selectedSearchResult: null,
     searchValue: "",
+    searchMode: constants.SEARCH_MODES.text,
+    searchError: null,
     showPageImages: true,
+    showPechaView: false,
+    pageImageLayout: constants.PAGE_IMAGE_LAYOUTS.inline,
+    pageImageZoom: constants.MIN_PAGE_IMAGE_ZOOM,
+    pageImageAdjustments: constants.DEFAULT_PAGE_IMAGE_ADJUSTMENTS,
     activeAnnotations: {},
     activeTextAnnotations: {},
     textListVisible: true,
@@ -46,8 +90,24 @@ export const initialUIState = {
     temporaryAnnotations: {},
     scrollPositions: {},
     exportingWitness: {},
+    exportedOwnChangesOnly: {},
+    importingWitnessId: null,
+    importedAnnotations: null,
+    comparisonWitnesses: {},
+    showVariantStatistics: false,
+    showReviewQueue: false,
+    historyAnnotationId: null,
+    showBlame: false,
+    showDiscussions: false,
+    selectedDiscussionId: null,
     showAccountOverlay: false,
-    textFontSize: constants.DEFAULT_TEXT_FONT_SIZE
+    showShortcutsOverlay: false,
+    keyBindings: {},
+    textFontSize: constants.DEFAULT_TEXT_FONT_SIZE,
+    pendingRequests: 0,
+    annotationHistory: {},
+    annotationConflicts: {},
+    collaboratorPresence: {}
 };
 
 function loadedUserSettings(
@@ -59,7 +119,13 @@ function loadedUserSettings(
     // false is a valid value specifically check for null
     if (settings.showPageImages != null)
         state.showPageImages = settings.showPageImages;
+    if (settings.showPechaView != null)
+        state.showPechaView = settings.showPechaView;
+    if (settings.pageImageLayout)
+        state.pageImageLayout = settings.pageImageLayout;
+    if (settings.pageImageZoom) state.pageImageZoom = settings.pageImageZoom;
     if (settings.textFontSize) state.textFontSize = settings.textFontSize;
+    if (settings.keyBindings) state.keyBindings = settings.keyBindings;
 
     return state;
 }
@@ -106,7 +172,32 @@ function changedSearchValue(
     }
     return {
         ...state,
-        searchValue: searchValue
+        searchValue: searchValue,
+        searchError: null
+    };
+}
+
+function changedSearchMode(
+    state: UIState,
+    action: actions.ChangedSearchModeAction
+): UIState {
+    return {
+        ...state,
+        searchMode: action.searchMode,
+        searchError: null
+    };
+}
+
+function invalidSearchPattern(
+    state: UIState,
+    action: actions.InvalidSearchPatternAction
+): UIState {
+    if (action.searchValue !== state.searchValue) {
+        return state;
+    }
+    return {
+        ...state,
+        searchError: action.error
     };
 }
 
@@ -151,6 +242,49 @@ function changedShowPageImages(
     };
 }
 
+function changedShowPechaView(
+    state: UIState,
+    action: actions.ChangedShowPechaViewAction
+): UIState {
+    return {
+        ...state,
+        showPechaView: action.showPechaView
+    };
+}
+
+function changedPageImageLayout(
+    state: UIState,
+    action: actions.ChangedPageImageLayoutAction
+): UIState {
+    return {
+        ...state,
+        pageImageLayout: action.layout
+    };
+}
+
+function changedPageImageZoom(
+    state: UIState,
+    action: actions.ChangedPageImageZoomAction
+): UIState {
+    return {
+        ...state,
+        pageImageZoom: Math.min(
+            constants.MAX_PAGE_IMAGE_ZOOM,
+            Math.max(constants.MIN_PAGE_IMAGE_ZOOM, action.zoom)
+        )
+    };
+}
+
+function changedPageImageAdjustments(
+    state: UIState,
+    action: actions.ChangedPageImageAdjustmentsAction
+): UIState {
+    return {
+        ...state,
+        pageImageAdjustments: action.adjustments
+    };
+}
+
 function changedTextFontSize(
     state: UIState,
     action: actions.ChangedTextFontSizeAction
@@ -326,6 +460,10 @@ function exportingWitness(
         exportingWitness: {
             ...state.exportingWitness,
             [action.witnessId]: true
+        },
+        exportedOwnChangesOnly: {
+            ...state.exportedOwnChangesOnly,
+            [action.witnessId]: false
         }
     };
 }
@@ -335,13 +473,254 @@ function exportedWitness(
     action: actions.ExportWitnessAction
 ): UIState {
     state = {
-        ...state
+        ...state,
+        exportingWitness: {
+            ...state.exportingWitness
+        },
+        exportedOwnChangesOnly: {
+            ...state.exportedOwnChangesOnly,
+            [action.witnessId]: !!action.ownChangesOnly
+        }
     };
 
     delete state.exportingWitness[action.witnessId];
     return state;
 }
 
+function importWitnessFile(
+    state: UIState,
+    action: actions.ImportWitnessFileAction
+): UIState {
+    return {
+        ...state,
+        importingWitnessId: action.witnessId,
+        importedAnnotations: null
+    };
+}
+
+function importedWitnessFile(
+    state: UIState,
+    action: actions.ImportedWitnessFileAction
+): UIState {
+    return {
+        ...state,
+        importingWitnessId: action.witnessId,
+        importedAnnotations: action.annotations
+    };
+}
+
+function closedWitnessImport(state: UIState, action: actions.Action): UIState {
+    return {
+        ...state,
+        importingWitnessId: null,
+        importedAnnotations: null
+    };
+}
+
+function changedComparisonWitnesses(
+    state: UIState,
+    action: actions.ChangedComparisonWitnessesAction
+): UIState {
+    return {
+        ...state,
+        comparisonWitnesses: {
+            ...state.comparisonWitnesses,
+            [action.textId]: action.witnessIds
+        }
+    };
+}
+
+function changedVariantStatistics(
+    state: UIState,
+    action: actions.ChangedVariantStatisticsAction
+): UIState {
+    return {
+        ...state,
+        showVariantStatistics: action.isVisible
+    };
+}
+
+function changedReviewQueue(
+    state: UIState,
+    action: actions.ChangedReviewQueueAction
+): UIState {
+    return {
+        ...state,
+        showReviewQueue: action.isVisible
+    };
+}
+
+function changedAnnotationHistory(
+    state: UIState,
+    action: actions.ChangedAnnotationHistoryAction
+): UIState {
+    return {
+        ...state,
+        historyAnnotationId: action.annotation
+            ? action.annotation.uniqueId
+            : null
+    };
+}
+
+function changedShowBlame(
+    state: UIState,
+    action: actions.ChangedShowBlameAction
+): UIState {
+    return {
+        ...state,
+        showBlame: action.showBlame
+    };
+}
+
+function changedDiscussionsVisible(
+    state: UIState,
+    action: actions.ChangedDiscussionsVisibleAction
+): UIState {
+    return {
+        ...state,
+        showDiscussions: action.isVisible
+    };
+}
+
+function selectedDiscussion(
+    state: UIState,
+    action: actions.SelectedDiscussionAction
+): UIState {
+    return {
+        ...state,
+        selectedDiscussionId: action.noteId
+    };
+}
+
+function queuedRequest(state: UIState): UIState {
+    return {
+        ...state,
+        pendingRequests: state.pendingRequests + 1
+    };
+}
+
+function processedRequest(state: UIState): UIState {
+    return {
+        ...state,
+        pendingRequests: Math.max(state.pendingRequests - 1, 0)
+    };
+}
+
+function getTextHistory(state: UIState, textId: number) {
+    return state.annotationHistory[textId] || { undo: [], redo: [] };
+}
+
+function recordedAnnotationChange(
+    state: UIState,
+    action: actions.RecordedAnnotationChangeAction
+): UIState {
+    const history = getTextHistory(state, action.textId);
+    return {
+        ...state,
+        annotationHistory: {
+            ...state.annotationHistory,
+            [action.textId]: {
+                undo: [...history.undo, action.change].slice(
+                    -constants.MAX_ANNOTATION_HISTORY
+                ),
+                redo: []
+            }
+        }
+    };
+}
+
+function undidAnnotationChange(
+    state: UIState,
+    action: actions.AnnotationHistoryAction
+): UIState {
+    const history = getTextHistory(state, action.textId);
+    if (history.undo.length === 0) {
+        return state;
+    }
+    const change = history.undo[history.undo.length - 1];
+    return {
+        ...state,
+        annotationHistory: {
+            ...state.annotationHistory,
+            [action.textId]: {
+                undo: history.undo.slice(0, -1),
+                redo: [...history.redo, change]
+            }
+        }
+    };
+}
+
+function redidAnnotationChange(
+    state: UIState,
+    action: actions.AnnotationHistoryAction
+): UIState {
+    const history = getTextHistory(state, action.textId);
+    if (history.redo.length === 0) {
+        return state;
+    }
+    const change = history.redo[history.redo.length - 1];
+    return {
+        ...state,
+        annotationHistory: {
+            ...state.annotationHistory,
+            [action.textId]: {
+                undo: [...history.undo, change],
+                redo: history.redo.slice(0, -1)
+            }
+        }
+    };
+}
+
+function conflictedAnnotationUpdate(
+    state: UIState,
+    action: actions.ConflictedAnnotationUpdateAction
+): UIState {
+    return {
+        ...state,
+        annotationConflicts: {
+            ...state.annotationConflicts,
+            [action.conflict.mine.unique_id]: action.conflict
+        }
+    };
+}
+
+function resolvedAnnotationConflict(
+    state: UIState,
+    action: actions.AnnotationAction
+): UIState {
+    state = {
+        ...state,
+        annotationConflicts: {
+            ...state.annotationConflicts
+        }
+    };
+
+    delete state.annotationConflicts[action.annotation.uniqueId];
+    return state;
+}
+
+function updatedCollaboratorPresence(
+    state: UIState,
+    action: actions.UpdatedCollaboratorPresenceAction
+): UIState {
+    let witnessPresence = {
+        ...state.collaboratorPresence[action.witnessId]
+    };
+    if (action.presence) {
+        witnessPresence[action.clientId] = action.presence;
+    } else {
+        delete witnessPresence[action.clientId];
+    }
+
+    return {
+        ...state,
+        collaboratorPresence: {
+            ...state.collaboratorPresence,
+            [action.witnessId]: witnessPresence
+        }
+    };
+}
+
 function changedAccountOverlay(
     state: UIState,
     action: actions.ChangedAccountOverlayAction
@@ -354,14 +733,42 @@ function changedAccountOverlay(
     return state;
 }
 
+function changedShortcutsOverlay(
+    state: UIState,
+    action: actions.ChangedShortcutsOverlayAction
+): UIState {
+    return {
+        ...state,
+        showShortcutsOverlay: action.isVisible
+    };
+}
+
+function changedKeyBindings(
+    state: UIState,
+    action: actions.ChangedKeyBindingsAction
+): UIState {
+    return {
+        ...state,
+        keyBindings: action.keyBindings
+    };
+}
+
 const uiReducers = {};
 uiReducers[actions.LOADED_USER_SETTINGS] = loadedUserSettings;
 uiReducers[actions.SELECTED_TEXT] = selectedText;
 uiReducers[actions.SELECTED_WITNESS] = selectedTextWitness;
 uiReducers[actions.CHANGED_SEARCH_VALUE] = changedSearchValue;
 uiReducers[actions.SELECTED_SEARCH_RESULT] = selectedSearchResult;
+uiReducers[actions.CHANGED_SEARCH_MODE] = changedSearchMode;
+uiReducers[actions.INVALID_SEARCH_PATTERN] = invalidSearchPattern;
 uiReducers[actions.CHANGED_SHOW_PAGE_IMAGES] = changedShowPageImages;
+uiReducers[actions.CHANGED_SHOW_PECHA_VIEW] = changedShowPechaView;
 uiReducers[actions.CHANGED_TEXT_FONT_SIZE] = changedTextFontSize;
+uiReducers[actions.CHANGED_PAGE_IMAGE_LAYOUT] = changedPageImageLayout;
+uiReducers[actions.CHANGED_PAGE_IMAGE_ZOOM] = changedPageImageZoom;
+uiReducers[
+    actions.CHANGED_PAGE_IMAGE_ADJUSTMENTS
+] = changedPageImageAdjustments;
 // uiReducers[actions.CHANGED_SELECTED_SEGMENT] = changedSelectedSegment;
 uiReducers[actions.CHANGED_ACTIVE_ANNOTATION] = changedActiveAnnotation;
 uiReducers[
@@ -374,7 +781,27 @@ uiReducers[actions.REMOVED_TEMPORARY_ANNOTATION] = removedTemporaryAnnotation;
 uiReducers[actions.CHANGED_WITNESS_SCROLL_POSITION] = changedScrollPosition;
 uiReducers[actions.EXPORT_WITNESS] = exportingWitness;
 uiReducers[actions.EXPORTED_WITNESS] = exportedWitness;
+uiReducers[actions.IMPORT_WITNESS_FILE] = importWitnessFile;
+uiReducers[actions.IMPORTED_WITNESS_FILE] = importedWitnessFile;
+uiReducers[actions.CLOSED_WITNESS_IMPORT] = closedWitnessImport;
+uiReducers[actions.CHANGED_COMPARISON_WITNESSES] = changedComparisonWitnesses;
+uiReducers[actions.CHANGED_VARIANT_STATISTICS] = changedVariantStatistics;
+uiReducers[actions.CHANGED_REVIEW_QUEUE] = changedReviewQueue;
+uiReducers[actions.CHANGED_ANNOTATION_HISTORY] = changedAnnotationHistory;
+uiReducers[actions.CHANGED_SHOW_BLAME] = changedShowBlame;
+uiReducers[actions.CHANGED_DISCUSSIONS_VISIBLE] = changedDiscussionsVisible;
+uiReducers[actions.SELECTED_DISCUSSION] = selectedDiscussion;
+uiReducers[actions.QUEUED_REQUEST] = queuedRequest;
+uiReducers[actions.PROCESSED_REQUEST] = processedRequest;
+uiReducers[actions.RECORDED_ANNOTATION_CHANGE] = recordedAnnotationChange;
+uiReducers[actions.UNDID_ANNOTATION_CHANGE] = undidAnnotationChange;
+uiReducers[actions.REDID_ANNOTATION_CHANGE] = redidAnnotationChange;
+uiReducers[actions.CONFLICTED_ANNOTATION_UPDATE] = conflictedAnnotationUpdate;
+uiReducers[actions.RESOLVED_ANNOTATION_CONFLICT] = resolvedAnnotationConflict;
+uiReducers[actions.UPDATED_COLLABORATOR_PRESENCE] = updatedCollaboratorPresence;
 uiReducers[actions.CHANGED_ACCOUNT_OVERLAY] = changedAccountOverlay;
+uiReducers[actions.CHANGED_SHORTCUTS_OVERLAY] = changedShortcutsOverlay;
+uiReducers[actions.CHANGED_KEY_BINDINGS] = changedKeyBindings;
 export default uiReducers;
 
 export const getSelectedText = (state: UIState): api.TextData | null => {
@@ -469,20 +896,180 @@ export const getExportingWitness = (
     return state.exportingWitness.hasOwnProperty(witnessId);
 };
 
+/**
+ * Whether the last export of the witness only has the user's changes,
+ * as other users' changes could not be loaded.
+ */
+export const getExportedOwnChangesOnly = (
+    state: UIState,
+    witnessId: number
+): boolean => {
+    return !!state.exportedOwnChangesOnly[witnessId];
+};
+
+export const getImportingWitnessId = (state: UIState): number | null => {
+    return state.importingWitnessId;
+};
+
+export const getImportedAnnotations = (state: UIState): Annotation[] | null => {
+    return state.importedAnnotations;
+};
+
+export const getComparisonWitnessIds = (
+    state: UIState,
+    textId: number
+): number[] => {
+    return state.comparisonWitnesses[textId] || [];
+};
+
 export const getSearchValue = (state: UIState): string => {
     return state.searchValue;
 };
 
+export const getSearchMode = (state: UIState): string => {
+    return state.searchMode;
+};
+
+export const getSearchError = (state: UIState): string | null => {
+    return state.searchError;
+};
+
 export const getSelectedSearchResult = (
     state: UIState
 ): null | { textId: number, start: number, length: number } => {
     return state.selectedSearchResult;
 };
 
+export const getVariantStatisticsVisible = (state: UIState): boolean => {
+    return state.showVariantStatistics;
+};
+
+export const getReviewQueueVisible = (state: UIState): boolean => {
+    return state.showReviewQueue;
+};
+
+export const getHistoryAnnotationId = (state: UIState): string | null => {
+    return state.historyAnnotationId;
+};
+
+export const getShowBlame = (state: UIState): boolean => {
+    return state.showBlame;
+};
+
+export const getDiscussionsVisible = (state: UIState): boolean => {
+    return state.showDiscussions;
+};
+
+export const getSelectedDiscussionId = (state: UIState): string | null => {
+    return state.selectedDiscussionId;
+};
+
 export const getAccountOverlayVisible = (state: UIState): boolean => {
     return state.showAccountOverlay;
 };
 
+export const getShortcutsOverlayVisible = (state: UIState): boolean => {
+    return state.showShortcutsOverlay;
+};
+
+/**
+ * Get the bindings the user has changed from the defaults.
+ */
+export const getUserKeyBindings = (state: UIState): KeyBindings => {
+    return state.keyBindings;
+};
+
+/**
+ * Get the key bound to every shortcut command.
+ */
+export const getKeyBindings = (state: UIState): KeyBindings => {
+    return getKeyBindingsWithDefaults(state.keyBindings);
+};
+
 export const getTextFontSize = (state: UIState): number => {
     return state.textFontSize;
 };
+
+export const getShowPechaView = (state: UIState): boolean => {
+    return state.showPechaView;
+};
+
+export const getPageImageLayout = (state: UIState): string => {
+    return state.pageImageLayout;
+};
+
+export const getPageImageZoom = (state: UIState): number => {
+    return state.pageImageZoom;
+};
+
+export const getPageImageAdjustments = (
+    state: UIState
+): actions.PageImageAdjustments => {
+    return state.pageImageAdjustments;
+};
+
+export const getPendingRequestCount = (state: UIState): number => {
+    return state.pendingRequests;
+};
+
+/**
+ * Get the change that would be reversed by undoing, if there is one.
+ */
+export const getUndoAnnotationChange = (
+    state: UIState,
+    textId: number
+): actions.AnnotationChange | null => {
+    const undo = getTextHistory(state, textId).undo;
+    return undo.length > 0 ? undo[undo.length - 1] : null;
+};
+
+/**
+ * Get the change that would be made again by redoing, if there is one.
+ */
+export const getRedoAnnotationChange = (
+    state: UIState,
+    textId: number
+): actions.AnnotationChange | null => {
+    const redo = getTextHistory(state, textId).redo;
+    return redo.length > 0 ? redo[redo.length - 1] : null;
+};
+
+/**
+ * Get the presence of other people viewing the witness.
+ *
+ * Presence that hasn't been updated within PRESENCE_TIMEOUT is ignored, as
+ * they have probably left.
+ */
+export const getCollaboratorPresence = (
+    state: UIState,
+    witnessId: number,
+    now: number = Date.now()
+): actions.CollaboratorPresence[] => {
+    const witnessPresence = state.collaboratorPresence[witnessId] || {};
+    let presence = [];
+    for (let clientId in witnessPresence) {
+        if (witnessPresence.hasOwnProperty(clientId)) {
+            const clientPresence = witnessPresence[clientId];
+            if (now - clientPresence.received < constants.PRESENCE_TIMEOUT) {
+                presence.push(clientPresence);
+            }
+        }
+    }
+    return presence;
+};
+
+export const getAnnotationConflicts = (
+    state: UIState,
+    witnessId: number
+): actions.AnnotationConflictData[] => {
+    let conflicts = [];
+    for (let id in state.annotationConflicts) {
+        if (state.annotationConflicts.hasOwnProperty(id)) {
+            const conflict = state.annotationConflicts[id];
+            if (conflict.mine.witness === witnessId) {
+                conflicts.push(conflict);
+            }
+        }
+    }
+    return conflicts;
+};
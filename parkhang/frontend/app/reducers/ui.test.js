@@ -1,11 +1,28 @@
 // @flow
-import uiReducers, { initialUIState } from "reducers/ui";
+import uiReducers, {
+    initialUIState,
+    getUndoAnnotationChange,
+    getRedoAnnotationChange,
+    getAnnotationConflicts,
+    getCollaboratorPresence,
+    getKeyBindings,
+    getPageImageLayout,
+    getPageImageZoom,
+    getShowPechaView,
+    getExportingWitness,
+    getExportedOwnChangesOnly
+} from "reducers/ui";
 import * as actions from "actions";
 import Text from "lib/Text";
 import Source from "lib/Source";
 import Witness from "lib/Witness";
-import { TemporaryAnnotation, ANNOTATION_TYPES } from "lib/Annotation";
+import Annotation, {
+    TemporaryAnnotation,
+    ANNOTATION_TYPES
+} from "lib/Annotation";
 import User from "lib/User";
+import { dataFromAnnotation } from "api";
+import * as constants from "app_constants";
 
 const source1 = new Source(1, "Derge");
 const text = new Text(1, "དཔལ་ནག་པོ་ཆེན་པོ་ཡུམ་ཅན་གྱི་སྒྲུབ་ཐབས་ཞེས་བྱ་བ");
@@ -95,3 +112,229 @@ test("removedTemporaryAnnotation", () => {
         testState
     );
 });
+
+test("importedWitnessFile", () => {
+    const annotation = new TemporaryAnnotation(
+        null,
+        baseWitness,
+        0,
+        27,
+        "༄༅༅",
+        ANNOTATION_TYPES.variant,
+        baseWitness,
+        user
+    );
+    const importAction = actions.importWitnessFile(1, new File([""], "a.txt"));
+    let testState = uiReducers[importAction.type](state, importAction);
+    expect(testState.importingWitnessId).toEqual(1);
+    expect(testState.importedAnnotations).toBeNull();
+
+    const importedAction = actions.importedWitnessFile(1, [annotation]);
+    testState = uiReducers[importedAction.type](testState, importedAction);
+    expect(testState.importedAnnotations).toEqual([annotation]);
+
+    const closeAction = actions.closedWitnessImport();
+    expect(uiReducers[closeAction.type](testState, closeAction)).toEqual(state);
+});
+
+test("queuedRequest and processedRequest", () => {
+    const queued = actions.queuedRequest();
+    const processed = actions.processedRequest();
+
+    let newState = uiReducers[queued.type](state, queued);
+    newState = uiReducers[queued.type](newState, queued);
+    expect(newState.pendingRequests).toEqual(2);
+
+    newState = uiReducers[processed.type](newState, processed);
+    expect(newState.pendingRequests).toEqual(1);
+
+    newState = uiReducers[processed.type](newState, processed);
+    newState = uiReducers[processed.type](newState, processed);
+    expect(newState.pendingRequests).toEqual(0);
+});
+
+test("annotation history", () => {
+    const firstChange = { actions: [], inverseActions: [] };
+    const secondChange = { actions: [], inverseActions: [] };
+    const recordFirst = actions.recordedAnnotationChange(1, firstChange);
+    const recordSecond = actions.recordedAnnotationChange(1, secondChange);
+    const undo = actions.undidAnnotationChange(1);
+    const redo = actions.redidAnnotationChange(1);
+
+    let newState = uiReducers[recordFirst.type](state, recordFirst);
+    newState = uiReducers[recordSecond.type](newState, recordSecond);
+    expect(getUndoAnnotationChange(newState, 1)).toBe(secondChange);
+    expect(getRedoAnnotationChange(newState, 1)).toBeNull();
+    expect(getUndoAnnotationChange(newState, 2)).toBeNull();
+
+    newState = uiReducers[undo.type](newState, undo);
+    expect(getUndoAnnotationChange(newState, 1)).toBe(firstChange);
+    expect(getRedoAnnotationChange(newState, 1)).toBe(secondChange);
+
+    newState = uiReducers[redo.type](newState, redo);
+    expect(getUndoAnnotationChange(newState, 1)).toBe(secondChange);
+    expect(getRedoAnnotationChange(newState, 1)).toBeNull();
+
+    // A new change can't be followed by redoing an older one
+    newState = uiReducers[undo.type](newState, undo);
+    newState = uiReducers[recordFirst.type](newState, recordFirst);
+    expect(getRedoAnnotationChange(newState, 1)).toBeNull();
+
+    newState = uiReducers[undo.type](newState, undo);
+    newState = uiReducers[undo.type](newState, undo);
+    newState = uiReducers[undo.type](newState, undo);
+    expect(getUndoAnnotationChange(newState, 1)).toBeNull();
+    expect(getRedoAnnotationChange(newState, 1)).toBe(firstChange);
+});
+
+test("conflictedAnnotationUpdate and resolvedAnnotationConflict", () => {
+    const annotation = new Annotation(
+        1,
+        baseWitness,
+        0,
+        27,
+        "༄༅༅",
+        ANNOTATION_TYPES.variant,
+        baseWitness,
+        user
+    );
+    const mine = dataFromAnnotation(annotation);
+    const theirs = { ...mine, content: "༄༅", revision: 2 };
+    const conflictAction = actions.conflictedAnnotationUpdate(mine, theirs);
+    const resolveAction = actions.resolvedAnnotationConflict(annotation);
+
+    let newState = uiReducers[conflictAction.type](state, conflictAction);
+    expect(getAnnotationConflicts(newState, baseWitness.id)).toEqual([
+        { mine, theirs }
+    ]);
+    expect(getAnnotationConflicts(newState, 2)).toEqual([]);
+
+    newState = uiReducers[resolveAction.type](newState, resolveAction);
+    expect(getAnnotationConflicts(newState, baseWitness.id)).toEqual([]);
+});
+
+test("updatedCollaboratorPresence", () => {
+    const presenceData = {
+        client_id: "abc",
+        user: "Other User",
+        start: 10,
+        length: 5
+    };
+    const presenceAction = actions.updatedCollaboratorPresence(
+        baseWitness.id,
+        presenceData
+    );
+    const leftAction = actions.updatedCollaboratorPresence(baseWitness.id, {
+        ...presenceData,
+        start: null,
+        length: null
+    });
+    const received = presenceAction.presence
+        ? presenceAction.presence.received
+        : 0;
+
+    let newState = uiReducers[presenceAction.type](state, presenceAction);
+    expect(getCollaboratorPresence(newState, baseWitness.id, received)).toEqual(
+        [
+            {
+                clientId: "abc",
+                user: "Other User",
+                start: 10,
+                length: 5,
+                received
+            }
+        ]
+    );
+    expect(getCollaboratorPresence(newState, 2, received)).toEqual([]);
+    expect(
+        getCollaboratorPresence(
+            newState,
+            baseWitness.id,
+            received + constants.PRESENCE_TIMEOUT
+        )
+    ).toEqual([]);
+
+    newState = uiReducers[leftAction.type](newState, leftAction);
+    expect(getCollaboratorPresence(newState, baseWitness.id, received)).toEqual(
+        []
+    );
+});
+
+test("exportWitness and exportedWitness", () => {
+    const exporting = actions.exportWitness(baseWitness.id, "txt");
+    let newState = uiReducers[exporting.type](state, exporting);
+    expect(getExportingWitness(newState, baseWitness.id)).toBe(true);
+
+    const exported = actions.exportedWitness(baseWitness.id, "txt", true);
+    newState = uiReducers[exported.type](newState, exported);
+    expect(getExportingWitness(newState, baseWitness.id)).toBe(false);
+    expect(getExportedOwnChangesOnly(newState, baseWitness.id)).toBe(true);
+    expect(getExportingWitness(initialUIState, baseWitness.id)).toBe(false);
+
+    // The warning is cleared when exporting again
+    newState = uiReducers[exporting.type](newState, exporting);
+    expect(getExportedOwnChangesOnly(newState, baseWitness.id)).toBe(false);
+});
+
+test("invalidSearchPattern", () => {
+    const changed = actions.changedSearchValue("(");
+    let newState = uiReducers[changed.type](state, changed);
+
+    // Errors for earlier searches are ignored
+    const outdated = actions.invalidSearchPattern("[", "Invalid");
+    expect(uiReducers[outdated.type](newState, outdated)).toBe(newState);
+
+    const invalid = actions.invalidSearchPattern("(", "Unterminated group");
+    newState = uiReducers[invalid.type](newState, invalid);
+    expect(newState.searchError).toEqual("Unterminated group");
+
+    const mode = actions.changedSearchMode(constants.SEARCH_MODES.text);
+    newState = uiReducers[mode.type](newState, mode);
+    expect(newState.searchError).toBeNull();
+});
+
+test("key bindings", () => {
+    expect(getKeyBindings(initialUIState).selectNextVariant).toEqual("v");
+
+    const loaded = actions.loadedUserSettings({
+        keyBindings: { selectNextVariant: "ཝ" }
+    });
+    let newState = uiReducers[loaded.type](initialUIState, loaded);
+    expect(getKeyBindings(newState).selectNextVariant).toEqual("ཝ");
+
+    const changed = actions.changedKeyBindings({});
+    newState = uiReducers[changed.type](newState, changed);
+    expect(getKeyBindings(newState).selectNextVariant).toEqual("v");
+});
+
+test("page image settings", () => {
+    const loaded = actions.loadedUserSettings({
+        pageImageLayout: constants.PAGE_IMAGE_LAYOUTS.sideBySide,
+        pageImageZoom: 3
+    });
+    let newState = uiReducers[loaded.type](initialUIState, loaded);
+    expect(getPageImageLayout(newState)).toEqual(
+        constants.PAGE_IMAGE_LAYOUTS.sideBySide
+    );
+    expect(getPageImageZoom(newState)).toEqual(3);
+
+    const zoomedIn = actions.changedPageImageZoom(100);
+    newState = uiReducers[zoomedIn.type](newState, zoomedIn);
+    expect(getPageImageZoom(newState)).toEqual(constants.MAX_PAGE_IMAGE_ZOOM);
+
+    const zoomedOut = actions.changedPageImageZoom(0.5);
+    newState = uiReducers[zoomedOut.type](newState, zoomedOut);
+    expect(getPageImageZoom(newState)).toEqual(constants.MIN_PAGE_IMAGE_ZOOM);
+});
+
+test("pecha view setting", () => {
+    expect(getShowPechaView(initialUIState)).toBe(false);
+
+    const loaded = actions.loadedUserSettings({ showPechaView: true });
+    let newState = uiReducers[loaded.type](initialUIState, loaded);
+    expect(getShowPechaView(newState)).toBe(true);
+
+    const changed = actions.changedShowPechaView(false);
+    newState = uiReducers[changed.type](newState, changed);
+    expect(getShowPechaView(newState)).toBe(false);
+});
@@ -7,13 +7,15 @@ const anonymousUser = getAnonymousUser();
 export type UserState = {
     userId: number,
     userName: string,
-    userLocale: string
+    userLocale: string,
+    userCanReview: boolean
 };
 
 export const initialUserState: UserState = {
     userId: anonymousUser.id,
     userName: anonymousUser.name,
-    userLocale: DEFAULT_LOCALE
+    userLocale: DEFAULT_LOCALE,
+    userCanReview: false
 };
 
 function userLoggedIn(state: UserState, action: actions.UserAction): UserState {
@@ -21,7 +23,8 @@ function userLoggedIn(state: UserState, action: actions.UserAction): UserState {
         ...state,
         userId: action.userId,
         userName: action.userName,
-        userLocale: action.userLocale
+        userLocale: action.userLocale,
+        userCanReview: action.userCanReview
     };
 }
 
@@ -52,7 +55,12 @@ export function getUser(state: UserState): User {
         return anonymousUser;
     } else {
         if (!_user) {
-            _user = new User(state.userId, state.userName);
+            _user = new User(
+                state.userId,
+                state.userName,
+                state.userLocale,
+                state.userCanReview
+            );
         }
         return _user;
     }
@@ -21,16 +21,39 @@ import AnnotatedText, {
     WORKING_VERSION_ANNOTATION_ID
 } from "lib/AnnotatedText";
 import * as TextStore from "state_helpers/TextStore";
+import {
+    actionForWitnessEvent,
+    witnessEventsChannel
+} from "state_helpers/witnessEvents";
 import { updateIntl } from "react-intl-redux";
 import Cookies from "js-cookie";
 import { i18n_cookie_name } from "i18n";
 import { compare as tibetanCompare } from "tibetan-sort-js";
 import getWitnessAnnotatedText from "reducers/getWitnessAnnotatedText";
 import type { TextExporter } from "lib/TextExporter";
-import PlainTextExporter from "lib/PlainTextExporter";
+import PlainTextExporter, {
+    DEFAULT_PAGE_MARKER_FORMAT
+} from "lib/PlainTextExporter";
 import DocxExporter from "lib/DocxExporter";
+import TeiExporter from "lib/TeiExporter";
+import WitnessImporter from "lib/WitnessImporter";
+import getWorkingVersion from "lib/workingVersion";
+import {
+    getComparableWitnesses,
+    getDistanceMatrix,
+    distanceMatrixToCsv,
+    distanceMatrixToNexus
+} from "lib/witnessDistances";
 
 import * as api from "api";
+import * as offlineStore from "lib/offlineStore";
+import * as textUrl from "lib/textUrl";
+import { getIiifManifestUrl, parseIiifManifest } from "lib/iiifManifest";
+import { parseImageInfo } from "lib/iiifImage";
+import {
+    compileSearchPattern,
+    getPatternSearchResults
+} from "lib/patternSearch";
 import { BATCH } from "redux-batched-actions";
 
 import * as constants from "app_constants";
@@ -71,6 +94,9 @@ function getDelay(attempt) {
 // Type of action used to add callbacks to the request queue.
 const SAGA_REQUEST = "SAGA_REQUEST";
 
+// Returned when an annotation update is based on an old revision.
+const CONFLICT_STATUS = 409;
+
 /**
  * Sets up a serial queue for requests using the API.
  *
@@ -79,37 +105,79 @@ const SAGA_REQUEST = "SAGA_REQUEST";
  * The actions needs the following properties:
  * payload: a generator function to be called
  * action: action to be given as an argument to the payload function
+ * queuedRequestId: (optional) id of the request in the offline store
  *
  * Any requests failing due to a network error, e.g. the user is offline,
  * will be retried indefinitely until the request is processed. This should
  * make the app more robust in flaky network conditions.
+ *
+ * Requests stored in the offline store are replayed first, as they were
+ * queued before the app was last closed.
  */
 function* watchRequests() {
     const requestChan = yield actionChannel(SAGA_REQUEST);
+
+    const storedRequests = yield call(offlineStore.getQueuedRequests);
+    let replayedIds = {};
+    for (let i = 0; i < storedRequests.length; i++) {
+        yield put(actions.queuedRequest());
+    }
+    for (let i = 0; i < storedRequests.length; i++) {
+        const [id, queuedRequest] = storedRequests[i];
+        replayedIds[id] = true;
+        yield call(processRequest, sendQueuedRequest, queuedRequest, id);
+    }
+
     while (true) {
-        const { payload, action } = yield take(requestChan);
-        let complete = false;
-        let attempts = 0;
-        while (!complete) {
-            try {
-                yield payload(action);
-                complete = true;
-            } catch (e) {
-                if (e.response) {
-                    // if there was a valid HTTP error status code returned just fail now.
-                    // e.g. returning a 4xx, 5xx.
-                    console.warn("Queued request failed: %o", e);
-                    complete = true;
+        const { payload, action, queuedRequestId } = yield take(requestChan);
+        if (queuedRequestId != null && replayedIds[queuedRequestId]) {
+            continue;
+        }
+        yield call(processRequest, payload, action, queuedRequestId);
+    }
+}
+
+function* processRequest(
+    payload: any => any,
+    action: any,
+    queuedRequestId: number | null = null
+) {
+    let complete = false;
+    let attempts = 0;
+    while (!complete) {
+        try {
+            yield payload(action);
+            complete = true;
+        } catch (e) {
+            if (e.response) {
+                // if there was a valid HTTP error status code returned just fail now.
+                // e.g. returning a 4xx, 5xx.
+                if (e.response.status === CONFLICT_STATUS && action.data) {
+                    // Someone else has changed the annotation, the response
+                    // is their version.
+                    yield put(
+                        actions.conflictedAnnotationUpdate(
+                            action.data,
+                            e.response.data
+                        )
+                    );
                 } else {
-                    // otherwise, assume network is down and user is offline.
-                    // Try again after reqDelay milliseconds.
-                    attempts++;
-                    const reqDelay = getDelay(attempts);
-                    yield delay(reqDelay);
+                    console.warn("Queued request failed: %o", e);
                 }
+                complete = true;
+            } else {
+                // otherwise, assume network is down and user is offline.
+                // Try again after reqDelay milliseconds.
+                attempts++;
+                const reqDelay = getDelay(attempts);
+                yield delay(reqDelay);
             }
         }
     }
+    if (queuedRequestId != null) {
+        yield call(offlineStore.removeQueuedRequest, queuedRequestId);
+        yield put(actions.processedRequest());
+    }
 }
 
 /**
@@ -127,12 +195,51 @@ function reqAction(callback): actions.Action => Generator<*, *, *> {
     };
 }
 
-function applyAnnotation(action: actions.AppliedAnnotationAction): Promise<*> {
-    return (call(
-        api.applyAnnotation,
-        action.annotationId,
-        action.witnessData
-    ): any);
+function sendQueuedRequest(queuedRequest: api.QueuedRequest) {
+    return call(api.sendRequest, queuedRequest);
+}
+
+/**
+ * Returns a generator function that adds the request returned by
+ * getRequest to the SAGA_REQUEST queue.
+ *
+ * The request is also kept in the offline store until it has been sent,
+ * so it is not lost if the app is closed while offline.
+ *
+ * @param getRequest
+ * @return {Function}
+ */
+function queuedReqAction(
+    getRequest: any => api.QueuedRequest
+): actions.Action => Generator<*, *, *> {
+    return function*(action: actions.Action): Generator<*, *, *> {
+        if (action.fromServer) {
+            // Already saved by whoever made the change
+            return;
+        }
+        const queuedRequest = getRequest(action);
+        const queuedRequestId = offlineStore.getQueuedRequestId();
+        // Store the request before it can be sent, otherwise it could be
+        // removed from the store before it has been added.
+        yield call(
+            offlineStore.addQueuedRequest,
+            queuedRequestId,
+            queuedRequest
+        );
+        yield put(actions.queuedRequest());
+        yield put({
+            type: SAGA_REQUEST,
+            payload: sendQueuedRequest,
+            action: queuedRequest,
+            queuedRequestId
+        });
+    };
+}
+
+function applyAnnotation(
+    action: actions.AppliedAnnotationAction
+): api.QueuedRequest {
+    return api.applyAnnotationRequest(action.annotationId, action.witnessData);
 }
 
 function* watchAppliedAnnotation() {
@@ -144,9 +251,8 @@ function* watchAppliedAnnotation() {
 
 function removeAppliedAnnotation(
     action: actions.RemovedAppliedAnnotationAction
-) {
-    return call(
-        api.removeAppliedAnnotation,
+): api.QueuedRequest {
+    return api.removeAppliedAnnotationRequest(
         action.annotationId,
         action.witnessData
     );
@@ -161,9 +267,8 @@ function* watchRemovedAppliedAnnotation() {
 
 function removeDefaultAnnotation(
     action: actions.RemovedDefaultAnnotationAction
-) {
-    return call(
-        api.removeDefaultAnnotation,
+): api.QueuedRequest {
+    return api.removeDefaultAnnotationRequest(
         action.annotationId,
         action.witnessData
     );
@@ -178,9 +283,8 @@ function* watchRemovedDefaultAnnotation() {
 
 function appliedDefaultAnnotation(
     action: actions.AppliedDefaultAnnotationAction
-) {
-    return call(
-        api.applyDefaultAnnotation,
+): api.QueuedRequest {
+    return api.applyDefaultAnnotationRequest(
         action.annotationId,
         action.witnessData
     );
@@ -308,6 +412,93 @@ function* watchSelectedTextWitness() {
     yield takeEvery(actions.SELECTED_WITNESS, selectedWitness);
 }
 
+// LIVE UPDATES
+
+function* witnessEvents(witnessData: api.WitnessData): Saga<void> {
+    const channel = yield call(witnessEventsChannel, witnessData);
+    try {
+        while (true) {
+            const event = yield take(channel);
+            const state = yield select();
+            const action = actionForWitnessEvent(state, witnessData.id, event);
+            if (action) {
+                yield put(action);
+            }
+        }
+    } finally {
+        channel.close();
+    }
+}
+
+/**
+ * Receive the changes other people make to the selected witness.
+ *
+ * Annotations are stored on the working witness, so its events are also
+ * received when another witness is selected. The previous witness's
+ * events are closed when a new witness is selected.
+ *
+ * Events are only sent to logged in users.
+ */
+function* receiveWitnessEvents(action: actions.SelectedTextWitnessAction) {
+    const user = yield select(reducers.getUser);
+    const witnessData = yield select(reducers.getWitnessData, action.witnessId);
+    const workingWitness = yield select(
+        reducers.getWorkingWitness,
+        action.textId
+    );
+    if (
+        !user.isLoggedIn ||
+        !witnessData ||
+        typeof EventSource === "undefined"
+    ) {
+        return;
+    }
+    let calls = [call(witnessEvents, witnessData)];
+    if (workingWitness && workingWitness.id !== witnessData.id) {
+        const workingWitnessData = yield select(
+            reducers.getWitnessData,
+            workingWitness.id
+        );
+        calls.push(call(witnessEvents, workingWitnessData));
+    }
+    yield all(calls);
+}
+
+function* watchSelectedWitnessEvents() {
+    yield takeLatest(actions.SELECTED_WITNESS, receiveWitnessEvents);
+}
+
+function* sendPresence() {
+    const user = yield select(reducers.getUser);
+    const witness = yield select(reducers.getSelectedTextWitness);
+    if (!user.isLoggedIn || !witness) {
+        return;
+    }
+    const witnessData = yield select(reducers.getWitnessData, witness.id);
+    const annotation = yield select(reducers.getActiveTextAnnotation);
+    try {
+        yield call(
+            api.sendPresence,
+            witnessData,
+            annotation ? annotation.start : null,
+            annotation ? annotation.length : null
+        );
+    } catch (e) {
+        console.warn("Could not send presence: %o", e);
+    }
+}
+
+/**
+ * Keep sending the user's presence so collaborators know they are still
+ * there.
+ */
+function* watchPresence() {
+    while (true) {
+        yield delay(constants.PRESENCE_INTERVAL);
+        yield call(sendPresence);
+    }
+}
+
 // ANNOTATIONS
 
 function* loadAnnotations(witnessId: number) {
@@ -340,12 +531,41 @@ function* loadWitnessAnnotations(action: actions.WitnessAction) {
     ]);
 }
 
+function* changedComparisonWitnesses(
+    action: actions.ChangedComparisonWitnessesAction
+) {
+    let calls = [];
+    for (let i = 0; i < action.witnessIds.length; i++) {
+        const witnessId = action.witnessIds[i];
+        const hasLoadedAnnotations = yield select(
+            reducers.hasLoadedWitnessAnnotations,
+            witnessId
+        );
+        if (!hasLoadedAnnotations) {
+            calls.push(
+                call(
+                    loadWitnessAnnotations,
+                    actions.loadWitnessAnnotations(witnessId)
+                )
+            );
+        }
+    }
+    yield all(calls);
+}
+
+function* watchChangedComparisonWitnesses() {
+    yield takeLatest(
+        actions.CHANGED_COMPARISON_WITNESSES,
+        changedComparisonWitnesses
+    );
+}
+
 function* watchLoadAnnotations() {
     yield takeEvery(actions.LOAD_WITNESS_ANNOTATIONS, loadWitnessAnnotations);
 }
 
-function createAnnotation(action) {
-    return call(api.createAnnotation, action.annotation);
+function createAnnotation(action: actions.AnnotationAction): api.QueuedRequest {
+    return api.createAnnotationRequest(action.annotation);
 }
 
 function* watchCreatedAnnotation() {
@@ -355,8 +575,8 @@ function* watchCreatedAnnotation() {
     );
 }
 
-function updateAnnotation(action) {
-    return call(api.updateAnnotation, action.annotation);
+function updateAnnotation(action: actions.AnnotationAction): api.QueuedRequest {
+    return api.updateAnnotationRequest(action.annotation);
 }
 
 function* watchUpdatedAnnotation() {
@@ -366,8 +586,8 @@ function* watchUpdatedAnnotation() {
     );
 }
 
-function deleteAnnotation(action) {
-    return call(api.deleteAnnotation, action.annotation);
+function deleteAnnotation(action: actions.AnnotationAction): api.QueuedRequest {
+    return api.deleteAnnotationRequest(action.annotation);
 }
 
 function* watchDeletedAnnotation() {
@@ -395,6 +615,7 @@ function* changeActiveAnnotation(
     }
     
     yield put(urlAction);
+    yield fork(sendPresence);
 }
 
 function* watchChangedActiveAnnotation() {
@@ -405,11 +626,11 @@ function* watchChangedActiveAnnotation() {
 }
 
 function getAnnotationSlug(annotation: Annotation): string {
-    let annotationSlug = annotation.start + "-" + annotation.length;
-    if (annotation.isSaved) {
-        annotationSlug += "-" + annotation.uniqueId.substr(0, 8);
-    }
-    return annotationSlug;
+    return textUrl.getAnnotationSlug(
+        annotation.start,
+        annotation.length,
+        annotation.isSaved ? annotation.uniqueId : undefined
+    );
 }
 
 // I18N
@@ -440,10 +661,52 @@ function* watchSelectedLocale() {
 
 // EXPORT
 
+/**
+ * Get all the witnesses of a text, along with the variant annotations
+ * each of them has against the working witness.
+ */
+function* getTextVariants(textId: number) {
+    const witnesses = yield select(reducers.getTextWitnesses, textId);
+    const workingWitness = yield select(reducers.getWorkingWitness, textId);
+    let variants = [];
+    if (workingWitness) {
+        const variantsData = yield select(
+            reducers.getAnnotationsForWitnessId,
+            workingWitness.id,
+            ANNOTATION_TYPES.variant
+        );
+        variants = yield select(reducers.annotationsFromData, variantsData);
+    }
+
+    return [witnesses, variants];
+}
+
 function* exportWitness(action: actions.ExportWitnessAction) {
     const witness = yield select(reducers.getWitness, action.witnessId);
     const format = action.format;
-    const annotatedText = yield select(getWitnessAnnotatedText, witness.id);
+    let annotatedText = yield select(getWitnessAnnotatedText, witness.id);
+    let ownChangesOnly = false;
+    if (witness.isWorking) {
+        const witnessData = yield select(reducers.getWitnessData, witness.id);
+        let otherAnnotations = [];
+        try {
+            const acceptedData = yield call(
+                api.fetchAcceptedAnnotations,
+                witnessData
+            );
+            const state = yield select();
+            otherAnnotations = acceptedData
+                .map(annotationData =>
+                    reducers.annotationFromData(state, annotationData)
+                )
+                .filter(annotation => annotation !== null);
+        } catch (e) {
+            // e.g. when offline, so export the user's own changes
+            console.warn("Failed to load accepted annotations: %o", e);
+            ownChangesOnly = true;
+        }
+        annotatedText = getWorkingVersion(annotatedText, otherAnnotations);
+    }
     const text = annotatedText.textInfo;
 
     let extension;
@@ -453,6 +716,32 @@ function* exportWitness(action: actions.ExportWitnessAction) {
             exporter = new DocxExporter();
             extension = "docx";
             break;
+        case "criticalDocx": {
+            const [witnesses, variants] = yield call(getTextVariants, text.id);
+            exporter = new DocxExporter(
+                true,
+                witnesses,
+                variants,
+                window.location.origin
+            );
+            extension = "docx";
+            break;
+        }
+        case "tei": {
+            const [witnesses, variants] = yield call(getTextVariants, text.id);
+            exporter = new TeiExporter(witnesses, variants);
+            extension = "xml";
+            break;
+        }
+        case "txtBreaks":
+            exporter = new PlainTextExporter({
+                lineBreaks: true,
+                pageBreaks: true,
+                pageMarkerFormat:
+                    action.pageMarkerFormat || DEFAULT_PAGE_MARKER_FORMAT
+            });
+            extension = "txt";
+            break;
         case "txt":
         default:
             exporter = new PlainTextExporter();
@@ -467,34 +756,400 @@ function* exportWitness(action: actions.ExportWitnessAction) {
     );
     FileSaver.saveAs(file, filename);
 
-    yield put(actions.exportedWitness(witness.id, format));
+    yield put(actions.exportedWitness(witness.id, format, ownChangesOnly));
 }
 
 function* watchExportWitness() {
     yield takeEvery(actions.EXPORT_WITNESS, exportWitness);
 }
 
+function* exportDistanceMatrix(action: actions.ExportDistanceMatrixAction) {
+    const text = yield select(reducers.getText, action.textId);
+    const [witnesses, variants] = yield call(getTextVariants, action.textId);
+    const matrix = getDistanceMatrix(
+        getComparableWitnesses(witnesses),
+        variants
+    );
+
+    let content;
+    let extension;
+    let type;
+    switch (action.format) {
+        case "nexus":
+            content = distanceMatrixToNexus(matrix);
+            extension = "nex";
+            type = "text/plain;charset=utf-8";
+            break;
+        case "csv":
+        default:
+            content = distanceMatrixToCsv(matrix);
+            extension = "csv";
+            type = "text/csv;charset=utf-8";
+    }
+    const filename = text.name + " - distances." + extension;
+    FileSaver.saveAs(new Blob([content], { type }), filename);
+}
+
+function* watchExportDistanceMatrix() {
+    yield takeEvery(actions.EXPORT_DISTANCE_MATRIX, exportDistanceMatrix);
+}
+
+// IMPORT
+
+function* importWitnessFile(action: actions.ImportWitnessFileAction) {
+    const witness = yield select(reducers.getWitness, action.witnessId);
+    const textId = witness.text.id;
+    const workingWitness = yield select(reducers.getWorkingWitness, textId);
+    const user = yield select(reducers.getUser);
+    const [, variants] = yield call(getTextVariants, textId);
+    const existingAnnotations = variants.filter(
+        variant => variant.creatorWitness.id === witness.id
+    );
+
+    try {
+        const importer = new WitnessImporter(workingWitness, witness, user);
+        const annotations = yield call(
+            [importer, importer.import],
+            action.file,
+            existingAnnotations
+        );
+        yield put(actions.importedWitnessFile(witness.id, annotations));
+    } catch (e) {
+        console.warn("FAILED importWitnessFile %o", e);
+        yield put(actions.closedWitnessImport());
+    }
+}
+
+function* watchImportWitnessFile() {
+    yield takeLatest(actions.IMPORT_WITNESS_FILE, importWitnessFile);
+}
+
+// STATISTICS
+
+function* loadOperationStatistics(action: actions.Action) {
+    const isVisible = yield select(reducers.getVariantStatisticsVisible);
+    const text = yield select(reducers.getSelectedText);
+    const user = yield select(reducers.getUser);
+    if (!isVisible || !text || !user.isLoggedIn) {
+        return;
+    }
+    try {
+        const statistics = yield call(api.fetchOperationStatistics, text.id);
+        yield put(actions.loadedOperationStatistics(text.id, statistics));
+    } catch (e) {
+        console.warn("FAILED loadOperationStatistics %o", e);
+    }
+}
+
+function* watchVariantStatistics() {
+    yield takeLatest(
+        [actions.CHANGED_VARIANT_STATISTICS, actions.SELECTED_TEXT],
+        loadOperationStatistics
+    );
+}
+
+// REVIEW
+
+function* loadProposedAnnotations(action: actions.Action) {
+    const isVisible = yield select(reducers.getReviewQueueVisible);
+    const text = yield select(reducers.getSelectedText);
+    const user = yield select(reducers.getUser);
+    if (!isVisible || !text || !user.canReview) {
+        return;
+    }
+    try {
+        const annotations = yield call(api.fetchProposedAnnotations, text.id);
+        yield put(actions.loadedProposedAnnotations(text.id, annotations));
+    } catch (e) {
+        console.warn("FAILED loadProposedAnnotations %o", e);
+    }
+}
+
+function* watchReviewQueue() {
+    yield takeLatest(
+        [actions.CHANGED_REVIEW_QUEUE, actions.SELECTED_TEXT],
+        loadProposedAnnotations
+    );
+}
+
+function reviewAnnotations(
+    action: actions.ReviewedAnnotationsAction
+): api.QueuedRequest {
+    return api.reviewAnnotationsRequest(
+        action.textId,
+        action.annotationIds,
+        action.reviewState
+    );
+}
+
+function* watchReviewedAnnotations() {
+    yield takeEvery(
+        actions.REVIEWED_ANNOTATIONS,
+        typeCalls[actions.REVIEWED_ANNOTATIONS]
+    );
+}
+
+// HISTORY
+
+function* loadAnnotationHistory(
+    action: actions.ChangedAnnotationHistoryAction
+) {
+    const { annotation } = action;
+    if (!annotation) {
+        return;
+    }
+    let changes = [];
+    try {
+        changes = yield call(api.fetchAnnotationHistory, annotation);
+    } catch (e) {
+        // e.g. the annotation has not been saved yet
+        console.warn("FAILED loadAnnotationHistory %o", e);
+    }
+    yield put(actions.loadedAnnotationHistory(annotation.uniqueId, changes));
+}
+
+function* watchChangedAnnotationHistory() {
+    yield takeLatest(actions.CHANGED_ANNOTATION_HISTORY, loadAnnotationHistory);
+}
+
+function* loadWitnessBlame(action: actions.Action) {
+    const showBlame = yield select(reducers.getShowBlame);
+    const user = yield select(reducers.getUser);
+    const witness = yield select(reducers.getSelectedTextWitness);
+    if (!showBlame || !user.isLoggedIn || !witness) {
+        return;
+    }
+    if (action.type === actions.PROCESSED_REQUEST) {
+        // Wait for any other queued changes to be saved before reloading
+        yield delay(1000);
+    }
+    const witnessData = yield select(reducers.getWitnessData, witness.id);
+    try {
+        const changes = yield call(api.fetchWitnessBlame, witnessData);
+        yield put(actions.loadedWitnessBlame(witness.id, changes));
+    } catch (e) {
+        console.warn("FAILED loadWitnessBlame %o", e);
+    }
+}
+
+function* watchShowBlame() {
+    yield takeLatest(
+        [
+            actions.CHANGED_SHOW_BLAME,
+            actions.SELECTED_WITNESS,
+            actions.PROCESSED_REQUEST
+        ],
+        loadWitnessBlame
+    );
+}
+
+// DISCUSSIONS
+
+function* loadDiscussions(action: actions.Action) {
+    const isVisible = yield select(reducers.getDiscussionsVisible);
+    const user = yield select(reducers.getUser);
+    const witness = yield select(reducers.getSelectedTextWitness);
+    if (!isVisible || !user.isLoggedIn || !witness) {
+        return;
+    }
+    if (action.type === actions.PROCESSED_REQUEST) {
+        // Wait for any other queued changes to be saved before reloading
+        yield delay(1000);
+    }
+    const witnessData = yield select(reducers.getWitnessData, witness.id);
+    try {
+        const discussions = yield call(api.fetchDiscussions, witnessData);
+        yield put(actions.loadedDiscussions(witness.id, discussions));
+    } catch (e) {
+        console.warn("FAILED loadDiscussions %o", e);
+    }
+}
+
+function* watchDiscussions() {
+    yield takeLatest(
+        [
+            actions.CHANGED_DISCUSSIONS_VISIBLE,
+            actions.SELECTED_WITNESS,
+            actions.PROCESSED_REQUEST
+        ],
+        loadDiscussions
+    );
+}
+
+function addNoteReply(action: actions.AddedNoteReplyAction): api.QueuedRequest {
+    return api.addNoteReplyRequest(
+        action.witnessData,
+        action.noteId,
+        action.reply.content
+    );
+}
+
+function* watchAddedNoteReply() {
+    yield takeEvery(
+        actions.ADDED_NOTE_REPLY,
+        typeCalls[actions.ADDED_NOTE_REPLY]
+    );
+}
+
+function changeNoteResolved(
+    action: actions.ChangedNoteResolvedAction
+): api.QueuedRequest {
+    return api.resolveNoteRequest(
+        action.witnessData,
+        action.noteId,
+        action.isResolved
+    );
+}
+
+function* watchChangedNoteResolved() {
+    yield takeEvery(
+        actions.CHANGED_NOTE_RESOLVED,
+        typeCalls[actions.CHANGED_NOTE_RESOLVED]
+    );
+}
+
+// PAGE IMAGES
+
+function* loadIiifManifest(action: actions.SelectedTextWitnessAction) {
+    const witness = yield select(reducers.getWitness, action.witnessId);
+    if (!witness) {
+        return;
+    }
+    const url = getIiifManifestUrl(witness);
+    if (!url || (yield select(reducers.getIiifCanvases, url))) {
+        return;
+    }
+    try {
+        const manifest = yield call(api.fetchIiifManifest, url);
+        yield put(actions.loadedIiifManifest(url, parseIiifManifest(manifest)));
+    } catch (e) {
+        // The images' filenames are used instead
+        console.warn("FAILED loadIiifManifest %o", e);
+    }
+}
+
+function* watchSelectedWitnessManifest() {
+    yield takeEvery(actions.SELECTED_WITNESS, loadIiifManifest);
+}
+
+function* loadIiifImageInfo(action: actions.ViewedPageImageAction) {
+    const serviceUrl = action.serviceUrl;
+    if (yield select(reducers.getIiifImageInfo, serviceUrl)) {
+        return;
+    }
+    try {
+        const info = parseImageInfo(
+            yield call(api.fetchIiifImageInfo, serviceUrl)
+        );
+        if (info) {
+            yield put(actions.loadedIiifImageInfo(serviceUrl, info));
+        }
+    } catch (e) {
+        // The whole image is shown instead of tiles
+        console.warn("FAILED loadIiifImageInfo %o", e);
+    }
+}
+
+function* watchViewedPageImage() {
+    yield takeEvery(actions.VIEWED_PAGE_IMAGE, loadIiifImageInfo);
+}
+
 // SEARCH
 
-function* searchTexts(action: actions.ChangedSearchValueAction) {
+// The search is also run again when the search mode changes, so the
+// search value is taken from the state. The search waits until the user
+// stops typing, so patterns aren't compiled and run on every keystroke.
+function* searchTexts(action: actions.Action) {
+    const searchValue = yield select(reducers.getSearchValue);
+    if (searchValue.length === 0) {
+        return;
+    }
     yield delay(500);
+    const searchMode = yield select(reducers.getSearchMode);
+    if (searchMode === constants.SEARCH_MODES.pattern) {
+        yield call(searchPattern, searchValue);
+        return;
+    }
     const results = yield call(
         api.searchTexts,
-        action.searchValue,
-        constants.MAX_SEARCH_RESULTS
+        searchValue,
+        constants.MAX_SEARCH_RESULTS,
+        searchMode === constants.SEARCH_MODES.variants
     );
-    yield put(actions.updatedSearchResults(action.searchValue, results));
+    yield put(actions.updatedSearchResults(searchValue, results));
 }
 
 function* watchChangedSearchValue() {
-    yield takeLatest(actions.CHANGED_SEARCH_VALUE, searchTexts);
+    yield takeLatest(
+        [actions.CHANGED_SEARCH_VALUE, actions.CHANGED_SEARCH_MODE],
+        searchTexts
+    );
+}
+
+// Patterns are searched for in the text of the selected witness,
+// including any annotations the user has applied.
+function* searchPattern(searchValue: string) {
+    let pattern;
+    try {
+        pattern = compileSearchPattern(searchValue);
+    } catch (e) {
+        yield put(actions.invalidSearchPattern(searchValue, e.message));
+        return;
+    }
+    const witness = yield select(reducers.getSelectedTextWitness);
+    let results = {};
+    if (witness) {
+        const annotatedText = yield select(
+            TextStore.getWitnessText,
+            witness.id
+        );
+        if (annotatedText) {
+            results[witness.text.id] = getPatternSearchResults(
+                annotatedText.getText(),
+                pattern
+            );
+        }
+    }
+    yield put(actions.updatedSearchResults(searchValue, results));
+}
+
+function* selectedWitnessSearch(action: actions.SelectedTextWitnessAction) {
+    const searchValue = yield select(reducers.getSearchValue);
+    const searchMode = yield select(reducers.getSearchMode);
+    if (
+        searchValue.length === 0 ||
+        searchMode !== constants.SEARCH_MODES.pattern
+    ) {
+        return;
+    }
+    // The witness's text can't be generated until its annotations are
+    // loaded. If they fail to load, this waits until another witness is
+    // selected.
+    const hasLoadedAnnotations = yield select(
+        reducers.hasLoadedWitnessAnnotations,
+        action.witnessId
+    );
+    if (!hasLoadedAnnotations) {
+        yield take(
+            (loadedAction: any) =>
+                loadedAction.type === actions.LOADED_WITNESS_ANNOTATIONS &&
+                loadedAction.witnessId === action.witnessId
+        );
+    }
+    yield call(searchPattern, searchValue);
+}
+
+function* watchSelectedWitnessSearch() {
+    yield takeLatest(actions.SELECTED_WITNESS, selectedWitnessSearch);
 }
 
 function* searchedText(action: actions.SearchedTextAction) {
+    const searchMode = yield select(reducers.getSearchMode);
     const results = yield call(
         api.searchText,
         action.textId,
-        action.searchValue
+        action.searchValue,
+        searchMode === constants.SEARCH_MODES.variants
     );
     yield put(actions.updatedSearchResults(action.searchValue, results));
 }
@@ -502,6 +1157,28 @@ function* watchSearchedText() {
     yield takeLatest(actions.SEARCHED_TEXT, searchedText);
 }
 
+function* selectedVariantSearchResult(
+    action: actions.SelectedVariantSearchResultAction
+) {
+    const result = action.result;
+    yield call(openTextUrl, {
+        textId: action.textId,
+        witnessId: result.witness,
+        annotation: textUrl.getAnnotationSlug(
+            result.start,
+            result.length,
+            result.annotation
+        )
+    });
+}
+
+function* watchSelectedVariantSearchResult() {
+    yield takeLatest(
+        actions.SELECTED_VARIANT_SEARCH_RESULT,
+        selectedVariantSearchResult
+    );
+}
+
 // SETTINGS
 
 function* loadUserSettings(action: actions.UserAction) {
@@ -538,6 +1215,19 @@ function* watchChangedShowPageImages() {
     yield takeLatest(actions.CHANGED_SHOW_PAGE_IMAGES, changedShowPageImages);
 }
 
+function* changedShowPechaView(action: actions.ChangedShowPechaViewAction) {
+    const user = yield select(reducers.getUser);
+    if (user.isLoggedIn) {
+        yield call(api.setUserSettings, user, {
+            showPechaView: action.showPechaView
+        });
+    }
+}
+
+function* watchChangedShowPechaView() {
+    yield takeLatest(actions.CHANGED_SHOW_PECHA_VIEW, changedShowPechaView);
+}
+
 function* changedTextFontSize(action: actions.ChangedTextFontSizeAction) {
     const user = yield select(reducers.getUser);
     if (user.isLoggedIn) {
@@ -551,6 +1241,47 @@ function* watchChangedTextFontSize() {
     yield takeLatest(actions.CHANGED_TEXT_FONT_SIZE, changedTextFontSize);
 }
 
+function* changedPageImageLayout(action: actions.ChangedPageImageLayoutAction) {
+    const user = yield select(reducers.getUser);
+    if (user.isLoggedIn) {
+        yield call(api.setUserSettings, user, {
+            pageImageLayout: action.layout
+        });
+    }
+}
+
+function* watchChangedPageImageLayout() {
+    yield takeLatest(actions.CHANGED_PAGE_IMAGE_LAYOUT, changedPageImageLayout);
+}
+
+function* changedPageImageZoom() {
+    // Only save the zoom once the user has stopped zooming
+    yield delay(1000);
+    const user = yield select(reducers.getUser);
+    if (user.isLoggedIn) {
+        yield call(api.setUserSettings, user, {
+            pageImageZoom: yield select(reducers.getPageImageZoom)
+        });
+    }
+}
+
+function* watchChangedPageImageZoom() {
+    yield takeLatest(actions.CHANGED_PAGE_IMAGE_ZOOM, changedPageImageZoom);
+}
+
+function* changedKeyBindings(action: actions.ChangedKeyBindingsAction) {
+    const user = yield select(reducers.getUser);
+    if (user.isLoggedIn) {
+        yield call(api.setUserSettings, user, {
+            keyBindings: action.keyBindings
+        });
+    }
+}
+
+function* watchChangedKeyBindings() {
+    yield takeLatest(actions.CHANGED_KEY_BINDINGS, changedKeyBindings);
+}
+
 // BATCHED ACTIONS
 
 function* dispatchedBatch(action): Saga<void> {
@@ -575,9 +1306,17 @@ function* loadedTextUrl(action: actions.TextUrlAction) {
         return;
     }
     _loadedTextUrl = true;
-    if (action.payload.witnessId) {
-        const textId = action.payload.textId;
-        const witnessId = action.payload.witnessId;
+    yield call(openTextUrl, action.payload);
+}
+
+// Open a witness, and optionally an annotation, given the parameters of a
+// text url.
+function* openTextUrl(
+    payload: $PropertyType<actions.TextUrlAction, "payload">
+) {
+    if (payload.witnessId) {
+        const textId = payload.textId;
+        const witnessId = payload.witnessId;
         let textData: api.TextData;
         do {
             textData = yield select(reducers.getText, textId, true);
@@ -590,7 +1329,10 @@ function* loadedTextUrl(action: actions.TextUrlAction) {
             witnessId
         );
 
-        yield put(selectedTextAction);
+        const selectedText = yield select(reducers.getSelectedText);
+        if (!selectedText || selectedText.id !== textId) {
+            yield put(selectedTextAction);
+        }
         let textWitnesses: Array<Witness> = [];
         do {
             textWitnesses = yield select(reducers.getTextWitnesses, textId);
@@ -611,10 +1353,8 @@ function* loadedTextUrl(action: actions.TextUrlAction) {
 
         yield put(selectedWitnessAction);
 
-        if (action.payload.annotation) {
-            let matches = /([0-9]+)-([0-9]+)-?(.+)?/.exec(
-                action.payload.annotation
-            );
+        if (payload.annotation) {
+            let matches = /([0-9]+)-([0-9]+)-?(.+)?/.exec(payload.annotation);
             let start, length, uniqueIdSegment;
             if (matches) {
                 if (matches[1]) start = Number(matches[1]);
@@ -658,6 +1398,15 @@ function* loadedTextUrl(action: actions.TextUrlAction) {
                         witnessId,
                         uniqueIdSegment
                     );
+                    // Witnesses' readings are annotations of the working
+                    // witness
+                    if (!annotation && workingWitness) {
+                        annotation = yield select(
+                            reducers.getAnnotationWithIdFragment,
+                            workingWitness.id,
+                            uniqueIdSegment
+                        );
+                    }
                 }
                 if (!annotation && user) {
                     let annotatedText = yield select(
@@ -697,6 +1446,14 @@ function* watchTextUrlActions() {
     yield takeEvery(actions.TEXT_URL, loadedTextUrl);
 }
 
+function* openedTextUrl(action: actions.TextUrlAction) {
+    yield call(openTextUrl, action.payload);
+}
+
+function* watchOpenedTextUrl() {
+    yield takeLatest(actions.OPENED_TEXT_URL, openedTextUrl);
+}
+
 /**
  * Stores functions by action type.
  * Used primarily to allow batched actions to be handled
@@ -707,13 +1464,22 @@ function* watchTextUrlActions() {
 const typeCalls: { [string]: (any) => Saga<void> } = {
     [actions.LOAD_INITIAL_DATA]: loadInitialData,
     [actions.LOAD_WITNESS_ANNOTATIONS]: loadWitnessAnnotations,
-    [actions.APPLIED_ANNOTATION]: reqAction(applyAnnotation),
-    [actions.REMOVED_APPLIED_ANNOTATION]: reqAction(removeAppliedAnnotation),
-    [actions.APPLIED_DEFAULT_ANNOTATION]: reqAction(appliedDefaultAnnotation),
-    [actions.REMOVED_DEFAULT_ANNOTATION]: reqAction(removeDefaultAnnotation),
-    [actions.CREATED_ANNOTATION]: reqAction(createAnnotation),
-    [actions.UPDATED_ANNOTATION]: reqAction(updateAnnotation),
-    [actions.DELETED_ANNOTATION]: reqAction(deleteAnnotation),
+    [actions.APPLIED_ANNOTATION]: queuedReqAction(applyAnnotation),
+    [actions.REMOVED_APPLIED_ANNOTATION]: queuedReqAction(
+        removeAppliedAnnotation
+    ),
+    [actions.APPLIED_DEFAULT_ANNOTATION]: queuedReqAction(
+        appliedDefaultAnnotation
+    ),
+    [actions.REMOVED_DEFAULT_ANNOTATION]: queuedReqAction(
+        removeDefaultAnnotation
+    ),
+    [actions.CREATED_ANNOTATION]: queuedReqAction(createAnnotation),
+    [actions.UPDATED_ANNOTATION]: queuedReqAction(updateAnnotation),
+    [actions.DELETED_ANNOTATION]: queuedReqAction(deleteAnnotation),
+    [actions.REVIEWED_ANNOTATIONS]: queuedReqAction(reviewAnnotations),
+    [actions.ADDED_NOTE_REPLY]: queuedReqAction(addNoteReply),
+    [actions.CHANGED_NOTE_RESOLVED]: queuedReqAction(changeNoteResolved),
     [actions.SELECTED_WITNESS]: reqAction(selectedWitness),
     [actions.CHANGED_ACTIVE_TEXT_ANNOTATION]: changeActiveAnnotation,
     [actions.SELECTED_TEXT]: selectedText,
@@ -721,6 +1487,7 @@ const typeCalls: { [string]: (any) => Saga<void> } = {
     [actions.CHANGED_TEXT_LIST_WIDTH]: changedTextListWidth,
     [actions.CHANGED_SHOW_PAGE_IMAGES]: changedShowPageImages,
     [actions.CHANGED_TEXT_FONT_SIZE]: changedTextFontSize,
+    [actions.CHANGED_KEY_BINDINGS]: changedKeyBindings,
     [actions.USER_LOGGED_IN]: loadUserSettings,
     [actions.TEXT_URL]: loadedTextUrl
 };
@@ -742,15 +1509,37 @@ export default function* rootSaga(): Saga<void> {
         call(watchDeletedAnnotation),
         call(watchRequests),
         call(watchSelectedTextWitness),
+        call(watchSelectedWitnessEvents),
+        call(watchPresence),
         call(watchSelectedLocale),
         call(watchExportWitness),
+        call(watchExportDistanceMatrix),
+        call(watchImportWitnessFile),
+        call(watchVariantStatistics),
+        call(watchReviewQueue),
+        call(watchReviewedAnnotations),
+        call(watchChangedAnnotationHistory),
+        call(watchShowBlame),
+        call(watchDiscussions),
+        call(watchAddedNoteReply),
+        call(watchChangedNoteResolved),
+        call(watchSelectedWitnessManifest),
+        call(watchViewedPageImage),
+        call(watchChangedComparisonWitnesses),
         call(watchChangedSearchValue),
         call(watchSearchedText),
+        call(watchSelectedVariantSearchResult),
+        call(watchSelectedWitnessSearch),
         call(watchChangedTextListWidth),
         call(watchChangedShowPageImages),
         call(watchChangedTextFontSize),
+        call(watchChangedPageImageLayout),
+        call(watchChangedShowPechaView),
+        call(watchChangedPageImageZoom),
+        call(watchChangedKeyBindings),
         call(watchUserLoggedIn),
         call(watchTextUrlActions),
+        call(watchOpenedTextUrl),
         call(watchChangedActiveAnnotation)
     ]);
 }
@@ -5,12 +5,27 @@ import * as actions from "actions";
 import * as reducers from "reducers";
 import * as TextStore from "state_helpers/TextStore";
 import AnnotatedText, {
-    WORKING_VERSION_ANNOTATION_ID
+    WORKING_VERSION_ANNOTATION_ID,
+    BASE_ANNOTATION_ID
 } from "lib/AnnotatedText";
 import Source, { WORKING_VERSION_SOURCE_NAME } from "lib/Source";
 import Annotation, { ANNOTATION_TYPES } from "lib/Annotation";
 import TextSegment from "lib/TextSegment";
+import Witness from "lib/Witness";
 import { batchActions } from "redux-batched-actions";
+import { withCurrentRevisions } from "state_helpers/historyMiddleware";
+import getAnnotationPositions from "lib/getAnnotationPositions";
+import {
+    getAnnotationChoices,
+    getSelectAnnotationActions
+} from "state_helpers/annotationChoices";
+import { MAX_VARIANT_SHORTCUTS } from "app_constants";
+import {
+    getShortcutKey,
+    getCommandForKey,
+    getApplyVariantCommand,
+    SHOW_SHORTCUTS_COMMAND
+} from "lib/keyBindings";
 
 const closeAnnotationControls = (
     state: AppState,
@@ -85,9 +100,7 @@ const addBreak = (
                     actions.changedActiveTextAnnotation(breakAnnotation)
                 );
             } else {
-                actionsBatch.push(
-                    actions.changedActiveTextAnnotation(null)
-                );
+                actionsBatch.push(actions.changedActiveTextAnnotation(null));
             }
             dispatch(batchActions(actionsBatch));
         }
@@ -297,20 +310,263 @@ const selectPreviousSegment = (
     }
 };
 
-const shortcuts = {
-    Escape: closeAnnotationControls,
-    ["shift-Enter"]: addPageBreak,
-    ["Enter"]: addLineBreak,
-    ["ArrowLeft"]: selectPreviousSegment,
-    ["ArrowRight"]: selectNextSegment
+// Variants still showing the reading imported for the selected witness,
+// i.e. the user has not chosen another reading for them.
+const isUnreviewedVariant = (
+    annotation: Annotation,
+    selectedWitness: Witness
+): boolean =>
+    !annotation.userCreated &&
+    annotation.creatorWitness.id === selectedWitness.id;
+
+const selectAnnotationOfType = (
+    state: AppState,
+    dispatch: (action: actions.Action) => void,
+    type: string,
+    forwards: boolean,
+    filter: ?(annotation: Annotation, selectedWitness: Witness) => boolean
+) => {
+    const selectedWitness = reducers.getSelectedTextWitness(state);
+    if (!selectedWitness) return;
+    const annotatedText = TextStore.getWitnessText(state, selectedWitness.id);
+    if (!annotatedText) return;
+    const annotationsOfType = annotatedText.getAnnotationsOfType(type);
+    if (!annotationsOfType) return;
+
+    let annotations: Annotation[] = (Object.values(annotationsOfType): any);
+    if (filter) {
+        annotations = annotations.filter(annotation =>
+            filter(annotation, selectedWitness)
+        );
+    }
+    annotations.sort((a, b) => a.start - b.start);
+    if (!forwards) {
+        annotations.reverse();
+    }
+
+    const activeAnnotation = reducers.getActiveTextAnnotation(state);
+    let annotation = annotations[0];
+    if (activeAnnotation) {
+        const position = activeAnnotation.start;
+        annotation = annotations.find(annotation =>
+            forwards ? annotation.start > position : annotation.start < position
+        );
+    }
+    if (!annotation) return;
+
+    let newActiveAnnotation = annotation;
+    if (type === ANNOTATION_TYPES.note) {
+        // Notes are shown with the reading they are attached to
+        newActiveAnnotation =
+            annotatedText.getAnnotation(annotation.start, annotation.length) ||
+            annotation;
+    }
+    dispatch(actions.changedActiveTextAnnotation(newActiveAnnotation));
+};
+
+const selectNextVariant = (
+    state: AppState,
+    dispatch: (action: actions.Action) => void
+) => {
+    selectAnnotationOfType(state, dispatch, ANNOTATION_TYPES.variant, true);
+};
+
+const selectPreviousVariant = (
+    state: AppState,
+    dispatch: (action: actions.Action) => void
+) => {
+    selectAnnotationOfType(state, dispatch, ANNOTATION_TYPES.variant, false);
+};
+
+const selectNextNote = (
+    state: AppState,
+    dispatch: (action: actions.Action) => void
+) => {
+    selectAnnotationOfType(state, dispatch, ANNOTATION_TYPES.note, true);
+};
+
+const selectPreviousNote = (
+    state: AppState,
+    dispatch: (action: actions.Action) => void
+) => {
+    selectAnnotationOfType(state, dispatch, ANNOTATION_TYPES.note, false);
+};
+
+const selectNextPageBreak = (
+    state: AppState,
+    dispatch: (action: actions.Action) => void
+) => {
+    selectAnnotationOfType(state, dispatch, ANNOTATION_TYPES.pageBreak, true);
 };
 
-const getShortcutKey = (e: SyntheticKeyboardEvent<*>) => {
-    let key = e.key;
-    if (e.shiftKey) {
-        key = "shift-" + key;
+const selectPreviousPageBreak = (
+    state: AppState,
+    dispatch: (action: actions.Action) => void
+) => {
+    selectAnnotationOfType(state, dispatch, ANNOTATION_TYPES.pageBreak, false);
+};
+
+const selectNextUnreviewedVariant = (
+    state: AppState,
+    dispatch: (action: actions.Action) => void
+) => {
+    selectAnnotationOfType(
+        state,
+        dispatch,
+        ANNOTATION_TYPES.variant,
+        true,
+        isUnreviewedVariant
+    );
+};
+
+const selectPreviousUnreviewedVariant = (
+    state: AppState,
+    dispatch: (action: actions.Action) => void
+) => {
+    selectAnnotationOfType(
+        state,
+        dispatch,
+        ANNOTATION_TYPES.variant,
+        false,
+        isUnreviewedVariant
+    );
+};
+
+// Apply the nth variant listed in the annotation controls
+const applyVariant = (n: number) => (
+    state: AppState,
+    dispatch: (action: actions.Action) => void
+) => {
+    const selectedWitness = reducers.getSelectedTextWitness(state);
+    const activeAnnotation = reducers.getActiveTextAnnotation(state);
+    const user = reducers.getUser(state);
+    if (!selectedWitness || !activeAnnotation || !user.isLoggedIn) return;
+    if (
+        activeAnnotation.isType(ANNOTATION_TYPES.pageBreak) ||
+        activeAnnotation.isType(ANNOTATION_TYPES.lineBreak)
+    ) {
+        return;
     }
-    return key;
+    const annotatedText = TextStore.getWitnessText(state, selectedWitness.id);
+    const workingWitness = reducers.getWorkingWitness(
+        state,
+        selectedWitness.text.id
+    );
+    if (!annotatedText || !workingWitness) return;
+
+    const [, annotations] = TextStore.getWitnessAnnotations(
+        state,
+        selectedWitness,
+        workingWitness
+    );
+    const annotationPositions = getAnnotationPositions(
+        annotatedText,
+        (Object.values(annotations): any)
+    );
+    const { temporaryVariant, variantsData } = getAnnotationChoices(
+        state,
+        annotatedText,
+        activeAnnotation,
+        annotationPositions,
+        selectedWitness,
+        user
+    );
+    if (temporaryVariant || !variantsData || n > variantsData.length) return;
+
+    const selectedAnnotation = variantsData[n - 1].annotation;
+    if (selectedAnnotation.uniqueId === activeAnnotation.uniqueId) return;
+    dispatch(
+        batchActions(
+            getSelectAnnotationActions(
+                selectedAnnotation,
+                activeAnnotation,
+                selectedWitness
+            )
+        )
+    );
+};
+
+const undoAnnotationChange = (
+    state: AppState,
+    dispatch: (action: actions.Action) => void
+) => {
+    const selectedText = reducers.getSelectedText(state);
+    if (!selectedText) return;
+
+    const change = reducers.getUndoAnnotationChange(state, selectedText.id);
+    if (change) {
+        dispatch(
+            batchActions([
+                ...withCurrentRevisions(state, change.inverseActions),
+                actions.undidAnnotationChange(selectedText.id),
+                actions.changedActiveTextAnnotation(null)
+            ])
+        );
+    }
+};
+
+const redoAnnotationChange = (
+    state: AppState,
+    dispatch: (action: actions.Action) => void
+) => {
+    const selectedText = reducers.getSelectedText(state);
+    if (!selectedText) return;
+
+    const change = reducers.getRedoAnnotationChange(state, selectedText.id);
+    if (change) {
+        dispatch(
+            batchActions([
+                ...withCurrentRevisions(state, change.actions),
+                actions.redidAnnotationChange(selectedText.id),
+                actions.changedActiveTextAnnotation(null)
+            ])
+        );
+    }
+};
+
+const toggleShortcutsOverlay = (
+    state: AppState,
+    dispatch: (action: actions.Action) => void
+) => {
+    dispatch(
+        actions.changedShortcutsOverlay(
+            !reducers.getShortcutsOverlayVisible(state)
+        )
+    );
+};
+
+// The commands that can be bound to keys. See DEFAULT_KEY_BINDINGS.
+let commands = {
+    closeAnnotationControls: closeAnnotationControls,
+    addPageBreak: addPageBreak,
+    addLineBreak: addLineBreak,
+    selectPreviousSegment: selectPreviousSegment,
+    selectNextSegment: selectNextSegment,
+    undoAnnotationChange: undoAnnotationChange,
+    redoAnnotationChange: redoAnnotationChange,
+    selectNextVariant: selectNextVariant,
+    selectPreviousVariant: selectPreviousVariant,
+    selectNextNote: selectNextNote,
+    selectPreviousNote: selectPreviousNote,
+    selectNextPageBreak: selectNextPageBreak,
+    selectPreviousPageBreak: selectPreviousPageBreak,
+    selectNextUnreviewedVariant: selectNextUnreviewedVariant,
+    selectPreviousUnreviewedVariant: selectPreviousUnreviewedVariant,
+    [SHOW_SHORTCUTS_COMMAND]: toggleShortcutsOverlay
+};
+for (let n = 1; n <= MAX_VARIANT_SHORTCUTS; n++) {
+    commands[getApplyVariantCommand(n)] = applyVariant(n);
+}
+
+const isEditable = (target: EventTarget): boolean => {
+    if (!(target instanceof HTMLElement)) {
+        return false;
+    }
+    return (
+        target instanceof HTMLInputElement ||
+        target instanceof HTMLTextAreaElement ||
+        target.isContentEditable
+    );
 };
 
 export const handleKeyDown = (
@@ -318,11 +574,22 @@ export const handleKeyDown = (
     state: AppState,
     dispatch: (action: actions.Action) => void
 ) => {
+    // Leave every key pressed in a text field to the field itself
+    if (isEditable(e.target)) {
+        return;
+    }
     const key = getShortcutKey(e);
-    console.log(key);
-    if (shortcuts.hasOwnProperty(key)) {
-        shortcuts[key](state, dispatch);
+    const command = getCommandForKey(reducers.getKeyBindings(state), key);
+    if (reducers.getShortcutsOverlayVisible(state)) {
+        // Only closing the list of shortcuts is available while it is open
+        if (command === SHOW_SHORTCUTS_COMMAND || e.key === "Escape") {
+            toggleShortcutsOverlay(state, dispatch);
+        }
+        return;
+    }
+    if (command && commands.hasOwnProperty(command)) {
+        commands[command](state, dispatch);
     }
 };
 
-export default shortcuts;
+export default commands;
@@ -6,7 +6,7 @@ import Witness from "lib/Witness";
 import Annotation, { ANNOTATION_TYPES } from "lib/Annotation";
 import type { AnnotationUniqueId } from "lib/Annotation";
 import type { AnnotationData, TextData } from "api";
-import segmentTibetanText from "lib/segmentTibetanText";
+import { getTextSegmenter } from "lib/segmenters";
 import SegmentedText from "lib/SegmentedText";
 import _ from "lodash";
 
@@ -267,12 +267,13 @@ const generateAnnotatedText = (
         witness,
         workingWitness
     );
+    const segmenter = getTextSegmenter(text);
     let segmentedWorkingWitness = getSegmentedWitness(workingWitness);
     let annotatedText = new AnnotatedText(
         segmentedWorkingWitness,
         (Object.values(appliedAnnotations): any),
         text => {
-            return segmentTibetanText(text).segments;
+            return segmenter(text).segments;
         },
         workingWitness,
         witness
@@ -341,9 +342,8 @@ const annotationsMapFromData = (
 let _segmentedWitnesses: { [number]: SegmentedText } = {};
 function getSegmentedWitness(witness: Witness): SegmentedText {
     if (!_segmentedWitnesses[witness.id]) {
-        _segmentedWitnesses[witness.id] = segmentTibetanText(
-            witness.content || ""
-        );
+        const segmenter = getTextSegmenter(witness.text);
+        _segmentedWitnesses[witness.id] = segmenter(witness.content || "");
     }
 
     return _segmentedWitnesses[witness.id];
@@ -0,0 +1,242 @@
+// @flow
+import * as reducers from "reducers";
+import * as actions from "actions";
+import type { Store, Dispatch } from "redux";
+import { BATCH } from "redux-batched-actions";
+import Annotation from "lib/Annotation";
+
+/**
+ * Records changes made to annotations so they can be undone.
+ *
+ * All the annotation actions in a batch are recorded as a single change.
+ * Batches that undo or redo a change, or that don't change anything, are
+ * not recorded. Nor are changes made by other people, pushed from the
+ * server.
+ */
+const middleware = (store: Store<reducers.AppState, actions.Action>) => (
+    next: Dispatch<actions.Action>
+) => (action: actions.Action) => {
+    let annotationActions = [];
+    if (action.type === BATCH) {
+        const batchedActions: actions.Action[] = action.payload || [];
+        if (!batchedActions.some(isHistoryAction)) {
+            annotationActions = batchedActions.filter(isAnnotationAction);
+        }
+    } else if (isAnnotationAction(action)) {
+        annotationActions = [action];
+    }
+
+    if (annotationActions.length === 0) {
+        return next(action);
+    }
+
+    // Inverse actions need the state from before the change
+    const inverseActions = getInverseActions(
+        store.getState(),
+        annotationActions
+    );
+    const result = next(action);
+    if (inverseActions.length === 0) {
+        return result;
+    }
+    store.dispatch(
+        actions.recordedAnnotationChange(getTextId(annotationActions[0]), {
+            actions: annotationActions,
+            inverseActions
+        })
+    );
+
+    return result;
+};
+
+export default middleware;
+
+const isHistoryAction = (action: actions.Action): boolean =>
+    action.type === actions.UNDID_ANNOTATION_CHANGE ||
+    action.type === actions.REDID_ANNOTATION_CHANGE;
+
+const isAnnotationAction = (action: actions.Action): boolean =>
+    inverseActionHandlers.hasOwnProperty(action.type) && !action.fromServer;
+
+const getTextId = (action: any): number => {
+    if (action.witnessData) {
+        return action.witnessData.text;
+    }
+    return action.annotation.witness.text.id;
+};
+
+const isApplied = (state, action): boolean =>
+    reducers
+        .getActiveAnnotationsForWitnessId(state, action.witnessData.id)
+        .hasOwnProperty(action.annotationId);
+
+const isRemovedDefault = (state, action): boolean =>
+    reducers
+        .getRemovedDefaultAnnotationsForWitnessId(state, action.witnessData.id)
+        .hasOwnProperty(action.annotationId);
+
+// Handlers return null if the action doesn't change anything, e.g. applying
+// an annotation that is already applied.
+const inverseActionHandlers = {
+    [actions.APPLIED_ANNOTATION]: (
+        state: reducers.AppState,
+        action: actions.AppliedAnnotationAction
+    ) =>
+        isApplied(state, action)
+            ? null
+            : actions.removedAppliedAnnotation(
+                  action.annotationId,
+                  action.witnessData
+              ),
+    [actions.REMOVED_APPLIED_ANNOTATION]: (
+        state: reducers.AppState,
+        action: actions.RemovedAppliedAnnotationAction
+    ) =>
+        isApplied(state, action)
+            ? actions.appliedAnnotation(action.annotationId, action.witnessData)
+            : null,
+    [actions.REMOVED_DEFAULT_ANNOTATION]: (
+        state: reducers.AppState,
+        action: actions.RemovedDefaultAnnotationAction
+    ) =>
+        isRemovedDefault(state, action)
+            ? null
+            : actions.appliedDefaultAnnotation(
+                  action.annotationId,
+                  action.witnessData
+              ),
+    [actions.APPLIED_DEFAULT_ANNOTATION]: (
+        state: reducers.AppState,
+        action: actions.AppliedDefaultAnnotationAction
+    ) =>
+        isRemovedDefault(state, action)
+            ? actions.removedDefaultAnnotation(
+                  action.annotationId,
+                  action.witnessData
+              )
+            : null,
+    [actions.CREATED_ANNOTATION]: (
+        state: reducers.AppState,
+        action: actions.CreatedAnnotationAction
+    ) =>
+        actions.deletedAnnotation(
+            action.annotation,
+            action.annotation.creatorWitness
+        ),
+    [actions.UPDATED_ANNOTATION]: (
+        state: reducers.AppState,
+        action: actions.UpdatedAnnotationAction
+    ) => {
+        const annotation = action.annotation;
+        const previous = reducers.getAnnotation(
+            state,
+            annotation.witness.id,
+            annotation.uniqueId
+        );
+        if (!previous) {
+            console.warn("Can't find the annotation updated by %o", action);
+            return null;
+        }
+        previous.save();
+        return actions.updatedAnnotation(previous);
+    },
+    // The server restores a deleted annotation when it is created again
+    // with the same unique id.
+    [actions.DELETED_ANNOTATION]: (
+        state: reducers.AppState,
+        action: actions.DeletedAnnotationAction
+    ) => actions.createdAnnotation(action.annotation)
+};
+
+/**
+ * Get the actions that reverse the given annotation actions.
+ *
+ * The inverse actions are in reverse order, except that annotations are
+ * created before and deleted after any other changes so they exist
+ * whenever they are referred to.
+ *
+ * @param {AppState} state - The state before the actions were dispatched
+ * @param {Action[]} annotationActions
+ * @return {Action[]}
+ */
+export function getInverseActions(
+    state: reducers.AppState,
+    annotationActions: actions.Action[]
+): actions.Action[] {
+    let created = [];
+    let changed = [];
+    let deleted = [];
+    for (let i = annotationActions.length - 1; i >= 0; i--) {
+        const action = annotationActions[i];
+        const inverseAction = inverseActionHandlers[action.type](state, action);
+        if (!inverseAction) {
+            continue;
+        } else if (inverseAction.type === actions.CREATED_ANNOTATION) {
+            created.push(inverseAction);
+        } else if (inverseAction.type === actions.DELETED_ANNOTATION) {
+            deleted.push(inverseAction);
+        } else {
+            changed.push(inverseAction);
+        }
+    }
+
+    return [...created, ...changed, ...deleted];
+}
+
+/**
+ * Set the revision of annotations being updated to their current revision.
+ *
+ * Actions in the history keep the revision from when they were recorded, so
+ * this needs to be called before they are dispatched again. Otherwise the
+ * server would reject them as being based on an old revision.
+ *
+ * @param {AppState} state
+ * @param {Action[]} annotationActions
+ * @return {Action[]} Copies of the actions, with copies of the annotations
+ *      that have a new revision
+ */
+export function withCurrentRevisions(
+    state: reducers.AppState,
+    annotationActions: actions.Action[]
+): actions.Action[] {
+    return annotationActions.map((action: any) => {
+        if (action.type !== actions.UPDATED_ANNOTATION) {
+            return action;
+        }
+        const annotation: Annotation = action.annotation;
+        const current = reducers.getAnnotation(
+            state,
+            annotation.witness.id,
+            annotation.uniqueId
+        );
+        if (!current || current.revision === annotation.revision) {
+            return action;
+        }
+        return {
+            ...action,
+            annotation: copyAnnotation(annotation, current.revision)
+        };
+    });
+}
+
+function copyAnnotation(annotation: Annotation, revision: number): Annotation {
+    const copy = new Annotation(
+        annotation.id,
+        annotation.witness,
+        annotation.start,
+        annotation.length,
+        annotation.content,
+        annotation.type,
+        annotation.creatorWitness,
+        annotation.creatorUser,
+        annotation.uniqueId,
+        annotation.basedOn
+    );
+    copy.modified = annotation.modified;
+    copy.reviewState = annotation.reviewState;
+    copy.revision = revision;
+    if (annotation.isSaved) {
+        copy.save();
+    }
+    return copy;
+}
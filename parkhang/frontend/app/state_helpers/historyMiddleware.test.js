@@ -0,0 +1,130 @@
+// @flow
+import {
+    getInverseActions,
+    withCurrentRevisions
+} from "state_helpers/historyMiddleware";
+import Text from "lib/Text";
+import Source from "lib/Source";
+import Witness from "lib/Witness";
+import Annotation, { ANNOTATION_TYPES } from "lib/Annotation";
+import User from "lib/User";
+import * as reducers from "reducers";
+import * as data from "reducers/data";
+import * as actions from "actions";
+
+const source = new Source(1, "Derge", true);
+const text = new Text(1, "དཔལ་ནག་པོ་ཆེན་པོ་ཡུམ་ཅན་གྱི་སྒྲུབ་ཐབས་ཞེས་བྱ་བ");
+const baseWitness = new Witness(1, text, source, "Test witness", true);
+const baseWitnessData = reducers.dataFromWitness(baseWitness);
+const user = new User(1, "Test User");
+const annotation = new Annotation(
+    1,
+    baseWitness,
+    0,
+    27,
+    "༄༅༅",
+    ANNOTATION_TYPES.variant,
+    baseWitness,
+    user
+);
+const applyAction = actions.appliedAnnotation(
+    annotation.uniqueId,
+    baseWitnessData
+);
+const state: any = { data: data.initialDataState };
+const appliedState: any = {
+    data: data.default[applyAction.type](data.initialDataState, applyAction)
+};
+
+describe("getInverseActions", () => {
+    test("Applying is reversed by removing", () => {
+        expect(
+            getInverseActions(state, [
+                actions.appliedAnnotation(annotation.uniqueId, baseWitnessData),
+                actions.removedDefaultAnnotation(
+                    annotation.uniqueId,
+                    baseWitnessData
+                )
+            ])
+        ).toEqual([
+            actions.appliedDefaultAnnotation(
+                annotation.uniqueId,
+                baseWitnessData
+            ),
+            actions.removedAppliedAnnotation(
+                annotation.uniqueId,
+                baseWitnessData
+            )
+        ]);
+    });
+
+    test("Applying an applied annotation is not reversed", () => {
+        expect(getInverseActions(appliedState, [applyAction])).toEqual([]);
+    });
+
+    test("Created annotations are deleted last", () => {
+        expect(
+            getInverseActions(state, [
+                actions.createdAnnotation(annotation),
+                actions.appliedAnnotation(annotation.uniqueId, baseWitnessData)
+            ])
+        ).toEqual([
+            actions.removedAppliedAnnotation(
+                annotation.uniqueId,
+                baseWitnessData
+            ),
+            actions.deletedAnnotation(annotation, baseWitness)
+        ]);
+    });
+
+    test("Deleted annotations are created first", () => {
+        expect(
+            getInverseActions(appliedState, [
+                actions.deletedAnnotation(annotation, baseWitness),
+                actions.removedAppliedAnnotation(
+                    annotation.uniqueId,
+                    baseWitnessData
+                )
+            ])
+        ).toEqual([
+            actions.createdAnnotation(annotation),
+            actions.appliedAnnotation(annotation.uniqueId, baseWitnessData)
+        ]);
+    });
+});
+
+describe("withCurrentRevisions", () => {
+    test("Recorded annotations are copied, not changed", () => {
+        const current = new Annotation(
+            1,
+            baseWitness,
+            0,
+            27,
+            "༄༅",
+            ANNOTATION_TYPES.variant,
+            baseWitness,
+            user,
+            annotation.uniqueId
+        );
+        current.revision = 3;
+        const getAnnotation = jest
+            .spyOn(reducers, "getAnnotation")
+            .mockReturnValue(current);
+
+        const update = actions.updatedAnnotation(annotation);
+        const apply = actions.appliedAnnotation(
+            annotation.uniqueId,
+            baseWitnessData
+        );
+        const updated: any = withCurrentRevisions(state, [update, apply]);
+        getAnnotation.mockRestore();
+
+        expect(updated[0].annotation).not.toBe(annotation);
+        expect(updated[0].annotation.revision).toEqual(3);
+        expect(updated[0].annotation.content).toEqual(annotation.content);
+        expect(updated[0].annotation.uniqueId).toEqual(annotation.uniqueId);
+        expect(updated[1]).toBe(apply);
+        expect(update.annotation).toBe(annotation);
+        expect(annotation.revision).toEqual(1);
+    });
+});
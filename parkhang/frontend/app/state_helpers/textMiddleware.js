@@ -4,6 +4,7 @@ import * as reducers from "reducers";
 import * as actions from "actions";
 import type { Store, Reducer } from "redux";
 import { BATCH } from "redux-batched-actions";
+import Annotation from "lib/Annotation";
 
 const middleware = (store: Store<reducers.AppState, actions.Action>) => (
     next: Reducer<actions.Action>
@@ -103,5 +104,36 @@ const actionHandlers = {
             action.witness.id,
             action.annotation.uniqueId
         );
+    },
+    [actions.RESOLVED_ANNOTATION_CONFLICT]: (
+        state: reducers.AppState,
+        action: actions.AnnotationAction
+    ) => {
+        // Replace the rejected version if it has been applied
+        replaceAppliedAnnotation(state, action.annotation);
+    },
+    [actions.UPDATED_ANNOTATION]: (
+        state: reducers.AppState,
+        action: actions.UpdatedAnnotationAction
+    ) => {
+        // The user's own updates are applied when they are saved
+        if (action.fromServer) {
+            replaceAppliedAnnotation(state, action.annotation);
+        }
     }
 };
+
+function replaceAppliedAnnotation(
+    state: reducers.AppState,
+    annotation: Annotation
+) {
+    const witnessId = annotation.creatorWitness.id;
+    const appliedAnnotations = reducers.getActiveAnnotationsForWitnessId(
+        state,
+        witnessId
+    );
+    if (appliedAnnotations.hasOwnProperty(annotation.uniqueId)) {
+        textStore.deleteTextAnnotation(state, witnessId, annotation.uniqueId);
+        textStore.addTextAnnotation(state, witnessId, annotation);
+    }
+}
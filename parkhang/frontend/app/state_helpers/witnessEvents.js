@@ -0,0 +1,144 @@
+// @flow
+import { eventChannel, buffers } from "redux-saga";
+import type { EventChannel } from "redux-saga";
+import * as reducers from "reducers";
+import * as actions from "actions";
+import * as api from "api";
+
+/**
+ * Changes other people make to a witness are pushed from the server as
+ * server-sent events. Each event is named after the action it is received
+ * as, apart from presence events which say which part of the witness a
+ * collaborator has selected.
+ */
+
+export const PRESENCE_EVENT = "presence";
+
+export type WitnessEvent = {
+    type: string,
+    data: any
+};
+
+const annotationFromEvent = (state, data: api.AnnotationData) => {
+    const annotation = reducers.annotationFromData(state, data);
+    if (annotation) {
+        annotation.save();
+    }
+    return annotation;
+};
+
+// Events for applying annotations only have the annotation's unique id
+const operationHandler = (
+    actionCreator: (
+        annotationId: string,
+        witnessData: api.WitnessData
+    ) => actions.Action
+) => (state, witnessId, data) => {
+    const witnessData = reducers.getWitnessData(state, witnessId);
+    return witnessData
+        ? actionCreator(data.annotation_unique_id, witnessData)
+        : null;
+};
+
+const eventHandlers = {
+    created_annotation: (state, witnessId, data: api.AnnotationData) => {
+        const annotation = annotationFromEvent(state, data);
+        return annotation ? actions.createdAnnotation(annotation) : null;
+    },
+    // The data is the annotation after the update, including its new revision
+    updated_annotation: (state, witnessId, data: api.AnnotationData) => {
+        const annotation = annotationFromEvent(state, data);
+        return annotation ? actions.updatedAnnotation(annotation) : null;
+    },
+    deleted_annotation: (state, witnessId, data: api.AnnotationData) => {
+        const annotation = annotationFromEvent(state, data);
+        return annotation
+            ? actions.deletedAnnotation(annotation, annotation.creatorWitness)
+            : null;
+    },
+    applied_annotation: operationHandler(actions.appliedAnnotation),
+    removed_applied_annotation: operationHandler(
+        actions.removedAppliedAnnotation
+    ),
+    applied_default_annotation: operationHandler(
+        actions.appliedDefaultAnnotation
+    ),
+    removed_default_annotation: operationHandler(
+        actions.removedDefaultAnnotation
+    ),
+    added_note_reply: (state, witnessId, data) => {
+        const witnessData = reducers.getWitnessData(state, witnessId);
+        return witnessData
+            ? actions.addedNoteReply(
+                  witnessData,
+                  data.note_unique_id,
+                  data.reply
+              )
+            : null;
+    },
+    changed_note_resolved: (state, witnessId, data) => {
+        const witnessData = reducers.getWitnessData(state, witnessId);
+        return witnessData
+            ? actions.changedNoteResolved(
+                  witnessData,
+                  data.note_unique_id,
+                  data.is_resolved
+              )
+            : null;
+    },
+    [PRESENCE_EVENT]: (state, witnessId, data: api.PresenceData) =>
+        actions.updatedCollaboratorPresence(witnessId, data)
+};
+
+export const WITNESS_EVENT_TYPES: string[] = Object.keys(eventHandlers);
+
+/**
+ * Get the action for an event received for the given witness.
+ *
+ * Returns null if the event can't be handled, e.g. it is for an annotation
+ * on a witness that hasn't been loaded.
+ */
+export function actionForWitnessEvent(
+    state: reducers.AppState,
+    witnessId: number,
+    event: WitnessEvent
+): actions.Action | null {
+    if (!eventHandlers.hasOwnProperty(event.type)) {
+        console.warn("Unknown witness event: %o", event);
+        return null;
+    }
+    const action = eventHandlers[event.type](state, witnessId, event.data);
+    if (!action || event.type === PRESENCE_EVENT) {
+        return action;
+    }
+
+    return actions.receivedFromServer(action);
+}
+
+/**
+ * Create a channel of the events for the given witness.
+ *
+ * The event source is closed when the channel is closed.
+ */
+export function witnessEventsChannel(
+    witnessData: api.WitnessData
+): EventChannel<WitnessEvent> {
+    return eventChannel(emit => {
+        const source = api.openWitnessEvents(witnessData);
+        const listener = (event: MessageEvent) => {
+            try {
+                emit({
+                    type: event.type,
+                    data: JSON.parse(String(event.data))
+                });
+            } catch (e) {
+                console.warn("Invalid witness event: %o", event);
+            }
+        };
+        for (let i = 0; i < WITNESS_EVENT_TYPES.length; i++) {
+            source.addEventListener(WITNESS_EVENT_TYPES[i], listener);
+        }
+
+        return () => source.close();
+    }, buffers.expanding());
+}
@@ -0,0 +1,138 @@
+// @flow
+import {
+    actionForWitnessEvent,
+    witnessEventsChannel
+} from "state_helpers/witnessEvents";
+import MockEventServer from "../../__mocks__/eventServer";
+import Annotation, { ANNOTATION_TYPES } from "lib/Annotation";
+import * as reducers from "reducers";
+import * as data from "reducers/data";
+import { initialUIState } from "reducers/ui";
+import { initialUserState } from "reducers/user";
+import * as actions from "actions";
+import * as api from "api";
+
+const textData = { id: 1, name: "དཔལ་ནག་པོ་ཆེན་པོ" };
+const sourceData = { id: 1, name: "Derge", is_base: true, is_working: false };
+const witnessData = {
+    id: 1,
+    content: "Test witness",
+    is_base: true,
+    is_working: false,
+    revision: 1,
+    source: 1,
+    text: 1,
+    properties: null
+};
+
+const loadActions: any[] = [
+    actions.loadedTexts([textData]),
+    actions.loadedSources([sourceData]),
+    actions.loadedWitnesses(textData, [witnessData])
+];
+let dataState = data.initialDataState;
+for (let i = 0; i < loadActions.length; i++) {
+    dataState = data.default[loadActions[i].type](dataState, loadActions[i]);
+}
+const state: any = {
+    data: dataState,
+    ui: initialUIState,
+    user: initialUserState
+};
+
+describe("actionForWitnessEvent", () => {
+    test("Changes are received as actions from the server", () => {
+        const action = actionForWitnessEvent(state, witnessData.id, {
+            type: "applied_annotation",
+            data: { annotation_unique_id: "abc" }
+        });
+        expect(action).toEqual({
+            ...actions.appliedAnnotation("abc", witnessData),
+            fromServer: true
+        });
+    });
+
+    test("Annotations are created from the event data", () => {
+        const witness: any = reducers.getWitness(state, witnessData.id);
+        const annotationData = api.dataFromAnnotation(
+            new Annotation(
+                1,
+                witness,
+                0,
+                5,
+                "ཀ",
+                ANNOTATION_TYPES.variant,
+                witness
+            )
+        );
+        const action: any = actionForWitnessEvent(state, witnessData.id, {
+            type: "created_annotation",
+            data: annotationData
+        });
+        expect(action.type).toEqual(actions.CREATED_ANNOTATION);
+        expect(action.fromServer).toBe(true);
+        expect(action.annotation.uniqueId).toEqual(annotationData.unique_id);
+        expect(action.annotation.isSaved).toBe(true);
+    });
+
+    test("Replies to notes are received with the note's id", () => {
+        const reply = {
+            id: 1,
+            user: 2,
+            user_name: "Other User",
+            content: "A reply",
+            mentions: [],
+            created: "2020-01-01T00:00:00Z"
+        };
+        const action = actionForWitnessEvent(state, witnessData.id, {
+            type: "added_note_reply",
+            data: { note_unique_id: "abc", reply }
+        });
+        expect(action).toEqual({
+            ...actions.addedNoteReply(witnessData, "abc", reply),
+            fromServer: true
+        });
+    });
+
+    test("Unknown events are ignored", () => {
+        const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+        expect(
+            actionForWitnessEvent(state, witnessData.id, {
+                type: "unknown",
+                data: {}
+            })
+        ).toBeNull();
+        warn.mockRestore();
+    });
+});
+
+describe("witnessEventsChannel", () => {
+    const server = new MockEventServer();
+    beforeEach(() => server.install());
+    afterEach(() => server.uninstall());
+
+    test("Receives the witness's events until closed", () => {
+        const channel = witnessEventsChannel(witnessData);
+        expect(server.connections(witnessData.id).length).toEqual(1);
+        expect(server.connections(2).length).toEqual(0);
+        expect(server.connections(witnessData.id)[0].url).toContain(
+            "client_id=" + api.CLIENT_ID
+        );
+
+        const presence = {
+            client_id: "other",
+            user: "Other User",
+            start: 1,
+            length: 2
+        };
+        server.send(witnessData.id, "presence", presence);
+        let received = [];
+        channel.take(event => {
+            received.push(event);
+        });
+        expect(received).toEqual([{ type: "presence", data: presence }]);
+
+        channel.close();
+        expect(server.connections(witnessData.id).length).toEqual(0);
+    });
+});
@@ -1,2 +1,3 @@
 declare var USER_ID: number;
-declare var USER_NAME: string;
\ No newline at end of file
+declare var USER_NAME: string;
+declare var USER_CAN_REVIEW: boolean;
\ No newline at end of file
@@ -0,0 +1,60 @@
+import csv
+
+from django.core.management.base import BaseCommand
+
+from texts.models import Source, Text, Witness
+
+
+class Command(BaseCommand):
+    help = "Set the IIIF manifests used for the page images of a source's witnesses"
+
+    IIIF_MANIFEST_KEY = "iiif_manifest"
+    IIIF_START_CANVAS_KEY = "iiif_start_canvas"
+
+    def add_arguments(self, parser):
+        parser.add_argument('csv_file')
+        parser.add_argument('name_column')
+        parser.add_argument('manifest_column')
+        parser.add_argument('source_name')
+        parser.add_argument('--start_canvas_column',
+                            help="Column giving the id of the canvas of each text's first page")
+
+    def handle(self, *args, **options):
+        name_column = options['name_column']
+        manifest_column = options['manifest_column']
+        start_canvas_column = options['start_canvas_column']
+        try:
+            source = Source.objects.get(name=options['source_name'])
+        except Source.DoesNotExist:
+            print("No source found")
+            exit()
+
+        updated = 0
+        with open(options['csv_file']) as csv_file:
+            csv_reader = csv.DictReader(csv_file)
+            for row in csv_reader:
+                text_name = row[name_column].strip(" །")
+                manifest_url = row[manifest_column].strip()
+                if not manifest_url:
+                    continue
+                try:
+                    text = Text.objects.get(name=text_name)
+                    witness = Witness.objects.get(text=text, source=source)
+                except Exception as e:
+                    print(f"Exception with {text_name}: {e}")
+                    continue
+
+                # Keep the image filenames, which are used if the manifest
+                # cannot be loaded.
+                properties = witness.properties or {}
+                properties[self.IIIF_MANIFEST_KEY] = manifest_url
+                start_canvas = row[start_canvas_column].strip() if start_canvas_column else ""
+                if start_canvas:
+                    properties[self.IIIF_START_CANVAS_KEY] = start_canvas
+                else:
+                    properties.pop(self.IIIF_START_CANVAS_KEY, None)
+                witness.properties = properties
+                witness.save()
+                updated += 1
+
+        print(f"Set manifests for {updated} texts")
@@ -0,0 +1,19 @@
+# -*- coding: utf-8 -*-
+from __future__ import unicode_literals
+
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('texts', '0007_text_author'),
+    ]
+
+    operations = [
+        migrations.AddField(
+            model_name='annotation',
+            name='revision',
+            field=models.PositiveIntegerField(default=1),
+        ),
+    ]
@@ -0,0 +1,23 @@
+# -*- coding: utf-8 -*-
+from __future__ import unicode_literals
+
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('texts', '0009_witnessevent'),
+    ]
+
+    operations = [
+        migrations.AlterModelOptions(
+            name='annotation',
+            options={'permissions': (('review_annotation', 'Can review annotations'),)},
+        ),
+        migrations.AddField(
+            model_name='annotation',
+            name='review_state',
+            field=models.CharField(choices=[('P', 'Proposed'), ('A', 'Accepted'), ('R', 'Rejected')], default='A', max_length=1),
+        ),
+    ]
@@ -0,0 +1,32 @@
+# -*- coding: utf-8 -*-
+from __future__ import unicode_literals
+
+from django.conf import settings
+from django.db import migrations, models
+import django.db.models.deletion
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        migrations.swappable_dependency(settings.AUTH_USER_MODEL),
+        ('texts', '0010_annotation_review_state'),
+    ]
+
+    operations = [
+        migrations.CreateModel(
+            name='AnnotationChange',
+            fields=[
+                ('id', models.AutoField(auto_created=True, primary_key=True, serialize=False, verbose_name='ID')),
+                ('type', models.CharField(choices=[('C', 'Created'), ('U', 'Updated'), ('D', 'Deleted'), ('A', 'Applied'), ('R', 'Removed')], max_length=1)),
+                ('content', models.CharField(blank=True, max_length=4000, null=True)),
+                ('created', models.DateTimeField(auto_now_add=True)),
+                ('annotation', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='changes', to='texts.Annotation')),
+                ('user', models.ForeignKey(blank=True, null=True, on_delete=django.db.models.deletion.SET_NULL, to=settings.AUTH_USER_MODEL)),
+                ('witness', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, to='texts.Witness')),
+            ],
+            options={
+                'ordering': ('created', 'id'),
+            },
+        ),
+    ]
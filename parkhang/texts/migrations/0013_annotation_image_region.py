@@ -0,0 +1,19 @@
+# -*- coding: utf-8 -*-
+from __future__ import unicode_literals
+
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('texts', '0012_note_discussions'),
+    ]
+
+    operations = [
+        migrations.AlterField(
+            model_name='annotation',
+            name='type',
+            field=models.CharField(choices=[('V', 'Variant'), ('N', 'Note'), ('P', 'Page Break'), ('L', 'Line Break'), ('R', 'Image Region')], default='V', max_length=1),
+        ),
+    ]
@@ -0,0 +1,19 @@
+# -*- coding: utf-8 -*-
+from __future__ import unicode_literals
+
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('texts', '0013_annotation_image_region'),
+    ]
+
+    operations = [
+        migrations.AddField(
+            model_name='text',
+            name='language',
+            field=models.CharField(choices=[('bo', 'Tibetan'), ('sa', 'Sanskrit'), ('zh', 'Chinese'), ('en', 'English')], default='bo', max_length=10),
+        ),
+    ]
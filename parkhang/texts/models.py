@@ -13,6 +13,14 @@ from django.contrib.postgres.fields import JSONField
 # Constants
 
 DEFAULT_MAX_LENGTH = 4000
+DEFAULT_TEXT_LANGUAGE = 'bo'
+
+LANGUAGE_CHOICES = (
+    ('bo', 'Tibetan'),
+    ('sa', 'Sanskrit'),
+    ('zh', 'Chinese'),
+    ('en', 'English'),
+)
 
 # Models
 
@@ -27,6 +35,8 @@ class Text(models.Model):
     code = models.CharField(max_length=DEFAULT_MAX_LENGTH)
     topics = models.ManyToManyField('Topic')
     author = models.ForeignKey('Author', on_delete=models.SET_NULL, blank=True, null=True)
+    """Language code of the text, used to choose how it is segmented"""
+    language = models.CharField(max_length=10, choices=LANGUAGE_CHOICES, default=DEFAULT_TEXT_LANGUAGE)
 
     def __str__(self):
         return self.name
@@ -96,6 +106,13 @@ class AnnotationType(Enum):
     note = 'N'
     page_break = 'P'
     line_break = 'L'
+    image_region = 'R'
+
+
+class AnnotationReviewState(Enum):
+    proposed = 'P'
+    accepted = 'A'
+    rejected = 'R'
 
 
 class Annotation(models.Model):
@@ -103,7 +120,13 @@ class Annotation(models.Model):
         (AnnotationType.variant.value, 'Variant'),
         (AnnotationType.note.value, 'Note'),
         (AnnotationType.page_break.value, 'Page Break'),
-        (AnnotationType.line_break.value, 'Line Break')
+        (AnnotationType.line_break.value, 'Line Break'),
+        (AnnotationType.image_region.value, 'Image Region')
+    )
+    REVIEW_STATE_CHOICES = (
+        (AnnotationReviewState.proposed.value, 'Proposed'),
+        (AnnotationReviewState.accepted.value, 'Accepted'),
+        (AnnotationReviewState.rejected.value, 'Rejected')
     )
     unique_id = models.UUIDField(unique=True, editable=False, default=uuid.uuid4)
     witness = models.ForeignKey(Witness)
@@ -118,12 +141,23 @@ class Annotation(models.Model):
     created = models.DateTimeField(auto_now_add=True)
     modified = models.DateTimeField(auto_now=True)
     is_deleted = models.BooleanField(default=False)
+    """Incremented each time the annotation is updated"""
+    revision = models.PositiveIntegerField(default=1)
     """The annotation that has been changed to create this annotation"""
     original = models.ForeignKey('self', null=True, blank=True, on_delete=models.SET_NULL)
+    """Whether a reviewer has accepted a user's annotation"""
+    review_state = models.CharField(max_length=1, choices=REVIEW_STATE_CHOICES, default=AnnotationReviewState.accepted.value)
+    """Whether the discussion of a note has been resolved"""
+    is_resolved = models.BooleanField(default=False)
 
     # see https://docs.djangoproject.com/en/1.11/topics/db/managers/#creating-a-manager-with-queryset-methods
     objects = AnnotationQuerySet.as_manager()
 
+    class Meta:
+        permissions = (
+            ('review_annotation', 'Can review annotations'),
+        )
+
     def creator(self):
         if self.creator_witness:
             return self.creator_witness
@@ -133,7 +167,9 @@ class Annotation(models.Model):
         return None
 
     def creator_name(self):
-        creator = self.creator()
+        # Annotations users make in the app also have the witness they
+        # were made in as their creator_witness, but are named after the user.
+        creator = self.creator_user or self.creator()
         if creator:
             if isinstance(creator, Witness):
                 return creator.source.name
@@ -165,6 +201,74 @@ class UserAnnotationOperation(models.Model):
     note = models.TextField(null=True, blank=True)
 
 
+class NoteReply(models.Model):
+    """
+    A reply in the discussion of a note.
+    """
+
+    note = models.ForeignKey(Annotation, related_name='replies')
+    user = models.ForeignKey(settings.AUTH_USER_MODEL, null=True, blank=True, on_delete=models.SET_NULL)
+    content = models.TextField()
+    """Users mentioned in the content as @username"""
+    mentions = models.ManyToManyField(settings.AUTH_USER_MODEL, blank=True, related_name='note_mentions')
+    created = models.DateTimeField(auto_now_add=True)
+
+    class Meta:
+        ordering = ('created', 'id')
+
+
+class AnnotationChangeType(Enum):
+    created = 'C'
+    updated = 'U'
+    deleted = 'D'
+    applied = 'A'
+    removed = 'R'
+
+
+class AnnotationChange(models.Model):
+    """
+    A permanent record of a change made to an annotation or to whether it is
+    applied to a witness, used to show how a reading has evolved.
+    """
+    TYPE_CHOICES = (
+        (AnnotationChangeType.created.value, 'Created'),
+        (AnnotationChangeType.updated.value, 'Updated'),
+        (AnnotationChangeType.deleted.value, 'Deleted'),
+        (AnnotationChangeType.applied.value, 'Applied'),
+        (AnnotationChangeType.removed.value, 'Removed')
+    )
+
+    annotation = models.ForeignKey(Annotation, related_name='changes')
+    """The witness the change affects"""
+    witness = models.ForeignKey(Witness)
+    user = models.ForeignKey(settings.AUTH_USER_MODEL, null=True, blank=True, on_delete=models.SET_NULL)
+    type = models.CharField(max_length=1, choices=TYPE_CHOICES)
+    """The annotation's content after the change"""
+    content = models.CharField(max_length=DEFAULT_MAX_LENGTH, null=True, blank=True)
+    created = models.DateTimeField(auto_now_add=True)
+
+    class Meta:
+        ordering = ('created', 'id')
+
+
+class WitnessEvent(models.Model):
+    """
+    A change made to a witness, to be pushed to the other people viewing it.
+
+    Events are only needed by clients that are currently open, so they are
+    deleted after a short time.
+    """
+
+    witness = models.ForeignKey(Witness)
+    user = models.ForeignKey(settings.AUTH_USER_MODEL, null=True, blank=True, on_delete=models.CASCADE)
+    """Identifies the browser tab that made the change, so it isn't sent back to it"""
+    client_id = models.CharField(max_length=64, blank=True)
+    """The name of the client action the event is received as, or presence"""
+    type = models.CharField(max_length=32)
+    data = JSONField()
+    created = models.DateTimeField(auto_now_add=True)
+
+
 class DefaultWitnessAnnotations(models.Model):
     """
     Annotations set to be applied to a witness by default when viewing a text.